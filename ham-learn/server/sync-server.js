@@ -0,0 +1,188 @@
+// =============================================
+// Serveur de synchronisation HamLearn — pour un club, sans nuage
+// =============================================
+// Petit serveur Node sans dépendance, à lancer sur un poste du club :
+//   npm run sync-server            (ou node server/sync-server.js)
+// Variables : PORT (8787), HAMLEARN_DATA (./hamlearn-sync.json),
+// HAMLEARN_INSTRUCTOR_TOKEN (sinon généré au premier lancement ; affiché au
+// démarrage, conservé dans le fichier de données).
+// - Chaque élève a un jeton, créé depuis le tableau de bord de l’instructeur
+//   (onglet Classe) ; l’application pousse son journal des réponses et son
+//   état SRS (POST /api/sync), fusionnés comme une sauvegarde (lib/backup.ts).
+// - L’instructeur lit toute la classe (GET /api/class) avec son propre jeton ;
+//   les statistiques sont calculées dans l’application (lib/sync.ts).
+// Les données tiennent dans un seul fichier JSON, réécrit à chaque envoi.
+// =============================================
+
+import { createServer } from "node:http";
+import { existsSync, readFileSync, renameSync, writeFileSync } from "node:fs";
+import { randomBytes, randomUUID, timingSafeEqual } from "node:crypto";
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_FILE = process.env.HAMLEARN_DATA || "./hamlearn-sync.json";
+const MAX_BODY = 20 * 1024 * 1024;
+
+const newToken = () => randomBytes(18).toString("base64url");
+
+function loadData() {
+  if (!existsSync(DATA_FILE)) return { instructorToken: "", students: [] };
+  const raw = JSON.parse(readFileSync(DATA_FILE, "utf8"));
+  return { instructorToken: raw.instructorToken ?? "", students: Array.isArray(raw.students) ? raw.students : [] };
+}
+
+// Écriture atomique : un arrêt brutal ne laisse jamais un fichier à moitié écrit
+function saveData() {
+  writeFileSync(`${DATA_FILE}.tmp`, JSON.stringify(data));
+  renameSync(`${DATA_FILE}.tmp`, DATA_FILE);
+}
+
+const data = loadData();
+if (process.env.HAMLEARN_INSTRUCTOR_TOKEN) data.instructorToken = process.env.HAMLEARN_INSTRUCTOR_TOKEN;
+data.instructorToken ||= newToken();
+saveData();
+
+function sameToken(a, b) {
+  const x = Buffer.from(a);
+  const y = Buffer.from(b);
+  return x.length === y.length && timingSafeEqual(x, y);
+}
+
+function bearer(req) {
+  const m = /^Bearer (.+)$/.exec(req.headers.authorization ?? "");
+  return m ? m[1].trim() : "";
+}
+
+const isInstructor = (req) => sameToken(bearer(req), data.instructorToken);
+const studentOf = (req) => {
+  const token = bearer(req);
+  return token ? data.students.find((s) => sameToken(token, s.token)) : undefined;
+};
+
+// Même fusion qu’une sauvegarde : réponses dédoublonnées, révision la plus récente par question.
+// Un ID « __proto__ » (clé JSON possible) changerait le prototype de student.srs : il est ignoré.
+function mergeInto(student, attempts, srs) {
+  const key = (a) => `${a.question_id}|${a.at}|${a.mode}`;
+  const seen = new Set(student.attempts.map(key));
+  for (const a of attempts) {
+    if (!a || typeof a.question_id !== "string" || typeof a.at !== "string" || seen.has(key(a))) continue;
+    seen.add(key(a));
+    student.attempts.push(a);
+  }
+  student.attempts.sort((a, b) => a.at.localeCompare(b.at));
+  for (const [id, s] of Object.entries(srs)) {
+    if (id === "__proto__") continue;
+    const mine = Object.hasOwn(student.srs, id) ? student.srs[id] : undefined;
+    if (s && typeof s.lastReview === "string" && (!mine || s.lastReview > mine.lastReview)) student.srs[id] = s;
+  }
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json; charset=utf-8" });
+  res.end(body === undefined ? "" : JSON.stringify(body));
+}
+
+// Corps JSON : toujours un objet (null, tableau ou nombre → 400). Trop gros : 413,
+// le reste du corps est lu sans être gardé pour que la réponse parte normalement.
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    let tooLarge = false;
+    req.on("data", (c) => {
+      if (tooLarge) return;
+      size += c.length;
+      if (size > MAX_BODY) {
+        tooLarge = true;
+        chunks.length = 0;
+        reject(Object.assign(new Error("Payload too large"), { status: 413 }));
+      } else chunks.push(c);
+    });
+    req.on("end", () => {
+      if (tooLarge) return;
+      let body;
+      try {
+        body = chunks.length ? JSON.parse(Buffer.concat(chunks).toString("utf8")) : {};
+      } catch {
+        return reject(Object.assign(new Error("Invalid JSON"), { status: 400 }));
+      }
+      if (!body || typeof body !== "object" || Array.isArray(body)) {
+        return reject(Object.assign(new Error("JSON object expected"), { status: 400 }));
+      }
+      resolve(body);
+    });
+    req.on("error", reject);
+  });
+}
+
+async function handle(req, res) {
+  const { pathname } = new URL(req.url ?? "/", "http://localhost");
+  const studentPath = /^\/api\/students\/([^/]+)$/.exec(pathname);
+  const route = studentPath ? `${req.method} /api/students/:id` : `${req.method} ${pathname}`;
+
+  switch (route) {
+    case "GET /api/health":
+      return send(res, 200, { ok: true });
+
+    case "GET /api/me": {
+      const s = studentOf(req);
+      if (!s) return send(res, 401, { error: "Unknown token" });
+      return send(res, 200, { name: s.name, lastSync: s.lastSync, attempts: s.attempts.length });
+    }
+
+    case "POST /api/sync": {
+      const s = studentOf(req);
+      if (!s) return send(res, 401, { error: "Unknown token" });
+      const body = await readBody(req);
+      const attempts = Array.isArray(body.attempts) ? body.attempts : [];
+      const srs = body.srs && typeof body.srs === "object" && !Array.isArray(body.srs) ? body.srs : {};
+      mergeInto(s, attempts, srs);
+      s.lastSync = new Date().toISOString();
+      saveData();
+      return send(res, 200, { name: s.name, lastSync: s.lastSync, attempts: s.attempts.length });
+    }
+
+    case "GET /api/class":
+      if (!isInstructor(req)) return send(res, 401, { error: "Instructor token required" });
+      return send(res, 200, { students: data.students });
+
+    case "POST /api/students": {
+      if (!isInstructor(req)) return send(res, 401, { error: "Instructor token required" });
+      const name = String((await readBody(req)).name ?? "").trim();
+      if (!name) return send(res, 400, { error: "Name required" });
+      const student = { id: randomUUID(), name, token: newToken(), created: new Date().toISOString(), lastSync: null, attempts: [], srs: {} };
+      data.students.push(student);
+      saveData();
+      return send(res, 201, student);
+    }
+
+    case "DELETE /api/students/:id": {
+      if (!isInstructor(req)) return send(res, 401, { error: "Instructor token required" });
+      const id = decodeURIComponent(studentPath?.[1] ?? "");
+      const before = data.students.length;
+      data.students = data.students.filter((s) => s.id !== id);
+      if (data.students.length === before) return send(res, 404, { error: "Unknown student" });
+      saveData();
+      return send(res, 204);
+    }
+
+    default:
+      return send(res, 404, { error: "Not found" });
+  }
+}
+
+createServer((req, res) => {
+  // L’application est servie par une autre origine (Vite, GitHub Pages, fichier local)
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Headers", "Authorization, Content-Type");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, DELETE, OPTIONS");
+  if (req.method === "OPTIONS") return send(res, 204);
+  handle(req, res).catch((err) => {
+    // Erreurs prévues (400, 413) : message au client ; les autres restent dans le journal du serveur
+    if (err.status) return send(res, err.status, { error: err.message });
+    console.error(err);
+    send(res, 500, { error: "Internal error" });
+  });
+}).listen(PORT, () => {
+  console.log(`HamLearn sync : http://localhost:${PORT} (${DATA_FILE})`);
+  console.log(`Jeton de l’instructeur / instructor token : ${data.instructorToken}`);
+});
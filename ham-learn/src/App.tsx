@@ -1,158 +1,207 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
+import type { QA } from "./types.js";
+import { DEFAULT_PROFILE, STORE_KEYS, loadJSON, onStorageError, removeKey, saveJSON, subscribe } from "./lib/storage.js";
+import { useStored } from "./lib/useStored.js";
+import { currentProfile, forEachProfile } from "./lib/profiles.js";
+import { applyAppUpdate, dismissUpdate, onUpdate } from "./lib/pwa.js";
+import { classNames, formatClock } from "./lib/utils.js";
+import { todayKey } from "./lib/dates.js";
+import { bumpProgress, streaks, type ProgressMap } from "./lib/progress.js";
+import { goalOf, type StudyGoal } from "./lib/planner.js";
+import { startAutoSync } from "./lib/sync.js";
+import { Card, GradientTitle, Kbd, Pill, Stat } from "./components/ui.js";
+import { formatDate, formatDay, formatNumber, formatPercent, setLocale, t } from "./i18n/index.js";
+import {
+  DEFAULT_NEW_PER_DAY,
+  buildQueue,
+  buildStudyQueue,
+  deckCounts,
+  loadReviews,
+  saveReview,
+  saveReviews,
+  schedule,
+  statusOf,
+  type Rating,
+  type ReviewMap,
+} from "./lib/srs.js";
+import MockExam from "./components/MockExam.js";
+import AnswerAnalytics from "./components/AnswerAnalytics.js";
+import ImportReportCard from "./components/ImportReportCard.js";
+import BankDiffCard from "./components/BankDiffCard.js";
+import BackupPanel from "./components/BackupPanel.js";
+import ProfileMenu from "./components/ProfileMenu.js";
+import ClassMode from "./components/ClassMode.js";
+import ClassDashboard from "./components/ClassDashboard.js";
+import SyncPanel from "./components/SyncPanel.js";
+import Glossary from "./components/Glossary.js";
+import Browser from "./components/Browser.js";
+import CalcPractice from "./components/CalcPractice.js";
+import QuestionFigure from "./components/QuestionFigure.js";
+import SyllabusTree from "./components/SyllabusTree.js";
+import StudyPlanner from "./components/StudyPlanner.js";
+import QuizNavigator from "./components/QuizNavigator.js";
+import QuizReview from "./components/QuizReview.js";
+import ExplanationPanel from "./components/ExplanationPanel.js";
+import AccessibilityDialog from "./components/AccessibilityDialog.js";
+import LiveRegion from "./components/LiveRegion.js";
+import { AnswerText, QuestionText } from "./components/BilingualText.js";
+import { STUDY_DISPLAYS, displayLangs, type StudyDisplay } from "./lib/bilingual.js";
+import { decodeBank, parseBank, type ImportReport } from "./lib/parser.js";
+import { EXPLANATIONS_FILE, loadExplanations, parseExplanations, saveExplanations, type ExplanationMap } from "./lib/explanations.js";
+import { FIGURES_FILE, loadFigures, parseFigures, saveFigures, type FigureMap } from "./lib/figures.js";
+import { recordAttempts, responseTimes } from "./lib/attempts.js";
+import { buildSyllabus, filterSections, pruneSelection, type SyllabusNode } from "./lib/syllabus.js";
+import { optionText, type OptionIndex } from "./lib/options.js";
+import { OPTION_KEYS, announce, applyTheme, motionReduced, optionKeyIndex, type Theme } from "./lib/a11y.js";
+import { useShortcuts } from "./lib/useShortcuts.js";
+import {
+  NO_TIMING,
+  QUIZ_MAX_QUESTIONS,
+  QUIZ_QUESTION_SECONDS,
+  QUIZ_TOTAL_MINUTES,
+  countCorrect,
+  drawQuiz,
+  isTimed,
+  nextOpen,
+  quizLink,
+  readQuizLink,
+  type QuizQuestion,
+  type QuizTiming,
+} from "./lib/quiz.js";
+import { newSeed } from "./lib/random.js";
+import {
+  PUBLISHED_SOURCE,
+  diffBanks,
+  hashBank,
+  latestVersion,
+  migrateReviews,
+  recordVersion,
+  versionSource,
+  type BankDiff,
+} from "./lib/bankVersion.js";
+import {
+  BUILTIN_BANKS,
+  DEFAULT_BANK,
+  activeQuestions,
+  loadBanks,
+  newBankId,
+  parseSectionTitles,
+  qualifyBank,
+  questionsOf,
+  removeBank,
+  saveBank,
+  sectionTitle,
+  withBank,
+  type BankInfo,
+} from "./lib/banks.js";
 
 // =============================================
 // HamLearn — Application d’apprentissage radio‑amateur (TypeScript + React)
 // =============================================
 // Fonctions clés :
 // - Importe la banque de questions depuis un .txt (CSV délimité par des points‑virgules) placé en /public (amat_basic_quest_delim.txt)
-// - Modes : Flashcards (SRS très simple) et Quiz (QCM)
-// - Suivi quotidien (localStorage) : vues, justes, série (streak)
-// - Bilingue FR/EN + filtre par section (préfixe d’ID)
+// - Analyse robuste (guillemets, BOM, UTF‑8/Windows‑1252) et rapport d’importation (voir lib/parser.ts)
+// - Modes : Flashcards (répétition espacée SM‑2), Quiz (QCM à graine partageable) et Examen simulé (100 questions, plan ISED)
+// - Quiz chronométré : limite totale ou par question, remise automatique, une question à la fois avec navigateur et marques, temps par question
+// - Correction du quiz : réponse choisie et bonne réponse, sans réponse ≠ fausse, score par section, reprise des manquées
+// - Suivi quotidien (IndexedDB, voir lib/storage.ts) : vues, justes ; série en cours et record sur tout l’historique, jours de repos (voir lib/dates.ts, lib/progress.ts)
+// - Objectifs : date d’examen, objectif quotidien, plan du jour pondéré vers les sections faibles, calendrier d’activité, préparation projetée (voir lib/planner.ts)
+// - Bilingue FR/EN (côte à côte, question ⇄ réponses, glossaire)
+// - Plan de cours : sections et sous‑sections titrées, nombre de questions et maîtrise, choix multiple (voir lib/syllabus.ts)
+// - Plusieurs banques nommées (base, supérieure, questions du club), actives au choix, historique séparé par banque (voir lib/banks.ts)
+// - Interface traduite FR/EN (catalogues dans src/i18n), dates et nombres selon la langue
+// - Parcourir : recherche FR/EN dans la banque, favoris et signalements (voir lib/browse.ts)
+// - Calculs : questions paramétrées (loi d’Ohm, puissance, réactance, résonance, dB), réponse avec unité et tolérance (voir lib/calc.ts)
+// - Explications et références (fichier compagnon facultatif, voir lib/explanations.ts) et notes personnelles
+// - Figures : schémas et images par question (colonnes facultatives ou fichier compagnon, SVG en ligne, voir lib/figures.ts)
+// - Mode classe : examens papier reproductibles (graine), corrigé et feuille‑réponse
+// - Synchronisation club facultative : serveur local (server/sync-server.js), tableau de bord de l’instructeur (voir lib/sync.ts)
+// - Profils : plusieurs apprenants sur un même appareil (voir lib/profiles.ts)
+// - Accessibilité : raccourcis clavier (touche « ? »), annonces aria-live, thème contraste élevé (voir lib/a11y.ts)
 // - UI Tailwind (v4 recommandé)
 // =============================================
 
 const DEFAULT_TXT_PATH = "./amat_basic_quest_delim.txt";
 
-// Types
-export interface QA {
-  question_id: string;
-  question_english: string;
-  correct_answer_english: string;
-  incorrect_answer_1_english: string;
-  incorrect_answer_2_english: string;
-  incorrect_answer_3_english: string;
-  question_french: string;
-  correct_answer_french: string;
-  incorrect_answer_1_french: string;
-  incorrect_answer_2_french: string;
-  incorrect_answer_3_french: string;
-}
-
-function classNames(...xs: Array<string | false | null | undefined>): string {
-  return xs.filter(Boolean).join(" ");
-}
-
-function todayKey(): string {
-  const d = new Date();
-  const y = d.getFullYear();
-  const m = String(d.getMonth() + 1).padStart(2, "0");
-  const dd = String(d.getDate()).padStart(2, "0");
-  return `${y}-${m}-${dd}`;
-}
-
-function shuffle<T>(arr: T[]): T[] {
-  const a = [...arr];
-  for (let i = a.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [a[i], a[j]] = [a[j], a[i]];
-  }
-  return a;
-}
-
-function parseCSVSemicolon(text: string): QA[] {
-  const lines = text.split(/\r?\n/).filter((l) => l.trim().length > 0);
-  if (lines.length < 2) return [];
-  const header = lines[0].split(";").map((h) => h.trim());
-  const idx = (name: string) => header.findIndex((h) => h === name);
-  const fields = [
-    "question_id",
-    "question_english",
-    "correct_answer_english",
-    "incorrect_answer_1_english",
-    "incorrect_answer_2_english",
-    "incorrect_answer_3_english",
-    "question_french",
-    "correct_answer_french",
-    "incorrect_answer_1_french",
-    "incorrect_answer_2_french",
-    "incorrect_answer_3_french",
-  ] as const;
-  const mapIdx: Record<string, number> = {};
-  for (const f of fields) mapIdx[f] = idx(f);
-
-  const out: QA[] = [];
-  for (let i = 1; i < lines.length; i++) {
-    const cols = lines[i].split(";");
-    if (cols.length < header.length) continue;
-    const row: Partial<QA> = {};
-    for (const f of fields) {
-      const j = mapIdx[f];
-      (row as any)[f] = j >= 0 ? (cols[j]?.trim() ?? "") : "";
-    }
-    if (row.question_id) out.push(row as QA);
-  }
-  return out;
-}
-
-// LocalStorage helpers
-const LS_KEYS = {
-  bank: "hamlearn.bank",
-  progress: "hamlearn.progress", // { [date]: { seen, correct, streak? } }
-  srs: "hamlearn.srs", // { [question_id]: { ease: 1|2|3, lastSeen: ISO } }
-  prefs: "hamlearn.prefs", // { lang: 'fr'|'en', section: string }
-};
-
-function loadJSON<T>(key: string, fallback: T): T {
-  try {
-    const raw = localStorage.getItem(key);
-    return raw ? (JSON.parse(raw) as T) : fallback;
-  } catch {
-    return fallback;
-  }
-}
-function saveJSON(key: string, value: unknown): void {
-  try { localStorage.setItem(key, JSON.stringify(value)); } catch {}
-}
-
-// Simple UI components
-function Pill({ children }: { children: React.ReactNode }) {
-  return (
-    <span className="inline-flex items-center rounded-full px-3 py-1 text-xs font-semibold ring-1 ring-inset ring-white/20 bg-white/10 backdrop-blur">
-      {children}
-    </span>
-  );
-}
+export type { QA };
 
-function Card({ children, className = "" }: { children: React.ReactNode; className?: string }) {
-  return (
-    <div className={classNames(
-      "rounded-2xl shadow-lg p-5 bg-white/5 border border-white/10 backdrop-blur-md",
-      className
-    )}>
-      {children}
-    </div>
-  );
+// Sélection de questions étudiée à part, avec son titre
+interface StudySet {
+  qas: QA[];
+  title: string;
 }
 
-function GradientTitle({ title, subtitle }: { title: string; subtitle?: string }) {
-  return (
-    <div className="mb-6">
-      <h1 className="text-3xl md:text-4xl font-extrabold tracking-tight bg-clip-text text-transparent bg-gradient-to-r from-cyan-300 via-sky-400 to-fuchsia-400">
-        {title}
-      </h1>
-      {subtitle && <p className="text-sm text-white/80 mt-1">{subtitle}</p>}
-    </div>
-  );
+// Sections choisies dans le plan de cours ; les anciennes préférences n’en gardaient qu’une
+function savedSections(prefs: { sections?: string[]; section?: string }): string[] {
+  return prefs.sections ?? (prefs.section ? [prefs.section] : []);
 }
 
 // =============================================
 // App
 // =============================================
 export default function App(): JSX.Element {
-  const [qas, setQAs] = useState<QA[]>(loadJSON<QA[]>(LS_KEYS.bank, []));
-  const [lang, setLang] = useState<'fr' | 'en'>(loadJSON(LS_KEYS.prefs, { lang: 'fr' }).lang || 'fr');
-  const [section, setSection] = useState<string>(loadJSON(LS_KEYS.prefs, { section: '' }).section || '');
-  const [tab, setTab] = useState<'flash' | 'quiz' | 'progress'>('flash');
+  // Quiz partagé par lien (?seed=…) : on l’ouvre directement
+  const [link] = useState(() => readQuizLink(window.location.search));
+  // Toutes les banques chargées ; l’étude porte sur les banques actives du profil
+  const [allQas, setAllQas] = useState<QA[]>(loadJSON<QA[]>(STORE_KEYS.bank, []));
+  const [activeBanks, setActiveBanks] = useState<string[] | undefined>(loadJSON<{ banks?: string[] }>(STORE_KEYS.prefs, {}).banks);
+  const bankRegistry = useStored<BankInfo[]>(STORE_KEYS.banks, []);
+  const banks = useMemo(() => loadBanks(), [bankRegistry]); // eslint-disable-line react-hooks/exhaustive-deps
+  const qas = useMemo(() => activeQuestions(allQas, activeBanks), [allQas, activeBanks]);
+  const [lang, setLang] = useState<'fr' | 'en'>(loadJSON(STORE_KEYS.prefs, { lang: 'fr' }).lang || 'fr');
+  const [saved, setSaved] = useState<string[]>(() => savedSections(loadJSON(STORE_KEYS.prefs, {})));
+  // Sections d’un lien partagé : valables pour cette séance seulement, jamais enregistrées
+  const [linkSections, setLinkSections] = useState<string[] | null>(link && link.sections);
+  const selected = linkSections ?? saved;
+  const [display, setDisplay] = useState<StudyDisplay>(loadJSON<{ display?: StudyDisplay }>(STORE_KEYS.prefs, {}).display ?? 'single');
+  const [theme, setTheme] = useState<Theme>(loadJSON<{ theme?: Theme }>(STORE_KEYS.prefs, {}).theme ?? 'gradient');
+  const [reduceMotion, setReduceMotion] = useState<boolean>(loadJSON<{ reduceMotion?: boolean }>(STORE_KEYS.prefs, {}).reduceMotion ?? false);
+  const [helpOpen, setHelpOpen] = useState<boolean>(false);
+  const [tab, setTab] = useState<'flash' | 'quiz' | 'exam' | 'progress' | 'class' | 'glossary' | 'browse' | 'calc'>(link ? 'quiz' : 'flash');
+  const [examRunning, setExamRunning] = useState<boolean>(false);
+  // Séances sur une sélection (questions les plus ratées, résultats de recherche, favoris)
+  const [drill, setDrill] = useState<StudySet | null>(null);
+  const [drillRun, setDrillRun] = useState<number>(0); // chaque séance repart de zéro, même si une autre est ouverte
+  const [flashSet, setFlashSet] = useState<StudySet | null>(null);
+  const [storageError, setStorageError] = useState<string>("");
+  const [appUpdate, setAppUpdate] = useState<boolean>(false);
+  const profileId = useStored<string>(STORE_KEYS.activeProfile, DEFAULT_PROFILE);
+  const shownProfile = useRef(profileId);
+  setLocale(lang); // avant le rendu des enfants : t() suit la langue choisie
+
+  useEffect(() => onStorageError(setStorageError), []);
 
-  // Auto‑load bank if empty
+  // Changement de profil : on reprend ses préférences
   useEffect(() => {
-    if (qas.length === 0) {
-      fetch(DEFAULT_TXT_PATH)
-        .then((r) => (r.ok ? r.text() : Promise.reject(r.status)))
-        .then((txt) => {
-          const parsed = parseCSVSemicolon(txt);
-          setQAs(parsed);
-          saveJSON(LS_KEYS.bank, parsed);
+    if (shownProfile.current === profileId) return;
+    shownProfile.current = profileId;
+    const prefs = loadJSON<{ lang?: 'fr' | 'en'; sections?: string[]; section?: string; display?: StudyDisplay; theme?: Theme; reduceMotion?: boolean; banks?: string[] }>(STORE_KEYS.prefs, {});
+    setLang(prefs.lang || 'fr');
+    setSaved(savedSections(prefs));
+    setLinkSections(null);
+    setDisplay(prefs.display ?? 'single');
+    setTheme(prefs.theme ?? 'gradient');
+    setReduceMotion(prefs.reduceMotion ?? false);
+    setActiveBanks(prefs.banks);
+    setDrill(null);
+    setFlashSet(null);
+  }, [profileId]);
+  useEffect(() => onUpdate('app', () => setAppUpdate(true)), []);
+  useEffect(() => startAutoSync(), []);
+
+  // Chargement automatique des banques publiées encore vides
+  useEffect(() => {
+    for (const bank of loadBanks()) {
+      if (!bank.file || questionsOf(allQas, bank.id).length > 0) continue;
+      fetch(`./${bank.file}`)
+        .then((r) => (r.ok ? r.arrayBuffer() : Promise.reject(r.status)))
+        .then((buf) => {
+          const { text, encoding } = decodeBank(buf);
+          const parsed = qualifyBank(bank.id, parseBank(text, encoding).accepted);
+          const all = withBank(loadJSON<QA[]>(STORE_KEYS.bank, []), bank.id, parsed);
+          setAllQas(all);
+          saveJSON(STORE_KEYS.bank, all);
+          if (parsed.length) recordVersion(parsed, PUBLISHED_SOURCE, bank.id);
         })
         .catch(() => {
           // silencieux — on peut importer manuellement
@@ -160,41 +209,106 @@ export default function App(): JSX.Element {
     }
   }, []); // eslint-disable-line react-hooks/exhaustive-deps
 
+  // Explications publiées à côté de la banque (fichier facultatif)
   useEffect(() => {
-    saveJSON(LS_KEYS.prefs, { lang, section });
-  }, [lang, section]);
-
-  const sections = useMemo(() => {
-    const pfx = new Set<string>();
-    qas.forEach((q) => {
-      const m = q.question_id.match(/^(\w+-\d+-\d+)-/);
-      if (m) pfx.add(m[1]);
-      else pfx.add(q.question_id.split("-").slice(0, 3).join("-"));
-    });
-    return Array.from(pfx).sort();
-  }, [qas]);
+    if (Object.keys(loadExplanations()).length) return;
+    fetch(`./${EXPLANATIONS_FILE}`)
+      .then((r) => (r.ok ? r.text() : Promise.reject(r.status)))
+      .then((text) => saveExplanations(parseExplanations(text).explanations))
+      .catch(() => {
+        // pas de fichier : les questions s’affichent sans explication
+      });
+  }, []);
 
-  const filtered = useMemo(() => {
-    if (!section) return qas;
-    return qas.filter((q) => q.question_id.startsWith(section));
-  }, [qas, section]);
+  // Figures publiées à côté de la banque (fichier facultatif)
+  useEffect(() => {
+    if (Object.keys(loadFigures()).length) return;
+    fetch(`./${FIGURES_FILE}`)
+      .then((r) => (r.ok ? r.text() : Promise.reject(r.status)))
+      .then((text) => saveFigures(parseFigures(text).figures))
+      .catch(() => {
+        // pas de fichier : seules les figures des colonnes de la banque s’affichent
+      });
+  }, []);
+
+  useEffect(() => {
+    const { section: _legacy, ...prefs } = loadJSON<{ section?: string }>(STORE_KEYS.prefs, {});
+    saveJSON(STORE_KEYS.prefs, { ...prefs, lang, sections: saved, display, theme, reduceMotion, banks: activeBanks });
+  }, [lang, saved, display, theme, reduceMotion, activeBanks]);
+
+  // Choix explicite dans le plan de cours : il remplace la sélection du lien et devient la préférence
+  function chooseSections(s: string[]): void {
+    setLinkSections(null);
+    setSaved(s);
+  }
+
+  useEffect(() => applyTheme(theme, reduceMotion), [theme, reduceMotion]);
+
+  useShortcuts((e) => {
+    if (e.key !== "?") return;
+    setHelpOpen(true);
+    return true;
+  });
+
+  // Plan de cours des banques actives ; les sections absentes (banque désactivée) sont ignorées sans être oubliées
+  const srs = useStored<unknown>(STORE_KEYS.srs, {});
+  const tree = useMemo(() => buildSyllabus(qas, loadReviews()), [qas, srs]); // eslint-disable-line react-hooks/exhaustive-deps
+  // Sélection élaguée sur la seule structure du plan : une évaluation (maîtrise) ne refait pas le filtre
+  const outline = useMemo(() => buildSyllabus(qas, {}), [qas]);
+  const sections = useMemo(() => pruneSelection(selected, outline), [selected, outline]);
+
+  // Depuis « Parcourir » : Flashcards ou Quiz sur les résultats affichés
+  function study(mode: 'flash' | 'quiz', qs: QA[]): void {
+    const set = { qas: qs, title: t("browse.sessionTitle", { n: qs.length }) };
+    if (mode === 'flash') {
+      setFlashSet(set);
+      setTab(mode);
+    } else startDrill(set);
+  }
+
+  function startDrill(set: StudySet): void {
+    setDrill(set);
+    setDrillRun((n) => n + 1);
+    setTab('quiz');
+  }
+
+  // Après correction : nouvelle séance sur les questions fausses ou sans réponse
+  function retryMissed(qs: QA[]): void {
+    startDrill({ qas: qs, title: t("results.retryTitle", { n: qs.length }) });
+  }
+
+  const filtered = useMemo(() => filterSections(qas, sections), [qas, sections]);
 
   return (
-    <div className="min-h-screen w-full bg-gradient-to-br from-slate-950 via-slate-900 to-indigo-950 text-white">
+    <div className={classNames(
+      "min-h-screen w-full print:hidden text-white",
+      theme === 'contrast' ? "bg-black" : "bg-gradient-to-br from-slate-950 via-slate-900 to-indigo-950"
+    )}>
+      <LiveRegion />
       <header className="max-w-6xl mx-auto px-4 pt-8 pb-4">
         <div className="flex flex-col md:flex-row md:items-end md:justify-between gap-4">
           <GradientTitle
-            title="HamLearn — Radio‑amateur"
-            subtitle="Flashcards, Quiz, suivi quotidien. Banque FR/EN importée depuis un fichier .txt."
+            title={t("app.title")}
+            subtitle={t("app.subtitle")}
           />
           <div className="flex items-center gap-2">
-            <label className="text-xs opacity-80">Langue</label>
+            <ProfileMenu examRunning={examRunning} />
+            <button
+              onClick={() => setHelpOpen(true)}
+              aria-label={t("a11y.open")}
+              title={t("a11y.open")}
+              aria-haspopup="dialog"
+              aria-keyshortcuts="?"
+              className="px-3 py-1 text-sm rounded-xl border border-white/10 hover:bg-white/10"
+            >⌨</button>
+            <label className="text-xs opacity-80">{t("app.language")}</label>
             <div className="inline-flex rounded-xl overflow-hidden border border-white/10">
               <button
                 className={classNames(
                   "px-3 py-1 text-sm",
                   lang === "fr" ? "bg-white/15" : "bg-transparent hover:bg-white/10"
                 )}
+                aria-pressed={lang === 'fr'}
                 onClick={() => setLang('fr')}
               >FR</button>
               <button
@@ -202,33 +316,109 @@ export default function App(): JSX.Element {
                   "px-3 py-1 text-sm",
                   lang === "en" ? "bg-white/15" : "bg-transparent hover:bg-white/10"
                 )}
+                aria-pressed={lang === 'en'}
                 onClick={() => setLang('en')}
               >EN</button>
             </div>
+            <select
+              value={display}
+              onChange={(e) => setDisplay(e.target.value as StudyDisplay)}
+              aria-label={t("app.display")}
+              className="bg-white/10 border border-white/10 rounded-xl px-2 py-1 text-sm"
+            >
+              {STUDY_DISPLAYS.map((d) => <option key={d.id} value={d.id}>{t(d.label)}</option>)}
+            </select>
           </div>
         </div>
-        <Toolbar qas={qas} setQAs={setQAs} section={section} setSection={setSection} sections={sections} />
-        <nav className="mt-4 flex gap-2">
-          <TabButton label="Flashcards" active={tab === 'flash'} onClick={() => setTab('flash')} />
-          <TabButton label="Quiz" active={tab === 'quiz'} onClick={() => setTab('quiz')} />
-          <TabButton label="Progrès" active={tab === 'progress'} onClick={() => setTab('progress')} />
+        <Toolbar
+          qas={allQas}
+          setQAs={setAllQas}
+          banks={banks}
+          activeBanks={activeBanks}
+          setActiveBanks={setActiveBanks}
+          lang={lang}
+          tree={tree}
+          selected={selected}
+          setSelected={chooseSections}
+          sections={sections}
+          filtered={filtered.length}
+        />
+        <nav aria-label={t("app.sections")} className="mt-4 flex flex-wrap gap-2">
+          <TabButton label={t("tab.flash")} active={tab === 'flash'} onClick={() => setTab('flash')} />
+          <TabButton label={t("tab.quiz")} active={tab === 'quiz'} onClick={() => setTab('quiz')} />
+          <TabButton label={t(examRunning && tab !== 'exam' ? "tab.examRunning" : "tab.exam")} active={tab === 'exam'} onClick={() => setTab('exam')} />
+          <TabButton label={t("tab.progress")} active={tab === 'progress'} onClick={() => setTab('progress')} />
+          <TabButton label={t("tab.browse")} active={tab === 'browse'} onClick={() => setTab('browse')} />
+          <TabButton label={t("tab.calc")} active={tab === 'calc'} onClick={() => setTab('calc')} />
+          <TabButton label={t("tab.glossary")} active={tab === 'glossary'} onClick={() => setTab('glossary')} />
+          <TabButton label={t("tab.class")} active={tab === 'class'} onClick={() => setTab('class')} />
         </nav>
       </header>
 
-      <main className="max-w-6xl mx-auto px-4 pb-16">
-        {tab === 'flash' && <Flashcards qas={filtered} lang={lang} />}
-        {tab === 'quiz' && <Quiz qas={filtered} lang={lang} />}
-        {tab === 'progress' && <ProgressDashboard />}
+      {/* key : les écrans repartent des données du profil actif */}
+      <main key={profileId} className="max-w-6xl mx-auto px-4 pb-16">
+        {appUpdate && (
+          <div role="status" className="mt-4 p-3 rounded-xl bg-cyan-500/15 border border-cyan-400/30 text-sm flex items-center justify-between gap-3">
+            <span>{t("app.updateAvailable")}</span>
+            <div className="flex gap-2">
+              <button onClick={() => { dismissUpdate('app'); setAppUpdate(false); }} className="text-xs underline opacity-80">{t("app.later")}</button>
+              <button onClick={applyAppUpdate} className="px-3 py-1 rounded-xl text-xs bg-white text-slate-900 font-semibold">{t("app.reload")}</button>
+            </div>
+          </div>
+        )}
+        {storageError && (
+          <div role="alert" className="mt-4 p-3 rounded-xl bg-rose-500/15 border border-rose-400/30 text-sm flex items-start justify-between gap-3">
+            <span>{storageError}</span>
+            <button onClick={() => setStorageError("")} className="text-xs underline opacity-80">{t("common.close")}</button>
+          </div>
+        )}
+        {tab === 'flash' && (flashSet
+          ? <Flashcards key="set" qas={flashSet.qas} lang={lang} display={display} title={flashSet.title} onExit={() => setFlashSet(null)} />
+          : <Flashcards qas={filtered} lang={lang} display={display} />)}
+        {tab === 'quiz' && (drill
+          ? <Quiz key={`drill-${drillRun}`} qas={drill.qas} lang={lang} display={display} count={Math.min(drill.qas.length, QUIZ_MAX_QUESTIONS)} title={drill.title} onExit={() => setDrill(null)} onRetry={retryMissed} />
+          : <Quiz qas={filtered} lang={lang} display={display} sections={sections} onRetry={retryMissed} {...(link && { seed: link.seed, count: link.count })} />)}
+        {/* Toujours monté : changer d’onglet ne perd pas un examen en cours */}
+        <div hidden={tab !== 'exam'}>
+          <MockExam qas={qas} lang={lang} onRunning={setExamRunning} />
+        </div>
+        {tab === 'browse' && <Browser qas={qas} lang={lang} onStudy={study} />}
+        {tab === 'calc' && <CalcPractice />}
+        {tab === 'glossary' && <Glossary qas={qas} lang={lang} />}
+        {tab === 'class' && (
+          <>
+            <ClassMode qas={qas} />
+            <ClassDashboard lang={lang} />
+          </>
+        )}
+        {tab === 'progress' && (
+          <ProgressDashboard
+            qas={qas}
+            lang={lang}
+            onDrill={(qs) => startDrill({ qas: qs, title: t("quiz.drillTitle") })}
+            onPlan={(qs) => { setFlashSet({ qas: qs, title: t("plan.sessionTitle", { n: qs.length }) }); setTab('flash'); }}
+          />
+        )}
       </main>
 
+      {helpOpen && (
+        <AccessibilityDialog
+          theme={theme}
+          reduceMotion={reduceMotion}
+          onTheme={setTheme}
+          onReduceMotion={setReduceMotion}
+          onClose={() => setHelpOpen(false)}
+        />
+      )}
+
       <footer className="max-w-6xl mx-auto px-4 pb-10 text-xs text-white/60">
         <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
-          <div>© {new Date().getFullYear()} HamLearn — Apprendre la radio‑amateur.</div>
+          <div>{t("app.footer", { year: new Date().getFullYear() })}</div>
           <div className="flex gap-2">
-            <Pill>Suivi quotidien</Pill>
-            <Pill>Flashcards</Pill>
-            <Pill>Quiz</Pill>
-            <Pill>Bilingue</Pill>
+            <Pill>{t("app.pill.daily")}</Pill>
+            <Pill>{t("app.pill.flash")}</Pill>
+            <Pill>{t("app.pill.quiz")}</Pill>
+            <Pill>{t("app.pill.bilingual")}</Pill>
           </div>
         </div>
       </footer>
@@ -240,6 +430,7 @@ function TabButton({ label, active, onClick }: { label: string; active: boolean;
   return (
     <button
       onClick={onClick}
+      aria-current={active ? "page" : undefined}
       className={classNames(
         "px-4 py-2 rounded-2xl text-sm font-semibold border",
         active
@@ -252,330 +443,860 @@ function TabButton({ label, active, onClick }: { label: string; active: boolean;
   );
 }
 
-function Toolbar({ qas, setQAs, section, setSection, sections }: {
-  qas: QA[];
+function Toolbar({ qas, setQAs, banks, activeBanks, setActiveBanks, lang, tree, selected, setSelected, sections, filtered }: {
+  qas: QA[]; // toutes les banques
   setQAs: (qs: QA[]) => void;
-  section: string;
-  setSection: (s: string) => void;
-  sections: string[];
+  banks: BankInfo[];
+  activeBanks: string[] | undefined;
+  setActiveBanks: (ids: string[]) => void;
+  lang: 'fr' | 'en';
+  tree: SyllabusNode[];
+  selected: string[];
+  setSelected: (s: string[]) => void;
+  sections: string[]; // sélection effective (préfixes présents dans les banques actives)
+  filtered: number;
 }) {
   const inputRef = useRef<HTMLInputElement | null>(null);
+  const titlesRef = useRef<HTMLInputElement | null>(null);
+  const target = useRef<string>(DEFAULT_BANK); // banque visée par le prochain fichier choisi
+  const explanationsRef = useRef<HTMLInputElement | null>(null);
+  const explanations = useStored<ExplanationMap>(STORE_KEYS.explanations, {});
+  const figuresRef = useRef<HTMLInputElement | null>(null);
+  const figures = useStored<FigureMap>(STORE_KEYS.figures, {});
+  const [report, setReport] = useState<{ fileName: string; report: ImportReport; note?: string } | null>(null);
+  const [pending, setPending] = useState<{ fileName: string; bank: string; qas: QA[]; diff: BankDiff } | null>(null);
+  const active = activeBanks ?? banks.map((b) => b.id);
+  const [bankUpdate, setBankUpdate] = useState<boolean>(false);
+  const [treeOpen, setTreeOpen] = useState<boolean>(false);
+
+  useEffect(() => onUpdate('bank', () => setBankUpdate(true)), []);
+
+  // Remplace les questions d’une banque ; avec un diff, l’historique SRS des questions modifiées est effacé (tous les profils)
+  function applyBank(bank: string, next: QA[], source: string, diff?: BankDiff): void {
+    if (diff) forEachProfile(() => saveReviews(migrateReviews(loadReviews(), diff)));
+    const all = withBank(qas, bank, next);
+    setQAs(all);
+    saveJSON(STORE_KEYS.bank, all);
+    recordVersion(next, source, bank);
+    setPending(null);
+  }
+
+  // Analyse un fichier de banque et propose le diff avant de remplacer les questions actuelles de cette banque
+  function importBank(read: Promise<ArrayBuffer>, fileName: string, bank: string): void {
+    const current = questionsOf(qas, bank);
+    read
+      .then((buf) => {
+        const { text, encoding } = decodeBank(buf);
+        const rep = parseBank(text, encoding);
+        if (rep.error) return setReport({ fileName, report: rep });
+        const next = qualifyBank(bank, rep.accepted);
+        if (current.length > 0 && hashBank(next) === hashBank(current)) {
+          setPending(null);
+          return setReport({ fileName, report: rep, note: t("bank.identical") });
+        }
+        setReport({ fileName, report: rep });
+        if (current.length === 0) applyBank(bank, next, fileName);
+        else setPending({ fileName, bank, qas: next, diff: diffBanks(current, next) });
+      })
+      .catch((err) => {
+        setReport({
+          fileName,
+          report: { encoding: "?", accepted: [], rejected: [], repaired: [], error: t("bank.readError", { error: String(err) }) },
+        });
+      });
+  }
 
   function onFilePick(e: React.ChangeEvent<HTMLInputElement>): void {
     const f = e.target.files?.[0];
+    e.target.value = "";
     if (!f) return;
-    f.text().then((txt) => {
-      const parsed = parseCSVSemicolon(txt);
-      if (parsed.length) {
-        setQAs(parsed);
-        saveJSON(LS_KEYS.bank, parsed);
-      }
-    });
+    importBank(f.arrayBuffer(), f.name, target.current);
+  }
+
+  function pickBankFile(bank: string, input: HTMLInputElement | null): void {
+    target.current = bank;
+    input?.click();
+  }
+
+  // Fichier de titres de sections : { "B-001": { "fr": "…", "en": "…" } }
+  function onTitlesPick(e: React.ChangeEvent<HTMLInputElement>): void {
+    const f = e.target.files?.[0];
+    e.target.value = "";
+    const bank = banks.find((b) => b.id === target.current);
+    if (!f || !bank) return;
+    f.text()
+      .then((text) => {
+        const titles = parseSectionTitles(text);
+        saveBank({ ...bank, titles });
+        alert(t("banks.titlesImported", { n: Object.keys(titles).length, bank: bank.name }));
+      })
+      .catch((err) => alert(err instanceof Error ? err.message : String(err)));
+  }
+
+  function addBank(): void {
+    const name = prompt(t("banks.namePrompt"))?.trim();
+    if (!name) return;
+    const info: BankInfo = { id: newBankId(name, banks), name };
+    saveBank(info);
+    if (activeBanks) setActiveBanks([...activeBanks, info.id]);
+    pickBankFile(info.id, inputRef.current);
+  }
+
+  function deleteBank(bank: BankInfo): void {
+    if (!confirm(t("banks.removeConfirm", { bank: bank.name, n: questionsOf(qas, bank.id).length }))) return;
+    removeBank(bank.id);
+    setQAs(loadJSON<QA[]>(STORE_KEYS.bank, []));
+    if (activeBanks) setActiveBanks(activeBanks.filter((id) => id !== bank.id));
+  }
+
+  // Au moins une banque reste active
+  function toggleBank(id: string): void {
+    const next = active.includes(id) ? active.filter((x) => x !== id) : [...active, id];
+    if (next.length) setActiveBanks(next);
+  }
+
+  // Remplace les explications ; les ID absents de la banque sont gardés (banque à venir)
+  function onExplanationsPick(e: React.ChangeEvent<HTMLInputElement>): void {
+    const f = e.target.files?.[0];
+    e.target.value = "";
+    if (!f) return;
+    f.text()
+      .then((text) => {
+        const { explanations: map, rejected } = parseExplanations(text);
+        saveExplanations(map);
+        const ids = new Set(qas.map((q) => q.question_id));
+        const unknown = Object.keys(map).filter((id) => !ids.has(id)).length;
+        alert(t("explain.imported", { n: Object.keys(map).length, unknown, rejected: rejected.length }));
+      })
+      .catch((err) => alert(err instanceof Error ? err.message : String(err)));
+  }
+
+  // Remplace les figures du fichier compagnon (celles des colonnes de la banque ont priorité)
+  function onFiguresPick(e: React.ChangeEvent<HTMLInputElement>): void {
+    const f = e.target.files?.[0];
+    e.target.value = "";
+    if (!f) return;
+    f.text()
+      .then((text) => {
+        const { figures: map, rejected } = parseFigures(text);
+        saveFigures(map);
+        const ids = new Set(qas.map((q) => q.question_id));
+        const unknown = Object.keys(map).filter((id) => !ids.has(id)).length;
+        alert(t("figure.imported", { n: Object.keys(map).length, unknown, rejected: rejected.length }));
+      })
+      .catch((err) => alert(err instanceof Error ? err.message : String(err)));
+  }
+
+  // Nouvelle banque publiée détectée par le service worker
+  function reviewPublishedBank(): void {
+    dismissUpdate('bank');
+    setBankUpdate(false);
+    importBank(
+      fetch(DEFAULT_TXT_PATH).then((r) => (r.ok ? r.arrayBuffer() : Promise.reject(r.status))),
+      DEFAULT_TXT_PATH.split("/").pop() ?? "banque",
+      DEFAULT_BANK
+    );
   }
 
   function resetProgress(): void {
-    localStorage.removeItem(LS_KEYS.progress);
-    localStorage.removeItem(LS_KEYS.srs);
-    alert("Progrès et SRS remis à zéro.");
+    const name = currentProfile().name;
+    if (!confirm(t("maint.resetConfirm", { name }))) return;
+    removeKey(STORE_KEYS.progress);
+    removeKey(STORE_KEYS.srs);
+    removeKey(STORE_KEYS.attempts);
+    removeKey(STORE_KEYS.exams);
+    alert(t("maint.resetDone"));
+  }
+
+  // Après restauration : la banque a pu changer
+  function onRestored(): void {
+    setQAs(loadJSON<QA[]>(STORE_KEYS.bank, qas));
   }
 
   return (
-    <div className="mt-4 grid gap-3 sm:grid-cols-2 lg:grid-cols-3">
-      <Card>
-        <div className="flex items-center justify-between gap-3">
-          <div>
-            <div className="text-sm font-semibold">Banque de questions</div>
-            <div className="text-xs text-white/70">{qas.length} questions chargées</div>
-          </div>
-          <div className="flex items-center gap-2">
+    <>
+      <div className="mt-4 grid gap-3 sm:grid-cols-2 lg:grid-cols-3">
+        <Card>
+          <div className="flex items-center justify-between gap-3">
+            <div className="text-sm font-semibold">{t("bank.title")}</div>
             <button
               className="px-3 py-2 rounded-xl text-sm bg-white/10 hover:bg-white/20 border border-white/10"
-              onClick={() => inputRef.current?.click()}
-            >Importer un .txt</button>
+              onClick={addBank}
+            >{t("banks.add")}</button>
             <input ref={inputRef} type="file" accept=".txt,.csv,text/plain" className="hidden" onChange={onFilePick} />
+            <input ref={titlesRef} type="file" accept=".json,application/json" className="hidden" onChange={onTitlesPick} />
           </div>
-        </div>
-        <div className="mt-3 text-xs text-white/70">
-          Placez également <code>amat_basic_quest_delim.txt</code> dans <code>/public</code> pour le chargement automatique.
-        </div>
-      </Card>
+          <ul className="mt-2 space-y-2">
+            {banks.map((b) => {
+              const version = latestVersion(b.id);
+              return (
+                <li key={b.id} className="text-xs text-white/70">
+                  <div className="flex items-center justify-between gap-2">
+                    <label className="flex items-center gap-2 text-sm text-white">
+                      <input type="checkbox" className="accent-white" checked={active.includes(b.id)} onChange={() => toggleBank(b.id)} />
+                      {b.name}
+                    </label>
+                    <span>{t("bank.loaded", { n: questionsOf(qas, b.id).length })}</span>
+                  </div>
+                  {version && (
+                    <div className="text-white/50">{t("bank.version", { hash: version.hash, date: formatDate(version.importedAt), source: versionSource(version) })}</div>
+                  )}
+                  <div className="flex flex-wrap gap-x-3">
+                    <button className="underline hover:text-white" onClick={() => pickBankFile(b.id, inputRef.current)}>{t("bank.import")}</button>
+                    <button className="underline hover:text-white" onClick={() => pickBankFile(b.id, titlesRef.current)}>
+                      {t("banks.titles", { n: Object.keys(b.titles ?? {}).length })}
+                    </button>
+                    {!BUILTIN_BANKS.some((x) => x.id === b.id) && (
+                      <button className="underline hover:text-white" onClick={() => deleteBank(b)}>{t("banks.remove")}</button>
+                    )}
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+          <div className="mt-3 text-xs text-white/70">
+            {t("bank.autoload", { file: "amat_basic_quest_delim.txt" })}
+          </div>
+          <div className="mt-2 flex items-center justify-between gap-2 text-xs text-white/70">
+            <span>{t("explain.count", { n: Object.keys(explanations).length })}</span>
+            <button className="underline hover:text-white" onClick={() => explanationsRef.current?.click()}>{t("explain.import")}</button>
+            <input ref={explanationsRef} type="file" accept=".json,application/json" className="hidden" onChange={onExplanationsPick} />
+          </div>
+          <div className="mt-1 flex items-center justify-between gap-2 text-xs text-white/70">
+            <span>{t("figure.count", { n: Object.keys(figures).length })}</span>
+            <button className="underline hover:text-white" onClick={() => figuresRef.current?.click()}>{t("figure.import")}</button>
+            <input ref={figuresRef} type="file" accept=".json,application/json" className="hidden" onChange={onFiguresPick} />
+          </div>
+        </Card>
 
-      <Card>
-        <div className="flex items-center justify-between gap-3">
-          <div>
-            <div className="text-sm font-semibold">Filtrer par section</div>
-            <div className="text-xs text-white/70">Préfixe d’ID (ex.: B‑001‑001)</div>
+        <Card>
+          <div className="flex items-center justify-between gap-3">
+            <div>
+              <div className="text-sm font-semibold">{t("filter.title")}</div>
+              <div className="text-xs text-white/70">
+                {sections.length ? t("filter.chosen", { n: sections.length, q: filtered }) : t("filter.all")}
+              </div>
+            </div>
+            <button
+              className="px-3 py-2 rounded-xl text-sm bg-white/10 hover:bg-white/20 border border-white/10"
+              aria-expanded={treeOpen}
+              onClick={() => setTreeOpen((o) => !o)}
+            >{t("filter.choose")}</button>
           </div>
-          <select
-            value={section}
-            onChange={(e) => setSection(e.target.value)}
-            className="bg-white/10 border border-white/10 rounded-xl px-3 py-2 text-sm"
-          >
-            <option value="">Toutes les sections</option>
-            {sections.map((s) => (
-              <option key={s} value={s}>{s}</option>
-            ))}
-          </select>
-        </div>
-      </Card>
+          {sections.length > 0 && (
+            <div className="mt-2 text-xs text-white/70 truncate">
+              {sections.map((s) => sectionTitle(banks, s, lang) || s).join(" · ")}
+            </div>
+          )}
+        </Card>
 
-      <Card>
-        <div className="flex items-center justify-between gap-3">
-          <div>
-            <div className="text-sm font-semibold">Maintenance</div>
-            <div className="text-xs text-white/70">Effacer les stats locales</div>
+        <Card>
+          <div className="flex items-center justify-between gap-3">
+            <div>
+              <div className="text-sm font-semibold">{t("maint.title")}</div>
+              <div className="text-xs text-white/70">{t("maint.hint")}</div>
+            </div>
+            <button
+              className="px-3 py-2 rounded-xl text-sm bg-white/10 hover:bg-white/20 border border-white/10"
+              onClick={resetProgress}
+            >{t("maint.reset")}</button>
           </div>
-          <button
-            className="px-3 py-2 rounded-xl text-sm bg-white/10 hover:bg-white/20 border border-white/10"
-            onClick={resetProgress}
-          >Réinitialiser</button>
-        </div>
-      </Card>
-    </div>
+          <BackupPanel onRestored={onRestored} />
+          <SyncPanel />
+        </Card>
+      </div>
+      {treeOpen && (
+        <SyllabusTree tree={tree} banks={banks} lang={lang} selected={selected} onChange={setSelected} onClose={() => setTreeOpen(false)} />
+      )}
+      {bankUpdate && (
+        <Card className="mt-3 border-cyan-400/30">
+          <div className="flex items-center justify-between gap-3">
+            <div className="text-sm">{t("bank.updateAvailable")}</div>
+            <button
+              className="px-3 py-2 rounded-xl text-sm bg-white text-slate-900 font-semibold"
+              onClick={reviewPublishedBank}
+            >{t("bank.reviewChanges")}</button>
+          </div>
+        </Card>
+      )}
+      {report && <ImportReportCard fileName={report.fileName} report={report.report} note={report.note} onClose={() => setReport(null)} />}
+      {pending && (
+        <BankDiffCard
+          diff={pending.diff}
+          lang={lang}
+          onApply={() => applyBank(pending.bank, pending.qas, pending.fileName, pending.diff)}
+          onCancel={() => setPending(null)}
+        />
+      )}
+    </>
   );
 }
 
-// FLASHCARDS — SRS très simple (facile / dur)
-function Flashcards({ qas, lang }: { qas: QA[]; lang: 'fr' | 'en' }) {
-  const [index, setIndex] = useState<number>(0);
+// FLASHCARDS — répétition espacée SM‑2 (voir lib/srs.ts)
+function Flashcards({ qas, lang, display, title, onExit }: {
+  qas: QA[];
+  lang: 'fr' | 'en';
+  display: StudyDisplay;
+  title?: string; // séance libre sur une sélection (avec onExit)
+  onExit?: () => void;
+}) {
+  const langs = displayLangs(display, lang);
+  const [reviews, setReviews] = useState<ReviewMap>(() => loadReviews());
+  const [newPerDay, setNewPerDay] = useState<number>(
+    loadJSON(STORE_KEYS.prefs, { newPerDay: DEFAULT_NEW_PER_DAY }).newPerDay ?? DEFAULT_NEW_PER_DAY
+  );
+  const [queue, setQueue] = useState<QA[]>([]);
   const [showAnswer, setShowAnswer] = useState<boolean>(false);
+  const shownAt = useRef<number>(Date.now());
 
-  const srs = loadJSON<Record<string, { ease: number; lastSeen: string }>>(LS_KEYS.srs, {});
-
-  const ordered = useMemo<QA[]>(() => {
-    if (qas.length === 0) return [];
-    const score = (q: QA) => {
-      const s = srs[q.question_id];
-      const ease = s?.ease ?? 1;
-      const last = s?.lastSeen ? new Date(s.lastSeen).getTime() : 0;
-      return ease * 1000000000 + last;
-    };
-    return [...qas].sort((a, b) => score(a) - score(b));
-  }, [qas]);
+  const today = todayKey();
+  const counts = deckCounts(qas, reviews, today, newPerDay);
 
+  // La file est construite au début de la séance ; les cartes oubliées y sont remises en fin de file.
+  // Sur une sélection, toutes ses cartes sont proposées, sans quota de nouvelles.
+  const setMode = !!onExit;
   useEffect(() => {
-    setIndex(0);
+    const reviews = loadReviews();
+    setQueue(setMode ? buildStudyQueue(qas, reviews, todayKey()) : buildQueue(qas, reviews, todayKey(), newPerDay));
     setShowAnswer(false);
-  }, [qas]);
+  }, [qas, newPerDay, setMode]);
 
-  if (ordered.length === 0) return (
-    <Card className="mt-6"><div>Aucune question chargée.</div></Card>
+  function changeNewPerDay(n: number): void {
+    setNewPerDay(n);
+    saveJSON(STORE_KEYS.prefs, { ...loadJSON(STORE_KEYS.prefs, {}), newPerDay: n });
+  }
+
+  const q = queue[0];
+
+  // Espace ou ↓ : afficher la réponse ; 1–3 : évaluer (Dur, Correct, Facile) ;
+  // ← / → : Dur / Correct, une fois la réponse affichée
+  useShortcuts((e) => {
+    if (!q || e.repeat) return; // touche maintenue : une seule évaluation
+    if (((e.key === " " && !(e.target instanceof HTMLButtonElement)) || e.key === "ArrowDown") && !showAnswer) {
+      reveal();
+      return true;
+    }
+    if (["1", "2", "3"].includes(e.key)) {
+      mark(Number(e.key) as Rating);
+      return true;
+    }
+    if (showAnswer && (e.key === "ArrowLeft" || e.key === "ArrowRight")) {
+      mark(e.key === "ArrowLeft" ? 1 : 2);
+      return true;
+    }
+  });
+
+  if (qas.length === 0) return (
+    <Card className="mt-6"><div>{t("common.noQuestions")}</div></Card>
   );
 
-  const q = ordered[index];
-  const question = lang === 'fr' ? q.question_french : q.question_english;
-  const correct = lang === 'fr' ? q.correct_answer_french : q.correct_answer_english;
+  function reveal(): void {
+    if (!q) return;
+    setShowAnswer(true);
+    announce(t("a11y.answerIs", { answer: optionText(q, 0, langs.answers[0] ?? lang) }));
+  }
 
-  function mark(ease: 1 | 2 | 3): void {
-    const now = new Date().toISOString();
-    const cur = loadJSON<Record<string, { ease: number; lastSeen: string }>>(LS_KEYS.srs, {});
-    cur[q.question_id] = { ease, lastSeen: now };
-    saveJSON(LS_KEYS.srs, cur);
-    bumpProgress({ seen: 1, correct: ease >= 2 ? 1 : 0 });
+  function mark(rating: Rating): void {
+    if (!q) return;
+    const now = Date.now();
+    recordAttempts([{
+      question_id: q.question_id,
+      mode: 'flash',
+      chosen: null,
+      correct: rating >= 2,
+      ms: now - shownAt.current,
+      at: new Date(now).toISOString(),
+    }]);
+    shownAt.current = now;
+    const state = schedule(reviews[q.question_id], rating, today, new Date().toISOString());
+    saveReview(q.question_id, state);
+    setReviews((r) => ({ ...r, [q.question_id]: state }));
+    bumpProgress({ seen: 1, correct: rating >= 2 ? 1 : 0 });
     setShowAnswer(false);
-    setIndex((i) => (i + 1) % ordered.length);
+    setQueue((qs) => (rating === 1 ? [...qs.slice(1), q] : qs.slice(1)));
   }
 
   return (
     <div className="mt-6 grid gap-4 md:grid-cols-2">
-      <Card>
-        <div className="text-xs mb-2 text-white/70">{q.question_id}</div>
-        <div className="text-lg font-semibold leading-snug">{question}</div>
-        <div className="mt-3">
-          {!showAnswer ? (
-            <button onClick={() => setShowAnswer(true)} className="px-4 py-2 rounded-xl bg-white text-slate-900 text-sm font-semibold">Afficher la réponse</button>
-          ) : (
-            <div className="p-3 rounded-xl bg-emerald-500/15 border border-emerald-400/20">
-              <div className="text-sm opacity-80 mb-1">Réponse</div>
-              <div className="font-semibold">{correct}</div>
+      <Card className="md:col-span-2">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+          <div className="grid gap-3 grid-cols-3 flex-1">
+            <Stat label={t("flash.due")} value={counts.due} />
+            <Stat label={t("flash.learning")} value={counts.learning} />
+            <Stat label={t("flash.new")} value={counts.new} />
+          </div>
+          {onExit ? (
+            <div className="flex items-center gap-3">
+              <div className="text-sm font-semibold">{title}</div>
+              <button onClick={onExit} className="px-3 py-2 rounded-xl text-sm bg-white/10 hover:bg-white/20 border border-white/10">{t("common.quit")}</button>
             </div>
+          ) : (
+            <label className="flex items-center gap-2 text-xs opacity-80">
+              {t("flash.newPerDay")}
+              <input
+                type="number"
+                min={0}
+                max={200}
+                value={newPerDay}
+                onChange={(e) => changeNewPerDay(Math.max(0, Number(e.target.value) || 0))}
+                className="w-16 bg-white/10 border border-white/10 rounded-xl px-2 py-1 text-sm"
+              />
+            </label>
           )}
         </div>
       </Card>
 
-      <Card>
-        <div className="text-sm font-semibold mb-2">Évaluez votre rappel</div>
-        <div className="flex gap-2">
-          <button onClick={() => mark(1)} className="flex-1 px-3 py-3 rounded-xl bg-rose-500/20 hover:bg-rose-500/30 border border-rose-400/30">Dur</button>
-          <button onClick={() => mark(2)} className="flex-1 px-3 py-3 rounded-xl bg-amber-500/20 hover:bg-amber-500/30 border border-amber-400/30">Correct</button>
-          <button onClick={() => mark(3)} className="flex-1 px-3 py-3 rounded-xl bg-emerald-500/20 hover:bg-emerald-500/30 border border-emerald-400/30">Facile</button>
-        </div>
-        <div className="mt-3 text-xs text-white/70">Les cartes « dures » reviendront plus souvent.</div>
-      </Card>
+      {!q ? (
+        <Card className="md:col-span-2">
+          <div className="text-sm font-semibold">{t("flash.done")}</div>
+          <div className="text-xs text-white/70 mt-1">{t("flash.doneHint")}</div>
+        </Card>
+      ) : (
+        <>
+          <Card>
+            <div className="text-xs mb-2 text-white/70">
+              {q.question_id} · {t(`flash.status.${statusOf(reviews[q.question_id])}`)}
+            </div>
+            <QuestionText q={q} langs={langs.question} className="text-lg font-semibold leading-snug" />
+            <QuestionFigure q={q} lang={langs.question[0] ?? lang} className="mt-3" />
+            <div className="mt-3">
+              {!showAnswer ? (
+                <button onClick={reveal} aria-keyshortcuts="Space" className="px-4 py-2 rounded-xl bg-white text-slate-900 text-sm font-semibold">
+                  {t("flash.show")} <Kbd>{t("kbd.space")}</Kbd>
+                </button>
+              ) : (
+                <div className="p-3 rounded-xl bg-emerald-500/15 border border-emerald-400/20">
+                  <div className="text-sm opacity-80 mb-1">{t("flash.answer")}</div>
+                  <div className="font-semibold"><AnswerText q={q} i={0} langs={langs.answers} /></div>
+                </div>
+              )}
+              {showAnswer && <ExplanationPanel q={q} langs={langs.question} />}
+            </div>
+          </Card>
+
+          <Card>
+            <div className="text-sm font-semibold mb-2">{t("flash.rate")}</div>
+            <div className="flex gap-2">
+              <button onClick={() => mark(1)} aria-keyshortcuts="1" className="flex-1 px-3 py-3 rounded-xl bg-rose-500/20 hover:bg-rose-500/30 border border-rose-400/30">{t("flash.hard")} <Kbd>1</Kbd></button>
+              <button onClick={() => mark(2)} aria-keyshortcuts="2" className="flex-1 px-3 py-3 rounded-xl bg-amber-500/20 hover:bg-amber-500/30 border border-amber-400/30">{t("flash.good")} <Kbd>2</Kbd></button>
+              <button onClick={() => mark(3)} aria-keyshortcuts="3" className="flex-1 px-3 py-3 rounded-xl bg-emerald-500/20 hover:bg-emerald-500/30 border border-emerald-400/30">{t("flash.easy")} <Kbd>3</Kbd></button>
+            </div>
+            <div className="mt-3 text-xs text-white/70">
+              {t("flash.rateHint", { n: queue.length })}
+            </div>
+          </Card>
+        </>
+      )}
     </div>
   );
 }
 
-// QUIZ — QCM avec score
-function Quiz({ qas, lang }: { qas: QA[]; lang: 'fr' | 'en' }) {
-  const [nq, setNq] = useState<number>(10);
-  const [seed, setSeed] = useState<number>(0);
-  const [answers, setAnswers] = useState<Record<string, string>>({});
+// QUIZ — QCM avec score ; minuterie facultative (totale ou par question), une question à la fois avec navigateur
+function Quiz({ qas, lang, display, count = 10, seed: initialSeed, sections = [], title, onExit, onRetry }: {
+  qas: QA[];
+  lang: 'fr' | 'en';
+  display: StudyDisplay;
+  count?: number;
+  seed?: string; // graine reçue d’un lien partagé
+  sections?: string[];
+  title?: string; // séance sur une sélection (avec onExit)
+  onExit?: () => void;
+  onRetry?: (qs: QA[]) => void; // nouvelle séance sur les questions manquées
+}) {
+  const [nq, setNq] = useState<number>(count);
+  const [seed, setSeed] = useState<string>(() => initialSeed ?? newSeed());
+  const [answers, setAnswers] = useState<Record<string, OptionIndex>>({});
   const [showRes, setShowRes] = useState<boolean>(false);
+  const [copied, setCopied] = useState<boolean>(false);
+  const [current, setCurrent] = useState<number>(0); // question visée par les raccourcis (affichée, une à la fois)
+  const [timing, setTiming] = useState<QuizTiming>(() => ({ ...NO_TIMING, ...loadJSON<{ quizTiming?: QuizTiming }>(STORE_KEYS.prefs, {}).quizTiming }));
+  const [startedAt, setStartedAt] = useState<number | null>(null); // null : quiz minuté pas encore commencé
+  const [now, setNow] = useState<number>(Date.now());
+  const [flags, setFlags] = useState<Record<string, true>>({});
+  const [locked, setLocked] = useState<Record<string, true>>({}); // temps par question écoulé
+  const [times, setTimes] = useState<Record<string, number>>({}); // ms par question, fixé à la remise
+  const firstAnswerAt = useRef<Record<string, number>>({});
+  const spent = useRef<Record<string, number>>({}); // une à la fois : temps cumulé à l’écran, par question
+  const shownAt = useRef<number>(Date.now());
+  const langs = displayLangs(display, lang);
+  const timed = isTimed(timing);
+  const oneByOne = timing.oneByOne || timing.perQuestionSec > 0;
 
-  const pick = useMemo<QA[]>(() => shuffle(qas).slice(0, Math.min(nq, qas.length)), [qas, nq, seed]);
+  // Questions et ordre des options fixés par la graine (voir lib/quiz.ts)
+  const questions = useMemo<QuizQuestion[]>(() => drawQuiz(qas, nq, seed), [qas, nq, seed]);
 
-  function submit(): void {
-    setShowRes(true);
-    let seen = pick.length;
-    let correct = 0;
-    pick.forEach((q) => {
-      const ans = answers[q.question_id];
-      const good = lang === 'fr' ? q.correct_answer_french : q.correct_answer_english;
-      if (ans === good) correct++;
+  // Nouveau tirage ou nouvelle minuterie : le chronomètre repart (après « Commencer » si le quiz est minuté)
+  useEffect(() => {
+    const at = Date.now();
+    setStartedAt(timed ? null : at);
+    setNow(at);
+    shownAt.current = at;
+    spent.current = {};
+    firstAnswerAt.current = {};
+    setCurrent(0);
+    setFlags({});
+    setLocked({});
+  }, [questions, timed]);
+
+  useEffect(() => {
+    saveJSON(STORE_KEYS.prefs, { ...loadJSON(STORE_KEYS.prefs, {}), quizTiming: timing });
+  }, [timing]);
+
+  const running = startedAt !== null && !showRes;
+  const ticking = running && timed;
+  // Quiz en cours (minuté : après « Commencer », sinon dès la première réponse) ou corrigé :
+  // changer le nombre de questions referait le tirage et remettrait les chronomètres à zéro
+  const started = showRes || (timed ? startedAt !== null : Object.keys(answers).length > 0);
+
+  useEffect(() => {
+    if (!ticking) return;
+    const i = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(i);
+  }, [ticking]);
+
+  const cur = questions[current];
+  const onScreen = running && oneByOne ? Math.max(0, now - shownAt.current) : 0;
+  const totalLeft = startedAt !== null && timing.totalMin ? Math.round((startedAt + timing.totalMin * 60000 - now) / 1000) : null;
+  const questionLeft = cur && timing.perQuestionSec
+    ? Math.round((timing.perQuestionSec * 1000 - (spent.current[cur.qa.question_id] ?? 0) - onScreen) / 1000)
+    : null;
+
+  // Temps écoulé : remise automatique, ou question verrouillée et passage à la suivante encore ouverte
+  useEffect(() => {
+    if (!running) return;
+    if (totalLeft !== null && totalLeft <= 0) {
+      submit(true);
+      return;
+    }
+    if (!cur || questionLeft === null || questionLeft > 0 || locked[cur.qa.question_id]) return;
+    const next = { ...locked, [cur.qa.question_id]: true as const };
+    setLocked(next);
+    const n = nextOpen(questions.length, current, (k) => !next[questions[k]?.qa.question_id ?? ""]);
+    if (n < 0) submit(true);
+    else goTo(n);
+  }, [running, totalLeft, questionLeft]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // Une à la fois : le focus suit la question affichée
+  useEffect(() => {
+    if (oneByOne && running) document.getElementById(`quiz-q-${current}`)?.focus({ preventScroll: true });
+  }, [current]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // A–D : répondre à la question courante ; ↑/↓ : question précédente / suivante ; F : marquer (une à la fois)
+  useShortcuts((e) => {
+    if (!cur || !running) return;
+    const pos = optionKeyIndex(e.key);
+    const i = cur.order[pos];
+    if (i !== undefined) {
+      if (locked[cur.qa.question_id]) return true;
+      choose(cur.qa.question_id, i);
+      announce(t("a11y.chosen", { letter: OPTION_KEYS[pos]?.toUpperCase() ?? "" }));
+      return true;
+    }
+    if (oneByOne && e.key.toLowerCase() === "f") {
+      toggleFlag(cur.qa.question_id);
+      return true;
+    }
+    // Sur un bouton radio, les flèches gardent leur rôle natif (changer d’option)
+    if (e.target instanceof HTMLInputElement && e.target.type === "radio") return;
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      const n = Math.max(0, Math.min(questions.length - 1, current + (e.key === "ArrowDown" ? 1 : -1)));
+      if (oneByOne) goTo(n);
+      else focusQuestion(n);
+      return true;
+    }
+  });
+
+  function focusQuestion(n: number): void {
+    setCurrent(n);
+    const el = document.getElementById(`quiz-q-${n}`);
+    el?.focus({ preventScroll: true });
+    el?.scrollIntoView({ block: "center", behavior: motionReduced() ? "auto" : "smooth" });
+  }
+
+  // Ajoute le temps passé sur la question affichée
+  function flush(): void {
+    const at = Date.now();
+    const id = questions[current]?.qa.question_id;
+    if (id && running && oneByOne) spent.current[id] = (spent.current[id] ?? 0) + Math.max(0, at - shownAt.current);
+    shownAt.current = at;
+  }
+
+  function goTo(n: number): void {
+    if (n === current) return;
+    flush();
+    setCurrent(n);
+    setNow(Date.now());
+  }
+
+  function start(): void {
+    const at = Date.now();
+    setStartedAt(at);
+    setNow(at);
+    shownAt.current = at;
+  }
+
+  function toggleFlag(id: string): void {
+    const on = !flags[id];
+    setFlags((f) => {
+      const next = { ...f };
+      if (on) next[id] = true;
+      else delete next[id];
+      return next;
     });
-    bumpProgress({ seen, correct });
+    announce(t(on ? "quiz.flagged" : "quiz.unflagged"));
+  }
+
+  function choose(id: string, i: OptionIndex): void {
+    if (!running || locked[id]) return;
+    firstAnswerAt.current[id] ??= Date.now();
+    setAnswers((a) => ({ ...a, [id]: i }));
+  }
+
+  function submit(timedOut = false): void {
+    if (showRes || startedAt === null) return;
+    flush();
+    const ms = oneByOne ? { ...spent.current } : responseTimes(firstAnswerAt.current, startedAt);
+    setTimes(ms);
+    setShowRes(true);
+    const correct = countCorrect(questions, answers);
+    const score = t("a11y.score", { correct, total: questions.length });
+    announce(timedOut ? `${t("quiz.timeUp")} ${score}` : score);
+    bumpProgress({ seen: questions.length, correct });
+    const at = new Date().toISOString();
+    recordAttempts(questions.map(({ qa }) => {
+      const chosen = answers[qa.question_id] ?? null;
+      return { question_id: qa.question_id, mode: 'quiz', chosen, correct: chosen === 0, ms: ms[qa.question_id] ?? 0, at };
+    }));
   }
 
   function reset(): void {
     setAnswers({});
     setShowRes(false);
-    setSeed((s) => s + 1);
+    setCopied(false);
+    setTimes({});
+    setSeed(newSeed());
+  }
+
+  function share(): void {
+    const url = quizLink(window.location.href, { seed, count: nq, sections });
+    navigator.clipboard.writeText(url)
+      .then(() => setCopied(true))
+      .catch(() => prompt(t("quiz.copyPrompt"), url));
+  }
+
+  const select = "bg-white/10 border border-white/10 rounded-xl px-2 py-1 text-xs text-white disabled:opacity-50";
+
+  function renderQuestion(n: number) {
+    const item = questions[n];
+    if (!item) return null;
+    const { qa: q, order } = item;
+    const chosen = answers[q.question_id];
+    const isLocked = !!locked[q.question_id];
+    return (
+      <Card
+        key={q.question_id}
+        id={`quiz-q-${n}`}
+        tabIndex={-1}
+        role="group"
+        aria-label={t("a11y.questionN", { n: n + 1, total: questions.length })}
+        onFocus={() => { if (!oneByOne) setCurrent(n); }}
+        className={classNames(n === current && !oneByOne && "ring-1 ring-white/30")}
+      >
+        <div className="text-xs text-white/70 mb-1 flex items-center gap-2">
+          {oneByOne && `${n + 1}. `}{q.question_id}
+          {flags[q.question_id] && <span className="text-amber-300">⚑ {t("quiz.nav.flagged")}</span>}
+          {isLocked && <span className="text-rose-300">{t("quiz.nav.locked")}</span>}
+        </div>
+        <QuestionText q={q} langs={langs.question} id={`quiz-q-${n}-text`} className="font-semibold mb-3" />
+        <QuestionFigure q={q} lang={langs.question[0] ?? lang} className="mb-3" />
+        <div role="radiogroup" aria-labelledby={`quiz-q-${n}-text`} className="grid gap-2 md:grid-cols-2">
+          {order.map((i, pos) => {
+            const selected = chosen === i;
+            return (
+              <label key={i} className={classNames(
+                "flex items-center gap-2 px-3 py-2 rounded-xl border focus-within:ring-2 focus-within:ring-cyan-300",
+                !isLocked && "cursor-pointer",
+                selected ? "bg-white/15 border-white/40" : "bg-white/5 border-white/10 hover:bg-white/10"
+              )}>
+                <input
+                  type="radio"
+                  name={q.question_id}
+                  className="accent-white"
+                  checked={selected}
+                  disabled={isLocked}
+                  aria-keyshortcuts={OPTION_KEYS[pos]?.toUpperCase()}
+                  onChange={() => { setCurrent(n); choose(q.question_id, i); }}
+                />
+                <span aria-hidden="true" className="font-mono text-xs text-white/50">{OPTION_KEYS[pos]?.toUpperCase()}</span>
+                <AnswerText q={q} i={i} langs={langs.answers} />
+              </label>
+            );
+          })}
+        </div>
+      </Card>
+    );
   }
 
   return (
     <div className="mt-6 space-y-4">
-      <Card>
+      <Card className={classNames(ticking && "sticky top-2 z-10")}>
         <div className="flex items-center justify-between gap-3">
           <div>
-            <div className="text-sm font-semibold">Paramètres du quiz</div>
-            <div className="text-xs text-white/70">Nombre de questions : {pick.length}</div>
+            <div className="text-sm font-semibold">{title ?? t("quiz.settings")}</div>
+            <div className="text-xs text-white/70">{t("quiz.count", { n: questions.length })}</div>
+            {!onExit && (
+              <div className="text-xs text-white/50">
+                {t("quiz.seed")} <span className="font-mono">{seed}</span>
+                {" · "}
+                <button onClick={share} className="underline hover:text-white">{t(copied ? "quiz.copied" : "quiz.copyLink")}</button>
+              </div>
+            )}
           </div>
           <div className="flex items-center gap-3">
-            <input type="range" min={5} max={30} value={nq} onChange={(e) => setNq(Number(e.target.value))} />
-            <button onClick={reset} className="px-3 py-2 rounded-xl text-sm bg-white/10 hover:bg-white/20 border border-white/10">Nouveau tirage</button>
-            <button onClick={submit} className="px-3 py-2 rounded-xl text-sm bg-white text-slate-900 font-semibold">Valider</button>
+            {ticking && (
+              <div className="text-right tabular-nums" role="timer" aria-label={t("quiz.timeLeft")}>
+                {totalLeft !== null && (
+                  <div className={classNames("text-2xl font-extrabold", totalLeft < 60 && "text-rose-300")}>{formatClock(totalLeft)}</div>
+                )}
+                {questionLeft !== null && (
+                  <div className={classNames("text-xs", questionLeft < 10 ? "text-rose-300" : "text-white/70")}>
+                    {t("quiz.questionClock", { time: formatClock(questionLeft) })}
+                  </div>
+                )}
+              </div>
+            )}
+            {onExit
+              ? <button onClick={onExit} className="px-3 py-2 rounded-xl text-sm bg-white/10 hover:bg-white/20 border border-white/10">{t("common.quit")}</button>
+              : <input type="range" min={5} max={QUIZ_MAX_QUESTIONS} value={nq} disabled={started} aria-label={t("quiz.count", { n: nq })} onChange={(e) => setNq(Number(e.target.value))} className="disabled:opacity-40" />}
+            <button onClick={reset} className="px-3 py-2 rounded-xl text-sm bg-white/10 hover:bg-white/20 border border-white/10">{t("quiz.redraw")}</button>
+            {startedAt === null
+              ? <button onClick={start} className="px-3 py-2 rounded-xl text-sm bg-white text-slate-900 font-semibold">{t("quiz.start")}</button>
+              : <button onClick={() => submit()} disabled={showRes} className="px-3 py-2 rounded-xl text-sm bg-white text-slate-900 font-semibold disabled:opacity-40">{t(showRes ? "quiz.submitted" : "quiz.submit")}</button>}
           </div>
         </div>
+        <div className="mt-3 flex flex-wrap items-center gap-4 text-xs text-white/80">
+          <label className="flex items-center gap-2">
+            {t("quiz.totalLimit")}
+            <select className={select} value={timing.totalMin} disabled={ticking} onChange={(e) => setTiming({ ...timing, totalMin: Number(e.target.value) })}>
+              {QUIZ_TOTAL_MINUTES.map((m) => <option key={m} value={m}>{m ? t("quiz.minutes", { n: m }) : t("quiz.noLimit")}</option>)}
+            </select>
+          </label>
+          <label className="flex items-center gap-2">
+            {t("quiz.questionLimit")}
+            <select className={select} value={timing.perQuestionSec} disabled={ticking} onChange={(e) => setTiming({ ...timing, perQuestionSec: Number(e.target.value) })}>
+              {QUIZ_QUESTION_SECONDS.map((s) => <option key={s} value={s}>{s ? t("quiz.seconds", { n: s }) : t("quiz.noLimit")}</option>)}
+            </select>
+          </label>
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              className="accent-white"
+              checked={oneByOne}
+              disabled={ticking || timing.perQuestionSec > 0}
+              onChange={(e) => { flush(); setTiming({ ...timing, oneByOne: e.target.checked }); }}
+            />
+            {t("quiz.oneByOne")}
+          </label>
+        </div>
       </Card>
 
-      {pick.map((q) => {
-        const options = shuffle([
-          lang === 'fr' ? q.correct_answer_french : q.correct_answer_english,
-          lang === 'fr' ? q.incorrect_answer_1_french : q.incorrect_answer_1_english,
-          lang === 'fr' ? q.incorrect_answer_2_french : q.incorrect_answer_2_english,
-          lang === 'fr' ? q.incorrect_answer_3_french : q.incorrect_answer_3_english,
-        ]);
-        const good = lang === 'fr' ? q.correct_answer_french : q.correct_answer_english;
-        return (
-          <Card key={q.question_id}>
-            <div className="text-xs text-white/70 mb-1">{q.question_id}</div>
-            <div className="font-semibold mb-3">{lang === 'fr' ? q.question_french : q.question_english}</div>
-            <div className="grid gap-2 md:grid-cols-2">
-              {options.map((opt) => {
-                const selected = answers[q.question_id] === opt;
-                const isGood = showRes && opt === good;
-                const isBadSel = showRes && selected && opt !== good;
-                return (
-                  <label key={opt} className={classNames(
-                    "flex items-center gap-2 px-3 py-2 rounded-xl border cursor-pointer",
-                    selected ? "bg-white/15 border-white/40" : "bg-white/5 border-white/10 hover:bg-white/10",
-                    isGood && "ring-2 ring-emerald-400/60",
-                    isBadSel && "ring-2 ring-rose-400/60"
-                  )}>
-                    <input
-                      type="radio"
-                      name={q.question_id}
-                      className="accent-white"
-                      checked={selected}
-                      onChange={() => setAnswers((a) => ({ ...a, [q.question_id]: opt }))}
-                    />
-                    <span>{opt}</span>
-                  </label>
-                );
-              })}
-            </div>
-            {showRes && (
-              <div className="mt-3 text-sm">
-                <span className="opacity-70">Bonne réponse : </span>
-                <span className="font-semibold">{good}</span>
-              </div>
-            )}
+      {startedAt === null ? (
+        <Card>
+          <div className="text-sm">{t("quiz.timedIntro")}</div>
+          <ul className="mt-2 text-xs text-white/70 list-disc pl-5">
+            {timing.totalMin > 0 && <li>{t("quiz.timedTotal", { n: timing.totalMin })}</li>}
+            {timing.perQuestionSec > 0 && <li>{t("quiz.timedQuestion", { n: timing.perQuestionSec })}</li>}
+          </ul>
+        </Card>
+      ) : showRes ? (
+        <QuizReview questions={questions} answers={answers} times={times} lang={lang} langs={langs} {...(onRetry && { onRetry })} />
+      ) : oneByOne ? (
+        <>
+          <Card>
+            <QuizNavigator
+              items={questions.map(({ qa }) => ({
+                answered: answers[qa.question_id] !== undefined,
+                flagged: !!flags[qa.question_id],
+                locked: !!locked[qa.question_id],
+              }))}
+              current={current}
+              onGo={goTo}
+            />
           </Card>
-        );
-      })}
-
-      {showRes && (
-        <ResultsSummary picked={pick} answers={answers} lang={lang} />
+          {renderQuestion(current)}
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <button
+              onClick={() => goTo(current - 1)}
+              disabled={current === 0}
+              className="px-3 py-2 rounded-xl text-sm bg-white/10 hover:bg-white/20 border border-white/10 disabled:opacity-40"
+            >{t("quiz.prev")}</button>
+            {cur && (
+              <button
+                onClick={() => toggleFlag(cur.qa.question_id)}
+                aria-pressed={!!flags[cur.qa.question_id]}
+                aria-keyshortcuts="F"
+                className="px-3 py-2 rounded-xl text-sm bg-white/10 hover:bg-white/20 border border-white/10"
+              >⚑ {t(flags[cur.qa.question_id] ? "quiz.unflag" : "quiz.flag")}<Kbd>F</Kbd></button>
+            )}
+            <button
+              onClick={() => goTo(current + 1)}
+              disabled={current >= questions.length - 1}
+              className="px-3 py-2 rounded-xl text-sm bg-white/10 hover:bg-white/20 border border-white/10 disabled:opacity-40"
+            >{t("quiz.next")}</button>
+          </div>
+        </>
+      ) : (
+        questions.map((_, n) => renderQuestion(n))
       )}
     </div>
   );
 }
 
-function ResultsSummary({ picked, answers, lang }: { picked: QA[]; answers: Record<string, string>; lang: 'fr' | 'en' }) {
-  const total = picked.length;
-  const correct = picked.reduce((acc, q) => acc + ((answers[q.question_id] === (lang === 'fr' ? q.correct_answer_french : q.correct_answer_english)) ? 1 : 0), 0);
-  const pct = total ? Math.round((correct / total) * 100) : 0;
-  return (
-    <Card className="border-emerald-400/30">
-      <div className="text-sm font-semibold mb-2">Résultats</div>
-      <div className="flex items-center gap-4">
-        <div className="text-3xl font-extrabold">{pct}%</div>
-        <div className="text-sm text-white/80">{correct} / {total} justes</div>
-      </div>
-    </Card>
-  );
-}
-
-// PROGRESS — stats quotidiennes + série
-function bumpProgress({ seen, correct }: { seen: number; correct: number }): void {
-  const key = todayKey();
-  const cur = loadJSON<Record<string, { seen: number; correct: number; streak?: number }>>(LS_KEYS.progress, {});
-  const day = cur[key] || { seen: 0, correct: 0 };
-  day.seen += seen; day.correct += correct;
-  cur[key] = day;
-
-  // recalcul de streak (naïf)
-  let streak = 0;
-  const dt = new Date(todayKey());
-  // eslint-disable-next-line no-constant-condition
-  while (true) {
-    const k = dt.toISOString().slice(0, 10);
-    if (!cur[k] || cur[k].seen === 0) break;
-    streak++;
-    dt.setDate(dt.getDate() - 1);
-  }
-  cur[todayKey()].streak = streak;
-  saveJSON(LS_KEYS.progress, cur);
-}
-
-function ProgressDashboard(): JSX.Element {
-  const [data, setData] = useState<Record<string, { seen: number; correct: number; streak?: number }>>(
-    loadJSON(LS_KEYS.progress, {})
+function ProgressDashboard({ qas, lang, onDrill, onPlan }: {
+  qas: QA[];
+  lang: 'fr' | 'en';
+  onDrill: (qs: QA[]) => void;
+  onPlan: (qs: QA[]) => void; // séance du jour du plan d’étude
+}): JSX.Element {
+  const [data, setData] = useState<ProgressMap>(
+    loadJSON(STORE_KEYS.progress, {})
   );
 
-  useEffect(() => {
-    const i = setInterval(() => setData(loadJSON(LS_KEYS.progress, {})), 1000);
-    return () => clearInterval(i);
-  }, []);
+  useEffect(() => subscribe(STORE_KEYS.progress, () => setData(loadJSON(STORE_KEYS.progress, {}))), []);
 
   const days = useMemo(() => Object.keys(data).sort(), [data]);
   const today = todayKey();
   const todayStats = data[today];
-  const streak = todayStats?.streak || 0;
+  const prefs = useStored<{ goal?: Partial<StudyGoal> }>(STORE_KEYS.prefs, {});
+  const restDays = useMemo(() => goalOf(prefs).restDays, [prefs]);
+  const streak = useMemo(() => streaks(data, today, restDays), [data, today, restDays]);
 
   return (
     <div className="mt-6 space-y-4">
       <Card>
-        <div className="text-sm font-semibold mb-1">Votre progression</div>
-        <div className="text-xs text-white/80">Mise à jour automatiquement à chaque réponse</div>
-        <div className="mt-3 grid gap-3 sm:grid-cols-3">
-          <Stat label="Questions vues (aujourd’hui)" value={todayStats?.seen || 0} />
-          <Stat label="Bonnes réponses (aujourd’hui)" value={todayStats?.correct || 0} />
-          <Stat label="Série (jours consécutifs)" value={streak} />
+        <div className="text-sm font-semibold mb-1">{t("progress.title")}</div>
+        <div className="text-xs text-white/80">{t("progress.hint")}</div>
+        <div className="mt-3 grid gap-3 sm:grid-cols-4">
+          <Stat label={t("progress.seenToday")} value={todayStats?.seen || 0} />
+          <Stat label={t("progress.correctToday")} value={todayStats?.correct || 0} />
+          <Stat label={t("progress.streak")} value={streak.current} />
+          <Stat label={t("progress.longest")} value={streak.longest} />
         </div>
+        {restDays.length > 0 && <div className="mt-2 text-xs text-white/60">{t("progress.restDaysNote")}</div>}
       </Card>
 
+      <StudyPlanner qas={qas} lang={lang} onStudy={onPlan} />
+
       <Card>
-        <div className="text-sm font-semibold mb-3">Historique quotidien</div>
+        <div className="text-sm font-semibold mb-3">{t("progress.history")}</div>
         <div className="overflow-x-auto">
           <table className="min-w-full text-sm">
             <thead>
               <tr className="text-left text-white/70">
-                <th className="py-2 pr-4">Date</th>
-                <th className="py-2 pr-4">Vues</th>
-                <th className="py-2 pr-4">Justes</th>
-                <th className="py-2 pr-4">% Exact</th>
+                <th className="py-2 pr-4">{t("common.date")}</th>
+                <th className="py-2 pr-4">{t("progress.seen")}</th>
+                <th className="py-2 pr-4">{t("common.correct")}</th>
+                <th className="py-2 pr-4">{t("common.pctCorrect")}</th>
               </tr>
             </thead>
             <tbody>
@@ -584,10 +1305,10 @@ function ProgressDashboard(): JSX.Element {
                 const pct = it.seen ? Math.round((it.correct / it.seen) * 100) : 0;
                 return (
                   <tr key={d} className="border-t border-white/10">
-                    <td className="py-2 pr-4">{d}</td>
-                    <td className="py-2 pr-4">{it.seen}</td>
-                    <td className="py-2 pr-4">{it.correct}</td>
-                    <td className="py-2 pr-4">{pct}%</td>
+                    <td className="py-2 pr-4">{formatDay(d)}</td>
+                    <td className="py-2 pr-4 tabular-nums">{formatNumber(it.seen)}</td>
+                    <td className="py-2 pr-4 tabular-nums">{formatNumber(it.correct)}</td>
+                    <td className="py-2 pr-4 tabular-nums">{formatPercent(pct)}</td>
                   </tr>
                 );
               })}
@@ -595,15 +1316,8 @@ function ProgressDashboard(): JSX.Element {
           </table>
         </div>
       </Card>
-    </div>
-  );
-}
 
-function Stat({ label, value }: { label: string; value: number | string }) {
-  return (
-    <div className="p-4 rounded-xl bg-white/5 border border-white/10">
-      <div className="text-xs opacity-70">{label}</div>
-      <div className="text-2xl font-extrabold">{value}</div>
+      <AnswerAnalytics qas={qas} lang={lang} onDrill={onDrill} />
     </div>
   );
 }
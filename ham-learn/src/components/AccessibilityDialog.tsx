@@ -0,0 +1,126 @@
+import React, { useEffect, useRef } from "react";
+import { THEMES, type Theme } from "../lib/a11y.js";
+import { classNames } from "../lib/utils.js";
+import { t, type MessageKey } from "../i18n/index.js";
+
+const SHORTCUTS: { group: MessageKey; keys: { keys: string[] | MessageKey; label: MessageKey }[] }[] = [
+  {
+    group: "a11y.group.general",
+    keys: [
+      { keys: ["?"], label: "key.help" },
+      { keys: "kbd.escape", label: "key.close" },
+    ],
+  },
+  {
+    group: "tab.flash",
+    keys: [
+      { keys: "kbd.space", label: "key.reveal" },
+      { keys: ["↓"], label: "key.reveal" },
+      { keys: ["1", "2", "3"], label: "key.rate" },
+      { keys: ["←", "→"], label: "key.rateArrows" },
+    ],
+  },
+  {
+    group: "tab.quiz",
+    keys: [
+      { keys: ["A", "B", "C", "D"], label: "key.answer" },
+      { keys: ["↑", "↓"], label: "key.navigate" },
+      { keys: ["F"], label: "key.flag" },
+    ],
+  },
+];
+
+const FOCUSABLE = "button, input, select, [href], [tabindex]:not([tabindex='-1'])";
+
+// Fenêtre d’aide : thème, animations et liste des raccourcis clavier (touche « ? »)
+export default function AccessibilityDialog({ theme, reduceMotion, onTheme, onReduceMotion, onClose }: {
+  theme: Theme;
+  reduceMotion: boolean;
+  onTheme: (theme: Theme) => void;
+  onReduceMotion: (reduce: boolean) => void;
+  onClose: () => void;
+}) {
+  const ref = useRef<HTMLDivElement | null>(null);
+
+  // Focus dans la fenêtre à l’ouverture, rendu à l’élément d’origine à la fermeture
+  useEffect(() => {
+    const before = document.activeElement;
+    ref.current?.querySelector<HTMLElement>(FOCUSABLE)?.focus();
+    return () => { if (before instanceof HTMLElement) before.focus(); };
+  }, []);
+
+  function onKeyDown(e: React.KeyboardEvent): void {
+    if (e.key === "Escape" || e.key === "?") {
+      e.preventDefault();
+      onClose();
+      return;
+    }
+    if (e.key !== "Tab" || !ref.current) return;
+    // Piège à focus : Tab boucle sur les éléments de la fenêtre
+    const items = Array.from(ref.current.querySelectorAll<HTMLElement>(FOCUSABLE));
+    const first = items[0];
+    const last = items[items.length - 1];
+    if (e.shiftKey && document.activeElement === first) { e.preventDefault(); last?.focus(); }
+    else if (!e.shiftKey && document.activeElement === last) { e.preventDefault(); first?.focus(); }
+  }
+
+  return (
+    <div className="fixed inset-0 z-30 flex items-center justify-center p-4 bg-black/70" onClick={onClose}>
+      <div
+        ref={ref}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="a11y-title"
+        onKeyDown={onKeyDown}
+        onClick={(e) => e.stopPropagation()}
+        className="w-full max-w-lg max-h-[90vh] overflow-auto p-5 rounded-2xl bg-slate-900 border border-white/10 shadow-xl space-y-4"
+      >
+        <div className="flex items-center justify-between gap-3">
+          <h2 id="a11y-title" className="text-lg font-semibold">{t("a11y.title")}</h2>
+          <button onClick={onClose} className="px-3 py-1 rounded-xl text-sm bg-white/10 hover:bg-white/20 border border-white/10">{t("common.close")}</button>
+        </div>
+
+        <fieldset>
+          <legend className="text-sm font-semibold mb-2">{t("a11y.theme")}</legend>
+          <div className="flex gap-2">
+            {THEMES.map((th) => (
+              <label key={th.id} className={classNames(
+                "flex items-center gap-2 px-3 py-2 rounded-xl border text-sm cursor-pointer",
+                theme === th.id ? "bg-white/15 border-white/40" : "bg-white/5 border-white/10 hover:bg-white/10"
+              )}>
+                <input type="radio" name="theme" className="accent-white" checked={theme === th.id} onChange={() => onTheme(th.id)} />
+                {t(th.label)}
+              </label>
+            ))}
+          </div>
+          <label className="mt-3 flex items-center gap-2 text-sm">
+            <input type="checkbox" className="accent-white" checked={reduceMotion} onChange={(e) => onReduceMotion(e.target.checked)} />
+            {t("a11y.reduceMotion")}
+          </label>
+          <div className="mt-1 text-xs text-white/60">{t("a11y.reduceMotionHint")}</div>
+        </fieldset>
+
+        <div>
+          <h3 className="text-sm font-semibold mb-2">{t("a11y.shortcuts")}</h3>
+          {SHORTCUTS.map(({ group, keys }) => (
+            <div key={group} className="mb-3">
+              <div className="text-xs uppercase tracking-wider text-white/60 mb-1">{t(group)}</div>
+              <dl className="grid grid-cols-[auto_1fr] gap-x-4 gap-y-1 text-sm">
+                {keys.map(({ keys: k, label }) => (
+                  <React.Fragment key={label}>
+                    <dt className="flex gap-1">
+                      {(typeof k === "string" ? [t(k)] : k).map((key) => (
+                        <kbd key={key} className="px-1.5 rounded border border-white/30 bg-white/10 font-mono text-xs">{key}</kbd>
+                      ))}
+                    </dt>
+                    <dd>{t(label)}</dd>
+                  </React.Fragment>
+                ))}
+              </dl>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
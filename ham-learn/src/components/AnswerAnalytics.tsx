@@ -0,0 +1,190 @@
+import { useMemo, useState } from "react";
+import type { Lang, QA } from "../types.js";
+import {
+  accuracyByCalcTopic,
+  accuracyBySection,
+  accuracyBySubSection,
+  dailyTrend,
+  mostMissed,
+  pctOf,
+  type Accuracy,
+  type Attempt,
+} from "../lib/attempts.js";
+import { STORE_KEYS } from "../lib/storage.js";
+import { useStored } from "../lib/useStored.js";
+import { sectionOf } from "../lib/exam.js";
+import { calcTopicLabel } from "../lib/calc.js";
+import { classNames } from "../lib/utils.js";
+import { Card } from "./ui.js";
+import { formatDay, formatPercent, t } from "../i18n/index.js";
+
+const TREND_DAYS = 30;
+const WEAK_PCT = 70; // sous le seuil de réussite de l’examen
+
+// Analyses du journal des réponses : exactitude par section, questions ratées, tendance
+export default function AnswerAnalytics({ qas, lang, onDrill }: {
+  qas: QA[];
+  lang: Lang;
+  onDrill: (qs: QA[]) => void;
+}) {
+  const attempts = useStored<Attempt[]>(STORE_KEYS.attempts, []);
+  const [open, setOpen] = useState<string>("");
+
+  const bySection = useMemo(() => accuracyBySection(attempts), [attempts]);
+  const bySub = useMemo(() => accuracyBySubSection(attempts), [attempts]);
+  const byCalc = useMemo(() => accuracyByCalcTopic(attempts), [attempts]);
+  const missed = useMemo(() => mostMissed(attempts, 20), [attempts]);
+  const trend = useMemo(() => dailyTrend(attempts, TREND_DAYS), [attempts]);
+  const byId = useMemo(() => new Map(qas.map((q) => [q.question_id, q])), [qas]);
+
+  if (attempts.length === 0) {
+    return (
+      <Card>
+        <div className="text-sm font-semibold mb-1">{t("analytics.title")}</div>
+        <div className="text-xs text-white/80">{t("analytics.empty")}</div>
+      </Card>
+    );
+  }
+
+  const drillable = missed.map((m) => byId.get(m.id)).filter((q): q is QA => !!q);
+  const sections = Array.from(bySection.keys()).sort();
+  const calcTopics = Array.from(byCalc.keys()).sort();
+
+  return (
+    <>
+      {sections.length > 0 && (
+        <Card>
+          <div className="text-sm font-semibold mb-3">{t("analytics.bySection")}</div>
+          <div className="space-y-2">
+            {sections.map((sec) => {
+              const acc = bySection.get(sec) as Accuracy;
+              const subs = Array.from(bySub.keys()).filter((s) => sectionOf(s) === sec).sort();
+              return (
+                <div key={sec}>
+                  <button className="w-full text-left" onClick={() => setOpen((o) => (o === sec ? "" : sec))}>
+                    <AccuracyBar label={sec} acc={acc} />
+                  </button>
+                  {open === sec && (
+                    <div className="ml-4 mt-2 space-y-1">
+                      {subs.map((sub) => <AccuracyBar key={sub} label={sub} acc={bySub.get(sub) as Accuracy} small />)}
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+          <div className="mt-3 text-xs text-white/70">{t("analytics.expandHint")}</div>
+        </Card>
+      )}
+
+      {calcTopics.length > 0 && (
+        <Card>
+          <div className="text-sm font-semibold mb-3">{t("analytics.byCalcTopic")}</div>
+          <div className="space-y-2">
+            {calcTopics.map((id) => {
+              const label = calcTopicLabel(id);
+              return <AccuracyBar key={id} label={label ? t(label) : id} acc={byCalc.get(id) as Accuracy} />;
+            })}
+          </div>
+        </Card>
+      )}
+
+      <Card>
+        <div className="text-sm font-semibold mb-3">{t("analytics.trend", { n: TREND_DAYS })}</div>
+        <TrendChart points={trend} />
+      </Card>
+
+      <Card>
+        <div className="flex items-center justify-between gap-3 mb-3">
+          <div className="text-sm font-semibold">{t("analytics.missed")}</div>
+          <button
+            onClick={() => onDrill(drillable)}
+            disabled={drillable.length === 0}
+            className="px-3 py-2 rounded-xl text-sm bg-white text-slate-900 font-semibold disabled:opacity-40"
+          >{t("analytics.drill")}</button>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-white/70">
+                <th className="py-2 pr-4">{t("common.id")}</th>
+                <th className="py-2 pr-4">{t("common.question")}</th>
+                <th className="py-2 pr-4">{t("analytics.missedCol")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {missed.map((m) => {
+                const q = byId.get(m.id);
+                return (
+                  <tr key={m.id} className="border-t border-white/10">
+                    <td className="py-2 pr-4 whitespace-nowrap">{m.id}</td>
+                    <td className="py-2 pr-4">{q ? (lang === 'fr' ? q.question_french : q.question_english) : calcLabel(m.id)}</td>
+                    <td className="py-2 pr-4 whitespace-nowrap">{m.wrong} / {m.total}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </Card>
+    </>
+  );
+}
+
+// Entrées hors banque : exercices de calcul (voir lib/calc.ts)
+function calcLabel(id: string): string {
+  const label = calcTopicLabel(id);
+  return label ? t("calc.analyticsRow", { topic: t(label) }) : "—";
+}
+
+function AccuracyBar({ label, acc, small = false }: { label: string; acc: Accuracy; small?: boolean }) {
+  const pct = pctOf(acc);
+  return (
+    <div className={classNames("flex items-center gap-3", small ? "text-xs" : "text-sm")}>
+      <div className="w-24 shrink-0">{label}</div>
+      <div className="flex-1 h-2 rounded-full bg-white/10 overflow-hidden">
+        <div
+          className={classNames("h-full rounded-full", pct < WEAK_PCT ? "bg-rose-400/80" : "bg-emerald-400/80")}
+          style={{ width: `${pct}%` }}
+        />
+      </div>
+      <div className="w-28 shrink-0 text-right tabular-nums">{formatPercent(pct)} <span className="text-white/60">({acc.correct}/{acc.total})</span></div>
+    </div>
+  );
+}
+
+function TrendChart({ points }: { points: Array<{ day: string } & Accuracy> }) {
+  const w = 600;
+  const h = 120;
+  const step = w / points.length;
+  const active = points.filter((p) => p.total > 0);
+  const maxTotal = Math.max(1, ...points.map((p) => p.total));
+  const line = points
+    .map((p, i) => (p.total ? `${i * step + step / 2},${h - (pctOf(p) / 100) * h}` : null))
+    .filter(Boolean)
+    .join(" ");
+  return (
+    <svg viewBox={`0 0 ${w} ${h + 16}`} className="w-full h-36" role="img" aria-label={t("analytics.chart")}>
+      <line x1={0} x2={w} y1={h * (1 - WEAK_PCT / 100)} y2={h * (1 - WEAK_PCT / 100)} className="stroke-white/20" strokeDasharray="4 4" />
+      {/* Barres : volume de réponses ; ligne : exactitude */}
+      {points.map((p, i) => (
+        <rect
+          key={p.day}
+          x={i * step + step * 0.2}
+          width={step * 0.6}
+          y={h - (p.total / maxTotal) * h}
+          height={(p.total / maxTotal) * h}
+          className="fill-white/10"
+        >
+          <title>{`${formatDay(p.day)} — ${p.correct}/${p.total} (${formatPercent(pctOf(p))})`}</title>
+        </rect>
+      ))}
+      {active.length > 1 && <polyline points={line} fill="none" className="stroke-cyan-300" strokeWidth={2} />}
+      {points.map((p, i) => p.total > 0 && (
+        <circle key={p.day} cx={i * step + step / 2} cy={h - (pctOf(p) / 100) * h} r={3} className="fill-cyan-300" />
+      ))}
+      <text x={0} y={h + 14} className="fill-white/60 text-[10px]">{points[0] && formatDay(points[0].day)}</text>
+      <text x={w} y={h + 14} textAnchor="end" className="fill-white/60 text-[10px]">{points.length > 0 && formatDay((points[points.length - 1] as { day: string }).day)}</text>
+    </svg>
+  );
+}
@@ -0,0 +1,86 @@
+import React, { useRef, useState } from "react";
+import {
+  attemptsToCSV,
+  backupFileName,
+  createBackup,
+  parseBackup,
+  restoreBackup,
+  type Backup,
+  type RestoreMode,
+} from "../lib/backup.js";
+import { loadAttempts } from "../lib/attempts.js";
+import { downloadFile } from "../lib/utils.js";
+import { todayKey } from "../lib/dates.js";
+import { formatDateTime, t } from "../i18n/index.js";
+
+const btn = "px-3 py-2 rounded-xl text-sm bg-white/10 hover:bg-white/20 border border-white/10";
+
+// Sauvegarde des données du profil actif : export JSON, import (fusion ou remplacement), CSV des réponses
+export default function BackupPanel({ onRestored }: { onRestored: () => void }) {
+  const inputRef = useRef<HTMLInputElement | null>(null);
+  const [includeBank, setIncludeBank] = useState<boolean>(false);
+  const [pending, setPending] = useState<{ fileName: string; backup: Backup } | null>(null);
+
+  function exportJSON(): void {
+    const backup = createBackup({ includeBank });
+    downloadFile(backupFileName(backup), JSON.stringify(backup, null, 2), "application/json");
+  }
+
+  function exportCSV(): void {
+    // BOM pour qu’Excel reconnaisse l’UTF‑8
+    downloadFile(`hamlearn-reponses-${todayKey()}.csv`, "\uFEFF" + attemptsToCSV(loadAttempts()), "text/csv;charset=utf-8");
+  }
+
+  function onFilePick(e: React.ChangeEvent<HTMLInputElement>): void {
+    const f = e.target.files?.[0];
+    e.target.value = "";
+    if (!f) return;
+    f.text()
+      .then((txt) => setPending({ fileName: f.name, backup: parseBackup(txt) }))
+      .catch((err: unknown) => alert(err instanceof Error ? err.message : String(err)));
+  }
+
+  function restore(mode: RestoreMode): void {
+    if (!pending) return;
+    if (mode === 'replace' && !confirm(t("backup.replaceConfirm"))) return;
+    restoreBackup(pending.backup, mode);
+    setPending(null);
+    onRestored();
+    alert(t(mode === 'merge' ? "backup.merged" : "backup.restored"));
+  }
+
+  return (
+    <div className="mt-3 space-y-2">
+      <div className="flex flex-wrap items-center gap-2">
+        <button className={btn} onClick={exportJSON}>{t("backup.export")}</button>
+        <button className={btn} onClick={() => inputRef.current?.click()}>{t("backup.import")}</button>
+        <button className={btn} onClick={exportCSV}>{t("backup.csv")}</button>
+        <input ref={inputRef} type="file" accept=".json,application/json" className="hidden" onChange={onFilePick} />
+      </div>
+      <label className="flex items-center gap-2 text-xs text-white/70">
+        <input type="checkbox" className="accent-white" checked={includeBank} onChange={(e) => setIncludeBank(e.target.checked)} />
+        {t("backup.includeBank")}
+      </label>
+
+      {pending && (
+        <div className="p-3 rounded-xl bg-white/5 border border-amber-400/30 text-sm space-y-2">
+          <div>
+            <span className="font-semibold">{pending.fileName}</span>
+            <span className="text-white/70">
+              {pending.backup.profile ? t("backup.profile", { name: pending.backup.profile }) : ""}
+              {" "}{t("backup.exportedOn", { date: formatDateTime(pending.backup.exportedAt) })}
+            </span>
+          </div>
+          <div className="text-xs text-white/70">
+            {t(pending.backup.data.bank ? "backup.explainBank" : "backup.explain")}
+          </div>
+          <div className="flex flex-wrap gap-2">
+            <button className="px-3 py-2 rounded-xl text-sm bg-white text-slate-900 font-semibold" onClick={() => restore('merge')}>{t("backup.merge")}</button>
+            <button className={btn} onClick={() => restore('replace')}>{t("backup.replace")}</button>
+            <button className={btn} onClick={() => setPending(null)}>{t("common.cancel")}</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
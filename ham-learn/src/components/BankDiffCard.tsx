@@ -0,0 +1,100 @@
+import type { Lang } from "../types.js";
+import type { BankDiff, ChangedQuestion } from "../lib/bankVersion.js";
+import { Card, Stat } from "./ui.js";
+import { t } from "../i18n/index.js";
+
+// Différences entre la banque actuelle et la banque importée, à confirmer
+export default function BankDiffCard({ diff, lang, onApply, onCancel }: {
+  diff: BankDiff;
+  lang: Lang;
+  onApply: () => void;
+  onCancel: () => void;
+}) {
+  const fr = lang === 'fr';
+  const reset = diff.reworded.length + diff.answerChanged.length;
+  return (
+    <Card className="mt-3 border-amber-400/30">
+      <div className="flex items-start justify-between gap-3">
+        <div>
+          <div className="text-sm font-semibold">{t("diff.title")}</div>
+          <div className="text-xs text-white/70">
+            {t("diff.summary", { unchanged: diff.unchanged, reset, removed: diff.removed.length })}
+          </div>
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            className="px-3 py-2 rounded-xl text-sm bg-white/10 hover:bg-white/20 border border-white/10"
+            onClick={onCancel}
+          >{t("common.cancel")}</button>
+          <button
+            className="px-3 py-2 rounded-xl text-sm bg-white text-slate-900 font-semibold"
+            onClick={onApply}
+          >{t("common.apply")}</button>
+        </div>
+      </div>
+
+      <div className="mt-3 grid gap-3 grid-cols-2 lg:grid-cols-5">
+        <Stat label={t("diff.unchanged")} value={diff.unchanged} />
+        <Stat label={t("diff.added")} value={diff.added.length} />
+        <Stat label={t("diff.removed")} value={diff.removed.length} />
+        <Stat label={t("diff.reworded")} value={diff.reworded.length} />
+        <Stat label={t("diff.answerChanged")} value={diff.answerChanged.length} />
+      </div>
+
+      {diff.added.length > 0 && (
+        <details className="mt-3">
+          <summary className="text-sm font-semibold cursor-pointer">{t("diff.addedList")}</summary>
+          <ul className="mt-2 space-y-1 text-sm">
+            {diff.added.map((q) => (
+              <li key={q.question_id}><span className="text-white/70">{q.question_id}</span> — {fr ? q.question_french : q.question_english}</li>
+            ))}
+          </ul>
+        </details>
+      )}
+
+      {diff.removed.length > 0 && (
+        <details className="mt-3">
+          <summary className="text-sm font-semibold cursor-pointer">{t("diff.removedList")}</summary>
+          <ul className="mt-2 space-y-1 text-sm">
+            {diff.removed.map((q) => (
+              <li key={q.question_id}><span className="text-white/70">{q.question_id}</span> — {fr ? q.question_french : q.question_english}</li>
+            ))}
+          </ul>
+        </details>
+      )}
+
+      {diff.answerChanged.length > 0 && (
+        <details className="mt-3" open>
+          <summary className="text-sm font-semibold cursor-pointer">{t("diff.answerChanged")}</summary>
+          <ChangeList changes={diff.answerChanged} lang={lang} answer />
+        </details>
+      )}
+
+      {diff.reworded.length > 0 && (
+        <details className="mt-3">
+          <summary className="text-sm font-semibold cursor-pointer">{t("diff.rewordedList")}</summary>
+          <ChangeList changes={diff.reworded} lang={lang} />
+        </details>
+      )}
+    </Card>
+  );
+}
+
+function ChangeList({ changes, lang, answer = false }: { changes: ChangedQuestion[]; lang: Lang; answer?: boolean }) {
+  const pick = (c: ChangedQuestion, which: 'before' | 'after') => {
+    const q = c[which];
+    if (answer) return lang === 'fr' ? q.correct_answer_french : q.correct_answer_english;
+    return lang === 'fr' ? q.question_french : q.question_english;
+  };
+  return (
+    <div className="mt-2 space-y-2 text-sm">
+      {changes.map((c) => (
+        <div key={c.id} className="p-3 rounded-xl bg-white/5 border border-white/10">
+          <div className="text-xs text-white/70 mb-1">{c.id}</div>
+          <div className="text-rose-200 line-through decoration-rose-400/60">{pick(c, 'before')}</div>
+          <div className="text-emerald-200">{pick(c, 'after')}</div>
+        </div>
+      ))}
+    </div>
+  );
+}
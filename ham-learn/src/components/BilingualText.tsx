@@ -0,0 +1,32 @@
+import React from "react";
+import type { Lang, QA } from "../types.js";
+import { optionText, questionText, type OptionIndex } from "../lib/options.js";
+
+// Textes d’une question dans une ou deux langues (voir lib/bilingual.ts)
+
+export function QuestionText({ q, langs, className = "", id }: { q: QA; langs: Lang[]; className?: string; id?: string }) {
+  if (langs.length === 1) return <div id={id} className={className}>{questionText(q, langs[0] as Lang)}</div>;
+  return (
+    <div id={id} className={`grid gap-3 md:grid-cols-2 ${className}`}>
+      {langs.map((l, n) => (
+        <div key={l} className={n > 0 ? "text-white/70" : ""}>
+          <span className="mr-2 text-[10px] font-bold uppercase tracking-wider text-white/40">{l}</span>
+          {questionText(q, l)}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Réponse : première langue en clair, la seconde en dessous, plus discrète
+export function AnswerText({ q, i, langs }: { q: QA; i: OptionIndex; langs: Lang[] }) {
+  const [first, ...rest] = langs;
+  return (
+    <span>
+      {first && optionText(q, i, first)}
+      {rest.map((l) => (
+        <span key={l} lang={l} className="block text-xs text-white/60">{optionText(q, i, l)}</span>
+      ))}
+    </span>
+  );
+}
@@ -0,0 +1,176 @@
+import React, { useMemo, useState } from "react";
+import type { Lang, QA } from "../types.js";
+import { BROWSE_STATUSES, browse, oftenMissed, searchText, type BrowseFilter, type BrowseStatus } from "../lib/browse.js";
+import { EMPTY_MARKS, isMarked, toggleMark, type Mark, type MarkMap } from "../lib/marks.js";
+import { loadReviews, statusOf } from "../lib/srs.js";
+import type { Attempt } from "../lib/attempts.js";
+import { sectionOf, subSectionOf } from "../lib/exam.js";
+import { OPTION_INDEXES, optionText, questionText } from "../lib/options.js";
+import { STORE_KEYS } from "../lib/storage.js";
+import { useStored } from "../lib/useStored.js";
+import { classNames } from "../lib/utils.js";
+import { todayKey } from "../lib/dates.js";
+import { Card } from "./ui.js";
+import ExplanationPanel from "./ExplanationPanel.js";
+import QuestionFigure from "./QuestionFigure.js";
+import { t } from "../i18n/index.js";
+
+const PAGE = 50;
+const select = "bg-white/10 border border-white/10 rounded-xl px-3 py-2 text-sm";
+
+// PARCOURIR — recherche dans la banque, favoris et signalements, séance sur la sélection
+export default function Browser({ qas, lang, onStudy }: {
+  qas: QA[];
+  lang: Lang;
+  onStudy: (mode: 'flash' | 'quiz', qs: QA[]) => void;
+}) {
+  const [filter, setFilter] = useState<BrowseFilter>({ query: "", prefix: "", status: '', mark: '' });
+  const [shown, setShown] = useState<number>(PAGE);
+  const marks = useStored<MarkMap>(STORE_KEYS.marks, EMPTY_MARKS);
+  const attempts = useStored<Attempt[]>(STORE_KEYS.attempts, []);
+  const reviews = useMemo(() => loadReviews(), []);
+  const missed = useMemo(() => oftenMissed(attempts), [attempts]);
+  const index = useMemo(() => new Map(qas.map((q) => [q.question_id, searchText(q)])), [qas]);
+
+  const sections = useMemo(() => {
+    const tree = new Map<string, Set<string>>();
+    qas.forEach((q) => {
+      const subs = tree.get(sectionOf(q.question_id)) ?? new Set<string>();
+      subs.add(subSectionOf(q.question_id));
+      tree.set(sectionOf(q.question_id), subs);
+    });
+    return Array.from(tree, ([s, subs]) => ({ section: s, subs: Array.from(subs).sort() }))
+      .sort((a, b) => a.section.localeCompare(b.section));
+  }, [qas]);
+
+  const ctx = { reviews, missed, marks: { ...EMPTY_MARKS, ...marks }, today: todayKey() };
+  const results = browse(qas, index, filter, ctx);
+
+  function update(patch: Partial<BrowseFilter>): void {
+    setFilter((f) => ({ ...f, ...patch }));
+    setShown(PAGE);
+  }
+
+  return (
+    <div className="mt-6 space-y-4">
+      <Card>
+        <div className="text-sm font-semibold mb-3">{t("browse.title")}</div>
+        <div className="grid gap-2 md:grid-cols-[1fr_auto_auto_auto]">
+          <input
+            type="search"
+            value={filter.query}
+            onChange={(e) => update({ query: e.target.value })}
+            placeholder={t("browse.search")}
+            aria-label={t("browse.search")}
+            className={select}
+          />
+          <select value={filter.prefix} onChange={(e) => update({ prefix: e.target.value })} aria-label={t("common.section")} className={select}>
+            <option value="">{t("filter.all")}</option>
+            {sections.map(({ section, subs }) => (
+              <optgroup key={section} label={section}>
+                <option value={section}>{t("browse.wholeSection", { section })}</option>
+                {subs.map((s) => <option key={s} value={s}>{s}</option>)}
+              </optgroup>
+            ))}
+          </select>
+          <select value={filter.status} onChange={(e) => update({ status: e.target.value as BrowseStatus })} aria-label={t("browse.statusLabel")} className={select}>
+            {BROWSE_STATUSES.map((s) => <option key={s.id} value={s.id}>{t(s.label)}</option>)}
+          </select>
+          <select value={filter.mark} onChange={(e) => update({ mark: e.target.value as Mark | '' })} aria-label={t("browse.markLabel")} className={select}>
+            <option value="">{t("browse.allMarks")}</option>
+            <option value="bookmark">{t("browse.bookmarked")}</option>
+            <option value="flag">{t("browse.flagged")}</option>
+          </select>
+        </div>
+        <div className="mt-3 flex flex-wrap items-center justify-between gap-2">
+          <div role="status" className="text-xs text-white/70">{t("browse.count", { n: results.length })}</div>
+          <div className="flex gap-2">
+            <button
+              className="px-3 py-2 rounded-xl text-sm bg-white/10 hover:bg-white/20 border border-white/10 disabled:opacity-40"
+              disabled={results.length === 0}
+              onClick={() => onStudy('flash', results)}
+            >{t("browse.studyFlash")}</button>
+            <button
+              className="px-3 py-2 rounded-xl text-sm bg-white text-slate-900 font-semibold disabled:opacity-40"
+              disabled={results.length === 0}
+              onClick={() => onStudy('quiz', results)}
+            >{t("browse.studyQuiz")}</button>
+          </div>
+        </div>
+      </Card>
+
+      {results.length === 0 ? (
+        <Card><div className="text-sm text-white/70">{t("browse.none")}</div></Card>
+      ) : (
+        <Card>
+          <ul className="divide-y divide-white/10">
+            {results.slice(0, shown).map((q) => (
+              <BrowseRow
+                key={q.question_id}
+                q={q}
+                lang={lang}
+                status={statusOf(reviews[q.question_id])}
+                missed={missed.has(q.question_id)}
+                marks={ctx.marks}
+              />
+            ))}
+          </ul>
+          {results.length > shown && (
+            <button
+              className="mt-3 w-full px-3 py-2 rounded-xl text-sm bg-white/10 hover:bg-white/20 border border-white/10"
+              onClick={() => setShown((n) => n + PAGE)}
+            >{t("browse.more", { n: results.length - shown })}</button>
+          )}
+        </Card>
+      )}
+    </div>
+  );
+}
+
+function BrowseRow({ q, lang, status, missed, marks }: {
+  q: QA;
+  lang: Lang;
+  status: ReturnType<typeof statusOf>;
+  missed: boolean;
+  marks: MarkMap;
+}) {
+  const id = q.question_id;
+  const bookmarked = isMarked(marks, 'bookmark', id);
+  const flagged = isMarked(marks, 'flag', id);
+  const toggle = "shrink-0 w-8 h-8 rounded-lg border border-white/10 hover:bg-white/10";
+  return (
+    <li className="py-2 flex items-start gap-2">
+      <details className="flex-1 min-w-0">
+        <summary className="cursor-pointer">
+          <span className="font-mono text-xs text-white/60 mr-2">{id}</span>
+          <span className="text-[10px] uppercase tracking-wider text-white/50 mr-2">{t(`flash.status.${status}`)}</span>
+          {missed && <span className="text-[10px] uppercase tracking-wider text-rose-300 mr-2">{t("browse.status.missed")}</span>}
+          <span className="text-sm">{questionText(q, lang)}</span>
+        </summary>
+        <QuestionFigure q={q} lang={lang} className="mt-2 ml-4" />
+        <ul className="mt-2 ml-4 space-y-1 text-sm">
+          {OPTION_INDEXES.map((i) => (
+            <li key={i} className={classNames(i === 0 ? "text-emerald-300 font-semibold" : "text-white/70")}>
+              {i === 0 ? "✓ " : "· "}{optionText(q, i, lang)}
+            </li>
+          ))}
+        </ul>
+        <ExplanationPanel q={q} langs={[lang]} />
+      </details>
+      <button
+        className={classNames(toggle, bookmarked && "bg-white/15")}
+        aria-pressed={bookmarked}
+        aria-label={t("browse.bookmark")}
+        title={t("browse.bookmark")}
+        onClick={() => toggleMark('bookmark', id)}
+      >{bookmarked ? "★" : "☆"}</button>
+      <button
+        className={classNames(toggle, flagged && "bg-white/15")}
+        aria-pressed={flagged}
+        aria-label={t("browse.flag")}
+        title={t("browse.flag")}
+        onClick={() => toggleMark('flag', id)}
+      >⚑</button>
+    </li>
+  );
+}
@@ -0,0 +1,235 @@
+import React, { useRef, useState } from "react";
+import {
+  CALC_TOPICS,
+  REL_TOLERANCE,
+  formatQuantity,
+  generateCalc,
+  isCorrect,
+  parseQuantity,
+  type CalcQuestion,
+  type CalcTopic,
+} from "../lib/calc.js";
+import { bumpProgress } from "../lib/progress.js";
+import { recordAttempts } from "../lib/attempts.js";
+import { OPTION_KEYS, announce, optionKeyIndex } from "../lib/a11y.js";
+import { useShortcuts } from "../lib/useShortcuts.js";
+import { classNames } from "../lib/utils.js";
+import { Card } from "./ui.js";
+import { formatNumber, formatPercent, t } from "../i18n/index.js";
+
+type AnswerMode = 'input' | 'choice';
+
+interface Verdict {
+  correct: boolean;
+  value: number; // valeur saisie ou choisie, en unité de base
+}
+
+const button = "px-3 py-2 rounded-xl text-sm bg-white/10 hover:bg-white/20 border border-white/10";
+const primary = "px-3 py-2 rounded-xl text-sm bg-white text-slate-900 font-semibold disabled:opacity-40";
+
+// CALCULS — questions paramétrées (loi d’Ohm, puissance, réactance, résonance, dB), une à la fois
+export default function CalcPractice() {
+  const [topics, setTopics] = useState<CalcTopic[]>(CALC_TOPICS.map((c) => c.id));
+  const [count, setCount] = useState<number>(10);
+  const [mode, setMode] = useState<AnswerMode>('input');
+  const [questions, setQuestions] = useState<CalcQuestion[] | null>(null);
+  const [n, setN] = useState<number>(0);
+  const [results, setResults] = useState<boolean[]>([]);
+
+  function start(): void {
+    setQuestions(generateCalc(topics, count));
+    setN(0);
+    setResults([]);
+  }
+
+  function toggleTopic(id: CalcTopic): void {
+    setTopics((ts) => (ts.includes(id) ? ts.filter((x) => x !== id) : [...ts, id]));
+  }
+
+  if (!questions) {
+    return (
+      <Card className="mt-6">
+        <div className="text-sm font-semibold">{t("calc.title")}</div>
+        <div className="text-xs text-white/70 mb-3">{t("calc.intro")}</div>
+        <fieldset className="mb-3">
+          <legend className="text-xs text-white/70 mb-1">{t("calc.topics")}</legend>
+          <div className="flex flex-wrap gap-3 text-sm">
+            {CALC_TOPICS.map((c) => (
+              <label key={c.id} className="flex items-center gap-2">
+                <input type="checkbox" className="accent-white" checked={topics.includes(c.id)} onChange={() => toggleTopic(c.id)} />
+                {t(c.label)}
+              </label>
+            ))}
+          </div>
+        </fieldset>
+        <fieldset className="mb-3">
+          <legend className="text-xs text-white/70 mb-1">{t("calc.answerMode")}</legend>
+          <div className="flex flex-wrap gap-3 text-sm">
+            {(['input', 'choice'] as const).map((m) => (
+              <label key={m} className="flex items-center gap-2">
+                <input type="radio" name="calc-mode" className="accent-white" checked={mode === m} onChange={() => setMode(m)} />
+                {t(`calc.mode.${m}`)}
+              </label>
+            ))}
+          </div>
+        </fieldset>
+        <div className="flex flex-wrap items-center gap-3">
+          <label className="flex items-center gap-2 text-sm">
+            {t("quiz.count", { n: count })}
+            <input type="range" min={5} max={20} value={count} onChange={(e) => setCount(Number(e.target.value))} />
+          </label>
+          <button className={primary} disabled={topics.length === 0} onClick={start}>{t("calc.start")}</button>
+        </div>
+      </Card>
+    );
+  }
+
+  const q = questions[n];
+  if (!q) {
+    const correct = results.filter(Boolean).length;
+    return (
+      <Card className="mt-6 border-emerald-400/30">
+        <div className="text-sm font-semibold mb-2">{t("calc.done", { correct, total: results.length })}</div>
+        <div className="text-3xl font-extrabold mb-3">{formatPercent(results.length ? Math.round((correct / results.length) * 100) : 0)}</div>
+        <div className="flex gap-2">
+          <button className={primary} onClick={start}>{t("calc.again")}</button>
+          <button className={button} onClick={() => setQuestions(null)}>{t("calc.settings")}</button>
+        </div>
+      </Card>
+    );
+  }
+
+  return (
+    <CalcCard
+      key={n}
+      q={q}
+      n={n}
+      total={questions.length}
+      mode={mode}
+      onAnswered={(ok) => setResults((r) => [...r, ok])}
+      onNext={() => setN((i) => i + 1)}
+      onQuit={() => setQuestions(null)}
+    />
+  );
+}
+
+function CalcCard({ q, n, total, mode, onAnswered, onNext, onQuit }: {
+  q: CalcQuestion;
+  n: number;
+  total: number;
+  mode: AnswerMode;
+  onAnswered: (correct: boolean) => void;
+  onNext: () => void;
+  onQuit: () => void;
+}) {
+  const [input, setInput] = useState<string>("");
+  const [error, setError] = useState<string>("");
+  const [verdict, setVerdict] = useState<Verdict | null>(null);
+  const shownAt = useRef<number>(Date.now());
+  const unit = q.answer.unit;
+  const vars = Object.fromEntries(Object.entries(q.given).map(([k, v]) => [k, formatQuantity(v)]));
+  const tol = unit === 'dB' ? formatQuantity({ value: 0.2, unit }) : formatNumber(REL_TOLERANCE, { style: "percent" });
+
+  // A–D : choix multiple (le bouton « suivante » reçoit ensuite le focus)
+  useShortcuts((e) => {
+    const value = q.choices[optionKeyIndex(e.key)];
+    if (verdict || mode !== 'choice' || value === undefined) return;
+    answer(value);
+    return true;
+  });
+
+  function answer(value: number): void {
+    const correct = isCorrect(q.answer, value);
+    const now = Date.now();
+    setVerdict({ correct, value });
+    recordAttempts([{ question_id: q.id, mode: 'calc', chosen: null, correct, ms: now - shownAt.current, at: new Date(now).toISOString() }]);
+    bumpProgress({ seen: 1, correct: correct ? 1 : 0 });
+    onAnswered(correct);
+    announce(correct ? t("calc.right", { answer: formatQuantity(q.answer) }) : t("calc.wrong", { answer: formatQuantity(q.answer) }));
+  }
+
+  function check(e: React.FormEvent): void {
+    e.preventDefault();
+    if (verdict) return;
+    const parsed = parseQuantity(input, unit);
+    if ("error" in parsed) {
+      setError(parsed.error === 'number' ? t("calc.errNumber") : t("calc.errUnit", { unit }));
+      return;
+    }
+    setError("");
+    answer(parsed.value);
+  }
+
+  return (
+    <Card className="mt-6">
+      <div className="flex items-center justify-between gap-3 mb-2">
+        <div className="text-xs text-white/70">
+          {t("calc.progress", { n: n + 1, total })} · {t(CALC_TOPICS.find((c) => c.id === q.topic)?.label ?? "calc.title")}
+        </div>
+        <button className={button} onClick={onQuit}>{t("common.quit")}</button>
+      </div>
+      <div id="calc-prompt" className="font-semibold mb-3">{t(q.prompt, vars)}</div>
+
+      {mode === 'input' ? (
+        <form onSubmit={check} className="flex flex-wrap items-end gap-2">
+          <label className="flex flex-col text-xs text-white/70">
+            {t("calc.answerLabel", { unit })}
+            <input
+              type="text"
+              inputMode="decimal"
+              autoFocus
+              autoComplete="off"
+              value={input}
+              disabled={!!verdict}
+              onChange={(e) => setInput(e.target.value)}
+              aria-describedby="calc-hint"
+              aria-invalid={!!error}
+              className="mt-1 bg-white/10 border border-white/10 rounded-xl px-3 py-2 text-sm text-white"
+            />
+          </label>
+          <button type="submit" className={primary} disabled={!!verdict || !input.trim()}>{t("calc.check")}</button>
+          <div id="calc-hint" className="w-full text-xs text-white/60">
+            {unit === 'dB' ? t("calc.hintDb", { tol }) : t("calc.hint", { tol })}
+          </div>
+          {error && <div role="alert" className="w-full text-xs text-rose-300">{error}</div>}
+        </form>
+      ) : (
+        <div role="group" aria-labelledby="calc-prompt" className="grid gap-2 md:grid-cols-2">
+          {q.choices.map((value, pos) => {
+            const chosen = verdict?.value === value;
+            const isGood = !!verdict && isCorrect(q.answer, value);
+            return (
+              <button
+                key={pos}
+                disabled={!!verdict}
+                aria-keyshortcuts={OPTION_KEYS[pos]?.toUpperCase()}
+                onClick={() => answer(value)}
+                className={classNames(
+                  "flex items-center gap-2 px-3 py-2 rounded-xl border text-left",
+                  chosen ? "bg-white/15 border-white/40" : "bg-white/5 border-white/10 hover:bg-white/10",
+                  isGood && "ring-2 ring-emerald-400/60",
+                  chosen && !isGood && "ring-2 ring-rose-400/60"
+                )}
+              >
+                <span aria-hidden="true" className="font-mono text-xs text-white/50">{OPTION_KEYS[pos]?.toUpperCase()}</span>
+                {formatQuantity({ value, unit })}
+              </button>
+            );
+          })}
+        </div>
+      )}
+
+      {verdict && (
+        <div className="mt-3 text-sm space-y-1">
+          <div className={classNames("font-semibold", verdict.correct ? "text-emerald-300" : "text-rose-300")}>
+            {verdict.correct ? `✓ ${t("calc.right", { answer: formatQuantity(q.answer) })}` : `✗ ${t("calc.wrong", { answer: formatQuantity(q.answer) })}`}
+          </div>
+          <div className="text-white/70">{t("calc.formula", { formula: q.formula })}</div>
+          <button className={classNames(primary, "mt-2")} autoFocus onClick={onNext}>
+            {t(n + 1 < total ? "calc.next" : "calc.finish")}
+          </button>
+        </div>
+      )}
+    </Card>
+  );
+}
@@ -0,0 +1,202 @@
+import React, { useMemo, useState } from "react";
+import type { Lang } from "../types.js";
+import {
+  INACTIVE_DAYS,
+  RECENT_DAYS,
+  addStudent,
+  classReport,
+  fetchClass,
+  loadSync,
+  removeStudent,
+  saveSync,
+  type ClassStudent,
+  type StruggleFlag,
+} from "../lib/sync.js";
+import { pctOf } from "../lib/attempts.js";
+import { EXAM_PASS } from "../lib/exam.js";
+import { loadBanks, sectionTitle } from "../lib/banks.js";
+import { todayKey } from "../lib/dates.js";
+import { classNames } from "../lib/utils.js";
+import { Card } from "./ui.js";
+import { formatDateTime, formatDay, formatNumber, formatPercent, t, type MessageKey } from "../i18n/index.js";
+
+const btn = "px-3 py-2 rounded-xl text-sm bg-white/10 hover:bg-white/20 border border-white/10 disabled:opacity-40";
+const input = "mt-1 w-full bg-white/10 border border-white/10 rounded-xl px-3 py-2 text-sm text-white";
+const FLAG_LABELS: Record<StruggleFlag, MessageKey> = {
+  inactive: "dash.flag.inactive",
+  lowAccuracy: "dash.flag.lowAccuracy",
+  weakSection: "dash.flag.weakSection",
+};
+
+// TABLEAU DE BORD DE L’INSTRUCTEUR — élèves synchronisés avec le serveur du club, exactitude par section, élèves en difficulté
+export default function ClassDashboard({ lang }: { lang: Lang }) {
+  const [url, setUrl] = useState<string>(() => loadSync().url);
+  const [token, setToken] = useState<string>(() => loadSync().instructorToken);
+  const [students, setStudents] = useState<ClassStudent[] | null>(null);
+  const [newName, setNewName] = useState<string>("");
+  const [busy, setBusy] = useState<boolean>(false);
+  const [error, setError] = useState<string>("");
+  const banks = useMemo(() => loadBanks(), []);
+  const today = todayKey();
+  const report = useMemo(() => (students ? classReport(students, today) : null), [students, today]);
+  const titled = (sec: string) => {
+    const title = sectionTitle(banks, sec, lang);
+    return title ? `${sec} — ${title}` : sec;
+  };
+
+  function run(action: () => Promise<void>): void {
+    setBusy(true);
+    setError("");
+    action()
+      .catch((err: unknown) => setError(err instanceof Error ? err.message : String(err)))
+      .finally(() => setBusy(false));
+  }
+
+  function load(): void {
+    saveSync({ ...loadSync(), url, instructorToken: token });
+    run(async () => setStudents(await fetchClass(url, token)));
+  }
+
+  function add(): void {
+    const name = newName.trim();
+    if (!name) return;
+    run(async () => {
+      const s = await addStudent(url, token, name);
+      setStudents((cur) => [...(cur ?? []), s]);
+      setNewName("");
+    });
+  }
+
+  function remove(id: string, name: string): void {
+    if (!confirm(t("dash.removeConfirm", { name }))) return;
+    run(async () => {
+      await removeStudent(url, token, id);
+      setStudents((cur) => (cur ?? []).filter((s) => s.id !== id));
+    });
+  }
+
+  return (
+    <div className="mt-4 space-y-4">
+      <Card>
+        <div className="text-sm font-semibold">{t("dash.title")}</div>
+        <div className="text-xs text-white/70">{t("dash.intro")}</div>
+        <div className="mt-3 grid gap-2 sm:grid-cols-[1fr_1fr_auto] sm:items-end">
+          <label className="block text-xs text-white/70">
+            {t("sync.url")}
+            <input type="url" placeholder="http://localhost:8787" value={url} onChange={(e) => setUrl(e.target.value)} className={input} />
+          </label>
+          <label className="block text-xs text-white/70">
+            {t("dash.token")}
+            <input type="password" autoComplete="off" value={token} onChange={(e) => setToken(e.target.value)} className={input} />
+          </label>
+          <button className="px-3 py-2 rounded-xl text-sm bg-white text-slate-900 font-semibold disabled:opacity-40" disabled={busy || !url.trim() || !token.trim()} onClick={load}>
+            {t(students ? "dash.refresh" : "dash.load")}
+          </button>
+        </div>
+        {error && <div className="mt-2 text-xs text-rose-300" role="alert">{error}</div>}
+      </Card>
+
+      {report && (
+        <>
+          <Card>
+            <div className="flex flex-wrap items-end justify-between gap-3 mb-3">
+              <div>
+                <div className="text-sm font-semibold">{t("dash.students", { n: report.students.length })}</div>
+                <div className="text-xs text-white/70">{t("dash.flagHint", { days: INACTIVE_DAYS, recent: RECENT_DAYS, pass: EXAM_PASS * 100 })}</div>
+              </div>
+              <div className="flex items-end gap-2">
+                <label className="block text-xs text-white/70">
+                  {t("dash.newStudent")}
+                  <input value={newName} onChange={(e) => setNewName(e.target.value)} onKeyDown={(e) => { if (e.key === "Enter") add(); }} className={input} />
+                </label>
+                <button className={btn} disabled={busy || !newName.trim()} onClick={add}>{t("dash.add")}</button>
+              </div>
+            </div>
+            {report.students.length === 0 ? (
+              <div className="text-xs text-white/70">{t("dash.empty")}</div>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-white/70">
+                      <th className="py-2 pr-4">{t("dash.student")}</th>
+                      <th className="py-2 pr-4">{t("dash.lastActive")}</th>
+                      <th className="py-2 pr-4">{t("dash.answers")}</th>
+                      <th className="py-2 pr-4">{t("dash.recent", { days: RECENT_DAYS })}</th>
+                      <th className="py-2 pr-4">{t("dash.mastered")}</th>
+                      <th className="py-2 pr-4">{t("dash.weakest")}</th>
+                      <th className="py-2 pr-4">{t("dash.flags")}</th>
+                      <th className="py-2 pr-4">{t("sync.token")}</th>
+                      <th className="py-2" />
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.students.map((s) => (
+                      <tr key={s.id} className={classNames("border-t border-white/10 align-top", s.flags.length > 0 && "bg-rose-400/10")}>
+                        <td className="py-2 pr-4 font-semibold">{s.name}</td>
+                        <td className="py-2 pr-4 text-xs">
+                          {s.lastActive ? formatDay(s.lastActive) : "—"}
+                          {s.lastSync && <div className="text-white/50">{t("dash.synced", { date: formatDateTime(s.lastSync) })}</div>}
+                        </td>
+                        <td className="py-2 pr-4 tabular-nums">{formatNumber(s.answers)}</td>
+                        <td className="py-2 pr-4 tabular-nums">
+                          {s.recent.total ? `${formatPercent(pctOf(s.recent))} (${formatNumber(s.recent.total)})` : "—"}
+                        </td>
+                        <td className="py-2 pr-4 tabular-nums">{formatNumber(s.mastered)}</td>
+                        <td className="py-2 pr-4 text-xs">{s.weakest ? `${titled(s.weakest.section)} · ${formatPercent(s.weakest.pct)}` : "—"}</td>
+                        <td className="py-2 pr-4 text-xs">
+                          {s.flags.length === 0
+                            ? <span className="text-emerald-300">{t("dash.ok")}</span>
+                            : <ul className="text-rose-300">{s.flags.map((f) => <li key={f}>{t(FLAG_LABELS[f])}</li>)}</ul>}
+                        </td>
+                        <td className="py-2 pr-4">
+                          <button className="font-mono text-xs underline text-white/70 hover:text-white" title={t("dash.copyToken")} onClick={() => navigator.clipboard.writeText(s.token).catch(() => prompt(t("dash.copyToken"), s.token))}>
+                            {s.token.slice(0, 6)}…
+                          </button>
+                        </td>
+                        <td className="py-2">
+                          <button className="text-xs text-white/60 hover:text-rose-300" disabled={busy} onClick={() => remove(s.id, s.name)}>{t("dash.remove")}</button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </Card>
+
+          {report.bySection.length > 0 && (
+            <Card>
+              <div className="text-sm font-semibold mb-3">{t("dash.bySection")}</div>
+              <div className="overflow-x-auto">
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-white/70">
+                      <th className="py-2 pr-4">{t("common.section")}</th>
+                      <th className="py-2 pr-4">{t("dash.answers")}</th>
+                      <th className="py-2 pr-4">{t("common.pctCorrect")}</th>
+                      <th className="py-2 pr-4">{t("dash.belowPass", { pass: EXAM_PASS * 100 })}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.bySection.map((s) => {
+                      const pct = pctOf(s);
+                      return (
+                        <tr key={s.section} className="border-t border-white/10">
+                          <td className="py-2 pr-4">{titled(s.section)}</td>
+                          <td className="py-2 pr-4 tabular-nums">{formatNumber(s.total)}</td>
+                          <td className={classNames("py-2 pr-4 tabular-nums", pct < EXAM_PASS * 100 && "text-rose-300")}>{formatPercent(pct)}</td>
+                          <td className="py-2 pr-4 tabular-nums">{t("dash.ofStudents", { n: s.struggling, total: s.students })}</td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            </Card>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
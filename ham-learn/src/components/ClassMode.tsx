@@ -0,0 +1,253 @@
+import React, { useMemo, useState } from "react";
+import { createPortal } from "react-dom";
+import type { Lang, QA } from "../types.js";
+import { EXAM_BLUEPRINT, drawExam, sectionOf, type ExamQuestion } from "../lib/exam.js";
+import { optionText } from "../lib/options.js";
+import { newSeed, seedFromString, seededRandom } from "../lib/random.js";
+import { hashBank } from "../lib/bankVersion.js";
+import { classNames } from "../lib/utils.js";
+import { Card } from "./ui.js";
+import QuestionFigure from "./QuestionFigure.js";
+import { t, tr, type MessageKey } from "../i18n/index.js";
+
+type PrintLang = Lang | 'both';
+type Doc = 'exam' | 'key' | 'sheet';
+
+const LETTERS = ["A", "B", "C", "D"] as const;
+const DOC_LABELS: Record<Doc, MessageKey> = { exam: "class.doc.exam", key: "class.doc.key", sheet: "class.doc.sheet" };
+const btn = "px-3 py-2 rounded-xl text-sm bg-white/10 hover:bg-white/20 border border-white/10 disabled:opacity-40";
+
+interface PrintInfo {
+  title: string;
+  seed: string;
+  bank: string; // empreinte de la banque : une autre banque donne un autre examen
+  lang: PrintLang;
+  questions: ExamQuestion[];
+}
+
+// MODE CLASSE — examens papier reproductibles pour les instructeurs
+export default function ClassMode({ qas }: { qas: QA[] }) {
+  const [seed, setSeed] = useState<string>(() => newSeed());
+  const [sections, setSections] = useState<string[]>(Object.keys(EXAM_BLUEPRINT));
+  const [lang, setLang] = useState<PrintLang>('fr');
+  const [title, setTitle] = useState<string>(() => t("class.defaultTitle"));
+  const [doc, setDoc] = useState<Doc>('exam');
+
+  const bank = useMemo(() => hashBank(qas), [qas]);
+  const questions = useMemo(
+    () => (seed.trim() ? drawExam(qas, { sections, rand: seededRandom(seedFromString(seed)) }) : []),
+    [qas, seed, sections]
+  );
+  const info: PrintInfo = { title, seed: seed.trim().toUpperCase(), bank, lang, questions };
+
+  function toggleSection(s: string): void {
+    setSections((cur) => (cur.includes(s) ? cur.filter((x) => x !== s) : [...cur, s].sort()));
+  }
+
+  function print(d: Doc): void {
+    setDoc(d);
+    // Laisse React rendre le document choisi avant d’ouvrir la boîte d’impression
+    setTimeout(() => window.print(), 0);
+  }
+
+  return (
+    <div className="mt-6 space-y-4">
+      <Card>
+        <div className="text-sm font-semibold">{t("class.title")}</div>
+        <div className="text-xs text-white/70">{t("class.intro")}</div>
+        <div className="mt-4 grid gap-4 md:grid-cols-2">
+          <div className="space-y-3">
+            <label className="block text-xs text-white/70">
+              {t("class.examTitle")}
+              <input
+                value={title}
+                onChange={(e) => setTitle(e.target.value)}
+                className="mt-1 w-full bg-white/10 border border-white/10 rounded-xl px-3 py-2 text-sm text-white"
+              />
+            </label>
+            <div className="flex items-end gap-2">
+              <label className="block text-xs text-white/70">
+                {t("class.seed")}
+                <input
+                  value={seed}
+                  onChange={(e) => setSeed(e.target.value)}
+                  className="mt-1 w-32 bg-white/10 border border-white/10 rounded-xl px-3 py-2 text-sm text-white font-mono uppercase"
+                />
+              </label>
+              <button className={btn} onClick={() => setSeed(newSeed())}>{t("class.newSeed")}</button>
+            </div>
+            <div className="flex items-center gap-2 text-xs text-white/70">
+              {t("class.language")}
+              <select
+                value={lang}
+                onChange={(e) => setLang(e.target.value as PrintLang)}
+                className="bg-white/10 border border-white/10 rounded-xl px-3 py-2 text-sm"
+              >
+                <option value="fr">{t("class.lang.fr")}</option>
+                <option value="en">{t("class.lang.en")}</option>
+                <option value="both">{t("class.lang.both")}</option>
+              </select>
+            </div>
+          </div>
+          <div>
+            <div className="text-xs text-white/70 mb-2">{t("class.sections", { n: questions.length })}</div>
+            <div className="grid grid-cols-2 gap-1">
+              {Object.entries(EXAM_BLUEPRINT).map(([s, n]) => (
+                <label key={s} className="flex items-center gap-2 text-sm">
+                  <input type="checkbox" className="accent-white" checked={sections.includes(s)} onChange={() => toggleSection(s)} />
+                  {s} <span className="text-white/50">({n})</span>
+                </label>
+              ))}
+            </div>
+          </div>
+        </div>
+        <div className="mt-4 flex flex-wrap gap-2">
+          <button className="px-3 py-2 rounded-xl text-sm bg-white text-slate-900 font-semibold disabled:opacity-40" disabled={!questions.length} onClick={() => print('exam')}>{t("class.printExam")}</button>
+          <button className={btn} disabled={!questions.length} onClick={() => print('key')}>{t("class.printKey")}</button>
+          <button className={btn} disabled={!questions.length} onClick={() => print('sheet')}>{t("class.printSheet")}</button>
+        </div>
+      </Card>
+
+      {questions.length > 0 && (
+        <Card>
+          <div className="flex gap-2 mb-3">
+            {(['exam', 'key', 'sheet'] as const).map((d) => (
+              <button
+                key={d}
+                onClick={() => setDoc(d)}
+                className={classNames("px-3 py-1 rounded-xl text-xs border border-white/10", doc === d ? "bg-white/20" : "bg-white/5 hover:bg-white/10")}
+              >{t(DOC_LABELS[d])}</button>
+            ))}
+          </div>
+          <div className="rounded-xl bg-white text-black p-6 max-h-[70vh] overflow-auto">
+            <PrintDoc doc={doc} info={info} />
+          </div>
+        </Card>
+      )}
+
+      {/* Copie réservée à l’impression : le reste de l’application est masqué (print:hidden) */}
+      {questions.length > 0 && createPortal(
+        <div className="hidden print:block bg-white text-black">
+          <PrintDoc doc={doc} info={info} />
+        </div>,
+        document.body
+      )}
+    </div>
+  );
+}
+
+function PrintDoc({ doc, info }: { doc: Doc; info: PrintInfo }) {
+  if (doc === 'key') return <AnswerKey info={info} />;
+  if (doc === 'sheet') return <AnswerSheet info={info} />;
+  return <ExamPaper info={info} />;
+}
+
+// Les documents imprimés suivent la langue de l’examen, pas celle de l’interface
+// (le bilingue garde les en‑têtes en français)
+function docLang(info: PrintInfo): Lang {
+  return info.lang === 'en' ? 'en' : 'fr';
+}
+
+function PrintHeader({ info, subtitle }: { info: PrintInfo; subtitle: string }) {
+  return (
+    <div className="border-b-2 border-black pb-2 mb-4">
+      <div className="text-xl font-bold">{info.title}</div>
+      <div className="text-sm flex justify-between gap-4">
+        <span>{subtitle}</span>
+        <span className="font-mono">{tr(docLang(info), "print.meta", { seed: info.seed, bank: info.bank, n: info.questions.length })}</span>
+      </div>
+    </div>
+  );
+}
+
+// Énoncé (et options) dans une ou deux langues
+function Bilingual({ fr, en, lang }: { fr: string; en: string; lang: PrintLang }) {
+  if (lang === 'fr') return <>{fr}</>;
+  if (lang === 'en') return <>{en}</>;
+  return <>{fr}<span className="block italic text-gray-600">{en}</span></>;
+}
+
+function ExamPaper({ info }: { info: PrintInfo }) {
+  return (
+    <div className="text-[11pt] leading-snug">
+      <PrintHeader info={info} subtitle={tr(docLang(info), "print.nameDate")} />
+      <ol className="space-y-4">
+        {info.questions.map(({ qa, order }, n) => (
+          <li key={qa.question_id} className="break-inside-avoid">
+            <div className="font-semibold">
+              {n + 1}. <Bilingual fr={qa.question_french} en={qa.question_english} lang={info.lang} />
+            </div>
+            <QuestionFigure q={qa} lang={docLang(info)} className="mt-1 ml-6" />
+            <ol className="mt-1 ml-6 space-y-0.5">
+              {order.map((i, pos) => (
+                <li key={i} className="flex gap-2">
+                  <span className="font-semibold">{LETTERS[pos]})</span>
+                  <span><Bilingual fr={optionText(qa, i, 'fr')} en={optionText(qa, i, 'en')} lang={info.lang} /></span>
+                </li>
+              ))}
+            </ol>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
+
+function AnswerKey({ info }: { info: PrintInfo }) {
+  const bySection = new Map<string, number>();
+  info.questions.forEach(({ qa }) => bySection.set(sectionOf(qa.question_id), (bySection.get(sectionOf(qa.question_id)) ?? 0) + 1));
+  return (
+    <div className="text-[10pt]">
+      <PrintHeader info={info} subtitle={tr(docLang(info), "print.keySubtitle")} />
+      <div className="columns-4 gap-6">
+        {info.questions.map(({ qa, order }, n) => (
+          <div key={qa.question_id} className="flex justify-between gap-2 break-inside-avoid font-mono">
+            <span>{n + 1}. <strong>{LETTERS[order.indexOf(0)]}</strong></span>
+            <span className="text-gray-500">{qa.question_id}</span>
+          </div>
+        ))}
+      </div>
+      <div className="mt-4 text-xs">
+        {tr(docLang(info), "print.breakdown", { list: Array.from(bySection, ([s, c]) => `${s}: ${c}`).join(" · ") })}
+      </div>
+    </div>
+  );
+}
+
+// Feuille‑réponse à bulles : positions fixes et repères noirs aux quatre coins
+// pour la correction au lecteur optique ou au gabarit transparent.
+function AnswerSheet({ info }: { info: PrintInfo }) {
+  const columns: number[][] = [];
+  info.questions.forEach((_, n) => {
+    const col = Math.floor(n / 25);
+    (columns[col] ??= []).push(n + 1);
+  });
+  const mark = "absolute w-5 h-5 bg-black";
+  return (
+    <div className="relative p-8 text-[10pt]">
+      <div className={classNames(mark, "top-0 left-0")} />
+      <div className={classNames(mark, "top-0 right-0")} />
+      <div className={classNames(mark, "bottom-0 left-0")} />
+      <div className={classNames(mark, "bottom-0 right-0")} />
+      <PrintHeader info={info} subtitle={tr(docLang(info), "print.sheetSubtitle")} />
+      <div className="mb-4 grid grid-cols-2 gap-6">
+        <div>{tr(docLang(info), "print.name")}</div>
+        <div>{tr(docLang(info), "print.studentId")}</div>
+      </div>
+      <div className="flex gap-8">
+        {columns.map((nums, c) => (
+          <div key={c} className="space-y-1">
+            {nums.map((num) => (
+              <div key={num} className="flex items-center gap-1.5 font-mono">
+                <span className="w-7 text-right">{num}</span>
+                {LETTERS.map((l) => (
+                  <span key={l} className="w-5 h-5 rounded-full border border-black text-[7pt] flex items-center justify-center">{l}</span>
+                ))}
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
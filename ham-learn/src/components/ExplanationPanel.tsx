@@ -0,0 +1,68 @@
+import React, { useEffect, useState } from "react";
+import type { Lang, QA } from "../types.js";
+import { explanationText, type ExplanationMap } from "../lib/explanations.js";
+import { saveNote, type NoteMap } from "../lib/notes.js";
+import { STORE_KEYS } from "../lib/storage.js";
+import { useStored } from "../lib/useStored.js";
+import { t } from "../i18n/index.js";
+
+// Après la réponse : explication et références (si le fichier compagnon en fournit), note personnelle
+export default function ExplanationPanel({ q, langs }: { q: QA; langs: Lang[] }) {
+  const explanations = useStored<ExplanationMap>(STORE_KEYS.explanations, {});
+  const e = explanations[q.question_id];
+  // Sans traduction, les deux langues donneraient le même texte
+  const texts = e ? Array.from(new Set(langs.map((l) => explanationText(e, l)).filter(Boolean))) : [];
+
+  return (
+    <div className="mt-3 space-y-2">
+      {e && (
+        <div className="p-3 rounded-xl bg-white/5 border border-white/10 text-sm">
+          <div className="text-xs font-semibold text-white/70 mb-1">{t("explain.title")}</div>
+          {texts.map((text, n) => (
+            <p key={n} className={n > 0 ? "mt-1 text-white/70" : ""}>{text}</p>
+          ))}
+          {e.refs.length > 0 && (
+            <div className="mt-2 text-xs text-white/60">{t("explain.refs")} {e.refs.join(" · ")}</div>
+          )}
+        </div>
+      )}
+      <NoteEditor id={q.question_id} />
+    </div>
+  );
+}
+
+// Enregistrée en quittant le champ ; une note vidée est supprimée
+function NoteEditor({ id }: { id: string }) {
+  const notes = useStored<NoteMap>(STORE_KEYS.notes, {});
+  const saved = notes[id] ?? "";
+  const [open, setOpen] = useState<boolean>(false);
+  const [draft, setDraft] = useState<string>(saved);
+
+  useEffect(() => setDraft(saved), [saved]);
+
+  if (!open && !saved) {
+    return (
+      <button onClick={() => setOpen(true)} className="text-xs underline text-white/70 hover:text-white">
+        {t("notes.add")}
+      </button>
+    );
+  }
+
+  return (
+    <label className="block text-xs text-white/70">
+      {t("notes.label")}
+      <textarea
+        value={draft}
+        rows={2}
+        autoFocus={open && !saved}
+        placeholder={t("notes.placeholder")}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={() => {
+          if (draft !== saved) saveNote(id, draft);
+          if (!draft.trim()) setOpen(false);
+        }}
+        className="mt-1 w-full bg-white/10 border border-white/10 rounded-xl px-3 py-2 text-sm text-white"
+      />
+    </label>
+  );
+}
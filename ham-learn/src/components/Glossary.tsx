@@ -0,0 +1,73 @@
+import React, { useMemo, useState } from "react";
+import type { Lang, QA } from "../types.js";
+import { buildGlossary } from "../lib/glossary.js";
+import { foldText } from "../lib/utils.js";
+import { Card } from "./ui.js";
+import { t } from "../i18n/index.js";
+
+// GLOSSAIRE — termes techniques FR/EN appariés à partir des bonnes réponses
+export default function Glossary({ qas, lang }: { qas: QA[]; lang: Lang }) {
+  const [query, setQuery] = useState<string>("");
+  const entries = useMemo(() => buildGlossary(qas), [qas]);
+
+  const shown = useMemo(() => {
+    const q = foldText(query.trim());
+    const first = (e: { en: string; fr: string }) => (lang === 'fr' ? e.fr : e.en);
+    return entries
+      .filter((e) => !q || foldText(e.en).includes(q) || foldText(e.fr).includes(q))
+      .sort((a, b) => first(a).localeCompare(first(b), lang));
+  }, [entries, query, lang]);
+
+  const cols: Lang[] = lang === 'fr' ? ['fr', 'en'] : ['en', 'fr'];
+
+  return (
+    <div className="mt-6 space-y-4">
+      <Card>
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+          <div>
+            <div className="text-sm font-semibold">{t("glossary.title")}</div>
+            <div className="text-xs text-white/70">{t("glossary.count", { n: entries.length })}</div>
+          </div>
+          <input
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder={t("glossary.search")}
+            className="bg-white/10 border border-white/10 rounded-xl px-3 py-2 text-sm md:w-72"
+          />
+        </div>
+      </Card>
+
+      <Card>
+        {shown.length === 0 ? (
+          <div className="text-sm text-white/70">{t("glossary.none")}</div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-white/70">
+                  {cols.map((l) => <th key={l} className="py-2 pr-4">{t(l === 'fr' ? "glossary.fr" : "glossary.en")}</th>)}
+                  <th className="py-2 pr-4">{t("common.questions")}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {shown.map((e) => (
+                  <tr key={e.en} className="border-t border-white/10">
+                    {cols.map((l) => (
+                      <td key={l} lang={l} className={l === lang ? "py-2 pr-4 font-semibold" : "py-2 pr-4 text-white/80"}>
+                        {l === 'fr' ? e.fr : e.en}
+                      </td>
+                    ))}
+                    <td className="py-2 pr-4 text-xs text-white/60" title={e.ids.join(", ")}>
+                      {e.ids.slice(0, 2).join(", ")}{e.ids.length > 2 ? ` +${e.ids.length - 2}` : ""}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </Card>
+    </div>
+  );
+}
@@ -0,0 +1,79 @@
+import type { ImportReport } from "../lib/parser.js";
+import { Card, Stat } from "./ui.js";
+import { t } from "../i18n/index.js";
+
+// Rapport d’importation d’une banque : acceptées, rejetées, réparées
+export default function ImportReportCard({ fileName, report, note, onClose }: {
+  fileName: string;
+  report: ImportReport;
+  note?: string | undefined;
+  onClose: () => void;
+}) {
+  return (
+    <Card className={report.error ? "mt-3 border-rose-400/30" : "mt-3 border-emerald-400/30"}>
+      <div className="flex items-start justify-between gap-3">
+        <div>
+          <div className="text-sm font-semibold">{t("import.title", { file: fileName })}</div>
+          <div className="text-xs text-white/70">{t("import.encoding", { encoding: report.encoding })}</div>
+        </div>
+        <button
+          className="px-3 py-1 rounded-xl text-xs bg-white/10 hover:bg-white/20 border border-white/10"
+          onClick={onClose}
+        >{t("common.close")}</button>
+      </div>
+
+      {report.error && (
+        <div className="mt-3 p-3 rounded-xl bg-rose-500/15 border border-rose-400/20 text-sm">
+          {report.error} {t("import.unchanged")}
+        </div>
+      )}
+
+      {note && <div className="mt-3 text-sm text-white/80">{note}</div>}
+
+      <div className="mt-3 grid gap-3 sm:grid-cols-3">
+        <Stat label={t("import.accepted")} value={report.accepted.length} />
+        <Stat label={t("import.rejected")} value={report.rejected.length} />
+        <Stat label={t("import.repaired")} value={report.repaired.length} />
+      </div>
+
+      {report.rejected.length > 0 && (
+        <details className="mt-3" open={report.rejected.length <= 10}>
+          <summary className="text-sm font-semibold cursor-pointer">{t("import.rejectedLines")}</summary>
+          <ReportTable rows={report.rejected.map((r) => ({ line: r.line, id: r.id, text: r.reason }))} />
+        </details>
+      )}
+
+      {report.repaired.length > 0 && (
+        <details className="mt-3" open={report.repaired.length <= 10}>
+          <summary className="text-sm font-semibold cursor-pointer">{t("import.repairedLines")}</summary>
+          <ReportTable rows={report.repaired.map((r) => ({ line: r.line, id: r.id, text: r.issues.join(" · ") }))} />
+        </details>
+      )}
+    </Card>
+  );
+}
+
+function ReportTable({ rows }: { rows: Array<{ line: number; id: string; text: string }> }) {
+  return (
+    <div className="mt-2 overflow-x-auto max-h-64">
+      <table className="min-w-full text-sm">
+        <thead>
+          <tr className="text-left text-white/70">
+            <th className="py-2 pr-4">{t("import.line")}</th>
+            <th className="py-2 pr-4">{t("common.id")}</th>
+            <th className="py-2 pr-4">{t("import.detail")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((r) => (
+            <tr key={`${r.line}-${r.id}`} className="border-t border-white/10">
+              <td className="py-2 pr-4">{r.line}</td>
+              <td className="py-2 pr-4">{r.id || "—"}</td>
+              <td className="py-2 pr-4">{r.text}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
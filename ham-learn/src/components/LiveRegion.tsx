@@ -0,0 +1,20 @@
+import React, { useEffect, useRef, useState } from "react";
+import { onAnnounce } from "../lib/a11y.js";
+
+// Zone lue par les lecteurs d’écran pour les messages de announce() (lib/a11y.ts)
+export default function LiveRegion() {
+  const [msg, setMsg] = useState<string>("");
+  const timer = useRef<ReturnType<typeof setTimeout> | undefined>(undefined);
+
+  useEffect(() => {
+    const off = onAnnounce((m) => {
+      // Vider d’abord : un message identique au précédent est ainsi relu
+      setMsg("");
+      clearTimeout(timer.current);
+      timer.current = setTimeout(() => setMsg(m), 50);
+    });
+    return () => { off(); clearTimeout(timer.current); };
+  }, []);
+
+  return <div role="status" aria-live="polite" aria-atomic="true" className="sr-only">{msg}</div>;
+}
@@ -0,0 +1,282 @@
+import { useEffect, useRef, useState } from "react";
+import type { Lang, QA } from "../types.js";
+import { STORE_KEYS, loadJSON, saveJSON } from "../lib/storage.js";
+import { useStored } from "../lib/useStored.js";
+import { classNames, formatClock } from "../lib/utils.js";
+import { bumpProgress } from "../lib/progress.js";
+import { recordAttempts, responseTimes } from "../lib/attempts.js";
+import {
+  EXAM_BLUEPRINT,
+  EXAM_DEFAULT_MINUTES,
+  EXAM_HONOURS,
+  EXAM_PASS,
+  drawExam,
+  gradeExam,
+  type ExamQuestion,
+  type ExamRecord,
+} from "../lib/exam.js";
+import { optionText, type OptionIndex } from "../lib/options.js";
+import { Card, Stat } from "./ui.js";
+import ExplanationPanel from "./ExplanationPanel.js";
+import QuestionFigure from "./QuestionFigure.js";
+import { formatDateTime, formatPercent, t } from "../i18n/index.js";
+
+// EXAMEN SIMULÉ — 100 questions, minuterie, correction à la remise seulement.
+// App le garde monté d’un onglet à l’autre : un examen en cours n’est jamais
+// perdu et sa minuterie continue ; onRunning signale qu’il est en cours.
+export default function MockExam({ qas, lang, onRunning }: { qas: QA[]; lang: Lang; onRunning?: (running: boolean) => void }) {
+  const [minutes, setMinutes] = useState<number>(EXAM_DEFAULT_MINUTES);
+  const [questions, setQuestions] = useState<ExamQuestion[]>([]);
+  const [answers, setAnswers] = useState<Record<string, OptionIndex>>({});
+  const [startedAt, setStartedAt] = useState<number>(0);
+  const [now, setNow] = useState<number>(Date.now());
+  const [record, setRecord] = useState<ExamRecord | null>(null);
+  const history = useStored<ExamRecord[]>(STORE_KEYS.exams, []);
+
+  const running = questions.length > 0 && !record;
+  const remaining = Math.round((startedAt + minutes * 60000 - now) / 1000);
+
+  // La remise automatique doit voir les réponses les plus récentes
+  const answersRef = useRef(answers);
+  answersRef.current = answers;
+  const firstAnswerAt = useRef<Record<string, number>>({});
+
+  useEffect(() => {
+    onRunning?.(running);
+    return () => onRunning?.(false);
+  }, [running, onRunning]);
+
+  useEffect(() => {
+    if (!running) return;
+    const i = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(i);
+  }, [running]);
+
+  useEffect(() => {
+    if (running && remaining <= 0) finish(true);
+  }, [running, remaining]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  function start(): void {
+    const at = Date.now();
+    setQuestions(drawExam(qas));
+    setAnswers({});
+    firstAnswerAt.current = {};
+    setRecord(null);
+    setStartedAt(at);
+    setNow(at);
+  }
+
+  function finish(timedOut: boolean): void {
+    if (!running) return;
+    if (!timedOut) {
+      const missing = questions.length - Object.keys(answersRef.current).length;
+      if (missing > 0 && !confirm(t("exam.unansweredConfirm", { n: missing }))) return;
+    }
+    const res = gradeExam(questions, answersRef.current);
+    const rec: ExamRecord = {
+      ...res,
+      date: new Date().toISOString(),
+      durationSec: Math.min(minutes * 60, Math.round((Date.now() - startedAt) / 1000)),
+      timedOut,
+    };
+    saveJSON(STORE_KEYS.exams, [...loadJSON<ExamRecord[]>(STORE_KEYS.exams, []), rec]);
+    setRecord(rec);
+    bumpProgress({ seen: res.total, correct: res.correct });
+    const times = responseTimes(firstAnswerAt.current, startedAt);
+    recordAttempts(questions.map(({ qa }) => {
+      const chosen = answersRef.current[qa.question_id] ?? null;
+      return { question_id: qa.question_id, mode: 'exam', chosen, correct: chosen === 0, ms: times[qa.question_id] ?? 0, at: rec.date };
+    }));
+  }
+
+  function choose(id: string, i: OptionIndex): void {
+    firstAnswerAt.current[id] ??= Date.now();
+    setAnswers((a) => ({ ...a, [id]: i }));
+  }
+
+  function quit(): void {
+    setQuestions([]);
+    setRecord(null);
+  }
+
+  if (questions.length === 0) {
+    return (
+      <div className="mt-6 space-y-4">
+        <Card>
+          <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+            <div>
+              <div className="text-sm font-semibold">{t("exam.title")}</div>
+              <div className="text-xs text-white/70">
+                {t("exam.intro", { pass: EXAM_PASS * 100, honours: EXAM_HONOURS * 100 })}
+              </div>
+            </div>
+            <div className="flex items-center gap-3">
+              <label className="text-xs opacity-80">{t("exam.duration", { n: minutes })}</label>
+              <input type="range" min={30} max={240} step={10} value={minutes} onChange={(e) => setMinutes(Number(e.target.value))} />
+              <button
+                onClick={start}
+                disabled={qas.length === 0}
+                className="px-3 py-2 rounded-xl text-sm bg-white text-slate-900 font-semibold disabled:opacity-40"
+              >{t("exam.start")}</button>
+            </div>
+          </div>
+        </Card>
+        <ExamHistory history={history} />
+      </div>
+    );
+  }
+
+  const answered = Object.keys(answers).length;
+
+  return (
+    <div className="mt-6 space-y-4">
+      <Card className="sticky top-2 z-10">
+        <div className="flex items-center justify-between gap-3">
+          <div>
+            <div className="text-sm font-semibold">{t("exam.running")}</div>
+            <div className="text-xs text-white/70">{t("exam.answered", { n: answered, total: questions.length })}</div>
+          </div>
+          <div className="flex items-center gap-3">
+            {running ? (
+              <>
+                <div className={classNames("text-2xl font-extrabold tabular-nums", remaining < 300 && "text-rose-300")}>
+                  {formatClock(remaining)}
+                </div>
+                <button onClick={() => finish(false)} className="px-3 py-2 rounded-xl text-sm bg-white text-slate-900 font-semibold">{t("exam.submit")}</button>
+              </>
+            ) : (
+              <button onClick={quit} className="px-3 py-2 rounded-xl text-sm bg-white/10 hover:bg-white/20 border border-white/10">{t("exam.endReview")}</button>
+            )}
+          </div>
+        </div>
+      </Card>
+
+      {record && <ExamReport record={record} />}
+
+      {questions.map(({ qa, order }, n) => {
+        const chosen = answers[qa.question_id];
+        return (
+          <Card key={qa.question_id}>
+            <div className="text-xs text-white/70 mb-1">{n + 1}. {qa.question_id}</div>
+            <div className="font-semibold mb-3">{lang === 'fr' ? qa.question_french : qa.question_english}</div>
+            <QuestionFigure q={qa} lang={lang} className="mb-3" />
+            <div className="grid gap-2 md:grid-cols-2">
+              {order.map((i) => {
+                const selected = chosen === i;
+                return (
+                  <label key={i} className={classNames(
+                    "flex items-center gap-2 px-3 py-2 rounded-xl border",
+                    running && "cursor-pointer",
+                    selected ? "bg-white/15 border-white/40" : "bg-white/5 border-white/10 hover:bg-white/10",
+                    record && i === 0 && "ring-2 ring-emerald-400/60",
+                    record && selected && i !== 0 && "ring-2 ring-rose-400/60"
+                  )}>
+                    <input
+                      type="radio"
+                      name={`exam-${qa.question_id}`}
+                      className="accent-white"
+                      checked={selected}
+                      disabled={!running}
+                      onChange={() => choose(qa.question_id, i)}
+                    />
+                    <span>{optionText(qa, i, lang)}</span>
+                  </label>
+                );
+              })}
+            </div>
+            {record && <ExplanationPanel q={qa} langs={[lang]} />}
+          </Card>
+        );
+      })}
+    </div>
+  );
+}
+
+function ExamReport({ record }: { record: ExamRecord }) {
+  const verdict = t(record.honours ? "exam.passedHonours" : record.passed ? "exam.passed" : "exam.failed");
+  return (
+    <Card className={record.passed ? "border-emerald-400/30" : "border-rose-400/30"}>
+      <div className="text-sm font-semibold mb-2">{t("exam.results")}</div>
+      <div className="flex items-center gap-4">
+        <div className="text-3xl font-extrabold">{formatPercent(record.pct)}</div>
+        <div className="text-sm text-white/80">
+          {t("exam.summary", { verdict, correct: record.correct, total: record.total, unanswered: record.total - record.answered })}
+          {record.timedOut && t("exam.timedOut")}
+        </div>
+      </div>
+      <SectionTable bySection={record.bySection} />
+    </Card>
+  );
+}
+
+function SectionTable({ bySection }: { bySection: ExamRecord["bySection"] }) {
+  return (
+    <div className="mt-4 overflow-x-auto">
+      <table className="min-w-full text-sm">
+        <thead>
+          <tr className="text-left text-white/70">
+            <th className="py-2 pr-4">{t("common.section")}</th>
+            <th className="py-2 pr-4">{t("common.questions")}</th>
+            <th className="py-2 pr-4">{t("common.correct")}</th>
+            <th className="py-2 pr-4">{t("common.pctCorrect")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {Object.keys(EXAM_BLUEPRINT).map((sec) => {
+            const it = bySection[sec];
+            if (!it) return null;
+            const pct = it.total ? Math.round((it.correct / it.total) * 100) : 0;
+            return (
+              <tr key={sec} className="border-t border-white/10">
+                <td className="py-2 pr-4">{sec}</td>
+                <td className="py-2 pr-4">{it.total}</td>
+                <td className="py-2 pr-4">{it.correct}</td>
+                <td className={classNames("py-2 pr-4", pct < EXAM_PASS * 100 && "text-rose-300")}>{formatPercent(pct)}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function ExamHistory({ history }: { history: ExamRecord[] }) {
+  if (history.length === 0) return null;
+  const recent = history.slice(-5);
+  const passedRecent = recent.filter((r) => r.passed).length;
+  const best = Math.max(...history.map((r) => r.pct));
+  return (
+    <Card>
+      <div className="text-sm font-semibold mb-1">{t("exam.history")}</div>
+      <div className="text-xs text-white/80">{t("exam.historyHint")}</div>
+      <div className="mt-3 grid gap-3 sm:grid-cols-3">
+        <Stat label={t("exam.count")} value={history.length} />
+        <Stat label={t("exam.best")} value={formatPercent(best)} />
+        <Stat label={t("exam.recentPassed")} value={`${passedRecent} / ${recent.length}`} />
+      </div>
+      <div className="mt-4 overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-white/70">
+              <th className="py-2 pr-4">{t("common.date")}</th>
+              <th className="py-2 pr-4">{t("exam.score")}</th>
+              <th className="py-2 pr-4">{t("exam.result")}</th>
+              <th className="py-2 pr-4">{t("exam.durationCol")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {[...history].reverse().map((r) => (
+              <tr key={r.date} className="border-t border-white/10">
+                <td className="py-2 pr-4">{formatDateTime(r.date)}</td>
+                <td className="py-2 pr-4">{formatPercent(r.pct)}</td>
+                <td className="py-2 pr-4">{t(r.honours ? "exam.honours" : r.passed ? "exam.passed" : "exam.failed")}</td>
+                <td className="py-2 pr-4">{formatClock(r.durationSec)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </Card>
+  );
+}
@@ -0,0 +1,103 @@
+import React, { useState } from "react";
+import {
+  createProfile,
+  deleteProfile,
+  loadProfiles,
+  renameProfile,
+  switchProfile,
+  type Profile,
+} from "../lib/profiles.js";
+import { backupFileName, createBackup } from "../lib/backup.js";
+import { DEFAULT_PROFILE, STORE_KEYS, withProfile } from "../lib/storage.js";
+import { useStored } from "../lib/useStored.js";
+import { classNames, downloadFile } from "../lib/utils.js";
+import { t } from "../i18n/index.js";
+
+const btn = "px-2 py-1 rounded-lg text-xs bg-white/10 hover:bg-white/20 border border-white/10";
+
+// Sélecteur de profil de l’en‑tête : bascule, création, renommage, suppression, export.
+// Changer de profil remonte l’application : un examen blanc en cours serait perdu.
+export default function ProfileMenu({ examRunning }: { examRunning: boolean }) {
+  const active = useStored<string>(STORE_KEYS.activeProfile, DEFAULT_PROFILE);
+  useStored<Profile[]>(STORE_KEYS.profiles, []); // re-rendu à chaque modification de la liste
+  const profiles = loadProfiles();
+  const current = profiles.find((p) => p.id === active) ?? profiles[0];
+  const [open, setOpen] = useState<boolean>(false);
+
+  // Les erreurs de saisie (nom vide, doublon…) sont levées par lib/profiles
+  function attempt(fn: () => void): void {
+    try {
+      fn();
+    } catch (err) {
+      alert(err instanceof Error ? err.message : String(err));
+    }
+  }
+
+  function leaveExam(): boolean {
+    return !examRunning || confirm(t("profile.leaveExam"));
+  }
+
+  function select(p: Profile): void {
+    setOpen(false);
+    if (p.id === active || !leaveExam()) return;
+    switchProfile(p.id);
+  }
+
+  function create(): void {
+    if (!leaveExam()) return;
+    const name = prompt(t("profile.newPrompt"));
+    if (name === null) return;
+    attempt(() => switchProfile(createProfile(name).id));
+  }
+
+  function rename(p: Profile): void {
+    const name = prompt(t("profile.renamePrompt"), p.name);
+    if (name === null) return;
+    attempt(() => renameProfile(p.id, name));
+  }
+
+  function remove(p: Profile): void {
+    if (p.id === active && !leaveExam()) return;
+    if (!confirm(t("profile.deleteConfirm", { name: p.name }))) return;
+    attempt(() => deleteProfile(p.id));
+  }
+
+  function exportProfile(p: Profile): void {
+    const backup = withProfile(p.id, () => createBackup());
+    downloadFile(backupFileName(backup), JSON.stringify(backup, null, 2), "application/json");
+  }
+
+  return (
+    <div className="relative">
+      <button
+        className="px-3 py-1 text-sm rounded-xl border border-white/10 hover:bg-white/10"
+        aria-haspopup="true"
+        aria-expanded={open}
+        onClick={() => setOpen(!open)}
+      >👤 {current?.name}</button>
+      {open && (
+        <div className="absolute right-0 mt-2 w-72 z-20 p-3 rounded-2xl bg-slate-900 border border-white/10 shadow-xl space-y-2">
+          <div className="text-xs text-white/60">{t("profile.onDevice")}</div>
+          <ul className="space-y-1">
+            {profiles.map((p) => (
+              <li key={p.id} className={classNames("p-2 rounded-xl", p.id === active ? "bg-white/10" : "hover:bg-white/5")}>
+                <button
+                  className="w-full text-left text-sm font-semibold"
+                  onClick={() => select(p)}
+                >{p.name}{p.id === active ? " ✓" : ""}</button>
+                <div className="mt-1 flex gap-1">
+                  <button className={btn} onClick={() => rename(p)}>{t("profile.rename")}</button>
+                  <button className={btn} onClick={() => exportProfile(p)}>{t("profile.export")}</button>
+                  {profiles.length > 1 && <button className={btn} onClick={() => remove(p)}>{t("profile.delete")}</button>}
+                </div>
+              </li>
+            ))}
+          </ul>
+          <button className="w-full px-3 py-2 rounded-xl text-sm bg-white text-slate-900 font-semibold" onClick={create}>
+            {t("profile.new")}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
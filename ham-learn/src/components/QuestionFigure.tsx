@@ -0,0 +1,22 @@
+import React from "react";
+import type { Lang, QA } from "../types.js";
+import { figureOf, type FigureMap } from "../lib/figures.js";
+import { STORE_KEYS } from "../lib/storage.js";
+import { useStored } from "../lib/useStored.js";
+
+// Schéma ou image de la question (colonne de la banque ou fichier compagnon)
+// Fond blanc : les schémas sont dessinés en noir sur transparent.
+export default function QuestionFigure({ q, lang, className = "" }: { q: QA; lang: Lang; className?: string }) {
+  const figures = useStored<FigureMap>(STORE_KEYS.figures, {});
+  const figure = figureOf(q, figures, lang);
+  if (!figure) return null;
+  return (
+    <figure className={`break-inside-avoid ${className}`}>
+      <img
+        src={figure.src}
+        alt={figure.alt}
+        className="max-h-64 max-w-full rounded-lg bg-white p-2 print:max-h-48 print:p-0"
+      />
+    </figure>
+  );
+}
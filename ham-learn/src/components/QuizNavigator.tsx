@@ -0,0 +1,45 @@
+import { classNames } from "../lib/utils.js";
+import { t } from "../i18n/index.js";
+
+export interface NavItem {
+  answered: boolean;
+  flagged: boolean;
+  locked: boolean; // temps écoulé pour cette question
+}
+
+// Navigateur du quiz une question à la fois : une case par question (répondue, marquée, verrouillée)
+export default function QuizNavigator({ items, current, onGo }: {
+  items: NavItem[];
+  current: number;
+  onGo: (n: number) => void;
+}) {
+  return (
+    <nav aria-label={t("quiz.navigator")} className="flex flex-wrap gap-1">
+      {items.map((it, n) => {
+        const state = [
+          it.answered ? t("quiz.nav.answered") : t("a11y.unanswered"),
+          it.flagged && t("quiz.nav.flagged"),
+          it.locked && t("quiz.nav.locked"),
+        ].filter(Boolean).join(", ");
+        return (
+          <button
+            key={n}
+            onClick={() => onGo(n)}
+            aria-current={n === current ? "step" : undefined}
+            aria-label={t("quiz.nav.item", { n: n + 1, state })}
+            title={state}
+            className={classNames(
+              "relative w-9 h-9 rounded-lg text-xs tabular-nums border",
+              it.answered ? "bg-white/20 border-white/30" : "bg-white/5 border-white/10 hover:bg-white/10",
+              it.locked && "opacity-50",
+              n === current && "ring-2 ring-cyan-300"
+            )}
+          >
+            {n + 1}
+            {it.flagged && <span aria-hidden="true" className="absolute -top-1 -right-1 text-[10px] text-amber-300">⚑</span>}
+          </button>
+        );
+      })}
+    </nav>
+  );
+}
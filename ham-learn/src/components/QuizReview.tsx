@@ -0,0 +1,162 @@
+import React, { useMemo, useState } from "react";
+import type { Lang, QA } from "../types.js";
+import type { OptionIndex } from "../lib/options.js";
+import { EXAM_PASS, sectionOf } from "../lib/exam.js";
+import { loadBanks, sectionTitle } from "../lib/banks.js";
+import { quizStatus, reviewQuiz, type QuizQuestion, type QuizStatus } from "../lib/quiz.js";
+import { classNames, formatClock } from "../lib/utils.js";
+import { Card } from "./ui.js";
+import { AnswerText, QuestionText } from "./BilingualText.js";
+import QuestionFigure from "./QuestionFigure.js";
+import ExplanationPanel from "./ExplanationPanel.js";
+import { formatNumber, formatPercent, t, type MessageKey } from "../i18n/index.js";
+
+const SLOW_FACTOR = 1.5; // au‑delà de 1,5 × la moyenne, la question est signalée comme lente
+const STATUS: Record<QuizStatus, { icon: string; label: MessageKey; className: string }> = {
+  correct: { icon: "✓ ", label: "a11y.correct", className: "text-emerald-300" },
+  wrong: { icon: "✗ ", label: "a11y.incorrect", className: "text-rose-300" },
+  unanswered: { icon: "", label: "a11y.unanswered", className: "text-amber-300" },
+};
+
+// CORRECTION DU QUIZ — score par section, chaque question avec la réponse choisie et la bonne, reprise des manquées
+export default function QuizReview({ questions, answers, times, lang, langs, onRetry }: {
+  questions: QuizQuestion[];
+  answers: Record<string, OptionIndex>;
+  times: Record<string, number>; // ms par question
+  lang: Lang;
+  langs: { question: Lang[]; answers: Lang[] };
+  onRetry?: (qs: QA[]) => void;
+}) {
+  const [onlyMissed, setOnlyMissed] = useState<boolean>(false);
+  const review = useMemo(() => reviewQuiz(questions, answers), [questions, answers]);
+  const banks = useMemo(() => loadBanks(), []);
+  const pct = review.total ? Math.round((review.correct / review.total) * 100) : 0;
+  const spent = questions.map(({ qa }) => times[qa.question_id] ?? 0);
+  const totalMs = spent.reduce((a, b) => a + b, 0);
+  const avg = review.total ? totalMs / review.total : 0;
+  const max = Math.max(1, ...spent);
+  const seconds = (ms: number) => t("results.seconds", { n: formatNumber(Math.round(ms / 1000)) });
+  const titled = (sec: string) => {
+    const title = sectionTitle(banks, sec, lang);
+    return title ? `${sec} — ${title}` : sec;
+  };
+
+  return (
+    <>
+      <Card className="border-emerald-400/30">
+        <div className="flex flex-wrap items-start justify-between gap-3">
+          <div>
+            <div className="text-sm font-semibold mb-2">{t("results.title")}</div>
+            <div className="flex items-center gap-4">
+              <div className="text-3xl font-extrabold">{formatPercent(pct)}</div>
+              <div className="text-sm text-white/80">
+                <div>{t("common.score", { correct: review.correct, total: review.total })}</div>
+                <div className="text-xs">
+                  <span className={STATUS.wrong.className}>{t("results.wrong", { n: review.wrong })}</span>
+                  {" · "}
+                  <span className={STATUS.unanswered.className}>{t("results.unanswered", { n: review.unanswered })}</span>
+                </div>
+              </div>
+            </div>
+          </div>
+          {onRetry && (
+            <button
+              onClick={() => onRetry(review.missed)}
+              disabled={review.missed.length === 0}
+              className="px-3 py-2 rounded-xl text-sm bg-white text-slate-900 font-semibold disabled:opacity-40"
+            >{t("results.retry", { n: review.missed.length })}</button>
+          )}
+        </div>
+        {totalMs > 0 && (
+          <div className="mt-2 text-xs text-white/70">
+            {t("results.timeSummary", { total: formatClock(Math.round(totalMs / 1000)), avg: seconds(avg) })}
+          </div>
+        )}
+
+        <div className="mt-4 overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-white/70">
+                <th className="py-2 pr-4">{t("common.section")}</th>
+                <th className="py-2 pr-4">{t("common.questions")}</th>
+                <th className="py-2 pr-4">{t("common.correct")}</th>
+                <th className="py-2 pr-4">{t("results.wrongCol")}</th>
+                <th className="py-2 pr-4">{t("results.unansweredCol")}</th>
+                <th className="py-2 pr-4">{t("common.pctCorrect")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {review.bySection.map((s) => {
+                const secPct = Math.round((s.correct / s.total) * 100);
+                return (
+                  <tr key={s.section} className="border-t border-white/10">
+                    <td className="py-2 pr-4">{titled(s.section)}</td>
+                    <td className="py-2 pr-4 tabular-nums">{s.total}</td>
+                    <td className="py-2 pr-4 tabular-nums">{s.correct}</td>
+                    <td className="py-2 pr-4 tabular-nums">{s.wrong}</td>
+                    <td className="py-2 pr-4 tabular-nums">{s.unanswered}</td>
+                    <td className={classNames("py-2 pr-4 tabular-nums", secPct < EXAM_PASS * 100 && "text-rose-300")}>{formatPercent(secPct)}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </Card>
+
+      <div className="flex items-center justify-between gap-3">
+        <div className="text-sm font-semibold">{t("results.reviewTitle")}</div>
+        <label className="flex items-center gap-2 text-xs text-white/80">
+          <input type="checkbox" className="accent-white" checked={onlyMissed} onChange={(e) => setOnlyMissed(e.target.checked)} />
+          {t("results.onlyMissed")}
+        </label>
+      </div>
+
+      <ol className="space-y-3">
+        {questions.map(({ qa }, n) => {
+          const status = quizStatus(answers, qa.question_id);
+          if (onlyMissed && status === 'correct') return null;
+          const chosen = answers[qa.question_id];
+          const ms = spent[n] ?? 0;
+          const slow = totalMs > 0 && ms > avg * SLOW_FACTOR;
+          return (
+            <li key={qa.question_id}>
+              <Card className={classNames(status === 'wrong' && "border-rose-400/30", status === 'unanswered' && "border-amber-400/30")}>
+                <div className="flex flex-wrap items-center gap-2 text-xs text-white/70 mb-1">
+                  <span className="font-mono">{n + 1}. {qa.question_id}</span>
+                  <span>· {titled(sectionOf(qa.question_id))}</span>
+                  <span className={classNames("font-semibold", STATUS[status].className)}>{STATUS[status].icon}{t(STATUS[status].label)}</span>
+                  {totalMs > 0 && (
+                    <span className="ml-auto flex items-center gap-2">
+                      <span className="w-20 h-2 rounded-full bg-white/10 overflow-hidden" aria-hidden="true">
+                        <span className={classNames("block h-full", slow ? "bg-amber-400" : "bg-cyan-400/70")} style={{ width: `${(ms / max) * 100}%` }} />
+                      </span>
+                      <span className={classNames("tabular-nums", slow && "text-amber-300 font-semibold")}>
+                        {seconds(ms)}{slow && <span className="sr-only"> — {t("results.slow")}</span>}
+                      </span>
+                    </span>
+                  )}
+                </div>
+                <QuestionText q={qa} langs={langs.question} className="font-semibold mb-2" />
+                <QuestionFigure q={qa} lang={langs.question[0] ?? lang} className="mb-2" />
+                <dl className="grid gap-1 text-sm sm:grid-cols-[auto_1fr] sm:gap-x-3">
+                  <dt className="text-white/70">{t("results.yourAnswer")}</dt>
+                  <dd className={STATUS[status].className}>
+                    {chosen === undefined ? t("a11y.unanswered") : <AnswerText q={qa} i={chosen} langs={langs.answers} />}
+                  </dd>
+                  {status !== 'correct' && (
+                    <>
+                      <dt className="text-white/70">{t("results.rightAnswer")}</dt>
+                      <dd className="font-semibold"><AnswerText q={qa} i={0} langs={langs.answers} /></dd>
+                    </>
+                  )}
+                </dl>
+                <ExplanationPanel q={qa} langs={langs.question} />
+              </Card>
+            </li>
+          );
+        })}
+      </ol>
+    </>
+  );
+}
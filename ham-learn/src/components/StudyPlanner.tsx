@@ -0,0 +1,233 @@
+import React, { useMemo, useState } from "react";
+import type { Lang, QA } from "../types.js";
+import {
+  MAX_REST_DAYS,
+  READINESS_DAYS,
+  activityCalendar,
+  dailyPlan,
+  loadGoal,
+  readiness,
+  saveGoal,
+  type HeatDay,
+  type StudyGoal,
+} from "../lib/planner.js";
+import { loadReviews } from "../lib/srs.js";
+import type { Attempt } from "../lib/attempts.js";
+import type { ExamRecord } from "../lib/exam.js";
+import type { ProgressMap } from "../lib/progress.js";
+import { loadBanks, sectionTitle } from "../lib/banks.js";
+import { STORE_KEYS } from "../lib/storage.js";
+import { useStored } from "../lib/useStored.js";
+import { classNames } from "../lib/utils.js";
+import { todayKey } from "../lib/dates.js";
+import { Card, Stat } from "./ui.js";
+import { formatDate, formatDay, formatNumber, formatPercent, t } from "../i18n/index.js";
+
+const HEATMAP_WEEKS = 26;
+const WEEKDAYS = [0, 1, 2, 3, 4, 5, 6]; // 0 = lundi (le 1er janvier 2024 était un lundi)
+const HEAT_CLASSES = ["bg-white/5", "bg-emerald-400/20", "bg-emerald-400/40", "bg-emerald-400/65", "bg-emerald-400"];
+const input = "mt-1 bg-white/10 border border-white/10 rounded-xl px-3 py-2 text-sm text-white";
+
+// OBJECTIFS — date d’examen, objectif quotidien, plan du jour, calendrier d’activité et préparation projetée
+export default function StudyPlanner({ qas, lang, onStudy }: {
+  qas: QA[];
+  lang: Lang;
+  onStudy: (qs: QA[]) => void;
+}) {
+  const [goal, setGoal] = useState<StudyGoal>(() => loadGoal());
+  const progress = useStored<ProgressMap>(STORE_KEYS.progress, {});
+  const attempts = useStored<Attempt[]>(STORE_KEYS.attempts, []);
+  const exams = useStored<ExamRecord[]>(STORE_KEYS.exams, []);
+  const srs = useStored<unknown>(STORE_KEYS.srs, {});
+  const today = todayKey();
+
+  const plan = useMemo(() => dailyPlan(qas, loadReviews(), attempts, goal, today), [qas, srs, attempts, goal, today]); // eslint-disable-line react-hooks/exhaustive-deps
+  const ready = useMemo(() => readiness(attempts, exams, today), [attempts, exams, today]);
+  const calendar = useMemo(() => activityCalendar(progress, goal.dailyGoal, today, HEATMAP_WEEKS), [progress, goal.dailyGoal, today]);
+  const banks = useMemo(() => loadBanks(), []);
+
+  const seenToday = progress[today]?.seen ?? 0;
+  const goalPct = Math.min(100, Math.round((seenToday / Math.max(1, goal.dailyGoal)) * 100));
+
+  function toggleRestDay(d: number): void {
+    const rest = goal.restDays.includes(d) ? goal.restDays.filter((x) => x !== d) : [...goal.restDays, d].sort();
+    if (rest.length <= MAX_REST_DAYS) update({ restDays: rest });
+  }
+
+  function update(patch: Partial<StudyGoal>): void {
+    const next = { ...goal, ...patch };
+    setGoal(next);
+    saveGoal(next);
+  }
+
+  return (
+    <>
+      <Card>
+        <div className="text-sm font-semibold mb-1">{t("plan.title")}</div>
+        <div className="text-xs text-white/70 mb-3">{t("plan.hint")}</div>
+        <div className="flex flex-wrap items-end gap-4">
+          <label className="flex flex-col text-xs text-white/70">
+            {t("plan.examDate")}
+            <input type="date" min={today} value={goal.examDate} onChange={(e) => update({ examDate: e.target.value })} className={input} />
+          </label>
+          <label className="flex flex-col text-xs text-white/70">
+            {t("plan.dailyGoal")}
+            <input
+              type="number"
+              min={5}
+              max={300}
+              step={5}
+              value={goal.dailyGoal}
+              onChange={(e) => update({ dailyGoal: Math.max(1, Math.round(Number(e.target.value) || 0)) })}
+              className={classNames(input, "w-28")}
+            />
+          </label>
+          <fieldset className="flex flex-col text-xs text-white/70">
+            <legend title={t("plan.restDaysHint", { n: MAX_REST_DAYS })}>{t("plan.restDays")}</legend>
+            <div className="mt-1 flex gap-1">
+              {WEEKDAYS.map((d) => {
+                const on = goal.restDays.includes(d);
+                return (
+                  <button
+                    key={d}
+                    type="button"
+                    aria-pressed={on}
+                    disabled={!on && goal.restDays.length >= MAX_REST_DAYS}
+                    onClick={() => toggleRestDay(d)}
+                    className={classNames(
+                      "w-9 py-2 rounded-lg text-xs border disabled:opacity-40",
+                      on ? "bg-sky-400/30 border-sky-300/50 text-white" : "bg-white/5 border-white/10 hover:bg-white/10"
+                    )}
+                  >{formatDate(new Date(2024, 0, 1 + d), { weekday: "narrow" })}<span className="sr-only"> ({formatDate(new Date(2024, 0, 1 + d), { weekday: "long" })})</span></button>
+                );
+              })}
+            </div>
+          </fieldset>
+          <div className="flex-1 min-w-[12rem]">
+            <div className="text-xs text-white/70 mb-1">{t("plan.goalToday", { seen: formatNumber(seenToday), goal: formatNumber(goal.dailyGoal) })}</div>
+            <div
+              role="progressbar"
+              aria-valuemin={0}
+              aria-valuemax={100}
+              aria-valuenow={goalPct}
+              aria-label={t("plan.goalProgress")}
+              className="h-3 rounded-full bg-white/10 overflow-hidden"
+            >
+              <div className={classNames("h-full", goalPct >= 100 ? "bg-emerald-400" : "bg-cyan-400")} style={{ width: `${goalPct}%` }} />
+            </div>
+          </div>
+        </div>
+      </Card>
+
+      <Card>
+        <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+          <div>
+            <div className="text-sm font-semibold">{t("plan.today")}</div>
+            <div className="text-xs text-white/70">
+              {plan.daysLeft === null
+                ? t("plan.noDate")
+                : plan.daysLeft === 0
+                  ? t("plan.examDay")
+                  : t("plan.daysLeft", { n: plan.daysLeft, date: formatDay(goal.examDate) })}
+            </div>
+          </div>
+          <button
+            className="px-3 py-2 rounded-xl text-sm bg-white text-slate-900 font-semibold disabled:opacity-40"
+            disabled={plan.questions.length === 0}
+            onClick={() => onStudy(plan.questions)}
+          >{t("plan.start", { n: plan.questions.length })}</button>
+        </div>
+        <div className="grid gap-3 sm:grid-cols-3">
+          <Stat label={t("plan.due")} value={formatNumber(plan.due)} />
+          <Stat label={t("plan.fresh")} value={formatNumber(plan.fresh)} />
+          <Stat label={t("plan.unseen")} value={formatNumber(plan.unseen)} />
+        </div>
+        <div className={classNames("mt-3 text-xs", plan.onTrack ? "text-emerald-300" : "text-amber-300")}>
+          {plan.onTrack ? t("plan.onTrack") : t("plan.behind", { n: formatNumber(plan.total), goal: formatNumber(goal.dailyGoal) })}
+          {plan.finishBy && <> {t("plan.finishBy", { date: formatDay(plan.finishBy) })}</>}
+        </div>
+        {plan.total > 0 && (
+          <details className="mt-3">
+            <summary className="text-xs text-white/70 cursor-pointer">{t("plan.bySection")}</summary>
+            <table className="mt-2 min-w-full text-xs">
+              <thead>
+                <tr className="text-left text-white/70">
+                  <th className="py-1 pr-4">{t("common.section")}</th>
+                  <th className="py-1 pr-4">{t("plan.due")}</th>
+                  <th className="py-1 pr-4">{t("plan.fresh")}</th>
+                  <th className="py-1 pr-4">{t("common.pctCorrect")}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {plan.bySection.filter((s) => s.due + s.fresh > 0).map((s) => (
+                  <tr key={s.section} className="border-t border-white/10">
+                    <td className="py-1 pr-4">{s.section} {sectionTitle(banks, s.section, lang) && `— ${sectionTitle(banks, s.section, lang)}`}</td>
+                    <td className="py-1 pr-4 tabular-nums">{formatNumber(s.due)}</td>
+                    <td className="py-1 pr-4 tabular-nums">{formatNumber(s.fresh)}</td>
+                    <td className="py-1 pr-4 tabular-nums">{s.accuracy === null ? "—" : formatPercent(Math.round(s.accuracy * 100))}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </details>
+        )}
+      </Card>
+
+      <Card>
+        <div className="text-sm font-semibold mb-1">{t("plan.readiness")}</div>
+        {ready ? (
+          <>
+            <div className="flex items-baseline gap-3">
+              <div className={classNames(
+                "text-3xl font-extrabold",
+                ready.level === 'low' ? "text-rose-300" : ready.level === 'pass' ? "text-cyan-300" : "text-emerald-300"
+              )}>{formatPercent(ready.score)}</div>
+              <div className="text-sm">{t(`plan.level.${ready.level}`)}</div>
+            </div>
+            <div className="mt-1 text-xs text-white/70">
+              {t("plan.readinessFrom", {
+                exam: ready.exam === null ? "—" : formatPercent(ready.exam),
+                quiz: ready.quiz === null ? "—" : formatPercent(ready.quiz),
+                n: formatNumber(ready.quizAnswers),
+                days: READINESS_DAYS,
+              })}
+            </div>
+          </>
+        ) : (
+          <div className="text-xs text-white/70">{t("plan.readinessEmpty", { days: READINESS_DAYS })}</div>
+        )}
+      </Card>
+
+      <Card>
+        <div className="text-sm font-semibold mb-3">{t("plan.calendar", { n: HEATMAP_WEEKS })}</div>
+        <ActivityHeatmap weeks={calendar} />
+      </Card>
+    </>
+  );
+}
+
+// Une colonne par semaine, une case par jour ; intensité selon l’objectif quotidien
+function ActivityHeatmap({ weeks }: { weeks: HeatDay[][] }) {
+  return (
+    <div className="overflow-x-auto">
+      <div role="img" aria-label={t("plan.calendarLabel")} className="inline-flex gap-1">
+        {weeks.map((week) => (
+          <div key={week[0]?.day} className="flex flex-col gap-1">
+            {week.map((d) => (
+              <div
+                key={d.day}
+                title={d.future ? undefined : t("plan.calendarDay", { day: formatDay(d.day), n: formatNumber(d.seen) })}
+                className={classNames("w-3 h-3 rounded-sm", d.future ? "bg-transparent" : HEAT_CLASSES[d.level])}
+              />
+            ))}
+          </div>
+        ))}
+      </div>
+      <div className="mt-2 flex items-center gap-1 text-[10px] text-white/60" aria-hidden="true">
+        {t("plan.less")}
+        {HEAT_CLASSES.map((c) => <span key={c} className={classNames("w-3 h-3 rounded-sm", c)} />)}
+        {t("plan.more")}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,122 @@
+import React, { useEffect, useRef, useState } from "react";
+import type { Lang } from "../types.js";
+import { sectionTitle, type BankInfo } from "../lib/banks.js";
+import { MASTERED_INTERVAL } from "../lib/browse.js";
+import { masteryPct, nodeState, toggleNode, type NodeState, type SyllabusNode } from "../lib/syllabus.js";
+import { classNames } from "../lib/utils.js";
+import { Card } from "./ui.js";
+import { formatNumber, formatPercent, t } from "../i18n/index.js";
+
+// PLAN DE COURS — sections et sous‑sections à cocher, avec titres, nombre de questions et maîtrise
+export default function SyllabusTree({ tree, banks, lang, selected, onChange, onClose }: {
+  tree: SyllabusNode[];
+  banks: BankInfo[];
+  lang: Lang;
+  selected: string[];
+  onChange: (selected: string[]) => void;
+  onClose: () => void;
+}) {
+  const [open, setOpen] = useState<string[]>([]);
+
+  function toggleOpen(id: string): void {
+    setOpen((o) => (o.includes(id) ? o.filter((x) => x !== id) : [...o, id]));
+  }
+
+  return (
+    <Card className="mt-3">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+        <div>
+          <div className="text-sm font-semibold">{t("syllabus.title")}</div>
+          <div className="text-xs text-white/70">{t("syllabus.hint")}</div>
+        </div>
+        <div className="flex gap-2">
+          <button
+            className="px-3 py-2 rounded-xl text-sm bg-white/10 hover:bg-white/20 border border-white/10 disabled:opacity-40"
+            disabled={selected.length === 0}
+            onClick={() => onChange([])}
+          >{t("syllabus.clear")}</button>
+          <button className="px-3 py-2 rounded-xl text-sm bg-white text-slate-900 font-semibold" onClick={onClose}>{t("common.close")}</button>
+        </div>
+      </div>
+      <ul role="tree" aria-multiselectable="true" aria-label={t("syllabus.title")} className="space-y-1">
+        {tree.map((sec) => {
+          const expanded = open.includes(sec.id);
+          return (
+            <li key={sec.id} role="treeitem" aria-expanded={sec.children.length ? expanded : undefined} aria-selected={nodeState(selected, sec) === 'all'}>
+              <div className="flex items-center gap-2">
+                {sec.children.length > 0 ? (
+                  <button
+                    className="w-6 text-white/70 hover:text-white"
+                    aria-label={t(expanded ? "syllabus.collapse" : "syllabus.expand", { section: sec.id })}
+                    onClick={() => toggleOpen(sec.id)}
+                  >{expanded ? "▾" : "▸"}</button>
+                ) : <span className="w-6" />}
+                <NodeRow node={sec} banks={banks} lang={lang} state={nodeState(selected, sec)} onToggle={() => onChange(toggleNode(selected, sec))} />
+              </div>
+              {expanded && (
+                <ul role="group" className="ml-8 mt-1 space-y-1">
+                  {sec.children.map((sub) => (
+                    <li key={sub.id} role="treeitem" aria-selected={nodeState(selected, sub, sec) === 'all'}>
+                      <NodeRow
+                        node={sub}
+                        banks={banks}
+                        lang={lang}
+                        state={nodeState(selected, sub, sec)}
+                        onToggle={() => onChange(toggleNode(selected, sub, sec))}
+                        small
+                      />
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </Card>
+  );
+}
+
+function NodeRow({ node, banks, lang, state, onToggle, small = false }: {
+  node: SyllabusNode;
+  banks: BankInfo[];
+  lang: Lang;
+  state: NodeState;
+  onToggle: () => void;
+  small?: boolean;
+}) {
+  const title = sectionTitle(banks, node.id, lang);
+  const pct = masteryPct(node);
+  return (
+    <label className={classNames("flex flex-1 min-w-0 items-center gap-3", small ? "text-xs" : "text-sm")}>
+      <Checkbox state={state} onChange={onToggle} />
+      <span className="flex-1 min-w-0 truncate">
+        <span className="font-mono text-white/70">{node.id}</span>
+        {title && <span className={small ? "" : "font-semibold"}> — {title}</span>}
+      </span>
+      <span className="w-24 text-right text-white/70 tabular-nums">{t("syllabus.count", { n: formatNumber(node.count) })}</span>
+      <span className="hidden sm:block w-24 h-2 rounded-full bg-white/10 overflow-hidden" aria-hidden="true">
+        <span className="block h-full bg-emerald-400/70" style={{ width: `${pct}%` }} />
+      </span>
+      <span className="w-24 text-right tabular-nums" title={t("syllabus.masteryHint", { days: MASTERED_INTERVAL })}>{t("syllabus.mastery", { pct: formatPercent(pct) })}</span>
+    </label>
+  );
+}
+
+// Case à cocher à trois états (section partiellement cochée)
+function Checkbox({ state, onChange }: { state: NodeState; onChange: () => void }) {
+  const ref = useRef<HTMLInputElement | null>(null);
+  useEffect(() => {
+    if (ref.current) ref.current.indeterminate = state === 'some';
+  }, [state]);
+  return (
+    <input
+      ref={ref}
+      type="checkbox"
+      className="accent-white"
+      checked={state === 'all'}
+      aria-checked={state === 'some' ? "mixed" : state === 'all'}
+      onChange={onChange}
+    />
+  );
+}
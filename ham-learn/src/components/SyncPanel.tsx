@@ -0,0 +1,84 @@
+import React, { useState } from "react";
+import { checkSync, isConfigured, saveSync, syncNow, type SyncSettings } from "../lib/sync.js";
+import { STORE_KEYS } from "../lib/storage.js";
+import { useStored } from "../lib/useStored.js";
+import { formatDateTime, formatNumber, t } from "../i18n/index.js";
+
+const btn = "px-3 py-2 rounded-xl text-sm bg-white/10 hover:bg-white/20 border border-white/10 disabled:opacity-40";
+const input = "mt-1 w-full bg-white/10 border border-white/10 rounded-xl px-3 py-2 text-sm text-white";
+
+// Synchronisation facultative avec le serveur du club (voir lib/sync.ts)
+export default function SyncPanel() {
+  const prefs = useStored<{ sync?: Partial<SyncSettings> }>(STORE_KEYS.prefs, {});
+  const sync: SyncSettings = { url: "", token: "", auto: false, lastSync: null, lastError: "", instructorToken: "", ...prefs.sync };
+  const [busy, setBusy] = useState<boolean>(false);
+  const [message, setMessage] = useState<string>("");
+
+  function update(patch: Partial<SyncSettings>): void {
+    saveSync({ ...sync, ...patch });
+    setMessage("");
+  }
+
+  function run(action: () => Promise<string>): void {
+    setBusy(true);
+    setMessage("");
+    action()
+      .then(setMessage)
+      .catch((err: unknown) => setMessage(err instanceof Error ? err.message : String(err)))
+      .finally(() => setBusy(false));
+  }
+
+  const ready = isConfigured(sync);
+
+  return (
+    <details className="mt-3">
+      <summary className="text-xs text-white/70 cursor-pointer">{t("sync.title")}</summary>
+      <div className="mt-2 space-y-2">
+        <div className="text-xs text-white/60">{t("sync.hint")}</div>
+        <div className="grid gap-2 sm:grid-cols-2">
+          <label className="block text-xs text-white/70">
+            {t("sync.url")}
+            <input
+              type="url"
+              placeholder="http://192.168.1.20:8787"
+              value={sync.url}
+              onChange={(e) => update({ url: e.target.value })}
+              className={input}
+            />
+          </label>
+          <label className="block text-xs text-white/70">
+            {t("sync.token")}
+            <input
+              type="password"
+              autoComplete="off"
+              value={sync.token}
+              onChange={(e) => update({ token: e.target.value })}
+              className={input}
+            />
+          </label>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <button
+            className={btn}
+            disabled={!ready || busy}
+            onClick={() => run(() => checkSync(sync).then((s) => t("sync.connected", { name: s.name })))}
+          >{t("sync.test")}</button>
+          <button
+            className={btn}
+            disabled={!ready || busy}
+            onClick={() => run(() => syncNow().then((s) => t("sync.done", { n: formatNumber(s.attempts) })))}
+          >{t("sync.now")}</button>
+          <label className="flex items-center gap-2 text-xs text-white/70">
+            <input type="checkbox" className="accent-white" checked={sync.auto} disabled={!ready} onChange={(e) => update({ auto: e.target.checked })} />
+            {t("sync.auto")}
+          </label>
+        </div>
+        <div className="text-xs text-white/70" role="status">
+          {message || (sync.lastError
+            ? <span className="text-rose-300">{sync.lastError}</span>
+            : sync.lastSync ? t("sync.last", { date: formatDateTime(sync.lastSync) }) : t("sync.never"))}
+        </div>
+      </div>
+    </details>
+  );
+}
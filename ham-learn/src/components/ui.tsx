@@ -0,0 +1,54 @@
+import React from "react";
+import { classNames } from "../lib/utils.js";
+
+// Simple UI components
+export function Pill({ children }: { children: React.ReactNode }) {
+  return (
+    <span className="inline-flex items-center rounded-full px-3 py-1 text-xs font-semibold ring-1 ring-inset ring-white/20 bg-white/10 backdrop-blur">
+      {children}
+    </span>
+  );
+}
+
+export function Card({ children, className = "", ...rest }: {
+  children: React.ReactNode;
+  className?: string;
+} & Omit<React.HTMLAttributes<HTMLDivElement>, "children" | "className">) {
+  return (
+    <div {...rest} className={classNames(
+      "rounded-2xl shadow-lg p-5 bg-white/5 border border-white/10 backdrop-blur-md",
+      className
+    )}>
+      {children}
+    </div>
+  );
+}
+
+export function GradientTitle({ title, subtitle }: { title: string; subtitle?: string }) {
+  return (
+    <div className="mb-6">
+      <h1 className="text-3xl md:text-4xl font-extrabold tracking-tight bg-clip-text text-transparent bg-gradient-to-r from-cyan-300 via-sky-400 to-fuchsia-400">
+        {title}
+      </h1>
+      {subtitle && <p className="text-sm text-white/80 mt-1">{subtitle}</p>}
+    </div>
+  );
+}
+
+export function Stat({ label, value }: { label: string; value: number | string }) {
+  return (
+    <div className="p-4 rounded-xl bg-white/5 border border-white/10">
+      <div className="text-xs opacity-70">{label}</div>
+      <div className="text-2xl font-extrabold">{value}</div>
+    </div>
+  );
+}
+
+// Touche du clavier (raccourcis) ; masquée des lecteurs d’écran, qui lisent aria-keyshortcuts
+export function Kbd({ children }: { children: React.ReactNode }) {
+  return (
+    <kbd aria-hidden="true" className="ml-1 px-1.5 rounded border border-current font-mono text-[10px] opacity-70">
+      {children}
+    </kbd>
+  );
+}
@@ -0,0 +1,499 @@
+import type { Catalog } from "./fr.js";
+
+// =============================================
+// English catalogue — same keys as fr.ts (checked by the compiler)
+// =============================================
+
+export const en: Catalog = {
+  // Header, tabs, footer
+  "app.title": "HamLearn — Amateur Radio",
+  "app.subtitle": "Flashcards, quizzes, daily tracking. FR/EN bank imported from a .txt file.",
+  "app.language": "Language",
+  "app.display": "Bilingual display",
+  "app.sections": "Study modes",
+  "app.updateAvailable": "A new version of HamLearn is available.",
+  "app.later": "Later",
+  "app.reload": "Reload",
+  "app.footer": "© {year} HamLearn — Learn amateur radio.",
+  "app.pill.daily": "Daily tracking",
+  "app.pill.flash": "Flashcards",
+  "app.pill.quiz": "Quiz",
+  "app.pill.bilingual": "Bilingual",
+  "tab.flash": "Flashcards",
+  "tab.quiz": "Quiz",
+  "tab.exam": "Mock exam",
+  "tab.examRunning": "Mock exam · in progress",
+  "tab.progress": "Progress",
+  "tab.glossary": "Glossary",
+  "tab.browse": "Browse",
+  "tab.calc": "Calculations",
+  "tab.class": "Class mode",
+  "display.single": "One language",
+  "display.side": "Side by side",
+  "display.cross": "Question ⇄ answers",
+
+  // Common
+  "common.close": "Close",
+  "common.cancel": "Cancel",
+  "common.apply": "Apply",
+  "common.quit": "Quit",
+  "common.noQuestions": "No questions loaded.",
+  "common.date": "Date",
+  "common.id": "ID",
+  "common.question": "Question",
+  "common.section": "Section",
+  "common.questions": "Questions",
+  "common.correct": "Correct",
+  "common.pctCorrect": "% Correct",
+  "common.score": "{correct} / {total} correct",
+
+  // Accessibility
+  "a11y.open": "Accessibility and keyboard shortcuts",
+  "a11y.title": "Accessibility",
+  "a11y.theme": "Theme",
+  "theme.gradient": "Gradient",
+  "theme.contrast": "High contrast",
+  "a11y.reduceMotion": "Reduce motion",
+  "a11y.reduceMotionHint": "Motion is already reduced when the system asks for it.",
+  "a11y.shortcuts": "Keyboard shortcuts",
+  "a11y.group.general": "General",
+  "kbd.space": "Space",
+  "kbd.escape": "Esc",
+  "key.help": "Open this help",
+  "key.close": "Close the dialog",
+  "key.reveal": "Show answer",
+  "key.rate": "Rate: Hard, Good, Easy",
+  "key.rateArrows": "Answer shown: Hard / Good",
+  "key.answer": "Choose an option for the current question",
+  "key.navigate": "Previous / next question",
+  "key.flag": "Flag the question to come back to it (one at a time)",
+  "a11y.answerIs": "Answer: {answer}",
+  "a11y.questionN": "Question {n} of {total}",
+  "a11y.chosen": "Option {letter} selected",
+  "a11y.correct": "Correct",
+  "a11y.incorrect": "Incorrect",
+  "a11y.unanswered": "Unanswered",
+  "a11y.score": "Result: {correct} of {total} correct",
+
+  // Toolbar: bank, filter, maintenance
+  "bank.title": "Question bank",
+  "bank.loaded": "{n} questions loaded",
+  "bank.version": "Version {hash} · {date} · {source}",
+  "bank.sourcePublished": "published bank",
+  "bank.import": "Import a .txt",
+  "bank.autoload": "Also place {file} in /public to load it automatically.",
+  "bank.identical": "Bank identical to the current version — nothing changed.",
+  "bank.readError": "Could not read the file: {error}",
+  "bank.updateAvailable": "A new version of the official bank is available.",
+  "bank.reviewChanges": "Review changes",
+  "banks.add": "Add a bank",
+  "banks.namePrompt": "Name of the new bank (e.g. Advanced qualification, Club procedures):",
+  "banks.titles": "Section titles ({n})",
+  "banks.titlesImported": "{n} section title(s) imported for “{bank}”.",
+  "banks.titlesInvalid": "Invalid titles file: a JSON object { \"B-001\": { \"fr\": \"…\", \"en\": \"…\" } } is expected.",
+  "banks.remove": "Remove",
+  "banks.removeConfirm": "Remove the “{bank}” bank and its {n} questions? Study history is kept in case you import it again.",
+  "explain.count": "{n} explanation(s) — optional amat_basic_explanations.json file",
+  "explain.import": "Import explanations",
+  "explain.imported": "{n} explanation(s) imported ({unknown} for questions not in the bank, {rejected} empty entries skipped).",
+  "explain.invalidJson": "This explanations file is not valid JSON.",
+  "explain.invalidFormat": "Unrecognised format: an object keyed by question_id is expected.",
+  "figure.count": "{n} figure(s) — optional amat_basic_figures.json file",
+  "figure.import": "Import figures",
+  "figure.imported": "{n} figure(s) imported ({unknown} for questions not in the bank, {rejected} entry(ies) without a valid image ignored).",
+  "figure.invalidJson": "This figures file is not valid JSON.",
+  "figure.invalidFormat": "Unrecognised format: an object keyed by question_id is expected.",
+  "filter.title": "Sections studied",
+  "filter.chosen": "{n} section(s) selected · {q} question(s)",
+  "filter.choose": "Syllabus",
+  "filter.all": "All sections",
+  "syllabus.title": "Syllabus",
+  "syllabus.hint": "Tick one or more sections or sub-sections: Flashcards and Quiz only cover those.",
+  "syllabus.clear": "All sections",
+  "syllabus.expand": "Show the sub-sections of {section}",
+  "syllabus.collapse": "Hide the sub-sections of {section}",
+  "syllabus.count": "{n} questions",
+  "syllabus.mastery": "{pct} mastered",
+  "syllabus.masteryHint": "Share of questions reviewed in Flashcards with an interval of at least {days} days",
+  "maint.title": "Maintenance",
+  "maint.hint": "Back up or clear local data",
+  "maint.reset": "Reset",
+  "maint.resetConfirm": "Clear progress, SRS and answer history for profile “{name}”? Export a backup first to keep them.",
+  "maint.resetDone": "Progress and SRS have been reset.",
+
+  // Import report
+  "import.title": "Import report — {file}",
+  "import.encoding": "Detected encoding: {encoding}",
+  "import.unchanged": "The current bank was not modified.",
+  "import.accepted": "Accepted",
+  "import.rejected": "Rejected",
+  "import.repaired": "Repaired",
+  "import.rejectedLines": "Rejected lines",
+  "import.repairedLines": "Repaired lines",
+  "import.line": "Line",
+  "import.detail": "Detail",
+  "parse.empty": "Empty file.",
+  "parse.missingColumns": "Required columns missing from the header: {columns}",
+  "parse.missingId": "Missing identifier",
+  "parse.tooFewColumns": "Missing columns ({n} / {expected})",
+  "parse.tooManyColumns": "Too many columns ({n} / {expected}) — unquoted “;”?",
+  "parse.duplicateId": "Duplicate identifier",
+  "parse.emptyField": "Empty field: {fields}",
+  "parse.frenchMissing": "French translation missing (English text used)",
+  "parse.frenchIncomplete": "Incomplete French translation: {fields}",
+  "parse.duplicateOption": "Duplicate answer choice ({lang})",
+  "parse.badImage": "Unrecognised image (path, URL, data:image or <svg> expected): question kept without a figure",
+  "parse.noValid": "No valid question in this file.",
+
+  // New bank version
+  "diff.title": "New bank version",
+  "diff.summary": "SRS history is kept for the {unchanged} unchanged questions; it will be cleared for the {reset} modified and {removed} removed questions.",
+  "diff.unchanged": "Unchanged",
+  "diff.added": "Added",
+  "diff.removed": "Removed",
+  "diff.reworded": "Reworded",
+  "diff.answerChanged": "Correct answer changed",
+  "diff.addedList": "Added questions",
+  "diff.removedList": "Removed questions",
+  "diff.rewordedList": "Reworded questions",
+
+  // Backup
+  "backup.export": "Export",
+  "backup.import": "Import",
+  "backup.csv": "Answers CSV",
+  "backup.includeBank": "Include the question bank in the export",
+  "backup.profile": " — profile “{name}”",
+  "backup.exportedOn": "— exported on {date}",
+  "backup.explain": "Merge keeps the most recent review of each card and recounts each day’s progress from the answers of both devices: importing a backup twice changes nothing. Data is restored into the active profile. Replace clears its local data.",
+  "backup.explainBank": "Merge keeps the most recent review of each card and recounts each day’s progress from the answers of both devices: importing a backup twice changes nothing. Data is restored into the active profile. Replace clears its local data (bank included).",
+  "backup.merge": "Merge",
+  "backup.replace": "Replace",
+  "backup.replaceConfirm": "Replace all local data with the backup?",
+  "backup.merged": "Backup merged.",
+  "backup.restored": "Backup restored.",
+  "backup.invalidJson": "This file is not valid JSON.",
+  "backup.notBackup": "This file is not a HamLearn backup.",
+  "backup.unsupported": "Unsupported backup version ({version}). Please update the app.",
+  "backup.malformed": "Damaged backup: the “{field}” field does not have the expected format.",
+  "sync.title": "Sync with the club",
+  "sync.hint": "Optional: sends your answer log and reviews to your club's server so the instructor can follow your progress. Nothing is sent anywhere else.",
+  "sync.url": "Server address",
+  "sync.token": "Token",
+  "sync.test": "Test",
+  "sync.now": "Sync now",
+  "sync.auto": "Sync automatically after my answers",
+  "sync.connected": "Connected: {name}",
+  "sync.done": "Synced — {n} answer(s) on the server.",
+  "sync.last": "Last sync: {date}",
+  "sync.never": "Never synced.",
+  "sync.error.network": "Server unreachable ({url}).",
+  "sync.error.token": "Token rejected by the server.",
+  "sync.error.status": "Server error ({status}).",
+
+  // Profiles
+  "profile.defaultName": "Main profile",
+  "profile.onDevice": "Profiles on this device",
+  "profile.rename": "Rename",
+  "profile.export": "Export",
+  "profile.delete": "Delete",
+  "profile.new": "New profile",
+  "profile.newPrompt": "Name of the new profile:",
+  "profile.renamePrompt": "New profile name:",
+  "profile.deleteConfirm": "Delete profile “{name}” and all its data (SRS, progress, answers)?",
+  "profile.emptyName": "The profile name cannot be empty.",
+  "profile.duplicateName": "A profile named “{name}” already exists.",
+  "profile.leaveExam": "A mock exam is in progress: switching profiles will abandon it. Continue?",
+  "profile.lastOne": "The last profile cannot be deleted.",
+
+  // Storage
+  "storage.full": "Storage is full ({context}). Export a backup, then free up some space.",
+  "storage.error": "Storage error ({context}): {error}",
+  "storage.openFailed": "opening the database — data from this session will not be kept",
+  "storage.migration": "migrating {key}",
+  "storage.aborted": "transaction aborted",
+  "storage.blocked": "database blocked by another tab — close the app’s other tabs, then reload",
+
+  // Flashcards
+  "flash.due": "Due today",
+  "flash.learning": "Learning",
+  "flash.new": "New",
+  "flash.newPerDay": "New cards / day",
+  "flash.done": "Session complete",
+  "flash.doneHint": "No cards left to review today. Come back tomorrow or raise the number of new cards.",
+  "flash.status.new": "New",
+  "flash.status.learning": "Learning",
+  "flash.status.review": "Review",
+  "flash.show": "Show answer",
+  "flash.answer": "Answer",
+  "flash.rate": "Rate your recall",
+  "flash.hard": "Hard",
+  "flash.good": "Good",
+  "flash.easy": "Easy",
+  "flash.rateHint": "“Hard” puts the card back at the end of the session; “Good” and “Easy” space out the next review. Remaining: {n}",
+
+  // Quiz
+  "quiz.drillTitle": "Targeted review — most-missed questions",
+  "quiz.settings": "Quiz settings",
+  "quiz.count": "Number of questions: {n}",
+  "quiz.seed": "Seed",
+  "quiz.copyLink": "Copy link",
+  "quiz.copied": "Link copied",
+  "quiz.copyPrompt": "Copy this link:",
+  "quiz.redraw": "New draw",
+  "quiz.submit": "Submit",
+  "quiz.submitted": "Submitted",
+  "quiz.totalLimit": "Total time",
+  "quiz.questionLimit": "Per question",
+  "quiz.noLimit": "No limit",
+  "quiz.minutes": "{n} min",
+  "quiz.seconds": "{n} s",
+  "quiz.oneByOne": "One question at a time",
+  "quiz.start": "Start",
+  "quiz.timedIntro": "Timed quiz: questions appear when the clock starts.",
+  "quiz.timedTotal": "Total time: {n} min — submitted automatically when time runs out.",
+  "quiz.timedQuestion": "{n} s per question — the question locks once its time is up.",
+  "quiz.timeLeft": "Time left",
+  "quiz.questionClock": "Question: {time}",
+  "quiz.timeUp": "Time is up, quiz submitted.",
+  "quiz.prev": "← Previous",
+  "quiz.next": "Next →",
+  "quiz.flag": "Flag",
+  "quiz.unflag": "Remove flag",
+  "quiz.flagged": "Question flagged",
+  "quiz.unflagged": "Flag removed",
+  "quiz.navigator": "Question navigator",
+  "quiz.nav.answered": "answered",
+  "quiz.nav.flagged": "flagged",
+  "quiz.nav.locked": "time up",
+  "quiz.nav.item": "Question {n}: {state}",
+  "figure.alt": "Figure for question {id}",
+  "explain.title": "Explanation",
+  "explain.refs": "References:",
+  "notes.add": "Add a note",
+  "notes.label": "My note",
+  "notes.placeholder": "Mnemonic, link to the course…",
+
+  // Calculation practice
+  "calc.title": "Calculation practice",
+  "calc.intro": "New values every set: apply the formula instead of memorising the answer.",
+  "calc.topics": "Topics",
+  "calc.topic.ohm": "Ohm’s law",
+  "calc.topic.power": "Power",
+  "calc.topic.reactance": "Reactance",
+  "calc.topic.resonance": "Resonance",
+  "calc.topic.decibel": "Decibels",
+  "calc.answerMode": "Answer",
+  "calc.mode.input": "Free entry (with unit)",
+  "calc.mode.choice": "Multiple choice",
+  "calc.start": "Start",
+  "calc.progress": "Question {n} / {total}",
+  "calc.answerLabel": "Your answer ({unit})",
+  "calc.hint": "Accepted prefixes: p, n, µ (or u), m, k, M, G. Unit optional. Tolerance: {tol}.",
+  "calc.hintDb": "Answer in decibels, within ± {tol}.",
+  "calc.check": "Check",
+  "calc.next": "Next question",
+  "calc.finish": "See result",
+  "calc.right": "Correct! {answer}",
+  "calc.wrong": "Wrong — expected answer: {answer}",
+  "calc.formula": "Formula: {formula}",
+  "calc.errNumber": "Enter a number, for example 4.7 k.",
+  "calc.errUnit": "Unknown unit or prefix — expected unit: {unit}.",
+  "calc.done": "Set complete: {correct} / {total}",
+  "calc.again": "New set",
+  "calc.settings": "Change topics",
+  "calc.analyticsRow": "Calculation practice — {topic}",
+  "calc.ohm.V": "A current of {I} flows through a {R} resistor. What is the voltage across it?",
+  "calc.ohm.I": "{V} is applied across a {R} resistor. What current flows through it?",
+  "calc.ohm.R": "A resistor carrying {I} has {V} across it. What is its resistance?",
+  "calc.power.VI": "A transmitter powered from {V} draws {I}. How much power does it consume?",
+  "calc.power.IR": "A current of {I} flows through a {R} resistor. How much power is dissipated?",
+  "calc.power.VR": "{V} is applied across a {R} load. How much power is dissipated?",
+  "calc.reactance.L": "What is the reactance of a {L} inductor at {f}?",
+  "calc.reactance.C": "What is the reactance of a {C} capacitor at {f}?",
+  "calc.resonance": "What is the resonant frequency of an LC circuit made of a {L} inductor and a {C} capacitor?",
+  "calc.db.power": "Power goes from {P1} to {P2}. What is the gain (or loss) in decibels?",
+  "calc.db.voltage": "A voltage goes from {V1} to {V2}, across the same impedance. What is the gain (or loss) in decibels?",
+  "calc.db.gain": "A {P1} signal passes through a stage with {G} of gain. What is the output power?",
+
+  // Browse the bank
+  "browse.title": "Browse the bank",
+  "browse.search": "Search in French or English (accents optional)…",
+  "browse.wholeSection": "{section} — whole section",
+  "browse.statusLabel": "Status",
+  "browse.anyStatus": "Any status",
+  "browse.status.new": "New",
+  "browse.status.due": "Due",
+  "browse.status.mastered": "Mastered",
+  "browse.status.missed": "Often missed",
+  "browse.markLabel": "Bookmarks and flags",
+  "browse.allMarks": "All questions",
+  "browse.bookmarked": "Bookmarked",
+  "browse.flagged": "Flagged",
+  "browse.count": "{n} question(s)",
+  "browse.studyFlash": "Study as flashcards",
+  "browse.studyQuiz": "Start a quiz",
+  "browse.none": "No matching question.",
+  "browse.more": "Show more ({n} left)",
+  "browse.bookmark": "Bookmark",
+  "browse.flag": "Flag (needs checking)",
+  "browse.sessionTitle": "Selection — {n} question(s)",
+  "results.title": "Results",
+  "results.wrong": "{n} wrong",
+  "results.unanswered": "{n} unanswered",
+  "results.wrongCol": "Wrong",
+  "results.unansweredCol": "Unanswered",
+  "results.retry": "Retry the {n} missed question(s)",
+  "results.retryTitle": "Retry — {n} missed question(s)",
+  "results.reviewTitle": "Detailed review",
+  "results.onlyMissed": "Missed only",
+  "results.yourAnswer": "Your answer",
+  "results.rightAnswer": "Correct answer",
+  "results.timeSummary": "Total {total} · average {avg} per question",
+  "results.seconds": "{n} s",
+  "results.slow": "slow",
+
+  // Progress
+  "progress.title": "Your progress",
+  "progress.hint": "Updated automatically after every answer",
+  "progress.seenToday": "Questions seen (today)",
+  "progress.correctToday": "Correct answers (today)",
+  "progress.streak": "Streak (consecutive days)",
+  "progress.longest": "Longest streak",
+  "progress.restDaysNote": "Rest days chosen in your goals freeze the streak instead of breaking it.",
+  "progress.history": "Daily history",
+  "progress.seen": "Seen",
+
+  // Goals and study plan
+  "plan.title": "Goals",
+  "plan.hint": "Set your exam date and how many questions to see each day (all modes combined).",
+  "plan.examDate": "Exam date",
+  "plan.dailyGoal": "Daily goal (questions)",
+  "plan.restDays": "Rest days",
+  "plan.restDaysHint": "Up to {n} days a week: without activity they do not break the streak (nor extend it).",
+  "plan.goalToday": "Today: {seen} / {goal} questions",
+  "plan.goalProgress": "Progress toward today's goal",
+  "plan.today": "Today's plan",
+  "plan.noDate": "No exam date: new cards up to the daily goal.",
+  "plan.examDay": "It's exam day: review what is due. Good luck!",
+  "plan.daysLeft": "{n} day(s) until the exam on {date}; the last few days are kept for review.",
+  "plan.start": "Start ({n} cards)",
+  "plan.sessionTitle": "Today's plan ({n} cards)",
+  "plan.due": "Due reviews",
+  "plan.fresh": "New cards",
+  "plan.unseen": "Never seen",
+  "plan.onTrack": "Today's session fits within your goal.",
+  "plan.behind": "Today's session: {n} cards, above your goal of {goal} — raise the goal or push back the exam.",
+  "plan.finishBy": "At your goal's pace, you will have seen the whole bank by {date}.",
+  "plan.bySection": "Breakdown by section (weak sections get more new cards)",
+  "plan.readiness": "Projected readiness",
+  "plan.readinessFrom": "Mock exams: {exam} · Quizzes: {quiz} ({n} answers) — last {days} days",
+  "plan.readinessEmpty": "Take a mock exam or a few quizzes: the projection is based on your results from the last {days} days.",
+  "plan.level.low": "Not ready yet: aim for 70% or more",
+  "plan.level.pass": "Likely pass",
+  "plan.level.honours": "Honours in sight (80% and up)",
+  "plan.calendar": "Activity (last {n} weeks)",
+  "plan.calendarLabel": "Activity calendar: one square per day, darker when the goal is met",
+  "plan.calendarDay": "{day}: {n} question(s)",
+  "plan.less": "Less",
+  "plan.more": "More",
+
+  // Answer analytics
+  "analytics.title": "Answer analysis",
+  "analytics.empty": "Answer a few questions to see your weak spots by section.",
+  "analytics.bySection": "Accuracy by section",
+  "analytics.expandHint": "Click a section to see its sub-sections.",
+  "analytics.byCalcTopic": "Calculation practice by topic",
+  "analytics.trend": "Trend (last {n} days)",
+  "analytics.chart": "Daily accuracy",
+  "analytics.missed": "Most-missed questions",
+  "analytics.drill": "Review my weakest questions",
+  "analytics.missedCol": "Missed",
+
+  // Mock exam
+  "exam.title": "Mock exam — Basic qualification",
+  "exam.intro": "100 questions following the ISED blueprint (one per sub-section). Pass: {pass}%, honours: {honours}%.",
+  "exam.duration": "Duration: {n} min",
+  "exam.start": "Start",
+  "exam.running": "Mock exam",
+  "exam.answered": "Answered: {n} / {total}",
+  "exam.submit": "Hand in",
+  "exam.endReview": "Finish review",
+  "exam.unansweredConfirm": "{n} question(s) unanswered. Hand in the exam anyway?",
+  "exam.results": "Exam results",
+  "exam.passed": "Passed",
+  "exam.failed": "Failed",
+  "exam.honours": "Honours",
+  "exam.passedHonours": "Passed with honours",
+  "exam.summary": "{verdict} — {correct} / {total} correct, {unanswered} unanswered",
+  "exam.timedOut": " (time ran out)",
+  "exam.history": "Previous mock exams",
+  "exam.historyHint": "You are ready when your latest attempts pass consistently.",
+  "exam.count": "Exams taken",
+  "exam.best": "Best score",
+  "exam.recentPassed": "Passed (last 5)",
+  "exam.score": "Score",
+  "exam.result": "Result",
+  "exam.durationCol": "Duration",
+
+  // Glossary
+  "glossary.title": "Bilingual glossary",
+  "glossary.count": "{n} terms taken from the bank’s correct answers, in English and French.",
+  "glossary.search": "Search for a term…",
+  "glossary.none": "No matching term.",
+  "glossary.fr": "Français",
+  "glossary.en": "English",
+
+  // Class mode
+  "class.title": "Class mode — printable exam",
+  "class.intro": "One question per sub-section of the chosen sections. The same seed always regenerates the same exam (same questions, same option order) as long as the bank does not change.",
+  "class.examTitle": "Title",
+  "class.defaultTitle": "Basic qualification exam — practice",
+  "class.seed": "Seed",
+  "class.newSeed": "New seed",
+  "class.language": "Language",
+  "class.lang.fr": "Français",
+  "class.lang.en": "English",
+  "class.lang.both": "Bilingual (FR / EN)",
+  "class.sections": "Sections ({n} questions)",
+  "class.printExam": "Print exam",
+  "class.printKey": "Print answer key",
+  "class.printSheet": "Print answer sheet",
+  "class.doc.exam": "Exam",
+  "class.doc.key": "Answer key",
+  "class.doc.sheet": "Answer sheet",
+  "dash.title": "Instructor dashboard",
+  "dash.intro": "Follow the students synced with the club server (npm run sync-server). The instructor token is shown when the server starts.",
+  "dash.token": "Instructor token",
+  "dash.load": "Load class",
+  "dash.refresh": "Refresh",
+  "dash.students": "Students ({n})",
+  "dash.flagHint": "Flagged: no answers for {days} days, under {pass}% over {recent} days, or a section under 50%.",
+  "dash.newStudent": "New student",
+  "dash.add": "Add",
+  "dash.empty": "No students yet. Add one, then give them their token.",
+  "dash.student": "Student",
+  "dash.lastActive": "Last active",
+  "dash.synced": "synced {date}",
+  "dash.answers": "Answers",
+  "dash.recent": "Accuracy ({days} d)",
+  "dash.mastered": "Mastered",
+  "dash.weakest": "Weakest section",
+  "dash.flags": "Watch",
+  "dash.ok": "OK",
+  "dash.flag.inactive": "Inactive",
+  "dash.flag.lowAccuracy": "Low accuracy",
+  "dash.flag.weakSection": "Weak section",
+  "dash.copyToken": "Copy token",
+  "dash.remove": "Remove",
+  "dash.removeConfirm": "Remove {name} and erase their data from the server?",
+  "dash.bySection": "Class accuracy by section",
+  "dash.belowPass": "Students under {pass}%",
+  "dash.ofStudents": "{n} / {total}",
+  "print.meta": "Seed {seed} · bank {bank} · {n} questions",
+  "print.nameDate": "Name: ______________________________   Date: ______________",
+  "print.keySubtitle": "Answer key — instructor copy",
+  "print.breakdown": "Breakdown: {list}",
+  "print.sheetSubtitle": "Answer sheet — fill in one bubble per question",
+  "print.name": "Name: ________________________________",
+  "print.studentId": "Call sign / student no.: ________________",
+};
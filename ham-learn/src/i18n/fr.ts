@@ -0,0 +1,503 @@
+// =============================================
+// Catalogue français — catalogue de référence
+// =============================================
+// Les clés définies ici font foi : en.ts doit contenir exactement les mêmes
+// (vérifié à la compilation et par i18n.test.ts). Variables : {nom}.
+// =============================================
+
+export const fr = {
+  // En-tête, onglets, pied de page
+  "app.title": "HamLearn — Radio‑amateur",
+  "app.subtitle": "Flashcards, Quiz, suivi quotidien. Banque FR/EN importée depuis un fichier .txt.",
+  "app.language": "Langue",
+  "app.display": "Affichage bilingue",
+  "app.sections": "Modes d’étude",
+  "app.updateAvailable": "Une nouvelle version de HamLearn est disponible.",
+  "app.later": "Plus tard",
+  "app.reload": "Recharger",
+  "app.footer": "© {year} HamLearn — Apprendre la radio‑amateur.",
+  "app.pill.daily": "Suivi quotidien",
+  "app.pill.flash": "Flashcards",
+  "app.pill.quiz": "Quiz",
+  "app.pill.bilingual": "Bilingue",
+  "tab.flash": "Flashcards",
+  "tab.quiz": "Quiz",
+  "tab.exam": "Examen simulé",
+  "tab.examRunning": "Examen simulé · en cours",
+  "tab.progress": "Progrès",
+  "tab.glossary": "Glossaire",
+  "tab.browse": "Parcourir",
+  "tab.calc": "Calculs",
+  "tab.class": "Mode classe",
+  "display.single": "Une langue",
+  "display.side": "Côte à côte",
+  "display.cross": "Question ⇄ réponses",
+
+  // Commun
+  "common.close": "Fermer",
+  "common.cancel": "Annuler",
+  "common.apply": "Appliquer",
+  "common.quit": "Quitter",
+  "common.noQuestions": "Aucune question chargée.",
+  "common.date": "Date",
+  "common.id": "ID",
+  "common.question": "Question",
+  "common.section": "Section",
+  "common.questions": "Questions",
+  "common.correct": "Justes",
+  "common.pctCorrect": "% Exact",
+  "common.score": "{correct} / {total} justes",
+
+  // Accessibilité
+  "a11y.open": "Accessibilité et raccourcis clavier",
+  "a11y.title": "Accessibilité",
+  "a11y.theme": "Thème",
+  "theme.gradient": "Dégradé",
+  "theme.contrast": "Contraste élevé",
+  "a11y.reduceMotion": "Réduire les animations",
+  "a11y.reduceMotionHint": "Elles sont déjà réduites si le système le demande.",
+  "a11y.shortcuts": "Raccourcis clavier",
+  "a11y.group.general": "Général",
+  "kbd.space": "Espace",
+  "kbd.escape": "Échap",
+  "key.help": "Ouvrir cette aide",
+  "key.close": "Fermer la fenêtre",
+  "key.reveal": "Afficher la réponse",
+  "key.rate": "Évaluer : Dur, Correct, Facile",
+  "key.rateArrows": "Réponse affichée : Dur / Correct",
+  "key.answer": "Choisir une option de la question courante",
+  "key.navigate": "Question précédente / suivante",
+  "key.flag": "Marquer la question pour y revenir (une à la fois)",
+  "a11y.answerIs": "Réponse : {answer}",
+  "a11y.questionN": "Question {n} sur {total}",
+  "a11y.chosen": "Option {letter} choisie",
+  "a11y.correct": "Juste",
+  "a11y.incorrect": "Faux",
+  "a11y.unanswered": "Sans réponse",
+  "a11y.score": "Résultat : {correct} sur {total} justes",
+
+  // Barre d’outils : banque, filtre, maintenance
+  "bank.title": "Banque de questions",
+  "bank.loaded": "{n} questions chargées",
+  "bank.version": "Version {hash} · {date} · {source}",
+  "bank.sourcePublished": "banque publiée",
+  "bank.import": "Importer un .txt",
+  "bank.autoload": "Placez également {file} dans /public pour le chargement automatique.",
+  "bank.identical": "Banque identique à la version actuelle — aucun changement.",
+  "bank.readError": "Lecture impossible : {error}",
+  "bank.updateAvailable": "Une nouvelle version de la banque officielle est disponible.",
+  "bank.reviewChanges": "Voir les changements",
+  "banks.add": "Ajouter une banque",
+  "banks.namePrompt": "Nom de la nouvelle banque (ex. Compétence supérieure, Procédures du club) :",
+  "banks.titles": "Titres des sections ({n})",
+  "banks.titlesImported": "{n} titre(s) de section importé(s) pour « {bank} ».",
+  "banks.titlesInvalid": "Fichier de titres invalide : un objet JSON { \"B-001\": { \"fr\": \"…\", \"en\": \"…\" } } est attendu.",
+  "banks.remove": "Retirer",
+  "banks.removeConfirm": "Retirer la banque « {bank} » et ses {n} questions ? L’historique d’étude est conservé pour une réimportation.",
+  "explain.count": "{n} explication(s) — fichier facultatif amat_basic_explanations.json",
+  "explain.import": "Importer des explications",
+  "explain.imported": "{n} explication(s) importée(s) ({unknown} pour des questions absentes de la banque, {rejected} entrée(s) vide(s) ignorée(s)).",
+  "explain.invalidJson": "Ce fichier d’explications n’est pas un JSON valide.",
+  "explain.invalidFormat": "Format non reconnu : un objet indexé par question_id est attendu.",
+  "figure.count": "{n} figure(s) — fichier facultatif amat_basic_figures.json",
+  "figure.import": "Importer des figures",
+  "figure.imported": "{n} figure(s) importée(s) ({unknown} pour des questions absentes de la banque, {rejected} entrée(s) sans image valide ignorée(s)).",
+  "figure.invalidJson": "Ce fichier de figures n’est pas un JSON valide.",
+  "figure.invalidFormat": "Format non reconnu : un objet indexé par question_id est attendu.",
+  "filter.title": "Sections étudiées",
+  "filter.chosen": "{n} section(s) choisie(s) · {q} question(s)",
+  "filter.choose": "Plan de cours",
+  "filter.all": "Toutes les sections",
+  "syllabus.title": "Plan de cours",
+  "syllabus.hint": "Cochez une ou plusieurs sections ou sous‑sections : Flashcards et Quiz ne portent que sur elles.",
+  "syllabus.clear": "Toutes les sections",
+  "syllabus.expand": "Afficher les sous‑sections de {section}",
+  "syllabus.collapse": "Masquer les sous‑sections de {section}",
+  "syllabus.count": "{n} questions",
+  "syllabus.mastery": "{pct} acquis",
+  "syllabus.masteryHint": "Part des questions révisées avec un intervalle d’au moins {days} jours en Flashcards",
+  "maint.title": "Maintenance",
+  "maint.hint": "Sauvegarder ou effacer les données locales",
+  "maint.reset": "Réinitialiser",
+  "maint.resetConfirm": "Effacer le progrès, le SRS et l’historique des réponses du profil « {name} » ? Exportez d’abord une sauvegarde pour les conserver.",
+  "maint.resetDone": "Progrès et SRS remis à zéro.",
+
+  // Rapport d’importation
+  "import.title": "Rapport d’importation — {file}",
+  "import.encoding": "Encodage détecté : {encoding}",
+  "import.unchanged": "La banque actuelle n’a pas été modifiée.",
+  "import.accepted": "Acceptées",
+  "import.rejected": "Rejetées",
+  "import.repaired": "Réparées",
+  "import.rejectedLines": "Lignes rejetées",
+  "import.repairedLines": "Lignes réparées",
+  "import.line": "Ligne",
+  "import.detail": "Détail",
+  "parse.empty": "Fichier vide.",
+  "parse.missingColumns": "Colonnes obligatoires absentes de l’en‑tête : {columns}",
+  "parse.missingId": "Identifiant manquant",
+  "parse.tooFewColumns": "Colonnes manquantes ({n} / {expected})",
+  "parse.tooManyColumns": "Colonnes en trop ({n} / {expected}) — « ; » non protégé ?",
+  "parse.duplicateId": "Identifiant en double",
+  "parse.emptyField": "Champ vide : {fields}",
+  "parse.frenchMissing": "Traduction française manquante (texte anglais utilisé)",
+  "parse.frenchIncomplete": "Traduction française incomplète : {fields}",
+  "parse.duplicateOption": "Choix de réponse en double ({lang})",
+  "parse.badImage": "Image non reconnue (chemin, URL, data:image ou <svg> attendu) : question gardée sans figure",
+  "parse.noValid": "Aucune question valide dans ce fichier.",
+
+  // Nouvelle version de la banque
+  "diff.title": "Nouvelle version de la banque",
+  "diff.summary": "L’historique SRS des {unchanged} questions inchangées est conservé ; celui des {reset} questions modifiées et des {removed} questions retirées sera effacé.",
+  "diff.unchanged": "Inchangées",
+  "diff.added": "Ajoutées",
+  "diff.removed": "Retirées",
+  "diff.reworded": "Reformulées",
+  "diff.answerChanged": "Bonne réponse modifiée",
+  "diff.addedList": "Questions ajoutées",
+  "diff.removedList": "Questions retirées",
+  "diff.rewordedList": "Questions reformulées",
+
+  // Sauvegarde
+  "backup.export": "Exporter",
+  "backup.import": "Importer",
+  "backup.csv": "CSV des réponses",
+  "backup.includeBank": "Inclure la banque de questions dans l’export",
+  "backup.profile": " — profil « {name} »",
+  "backup.exportedOn": "— exportée le {date}",
+  "backup.explain": "Fusionner garde la révision la plus récente de chaque carte et recompte la progression de chaque jour à partir des réponses des deux appareils : réimporter une sauvegarde ne double rien. Les données sont restaurées dans le profil actif. Remplacer efface ses données locales.",
+  "backup.explainBank": "Fusionner garde la révision la plus récente de chaque carte et recompte la progression de chaque jour à partir des réponses des deux appareils : réimporter une sauvegarde ne double rien. Les données sont restaurées dans le profil actif. Remplacer efface ses données locales (banque incluse).",
+  "backup.merge": "Fusionner",
+  "backup.replace": "Remplacer",
+  "backup.replaceConfirm": "Remplacer toutes les données locales par celles de la sauvegarde ?",
+  "backup.merged": "Sauvegarde fusionnée.",
+  "backup.restored": "Sauvegarde restaurée.",
+  "backup.invalidJson": "Ce fichier n’est pas un JSON valide.",
+  "backup.notBackup": "Ce fichier n’est pas une sauvegarde HamLearn.",
+  "backup.unsupported": "Version de sauvegarde non prise en charge ({version}). Mettez l’application à jour.",
+  "backup.malformed": "Sauvegarde endommagée : le champ « {field} » n’a pas le format attendu.",
+  "sync.title": "Synchronisation avec le club",
+  "sync.hint": "Facultatif : envoie votre journal des réponses et vos révisions au serveur de votre club, pour que l’instructeur suive vos progrès. Rien n’est envoyé ailleurs.",
+  "sync.url": "Adresse du serveur",
+  "sync.token": "Jeton",
+  "sync.test": "Tester",
+  "sync.now": "Synchroniser maintenant",
+  "sync.auto": "Synchroniser automatiquement après mes réponses",
+  "sync.connected": "Connecté : {name}",
+  "sync.done": "Synchronisé — {n} réponse(s) sur le serveur.",
+  "sync.last": "Dernière synchronisation : {date}",
+  "sync.never": "Jamais synchronisé.",
+  "sync.error.network": "Serveur injoignable ({url}).",
+  "sync.error.token": "Jeton refusé par le serveur.",
+  "sync.error.status": "Erreur du serveur ({status}).",
+
+  // Profils
+  "profile.defaultName": "Profil principal",
+  "profile.onDevice": "Profils sur cet appareil",
+  "profile.rename": "Renommer",
+  "profile.export": "Exporter",
+  "profile.delete": "Supprimer",
+  "profile.new": "Nouveau profil",
+  "profile.newPrompt": "Nom du nouveau profil :",
+  "profile.renamePrompt": "Nouveau nom du profil :",
+  "profile.deleteConfirm": "Supprimer le profil « {name} » et toutes ses données (SRS, progrès, réponses) ?",
+  "profile.emptyName": "Le nom du profil ne peut pas être vide.",
+  "profile.duplicateName": "Un profil nommé « {name} » existe déjà.",
+  "profile.leaveExam": "Un examen blanc est en cours : changer de profil l’abandonnera. Continuer ?",
+  "profile.lastOne": "Impossible de supprimer le dernier profil.",
+
+  // Stockage
+  "storage.full": "Espace de stockage plein ({context}). Exportez une sauvegarde puis libérez de l’espace.",
+  "storage.error": "Erreur de stockage ({context}) : {error}",
+  "storage.openFailed": "ouverture de la base — les données de cette session ne seront pas conservées",
+  "storage.migration": "migration de {key}",
+  "storage.aborted": "transaction annulée",
+  "storage.blocked": "base bloquée par un autre onglet — fermez les autres onglets de l’application puis rechargez",
+
+  // Flashcards
+  "flash.due": "À réviser aujourd’hui",
+  "flash.learning": "En apprentissage",
+  "flash.new": "Nouvelles",
+  "flash.newPerDay": "Nouvelles cartes / jour",
+  "flash.done": "Séance terminée",
+  "flash.doneHint": "Aucune carte à réviser pour aujourd’hui. Revenez demain ou augmentez le nombre de nouvelles cartes.",
+  "flash.status.new": "Nouvelle",
+  "flash.status.learning": "En apprentissage",
+  "flash.status.review": "Révision",
+  "flash.show": "Afficher la réponse",
+  "flash.answer": "Réponse",
+  "flash.rate": "Évaluez votre rappel",
+  "flash.hard": "Dur",
+  "flash.good": "Correct",
+  "flash.easy": "Facile",
+  "flash.rateHint": "« Dur » remet la carte en fin de séance ; « Correct » et « Facile » espacent la prochaine révision. Reste : {n}",
+
+  // Quiz
+  "quiz.drillTitle": "Révision ciblée — questions les plus ratées",
+  "quiz.settings": "Paramètres du quiz",
+  "quiz.count": "Nombre de questions : {n}",
+  "quiz.seed": "Graine",
+  "quiz.copyLink": "Copier le lien",
+  "quiz.copied": "Lien copié",
+  "quiz.copyPrompt": "Copiez ce lien :",
+  "quiz.redraw": "Nouveau tirage",
+  "quiz.submit": "Valider",
+  "quiz.submitted": "Remis",
+  "quiz.totalLimit": "Durée totale",
+  "quiz.questionLimit": "Par question",
+  "quiz.noLimit": "Sans limite",
+  "quiz.minutes": "{n} min",
+  "quiz.seconds": "{n} s",
+  "quiz.oneByOne": "Une question à la fois",
+  "quiz.start": "Commencer",
+  "quiz.timedIntro": "Quiz chronométré : les questions s’affichent au départ du chronomètre.",
+  "quiz.timedTotal": "Durée totale : {n} min — remise automatique à la fin du temps.",
+  "quiz.timedQuestion": "{n} s par question — la question est verrouillée une fois son temps écoulé.",
+  "quiz.timeLeft": "Temps restant",
+  "quiz.questionClock": "Question : {time}",
+  "quiz.timeUp": "Temps écoulé, quiz remis.",
+  "quiz.prev": "← Précédente",
+  "quiz.next": "Suivante →",
+  "quiz.flag": "Marquer",
+  "quiz.unflag": "Retirer la marque",
+  "quiz.flagged": "Question marquée",
+  "quiz.unflagged": "Marque retirée",
+  "quiz.navigator": "Navigateur des questions",
+  "quiz.nav.answered": "répondue",
+  "quiz.nav.flagged": "marquée",
+  "quiz.nav.locked": "temps écoulé",
+  "quiz.nav.item": "Question {n} : {state}",
+  "figure.alt": "Figure de la question {id}",
+  "explain.title": "Explication",
+  "explain.refs": "Références :",
+  "notes.add": "Ajouter une note",
+  "notes.label": "Ma note",
+  "notes.placeholder": "Moyen mnémotechnique, lien avec le cours…",
+
+  // Exercices de calcul
+  "calc.title": "Exercices de calcul",
+  "calc.intro": "Nouvelles valeurs à chaque série : appliquez la formule plutôt que de retenir la réponse.",
+  "calc.topics": "Thèmes",
+  "calc.topic.ohm": "Loi d’Ohm",
+  "calc.topic.power": "Puissance",
+  "calc.topic.reactance": "Réactance",
+  "calc.topic.resonance": "Résonance",
+  "calc.topic.decibel": "Décibels",
+  "calc.answerMode": "Réponse",
+  "calc.mode.input": "Saisie libre (avec unité)",
+  "calc.mode.choice": "Choix multiple",
+  "calc.start": "Commencer",
+  "calc.progress": "Question {n} / {total}",
+  "calc.answerLabel": "Votre réponse ({unit})",
+  "calc.hint": "Préfixes acceptés : p, n, µ (ou u), m, k, M, G. Unité facultative. Tolérance : {tol}.",
+  "calc.hintDb": "Réponse en décibels, à ± {tol} près.",
+  "calc.check": "Vérifier",
+  "calc.next": "Question suivante",
+  "calc.finish": "Voir le résultat",
+  "calc.right": "Juste ! {answer}",
+  "calc.wrong": "Faux — réponse attendue : {answer}",
+  "calc.formula": "Formule : {formula}",
+  "calc.errNumber": "Entrez un nombre, par exemple 4,7 k.",
+  "calc.errUnit": "Unité ou préfixe non reconnu — unité attendue : {unit}.",
+  "calc.done": "Série terminée : {correct} / {total}",
+  "calc.again": "Nouvelle série",
+  "calc.settings": "Changer de thèmes",
+  "calc.analyticsRow": "Exercice de calcul — {topic}",
+  "calc.ohm.V": "Un courant de {I} traverse une résistance de {R}. Quelle est la tension à ses bornes ?",
+  "calc.ohm.I": "Une tension de {V} est appliquée à une résistance de {R}. Quel courant la traverse ?",
+  "calc.ohm.R": "Une résistance parcourue par {I} présente {V} à ses bornes. Quelle est sa valeur ?",
+  "calc.power.VI": "Un émetteur alimenté sous {V} consomme {I}. Quelle puissance absorbe‑t‑il ?",
+  "calc.power.IR": "Un courant de {I} traverse une résistance de {R}. Quelle puissance y est dissipée ?",
+  "calc.power.VR": "Une tension de {V} est appliquée à une charge de {R}. Quelle puissance y est dissipée ?",
+  "calc.reactance.L": "Quelle est la réactance d’une bobine de {L} à {f} ?",
+  "calc.reactance.C": "Quelle est la réactance d’un condensateur de {C} à {f} ?",
+  "calc.resonance": "Quelle est la fréquence de résonance d’un circuit LC formé d’une bobine de {L} et d’un condensateur de {C} ?",
+  "calc.db.power": "Une puissance passe de {P1} à {P2}. Quel est le gain (ou la perte) en décibels ?",
+  "calc.db.voltage": "Une tension passe de {V1} à {V2}, sur la même impédance. Quel est le gain (ou la perte) en décibels ?",
+  "calc.db.gain": "Un signal de {P1} traverse un étage de gain {G}. Quelle est la puissance de sortie ?",
+
+  // Parcourir la banque
+  "browse.title": "Parcourir la banque",
+  "browse.search": "Rechercher en français ou en anglais (accents facultatifs)…",
+  "browse.wholeSection": "{section} — toute la section",
+  "browse.statusLabel": "Statut",
+  "browse.anyStatus": "Tous les statuts",
+  "browse.status.new": "Nouvelles",
+  "browse.status.due": "À réviser",
+  "browse.status.mastered": "Maîtrisées",
+  "browse.status.missed": "Souvent ratées",
+  "browse.markLabel": "Favoris et signalements",
+  "browse.allMarks": "Toutes les questions",
+  "browse.bookmarked": "Favoris",
+  "browse.flagged": "Signalées",
+  "browse.count": "{n} question(s)",
+  "browse.studyFlash": "Réviser en flashcards",
+  "browse.studyQuiz": "Lancer un quiz",
+  "browse.none": "Aucune question ne correspond.",
+  "browse.more": "Afficher plus ({n} restantes)",
+  "browse.bookmark": "Favori",
+  "browse.flag": "Signaler (à vérifier)",
+  "browse.sessionTitle": "Sélection — {n} question(s)",
+  "results.title": "Résultats",
+  "results.wrong": "{n} fausse(s)",
+  "results.unanswered": "{n} sans réponse",
+  "results.wrongCol": "Fausses",
+  "results.unansweredCol": "Sans réponse",
+  "results.retry": "Reprendre les {n} question(s) manquée(s)",
+  "results.retryTitle": "Reprise — {n} question(s) manquée(s)",
+  "results.reviewTitle": "Correction détaillée",
+  "results.onlyMissed": "Manquées seulement",
+  "results.yourAnswer": "Votre réponse",
+  "results.rightAnswer": "Bonne réponse",
+  "results.timeSummary": "Total {total} · moyenne {avg} par question",
+  "results.seconds": "{n} s",
+  "results.slow": "lente",
+
+  // Progrès
+  "progress.title": "Votre progression",
+  "progress.hint": "Mise à jour automatiquement à chaque réponse",
+  "progress.seenToday": "Questions vues (aujourd’hui)",
+  "progress.correctToday": "Bonnes réponses (aujourd’hui)",
+  "progress.streak": "Série (jours consécutifs)",
+  "progress.longest": "Meilleure série",
+  "progress.restDaysNote": "Les jours de repos choisis dans vos objectifs gèlent la série sans la casser.",
+  "progress.history": "Historique quotidien",
+  "progress.seen": "Vues",
+
+  // Objectifs et plan d’étude
+  "plan.title": "Objectifs",
+  "plan.hint": "Fixez la date de votre examen et le nombre de questions à voir chaque jour (tous modes confondus).",
+  "plan.examDate": "Date de l’examen",
+  "plan.dailyGoal": "Objectif quotidien (questions)",
+  "plan.restDays": "Jours de repos",
+  "plan.restDaysHint": "Jusqu’à {n} jours par semaine : sans activité, ils ne cassent pas la série (sans la prolonger).",
+  "plan.goalToday": "Aujourd’hui : {seen} / {goal} questions",
+  "plan.goalProgress": "Progression vers l’objectif du jour",
+  "plan.today": "Plan du jour",
+  "plan.noDate": "Sans date d’examen : nouvelles cartes jusqu’à l’objectif quotidien.",
+  "plan.examDay": "C’est le jour de l’examen : révisez ce qui est échu. Bonne chance !",
+  "plan.daysLeft": "{n} jour(s) avant l’examen du {date} ; les derniers jours sont réservés à la révision.",
+  "plan.start": "Commencer ({n} cartes)",
+  "plan.sessionTitle": "Plan du jour ({n} cartes)",
+  "plan.due": "Révisions échues",
+  "plan.fresh": "Nouvelles cartes",
+  "plan.unseen": "Jamais vues",
+  "plan.onTrack": "La séance du jour tient dans votre objectif.",
+  "plan.behind": "Séance du jour : {n} cartes, au‑delà de votre objectif de {goal} — augmentez l’objectif ou reportez l’examen.",
+  "plan.finishBy": "Au rythme de votre objectif, toute la banque sera vue d’ici le {date}.",
+  "plan.bySection": "Répartition par section (les sections faibles reçoivent plus de nouvelles cartes)",
+  "plan.readiness": "Préparation projetée",
+  "plan.readinessFrom": "Examens simulés : {exam} · Quiz : {quiz} ({n} réponses) — {days} derniers jours",
+  "plan.readinessEmpty": "Faites un examen simulé ou quelques quiz : la projection se base sur vos résultats des {days} derniers jours.",
+  "plan.level.low": "Pas encore prêt : visez 70 % ou plus",
+  "plan.level.pass": "Réussite probable",
+  "plan.level.honours": "Distinction en vue (80 % et plus)",
+  "plan.calendar": "Activité ({n} dernières semaines)",
+  "plan.calendarLabel": "Calendrier d’activité : une case par jour, plus foncée quand l’objectif est atteint",
+  "plan.calendarDay": "{day} : {n} question(s)",
+  "plan.less": "Moins",
+  "plan.more": "Plus",
+
+  // Analyse des réponses
+  "analytics.title": "Analyse des réponses",
+  "analytics.empty": "Répondez à quelques questions pour voir vos points faibles par section.",
+  "analytics.bySection": "Exactitude par section",
+  "analytics.expandHint": "Cliquez sur une section pour voir ses sous‑sections.",
+  "analytics.byCalcTopic": "Exercices de calcul par thème",
+  "analytics.trend": "Tendance ({n} derniers jours)",
+  "analytics.chart": "Exactitude quotidienne",
+  "analytics.missed": "Questions les plus ratées",
+  "analytics.drill": "Réviser mes questions les plus faibles",
+  "analytics.missedCol": "Ratée",
+
+  // Examen simulé
+  "exam.title": "Examen simulé — Compétence de base",
+  "exam.intro": "100 questions réparties selon le plan d’ISED (une par sous‑section). Réussite : {pass} %, distinction : {honours} %.",
+  "exam.duration": "Durée : {n} min",
+  "exam.start": "Commencer",
+  "exam.running": "Examen simulé",
+  "exam.answered": "Répondu : {n} / {total}",
+  "exam.submit": "Remettre",
+  "exam.endReview": "Terminer la révision",
+  "exam.unansweredConfirm": "{n} question(s) sans réponse. Remettre l’examen quand même ?",
+  "exam.results": "Résultats de l’examen",
+  "exam.passed": "Réussi",
+  "exam.failed": "Échec",
+  "exam.honours": "Distinction",
+  "exam.passedHonours": "Réussi avec distinction",
+  "exam.summary": "{verdict} — {correct} / {total} justes, {unanswered} sans réponse",
+  "exam.timedOut": " (temps écoulé)",
+  "exam.history": "Examens simulés précédents",
+  "exam.historyHint": "Prêt pour l’examen lorsque les derniers essais sont réussis de façon constante.",
+  "exam.count": "Examens passés",
+  "exam.best": "Meilleur score",
+  "exam.recentPassed": "Réussis (5 derniers)",
+  "exam.score": "Score",
+  "exam.result": "Résultat",
+  "exam.durationCol": "Durée",
+
+  // Glossaire
+  "glossary.title": "Glossaire bilingue",
+  "glossary.count": "{n} termes tirés des bonnes réponses de la banque, en français et en anglais.",
+  "glossary.search": "Rechercher un terme…",
+  "glossary.none": "Aucun terme ne correspond.",
+  "glossary.fr": "Français",
+  "glossary.en": "English",
+
+  // Mode classe
+  "class.title": "Mode classe — examen imprimable",
+  "class.intro": "Une question par sous‑section des sections choisies. La même graine régénère toujours le même examen (mêmes questions, même ordre des options) tant que la banque ne change pas.",
+  "class.examTitle": "Titre",
+  "class.defaultTitle": "Examen de compétence de base — pratique",
+  "class.seed": "Graine",
+  "class.newSeed": "Nouvelle graine",
+  "class.language": "Langue",
+  "class.lang.fr": "Français",
+  "class.lang.en": "English",
+  "class.lang.both": "Bilingue (FR / EN)",
+  "class.sections": "Sections ({n} questions)",
+  "class.printExam": "Imprimer l’examen",
+  "class.printKey": "Imprimer le corrigé",
+  "class.printSheet": "Imprimer la feuille‑réponse",
+  "class.doc.exam": "Examen",
+  "class.doc.key": "Corrigé",
+  "class.doc.sheet": "Feuille‑réponse",
+  "dash.title": "Tableau de bord de l’instructeur",
+  "dash.intro": "Suivi des élèves synchronisés avec le serveur du club (npm run sync-server). Le jeton de l’instructeur s’affiche au démarrage du serveur.",
+  "dash.token": "Jeton de l’instructeur",
+  "dash.load": "Charger la classe",
+  "dash.refresh": "Actualiser",
+  "dash.students": "Élèves ({n})",
+  "dash.flagHint": "Signalés : aucune réponse depuis {days} jours, moins de {pass} % sur {recent} jours, ou une section sous 50 %.",
+  "dash.newStudent": "Nouvel élève",
+  "dash.add": "Ajouter",
+  "dash.empty": "Aucun élève. Ajoutez‑en un, puis donnez‑lui son jeton.",
+  "dash.student": "Élève",
+  "dash.lastActive": "Dernière activité",
+  "dash.synced": "synchro {date}",
+  "dash.answers": "Réponses",
+  "dash.recent": "Exactitude ({days} j)",
+  "dash.mastered": "Maîtrisées",
+  "dash.weakest": "Section la plus faible",
+  "dash.flags": "À surveiller",
+  "dash.ok": "RAS",
+  "dash.flag.inactive": "Inactif",
+  "dash.flag.lowAccuracy": "Exactitude faible",
+  "dash.flag.weakSection": "Section faible",
+  "dash.copyToken": "Copier le jeton",
+  "dash.remove": "Retirer",
+  "dash.removeConfirm": "Retirer {name} et effacer ses données du serveur ?",
+  "dash.bySection": "Exactitude de la classe par section",
+  "dash.belowPass": "Élèves sous {pass} %",
+  "dash.ofStudents": "{n} / {total}",
+  "print.meta": "Graine {seed} · banque {bank} · {n} questions",
+  "print.nameDate": "Nom : ______________________________   Date : ______________",
+  "print.keySubtitle": "Corrigé — à conserver par l’instructeur",
+  "print.breakdown": "Répartition : {list}",
+  "print.sheetSubtitle": "Feuille‑réponse — noircir une seule bulle par question",
+  "print.name": "Nom : ________________________________",
+  "print.studentId": "Indicatif / no d’élève : ________________",
+} as const;
+
+export type MessageKey = keyof typeof fr;
+export type Catalog = Record<MessageKey, string>;
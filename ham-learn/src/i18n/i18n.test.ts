@@ -0,0 +1,24 @@
+import { describe, expect, it } from "vitest";
+import { missingKeys, tr } from "./index.js";
+import { fr, type MessageKey } from "./fr.js";
+import { en } from "./en.js";
+
+const placeholders = (msg: string) => [...msg.matchAll(/\{(\w+)\}/g)].map((m) => m[1]).sort();
+
+describe("catalogues FR/EN", () => {
+  it("ont les mêmes clés", () => {
+    expect(missingKeys()).toEqual({ fr: [], en: [] });
+  });
+
+  it("utilisent les mêmes variables dans chaque message", () => {
+    const mismatched = (Object.keys(fr) as MessageKey[]).filter((k) => {
+      const other = (en as Record<string, string>)[k];
+      return other !== undefined && placeholders(fr[k]).join() !== placeholders(other).join();
+    });
+    expect(mismatched).toEqual([]);
+  });
+
+  it("tr remplace les variables connues et laisse les autres", () => {
+    expect(tr("fr", "storage.error", { context: "sauvegarde" })).toBe("Erreur de stockage (sauvegarde) : {error}");
+  });
+});
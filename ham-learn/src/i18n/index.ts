@@ -0,0 +1,72 @@
+import type { Lang } from "../types.js";
+import { fr, type Catalog, type MessageKey } from "./fr.js";
+import { en } from "./en.js";
+
+// =============================================
+// i18n — messages de l’interface et formats selon la langue
+// =============================================
+// La langue active est un état du module (comme le profil actif dans
+// lib/storage.ts) : App appelle setLocale(lang) à chaque rendu, et tout
+// composant ou module peut ensuite appeler t(). tr() force une langue
+// donnée (ex. copies imprimées dans la langue de l’examen).
+// =============================================
+
+export type { MessageKey };
+export type Vars = Record<string, string | number>;
+
+const CATALOGS: Record<Lang, Catalog> = { fr, en };
+const INTL_LOCALES: Record<Lang, string> = { fr: "fr-CA", en: "en-CA" };
+
+let locale: Lang = 'fr';
+
+export function setLocale(lang: Lang): void {
+  if (lang === locale) return;
+  locale = lang;
+  document.documentElement.lang = lang;
+}
+
+export function getLocale(): Lang {
+  return locale;
+}
+
+export function tr(lang: Lang, key: MessageKey, vars?: Vars): string {
+  const msg = CATALOGS[lang][key] ?? fr[key] ?? key;
+  if (!vars) return msg;
+  return msg.replace(/\{(\w+)\}/g, (m, name: string) => (name in vars ? String(vars[name]) : m));
+}
+
+export function t(key: MessageKey, vars?: Vars): string {
+  return tr(locale, key, vars);
+}
+
+// Clés présentes dans un catalogue et absentes de l’autre (vérifié par
+// i18n.test.ts ; la compilation de en.ts détecte déjà les clés manquantes en anglais)
+export function missingKeys(): Record<Lang, string[]> {
+  const all = new Set([...Object.keys(fr), ...Object.keys(en)]);
+  const missing = (c: Catalog) => [...all].filter((k) => !(k in c));
+  return { fr: missing(fr), en: missing(en) };
+}
+
+// Formats
+export function formatNumber(n: number, opts?: Intl.NumberFormatOptions): string {
+  return new Intl.NumberFormat(INTL_LOCALES[locale], opts).format(n);
+}
+
+// pct : 0..100 (« 85 % » en français, « 85% » en anglais)
+export function formatPercent(pct: number): string {
+  return formatNumber(pct / 100, { style: "percent", maximumFractionDigits: 0 });
+}
+
+export function formatDate(d: Date | string, opts: Intl.DateTimeFormatOptions = { dateStyle: "medium" }): string {
+  return new Intl.DateTimeFormat(INTL_LOCALES[locale], opts).format(typeof d === "string" ? new Date(d) : d);
+}
+
+export function formatDateTime(d: Date | string): string {
+  return formatDate(d, { dateStyle: "short", timeStyle: "short" });
+}
+
+// Clé de jour AAAA‑MM‑JJ (calendrier local) → date lisible
+export function formatDay(day: string, opts?: Intl.DateTimeFormatOptions): string {
+  const [y, m, dd] = day.split("-").map(Number);
+  return formatDate(new Date(y ?? 1970, (m ?? 1) - 1, dd ?? 1), opts);
+}
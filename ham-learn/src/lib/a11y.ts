@@ -0,0 +1,57 @@
+import type { MessageKey } from "../i18n/index.js";
+
+// =============================================
+// Accessibilité — thème, animations, annonces et raccourcis clavier
+// =============================================
+// - Thème « gradient » (d’origine) ou « contrast » (fond noir, texte blanc,
+//   sélection jaune) : appliqué par un attribut sur <html>, voir index.css
+// - Animations réduites : suit prefers-reduced-motion, ou forcées par la préférence
+// - Annonces : messages lus par les lecteurs d’écran (zone aria-live, voir LiveRegion)
+// =============================================
+
+export type Theme = 'gradient' | 'contrast';
+
+export const THEMES: { id: Theme; label: MessageKey }[] = [
+  { id: 'gradient', label: "theme.gradient" },
+  { id: 'contrast', label: "theme.contrast" },
+];
+
+export function applyTheme(theme: Theme, reduceMotion: boolean): void {
+  const root = document.documentElement;
+  root.dataset.theme = theme;
+  if (reduceMotion) root.dataset.motion = "reduce";
+  else delete root.dataset.motion;
+}
+
+export function motionReduced(): boolean {
+  return document.documentElement.dataset.motion === "reduce"
+    || window.matchMedia("(prefers-reduced-motion: reduce)").matches;
+}
+
+// Annonces
+const listeners = new Set<(msg: string) => void>();
+
+export function announce(msg: string): void {
+  listeners.forEach((fn) => fn(msg));
+}
+
+export function onAnnounce(fn: (msg: string) => void): () => void {
+  listeners.add(fn);
+  return () => { listeners.delete(fn); };
+}
+
+// Raccourcis clavier
+export const OPTION_KEYS = ["a", "b", "c", "d"] as const;
+
+// Rang de l’option (ordre affiché) pour la touche A–D, sinon -1
+export function optionKeyIndex(key: string): number {
+  return (OPTION_KEYS as readonly string[]).indexOf(key.toLowerCase());
+}
+
+// Les raccourcis ne doivent pas voler les frappes d’un champ de saisie
+export function isTypingTarget(target: EventTarget | null): boolean {
+  if (!(target instanceof HTMLElement)) return false;
+  if (target.isContentEditable) return true;
+  if (target instanceof HTMLTextAreaElement || target instanceof HTMLSelectElement) return true;
+  return target instanceof HTMLInputElement && !["radio", "checkbox", "button", "range"].includes(target.type);
+}
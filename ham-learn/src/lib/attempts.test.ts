@@ -0,0 +1,32 @@
+import { describe, expect, it } from "vitest";
+import { accuracyByCalcTopic, accuracyBySection, accuracyBySubSection, type Attempt, type AttemptMode } from "./attempts.js";
+
+const attempt = (question_id: string, mode: AttemptMode, correct: boolean): Attempt => ({
+  question_id, mode, chosen: null, correct, ms: 1000, at: "2026-10-19T18:00:00.000Z",
+});
+
+const LOG: Attempt[] = [
+  attempt("B-001-001-001", "quiz", true),
+  attempt("B-001-002-001", "flash", false),
+  attempt("B-005-001-001", "exam", true),
+  attempt("CALC-OHM", "calc", true),
+  attempt("CALC-OHM", "calc", false),
+  attempt("CALC-DECIBEL", "calc", true),
+];
+
+describe("statistiques du journal des réponses", () => {
+  it("les exercices de calcul ne forment pas une section", () => {
+    expect(Object.fromEntries(accuracyBySection(LOG))).toEqual({
+      "B-001": { total: 2, correct: 1 },
+      "B-005": { total: 1, correct: 1 },
+    });
+    expect([...accuracyBySubSection(LOG).keys()].sort()).toEqual(["B-001-001", "B-001-002", "B-005-001"]);
+  });
+
+  it("ils ont leur propre répartition par thème", () => {
+    expect(Object.fromEntries(accuracyByCalcTopic(LOG))).toEqual({
+      "CALC-OHM": { total: 2, correct: 1 },
+      "CALC-DECIBEL": { total: 1, correct: 1 },
+    });
+  });
+});
@@ -0,0 +1,122 @@
+import { STORE_KEYS, appendRecords, loadJSON } from "./storage.js";
+import type { OptionIndex } from "./options.js";
+import { sectionOf, subSectionOf } from "./exam.js";
+import { addDays, dayKey, dayOfISO } from "./dates.js";
+
+// =============================================
+// Journal des réponses — une entrée par question répondue
+// =============================================
+
+export type AttemptMode = 'flash' | 'quiz' | 'exam' | 'calc'; // calc : exercices générés (voir lib/calc.ts)
+
+export interface Attempt {
+  question_id: string;
+  mode: AttemptMode;
+  chosen: OptionIndex | null; // null : flashcard (pas de choix), calcul ou sans réponse
+  correct: boolean;
+  ms: number; // temps de réponse
+  at: string; // ISO
+}
+
+export function loadAttempts(): Attempt[] {
+  return loadJSON<Attempt[]>(STORE_KEYS.attempts, []);
+}
+
+export function recordAttempts(list: Attempt[]): void {
+  appendRecords(STORE_KEYS.attempts, list);
+}
+
+// Temps de réponse quand toutes les questions sont affichées à la fois : délai
+// entre la réponse précédente (ou le début) et la première sélection de chaque question.
+export function responseTimes(firstAnswerAt: Record<string, number>, startedAt: number): Record<string, number> {
+  const out: Record<string, number> = {};
+  let prev = startedAt;
+  for (const [id, t] of Object.entries(firstAnswerAt).sort((a, b) => a[1] - b[1])) {
+    out[id] = Math.max(0, t - prev);
+    prev = t;
+  }
+  return out;
+}
+
+// Analyses
+export interface Accuracy {
+  total: number;
+  correct: number;
+}
+
+export function pctOf(a: Accuracy): number {
+  return a.total ? Math.round((a.correct / a.total) * 100) : 0;
+}
+
+export function accuracyBy(attempts: Attempt[], keyOf: (id: string) => string): Map<string, Accuracy> {
+  const out = new Map<string, Accuracy>();
+  for (const a of attempts) {
+    const k = keyOf(a.question_id);
+    const acc = out.get(k) ?? { total: 0, correct: 0 };
+    acc.total++;
+    if (a.correct) acc.correct++;
+    out.set(k, acc);
+  }
+  return out;
+}
+
+// Les exercices de calcul (CALC-OHM…) ne sont pas des questions de la banque :
+// ils restent hors des statistiques par section et ont leur propre répartition.
+const isCalc = (a: Attempt) => a.mode === 'calc';
+
+export function accuracyBySection(attempts: Attempt[]): Map<string, Accuracy> {
+  return accuracyBy(attempts.filter((a) => !isCalc(a)), sectionOf);
+}
+
+export function accuracyBySubSection(attempts: Attempt[]): Map<string, Accuracy> {
+  return accuracyBy(attempts.filter((a) => !isCalc(a)), subSectionOf);
+}
+
+// Par thème de calcul, clé = identifiant du journal (voir calcTopicLabel)
+export function accuracyByCalcTopic(attempts: Attempt[]): Map<string, Accuracy> {
+  return accuracyBy(attempts.filter(isCalc), (id) => id);
+}
+
+export interface MissedQuestion {
+  id: string;
+  total: number;
+  wrong: number;
+  lastWrong: string; // ISO
+}
+
+// Questions ratées au moins une fois, les plus souvent ratées d’abord
+export function mostMissed(attempts: Attempt[], limit = 20): MissedQuestion[] {
+  const byId = new Map<string, MissedQuestion>();
+  for (const a of attempts) {
+    const m = byId.get(a.question_id) ?? { id: a.question_id, total: 0, wrong: 0, lastWrong: "" };
+    m.total++;
+    if (!a.correct) {
+      m.wrong++;
+      if (a.at > m.lastWrong) m.lastWrong = a.at;
+    }
+    byId.set(a.question_id, m);
+  }
+  return Array.from(byId.values())
+    .filter((m) => m.wrong > 0)
+    .sort((a, b) => b.wrong / b.total - a.wrong / a.total || b.wrong - a.wrong || b.lastWrong.localeCompare(a.lastWrong))
+    .slice(0, limit);
+}
+
+// Exactitude quotidienne sur les `days` derniers jours (jours sans activité inclus)
+export function dailyTrend(attempts: Attempt[], days: number, today = new Date()): Array<{ day: string } & Accuracy> {
+  const byDay = new Map<string, Accuracy>();
+  for (const a of attempts) {
+    const k = dayOfISO(a.at);
+    if (!k) continue;
+    const acc = byDay.get(k) ?? { total: 0, correct: 0 };
+    acc.total++;
+    if (a.correct) acc.correct++;
+    byDay.set(k, acc);
+  }
+  const out: Array<{ day: string } & Accuracy> = [];
+  for (let i = days - 1; i >= 0; i--) {
+    const day = addDays(dayKey(today), -i);
+    out.push({ day, ...(byDay.get(day) ?? { total: 0, correct: 0 }) });
+  }
+  return out;
+}
@@ -0,0 +1,107 @@
+import { beforeEach, describe, expect, it } from "vitest";
+import { BACKUP_FORMAT, BACKUP_VERSION, createBackup, mergeData, parseBackup, restoreBackup, type Backup, type BackupData } from "./backup.js";
+import { EMPTY_MARKS } from "./marks.js";
+import { STORE_KEYS, loadJSON, saveJSON } from "./storage.js";
+
+// Sans IndexedDB (Node), le stockage ne vit que dans son cache en mémoire
+
+const SYNC = { url: "http://192.168.1.20:8787", token: "jeton-eleve", auto: true, lastSync: null, lastError: "", instructorToken: "jeton-instructeur" };
+
+function backupWith(prefs: Record<string, unknown>): Backup {
+  const backup = createBackup();
+  return { ...backup, data: { ...backup.data, prefs } };
+}
+
+describe("jetons de synchronisation", () => {
+  beforeEach(() => {
+    saveJSON(STORE_KEYS.prefs, { lang: "fr", sections: ["B-001"], sync: SYNC });
+  });
+
+  it("ne sont jamais exportés", () => {
+    const backup = createBackup({ includeBank: true });
+    expect(backup.data.prefs).toEqual({ lang: "fr", sections: ["B-001"] });
+    expect(JSON.stringify(backup)).not.toContain("jeton");
+  });
+
+  it.each(["merge", "replace"] as const)("restent ceux de l’appareil après une restauration (%s)", (mode) => {
+    restoreBackup(backupWith({ lang: "en", sync: { ...SYNC, token: "jeton-importé" } }), mode);
+    expect(loadJSON<{ sync?: unknown }>(STORE_KEYS.prefs, {}).sync).toEqual(SYNC);
+  });
+
+  it("une ancienne sauvegarde avec jetons ne les installe pas sur un appareil sans synchronisation", () => {
+    saveJSON(STORE_KEYS.prefs, { lang: "fr" });
+    restoreBackup(backupWith({ lang: "en", sync: SYNC }), "replace");
+    expect(loadJSON(STORE_KEYS.prefs, {})).toEqual({ lang: "en" });
+  });
+});
+
+const EMPTY: BackupData = { progress: {}, srs: {}, prefs: {}, attempts: [], exams: [], bankVersions: [], marks: EMPTY_MARKS, notes: {} };
+
+describe("mergeData", () => {
+  const inc: BackupData = {
+    ...EMPTY,
+    progress: { "2026-10-18": { seen: 20, correct: 15 }, "2026-10-19": { seen: 5, correct: 5 } },
+    attempts: [{ question_id: "B-001-001-001", mode: "quiz", chosen: 0, correct: true, ms: 900, at: "2026-10-19T18:00:00.000Z" }],
+  };
+
+  it("fusionner deux fois la même sauvegarde ne double ni la progression ni les réponses", () => {
+    const once = mergeData(EMPTY, inc);
+    expect(mergeData(once, inc)).toEqual(once);
+    expect(once.progress).toEqual(inc.progress);
+  });
+
+  it("additionne les réponses de deux appareils le même jour", () => {
+    const phone: BackupData = {
+      ...EMPTY,
+      progress: { "2026-10-19": { seen: 2, correct: 1 } },
+      attempts: [
+        { question_id: "B-002-001-001", mode: "flash", chosen: null, correct: true, ms: 700, at: "2026-10-19T12:00:00.000Z" },
+        { question_id: "B-002-001-002", mode: "flash", chosen: null, correct: false, ms: 800, at: "2026-10-19T12:01:00.000Z" },
+      ],
+    };
+    const laptop: BackupData = {
+      ...EMPTY,
+      progress: { "2026-10-19": { seen: 1, correct: 1 } },
+      attempts: [{ question_id: "B-001-001-001", mode: "quiz", chosen: 0, correct: true, ms: 900, at: "2026-10-19T18:00:00.000Z" }],
+    };
+    const merged = mergeData(laptop, phone);
+    expect(merged.progress).toEqual({ "2026-10-19": { seen: 3, correct: 2 } });
+    expect(mergeData(merged, phone)).toEqual(merged);
+  });
+
+  it("les jours absents du journal gardent la plus grande des deux valeurs", () => {
+    const cur = { ...EMPTY, progress: { "2026-10-18": { seen: 30, correct: 12 }, "2026-10-17": { seen: 4, correct: 3 } } };
+    expect(mergeData(cur, inc).progress).toEqual({
+      "2026-10-17": { seen: 4, correct: 3 },
+      "2026-10-18": { seen: 30, correct: 15 },
+      "2026-10-19": { seen: 5, correct: 5 },
+    });
+  });
+});
+
+describe("parseBackup", () => {
+  const file = (data: Record<string, unknown>) => JSON.stringify({ format: BACKUP_FORMAT, version: BACKUP_VERSION, exportedAt: "", data });
+
+  it("accepte une sauvegarde valide", () => {
+    expect(parseBackup(file({ progress: { "2026-10-19": { seen: 1, correct: 1 } } })).data.progress).toEqual({ "2026-10-19": { seen: 1, correct: 1 } });
+  });
+
+  it.each([
+    ["progress", { progress: [] }],
+    ["progress", { progress: "beaucoup" }],
+    ["progress", { progress: { "2026-10-19": 12 } }],
+    ["progress", { progress: { "2026-10-19": { seen: "1", correct: 0 } } }],
+    ["srs", { srs: null }],
+    ["srs", { srs: [{ interval: 1 }] }],
+    ["srs", { srs: { "B-001-001-001": { interval: 1 } } }],
+    ["prefs", { prefs: 3 }],
+    ["notes", { notes: ["note"] }],
+    ["attempts", { attempts: {} }],
+    ["attempts", { attempts: [null] }],
+    ["attempts", { attempts: [{ question_id: "B-001-001-001", mode: "quiz", chosen: 0, correct: true, ms: 900 }] }],
+    ["exams", { exams: [{ score: 80, total: 100 }] }],
+    ["bankVersions", { bankVersions: [{ hash: "0a1b2c3d", count: 984 }] }],
+  ])("refuse un champ %s mal formé", (field, data) => {
+    expect(() => parseBackup(file(data))).toThrow(`« ${field} »`);
+  });
+});
@@ -0,0 +1,238 @@
+import type { QA } from "../types.js";
+import { STORE_KEYS, loadJSON, saveJSON } from "./storage.js";
+import type { ProgressMap } from "./progress.js";
+import { loadReviews, type ReviewMap } from "./srs.js";
+import type { Attempt } from "./attempts.js";
+import { sectionOf, type ExamRecord } from "./exam.js";
+import type { BankVersion } from "./bankVersion.js";
+import type { BankInfo } from "./banks.js";
+import { EMPTY_MARKS, loadMarks, mergeMarks, type MarkMap } from "./marks.js";
+import { loadNotes, mergeNotes, type NoteMap } from "./notes.js";
+import { currentProfile } from "./profiles.js";
+import { dayOfISO, todayKey } from "./dates.js";
+import { t } from "../i18n/index.js";
+
+// =============================================
+// Sauvegarde — export / import JSON versionné et export CSV des réponses
+// =============================================
+
+export const BACKUP_FORMAT = "hamlearn-backup";
+export const BACKUP_VERSION = 1;
+
+export interface BackupData {
+  progress: ProgressMap;
+  srs: ReviewMap;
+  prefs: Record<string, unknown>;
+  attempts: Attempt[];
+  exams: ExamRecord[];
+  bankVersions: BankVersion[];
+  marks: MarkMap; // absent des sauvegardes antérieures aux favoris
+  notes: NoteMap; // idem pour les notes personnelles
+  bank?: QA[];
+  banks?: BankInfo[]; // banques ajoutées (avec la banque)
+}
+
+export interface Backup {
+  format: typeof BACKUP_FORMAT;
+  version: number;
+  exportedAt: string; // ISO
+  profile?: string; // nom du profil exporté (les données sont celles d’un seul profil)
+  data: BackupData;
+}
+
+export type RestoreMode = 'merge' | 'replace';
+
+// Réglages de synchronisation (lib/sync.ts) : ils contiennent des jetons
+// d’accès et restent sur l’appareil — jamais exportés ni importés.
+function withoutSync(prefs: Record<string, unknown>): Record<string, unknown> {
+  const { sync: _local, ...rest } = prefs;
+  return rest;
+}
+
+export function createBackup({ includeBank = false } = {}): Backup {
+  const data: BackupData = {
+    progress: loadJSON<ProgressMap>(STORE_KEYS.progress, {}),
+    srs: loadReviews(),
+    prefs: withoutSync(loadJSON<Record<string, unknown>>(STORE_KEYS.prefs, {})),
+    attempts: loadJSON<Attempt[]>(STORE_KEYS.attempts, []),
+    exams: loadJSON<ExamRecord[]>(STORE_KEYS.exams, []),
+    bankVersions: loadJSON<BankVersion[]>(STORE_KEYS.bankVersions, []),
+    marks: loadMarks(),
+    notes: loadNotes(),
+  };
+  if (includeBank) {
+    data.bank = loadJSON<QA[]>(STORE_KEYS.bank, []);
+    data.banks = loadJSON<BankInfo[]>(STORE_KEYS.banks, []);
+  }
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    profile: currentProfile().name,
+    data,
+  };
+}
+
+export function backupFileName(backup: Backup): string {
+  const slug = (backup.profile ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+  return `hamlearn-sauvegarde-${slug ? slug + "-" : ""}${todayKey()}.json`;
+}
+
+// Vérifie la structure d’un fichier de sauvegarde ; lève une Error lisible sinon
+export function parseBackup(text: string): Backup {
+  let raw: unknown;
+  try {
+    raw = JSON.parse(text);
+  } catch {
+    throw new Error(t("backup.invalidJson"));
+  }
+  const b = raw as Partial<Backup> | null;
+  if (!b || b.format !== BACKUP_FORMAT || typeof b.data !== "object" || !b.data) {
+    throw new Error(t("backup.notBackup"));
+  }
+  if (typeof b.version !== "number" || b.version > BACKUP_VERSION) {
+    throw new Error(t("backup.unsupported", { version: String(b.version) }));
+  }
+  const d = b.data as Partial<BackupData>;
+  // Ces champs sont fusionnés clé par clé : un tableau ou une valeur simple rendrait la fusion incohérente
+  for (const field of ["progress", "srs", "prefs", "marks", "notes"] as const) {
+    if (d[field] !== undefined && !isPlainObject(d[field])) throw malformed(field);
+  }
+  const progress = d.progress ?? {};
+  for (const day of Object.values(progress)) {
+    if (!isPlainObject(day) || typeof day.seen !== "number" || typeof day.correct !== "number") throw malformed("progress");
+  }
+  for (const s of Object.values(d.srs ?? {})) {
+    if (!isPlainObject(s) || typeof s.lastReview !== "string") throw malformed("srs");
+  }
+  // Journaux : chaque entrée doit porter les champs qui servent au tri et au dédoublonnage
+  for (const [field, valid] of Object.entries(LIST_ENTRIES)) {
+    const list = d[field as keyof typeof LIST_ENTRIES];
+    if (list !== undefined && (!Array.isArray(list) || !list.every((x: unknown) => isPlainObject(x) && valid(x)))) {
+      throw malformed(field);
+    }
+  }
+  return {
+    format: BACKUP_FORMAT,
+    version: b.version,
+    exportedAt: String(b.exportedAt ?? ""),
+    ...(typeof b.profile === "string" ? { profile: b.profile } : {}),
+    data: {
+      progress,
+      srs: d.srs ?? {},
+      prefs: d.prefs ?? {},
+      attempts: d.attempts ?? [],
+      exams: d.exams ?? [],
+      bankVersions: d.bankVersions ?? [],
+      marks: { ...EMPTY_MARKS, ...d.marks },
+      notes: d.notes ?? {},
+      ...(Array.isArray(d.bank) && d.bank.length ? { bank: d.bank } : {}),
+      ...(Array.isArray(d.banks) ? { banks: d.banks } : {}),
+    },
+  };
+}
+
+function malformed(field: string): Error {
+  return new Error(t("backup.malformed", { field }));
+}
+
+function isPlainObject(v: unknown): v is Record<string, unknown> {
+  return typeof v === "object" && v !== null && !Array.isArray(v);
+}
+
+const LIST_ENTRIES: Record<"attempts" | "exams" | "bankVersions", (x: Record<string, unknown>) => boolean> = {
+  attempts: (a) => typeof a.question_id === "string" && typeof a.mode === "string" && typeof a.at === "string" && typeof a.correct === "boolean",
+  exams: (e) => typeof e.date === "string",
+  bankVersions: (v) => typeof v.hash === "string" && typeof v.importedAt === "string",
+};
+
+// Fusion : SRS par révision la plus récente, journaux réunis sans doublons,
+// préférences locales conservées. La progression quotidienne est recomptée
+// depuis le journal fusionné : deux appareils s’additionnent et réimporter la
+// même sauvegarde ne change rien. Les jours absents du journal (antérieurs à
+// celui‑ci) gardent la plus grande des deux valeurs.
+export function mergeData(cur: BackupData, inc: BackupData): BackupData {
+  const srs: ReviewMap = { ...cur.srs };
+  for (const [id, s] of Object.entries(inc.srs)) {
+    const mine = srs[id];
+    if (!mine || s.lastReview > mine.lastReview) srs[id] = s;
+  }
+
+  const attemptKey = (a: Attempt) => `${a.question_id}|${a.at}|${a.mode}`;
+  const attempts = uniqueBy([...cur.attempts, ...inc.attempts], attemptKey).sort((a, b) => a.at.localeCompare(b.at));
+
+  const logged: ProgressMap = {};
+  for (const a of attempts) {
+    const day = dayOfISO(a.at);
+    if (!day) continue;
+    const p = (logged[day] ??= { seen: 0, correct: 0 });
+    p.seen++;
+    if (a.correct) p.correct++;
+  }
+  const progress: ProgressMap = {};
+  for (const day of new Set([...Object.keys(cur.progress), ...Object.keys(inc.progress), ...Object.keys(logged)])) {
+    const counts = [cur.progress[day], inc.progress[day], logged[day]].filter((p) => p !== undefined);
+    progress[day] = { seen: Math.max(...counts.map((p) => p.seen)), correct: Math.max(...counts.map((p) => p.correct)) };
+  }
+  const exams = uniqueBy([...cur.exams, ...inc.exams], (e) => e.date).sort((a, b) => a.date.localeCompare(b.date));
+  const bankVersions = uniqueBy([...cur.bankVersions, ...inc.bankVersions], (v) => `${v.hash}|${v.importedAt}`)
+    .sort((a, b) => a.importedAt.localeCompare(b.importedAt));
+
+  const marks = mergeMarks(cur.marks, inc.marks);
+  const notes = mergeNotes(cur.notes, inc.notes);
+
+  return { progress, srs, prefs: cur.prefs, attempts, exams, bankVersions, marks, notes, ...(cur.bank ? { bank: cur.bank } : {}), ...(cur.banks ? { banks: cur.banks } : {}) };
+}
+
+function uniqueBy<T>(xs: T[], key: (x: T) => string): T[] {
+  const seen = new Map<string, T>();
+  for (const x of xs) if (!seen.has(key(x))) seen.set(key(x), x);
+  return Array.from(seen.values());
+}
+
+export function restoreBackup(backup: Backup, mode: RestoreMode): BackupData {
+  const data = mode === 'replace' ? backup.data : mergeData(createBackup().data, backup.data);
+  saveJSON(STORE_KEYS.progress, data.progress);
+  saveJSON(STORE_KEYS.srs, data.srs);
+  const { sync } = loadJSON<{ sync?: unknown }>(STORE_KEYS.prefs, {});
+  saveJSON(STORE_KEYS.prefs, { ...withoutSync(data.prefs), ...(sync !== undefined && { sync }) });
+  saveJSON(STORE_KEYS.attempts, data.attempts);
+  saveJSON(STORE_KEYS.exams, data.exams);
+  saveJSON(STORE_KEYS.bankVersions, data.bankVersions);
+  saveJSON(STORE_KEYS.marks, data.marks);
+  saveJSON(STORE_KEYS.notes, data.notes);
+  // La banque n’est remplacée que si la sauvegarde en contient une et qu’on remplace tout
+  if (mode === 'replace' && backup.data.bank) {
+    saveJSON(STORE_KEYS.bank, backup.data.bank);
+    if (backup.data.banks) saveJSON(STORE_KEYS.banks, backup.data.banks);
+  }
+  return data;
+}
+
+// CSV (séparateur « ; », comme la banque) du journal des réponses, pour les instructeurs
+const LETTERS = ["A", "B", "C", "D"] as const;
+
+function csvField(v: string | number | boolean): string {
+  const s = String(v);
+  return /[";\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function attemptsToCSV(attempts: Attempt[]): string {
+  const header = ["date", "question_id", "section", "mode", "choix_banque", "correct", "temps_ms"];
+  const rows = attempts.map((a) => [
+    a.at,
+    a.question_id,
+    sectionOf(a.question_id),
+    a.mode,
+    // Ordre des colonnes de la banque : A = bonne réponse, B..D = distracteurs 1..3
+    a.chosen === null ? "" : (LETTERS[a.chosen] ?? ""),
+    a.correct ? 1 : 0,
+    a.ms,
+  ]);
+  return [header, ...rows].map((r) => r.map(csvField).join(";")).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,82 @@
+import { describe, expect, it } from "vitest";
+import type { QA } from "../types.js";
+import type { ReviewMap, ReviewState } from "./srs.js";
+import { PUBLISHED_SOURCE, diffBanks, hashBank, migrateReviews, versionSource, type BankVersion } from "./bankVersion.js";
+
+const qa = (question_id: string, changes: Partial<QA> = {}): QA => ({
+  question_id,
+  question_english: `Question ${question_id}`, correct_answer_english: "Right", incorrect_answer_1_english: "Wrong 1", incorrect_answer_2_english: "Wrong 2", incorrect_answer_3_english: "Wrong 3",
+  question_french: `Question ${question_id} ?`, correct_answer_french: "Bonne", incorrect_answer_1_french: "Mauvaise 1", incorrect_answer_2_french: "Mauvaise 2", incorrect_answer_3_french: "Mauvaise 3",
+  ...changes,
+});
+
+const BANK = [qa("B-001-001-001"), qa("B-001-001-002"), qa("B-001-001-003"), qa("B-001-001-004")];
+const NEXT = [
+  qa("B-001-001-001"),
+  qa("B-001-001-002", { incorrect_answer_2_french: "Mauvaise deux" }),
+  qa("B-001-001-003", { correct_answer_english: "Right again" }),
+  qa("B-001-001-005"),
+];
+
+describe("hashBank", () => {
+  it("ne dépend pas de l’ordre des questions", () => {
+    expect(hashBank([...BANK].reverse())).toBe(hashBank(BANK));
+    expect(hashBank(BANK)).toMatch(/^[0-9a-f]{8}$/);
+  });
+
+  it("change dès qu’un champ change", () => {
+    expect(hashBank(NEXT)).not.toBe(hashBank(BANK));
+    expect(hashBank([qa("B-001-001-001", { question_french: "Autre ?" })])).not.toBe(hashBank([qa("B-001-001-001")]));
+  });
+
+  it("deux champs ne se confondent pas : « ab » + « c » ≠ « a » + « bc »", () => {
+    expect(hashBank([qa("X", { question_english: "ab", correct_answer_english: "c" })]))
+      .not.toBe(hashBank([qa("X", { question_english: "a", correct_answer_english: "bc" })]));
+  });
+});
+
+describe("diffBanks", () => {
+  const diff = diffBanks(BANK, NEXT);
+
+  it("questions ajoutées et retirées", () => {
+    expect(diff.added.map((q) => q.question_id)).toEqual(["B-001-001-005"]);
+    expect(diff.removed.map((q) => q.question_id)).toEqual(["B-001-001-004"]);
+  });
+
+  it("reformulées, bonne réponse modifiée, inchangées", () => {
+    expect(diff.reworded.map((c) => c.id)).toEqual(["B-001-001-002"]);
+    expect(diff.answerChanged.map((c) => c.id)).toEqual(["B-001-001-003"]);
+    expect(diff.answerChanged[0]?.before.correct_answer_english).toBe("Right");
+    expect(diff.answerChanged[0]?.after.correct_answer_english).toBe("Right again");
+    expect(diff.unchanged).toBe(1);
+  });
+
+  it("même banque : aucune différence", () => {
+    expect(diffBanks(BANK, [...BANK].reverse())).toEqual({ added: [], removed: [], reworded: [], answerChanged: [], unchanged: 4 });
+  });
+});
+
+describe("migrateReviews", () => {
+  const state: ReviewState = { interval: 6, ease: 2.5, reps: 2, lapses: 0, due: "2026-10-25", lastReview: "2026-10-19T18:00:00.000Z", introduced: "2026-10-12" };
+
+  it("garde l’historique des questions inchangées, efface celui des modifiées et retirées", () => {
+    const reviews: ReviewMap = { "B-001-001-001": state, "B-001-001-002": state, "B-001-001-003": state, "B-001-001-004": state };
+    expect(migrateReviews(reviews, diffBanks(BANK, NEXT))).toEqual({ "B-001-001-001": state });
+  });
+
+  it("garde les cartes d’une autre banque", () => {
+    expect(migrateReviews({ "A-001-001-001": state }, diffBanks(BANK, NEXT))).toEqual({ "A-001-001-001": state });
+  });
+});
+
+const version = (source: string): BankVersion => ({ hash: "0a1b2c3d", importedAt: "2026-10-19T18:00:00.000Z", count: 984, source });
+
+describe("versionSource", () => {
+  it("traduit le marqueur de la banque publiée", () => {
+    expect(versionSource(version(PUBLISHED_SOURCE))).toBe("banque publiée");
+  });
+
+  it("affiche tel quel le nom d’un fichier importé", () => {
+    expect(versionSource(version("amat_basic_quest_delim.txt"))).toBe("amat_basic_quest_delim.txt");
+  });
+});
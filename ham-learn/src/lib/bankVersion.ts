@@ -0,0 +1,116 @@
+import type { QA } from "../types.js";
+import { BANK_FIELDS } from "./parser.js";
+import { FIGURE_FIELDS } from "./figures.js";
+import { DEFAULT_BANK } from "./banks.js";
+import { STORE_KEYS, loadJSON, saveJSON } from "./storage.js";
+import type { ReviewMap } from "./srs.js";
+import { t } from "../i18n/index.js";
+
+// =============================================
+// Versions de la banque — empreinte, différences, migration du SRS
+// =============================================
+// Quand ISED publie une nouvelle banque, on compare les questions par
+// question_id : les questions inchangées conservent leur historique SRS,
+// celles dont le texte ou la bonne réponse a changé repartent de zéro.
+// =============================================
+
+export interface BankVersion {
+  hash: string;
+  importedAt: string; // ISO
+  count: number;
+  source: string; // nom du fichier importé ou PUBLISHED_SOURCE (voir versionSource)
+  bank?: string; // banque concernée (absent : banque de base, versions antérieures aux banques multiples)
+}
+
+export interface ChangedQuestion {
+  id: string;
+  before: QA;
+  after: QA;
+}
+
+export interface BankDiff {
+  added: QA[];
+  removed: QA[];
+  reworded: ChangedQuestion[]; // énoncé, distracteurs ou figure modifiés
+  answerChanged: ChangedQuestion[]; // bonne réponse modifiée
+  unchanged: number;
+}
+
+// FNV‑1a 32 bits sur le contenu canonique (trié par ID), suffisant pour
+// distinguer deux versions ; ce n’est pas une empreinte cryptographique.
+export function hashBank(qas: QA[]): string {
+  const sorted = [...qas].sort((a, b) => a.question_id.localeCompare(b.question_id));
+  let h = 0x811c9dc5;
+  for (const q of sorted) {
+    // Colonnes de figure comptées seulement si présentes : l’empreinte d’une banque sans figure ne change pas
+    for (const f of [...BANK_FIELDS, ...FIGURE_FIELDS.filter((f) => q[f])]) {
+      const s = q[f] + "\u0000";
+      for (let i = 0; i < s.length; i++) {
+        h ^= s.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+      }
+    }
+  }
+  return (h >>> 0).toString(16).padStart(8, "0");
+}
+
+function sameFields(a: QA, b: QA, fields: readonly (keyof QA)[]): boolean {
+  return fields.every((f) => a[f] === b[f]);
+}
+
+const ANSWER_FIELDS = ["correct_answer_english", "correct_answer_french"] as const;
+
+export function diffBanks(current: QA[], next: QA[]): BankDiff {
+  const before = new Map(current.map((q) => [q.question_id, q]));
+  const after = new Map(next.map((q) => [q.question_id, q]));
+  const diff: BankDiff = { added: [], removed: [], reworded: [], answerChanged: [], unchanged: 0 };
+
+  for (const q of next) {
+    const old = before.get(q.question_id);
+    if (!old) diff.added.push(q);
+    else if (!sameFields(old, q, ANSWER_FIELDS)) diff.answerChanged.push({ id: q.question_id, before: old, after: q });
+    else if (!sameFields(old, q, [...BANK_FIELDS, ...FIGURE_FIELDS])) diff.reworded.push({ id: q.question_id, before: old, after: q });
+    else diff.unchanged++;
+  }
+  for (const q of current) {
+    if (!after.has(q.question_id)) diff.removed.push(q);
+  }
+  return diff;
+}
+
+// Conserve l’historique des questions inchangées, efface celui des questions
+// modifiées ou retirées.
+export function migrateReviews(reviews: ReviewMap, diff: BankDiff): ReviewMap {
+  const drop = new Set<string>([
+    ...diff.removed.map((q) => q.question_id),
+    ...diff.reworded.map((c) => c.id),
+    ...diff.answerChanged.map((c) => c.id),
+  ]);
+  const out: ReviewMap = {};
+  for (const [id, s] of Object.entries(reviews)) {
+    if (!drop.has(id)) out[id] = s;
+  }
+  return out;
+}
+
+// Persistance
+export function loadVersions(): BankVersion[] {
+  return loadJSON<BankVersion[]>(STORE_KEYS.bankVersions, []);
+}
+
+export function latestVersion(bank: string): BankVersion | undefined {
+  return loadVersions().filter((v) => (v.bank ?? DEFAULT_BANK) === bank).at(-1);
+}
+
+// Banque publiée chargée au démarrage : marqueur neutre, traduit à l’affichage
+export const PUBLISHED_SOURCE = "@published";
+
+export function versionSource(v: BankVersion): string {
+  return v.source === PUBLISHED_SOURCE ? t("bank.sourcePublished") : v.source;
+}
+
+export function recordVersion(qas: QA[], source: string, bank: string = DEFAULT_BANK): BankVersion {
+  const v: BankVersion = { hash: hashBank(qas), importedAt: new Date().toISOString(), count: qas.length, source, bank };
+  saveJSON(STORE_KEYS.bankVersions, [...loadVersions(), v]);
+  return v;
+}
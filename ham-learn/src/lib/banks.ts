@@ -0,0 +1,129 @@
+import type { Lang, QA } from "../types.js";
+import { STORE_KEYS, loadJSON, saveJSON } from "./storage.js";
+import { foldText } from "./utils.js";
+import { BASIC_TITLES } from "./basicSyllabus.js";
+import { t } from "../i18n/index.js";
+
+// =============================================
+// Banques — plusieurs banques nommées côte à côte
+// =============================================
+// La banque officielle de compétence de base (« basic ») garde ses ID tels
+// quels (B-001-001-001) : l’historique existant reste valable. Les questions
+// des autres banques reçoivent un ID qualifié « <banque>:<ID> »
+// (ex. adv:A-001-001-001) ; SRS, journal des réponses, favoris et notes,
+// tous indexés par ID, sont ainsi séparés par banque.
+// Toutes les questions vont dans le même magasin « bank ». La liste des
+// banques (nom, fichier publié, titres de sections) est commune à tous les
+// profils ; le choix des banques actives est une préférence du profil.
+// =============================================
+
+export const DEFAULT_BANK = "basic";
+const NS = ":";
+
+export interface SectionTitle {
+  fr: string;
+  en: string;
+}
+
+export type SectionTitles = Record<string, SectionTitle>; // préfixe d’ID local (B-001, B-001-001) → titre
+
+export interface BankInfo {
+  id: string;
+  name: string;
+  file?: string; // fichier publié en /public, chargé au démarrage si la banque est vide
+  titles?: SectionTitles;
+}
+
+export const BUILTIN_BANKS: BankInfo[] = [
+  { id: DEFAULT_BANK, name: "Compétence de base · Basic", file: "amat_basic_quest_delim.txt", titles: BASIC_TITLES },
+];
+
+// ID qualifiés
+export function qualifyId(bank: string, id: string): string {
+  return bank === DEFAULT_BANK ? id : `${bank}${NS}${id}`;
+}
+
+export function bankOf(id: string): string {
+  const i = id.indexOf(NS);
+  return i < 0 ? DEFAULT_BANK : id.slice(0, i);
+}
+
+// ID tel qu’écrit dans le fichier de la banque (vaut aussi pour un préfixe de section)
+export function localId(id: string): string {
+  return id.slice(id.indexOf(NS) + 1);
+}
+
+export function qualifyBank(bank: string, qas: QA[]): QA[] {
+  return bank === DEFAULT_BANK ? qas : qas.map((q) => ({ ...q, question_id: qualifyId(bank, q.question_id) }));
+}
+
+export function questionsOf(all: QA[], bank: string): QA[] {
+  return all.filter((q) => bankOf(q.question_id) === bank);
+}
+
+// Remplace les questions d’une banque dans l’ensemble
+export function withBank(all: QA[], bank: string, next: QA[]): QA[] {
+  return [...all.filter((q) => bankOf(q.question_id) !== bank), ...next];
+}
+
+// Sans choix enregistré, toutes les banques sont actives
+export function activeQuestions(all: QA[], active: string[] | undefined): QA[] {
+  return active ? all.filter((q) => active.includes(bankOf(q.question_id))) : all;
+}
+
+// Registre ; les titres importés pour une banque intégrée complètent ses titres d’origine
+export function loadBanks(): BankInfo[] {
+  const saved = loadJSON<BankInfo[]>(STORE_KEYS.banks, []);
+  const builtins = BUILTIN_BANKS.map((b) => {
+    const s = saved.find((x) => x.id === b.id);
+    return s ? { ...b, ...s, titles: { ...b.titles, ...s.titles } } : b;
+  });
+  return [...builtins, ...saved.filter((s) => !BUILTIN_BANKS.some((b) => b.id === s.id))];
+}
+
+// Seul ce qui diffère du code est enregistré (les titres d’origine restent à jour)
+export function saveBank(info: BankInfo): void {
+  const saved = loadJSON<BankInfo[]>(STORE_KEYS.banks, []);
+  const i = saved.findIndex((b) => b.id === info.id);
+  saveJSON(STORE_KEYS.banks, i < 0 ? [...saved, info] : saved.map((b, j) => (j === i ? info : b)));
+}
+
+// Retire la banque et ses questions ; l’historique (SRS, réponses) est gardé pour une réimportation
+export function removeBank(id: string): void {
+  if (BUILTIN_BANKS.some((b) => b.id === id)) return;
+  saveJSON(STORE_KEYS.banks, loadJSON<BankInfo[]>(STORE_KEYS.banks, []).filter((b) => b.id !== id));
+  saveJSON(STORE_KEYS.bank, loadJSON<QA[]>(STORE_KEYS.bank, []).filter((q) => bankOf(q.question_id) !== id));
+}
+
+// Identifiant court et stable tiré du nom (« Procédures du club » → procedures-du-club)
+export function newBankId(name: string, banks: BankInfo[]): string {
+  const base = foldText(name).replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "").slice(0, 24).replace(/-$/, "") || "bank";
+  let id = base;
+  for (let n = 2; banks.some((b) => b.id === id); n++) id = `${base}-${n}`;
+  return id;
+}
+
+// Fichier de titres : { "B-001": { "fr": "…", "en": "…" }, "B-001-001": "Titre unique" }
+export function parseSectionTitles(text: string): SectionTitles {
+  let raw: unknown;
+  try {
+    raw = JSON.parse(text.replace(/^\uFEFF/, ""));
+  } catch {
+    throw new Error(t("banks.titlesInvalid"));
+  }
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw new Error(t("banks.titlesInvalid"));
+  const out: SectionTitles = {};
+  for (const [prefix, v] of Object.entries(raw)) {
+    const e = (typeof v === "string" ? { fr: v, en: v } : v ?? {}) as { fr?: unknown; en?: unknown };
+    const fr = typeof e.fr === "string" ? e.fr.trim() : "";
+    const en = typeof e.en === "string" ? e.en.trim() : "";
+    if (fr || en) out[prefix.trim()] = { fr: fr || en, en: en || fr };
+  }
+  return out;
+}
+
+// Titre d’une section ou sous‑section (ID qualifié), "" si la banque n’en fournit pas
+export function sectionTitle(banks: BankInfo[], section: string, lang: Lang): string {
+  const titles = banks.find((b) => b.id === bankOf(section))?.titles;
+  return titles?.[localId(section)]?.[lang] ?? "";
+}
@@ -0,0 +1,127 @@
+import type { SectionTitles } from "./banks.js";
+
+// =============================================
+// Plan de cours — compétence de base (ISED)
+// =============================================
+// Titres des sujets B-001…B-008 et de leurs sous‑sections, tirés du contenu
+// des questions de la banque officielle. Un fichier de titres importé pour la
+// banque « basic » les complète ou les remplace (voir lib/banks.ts).
+// =============================================
+
+export const BASIC_TITLES: SectionTitles = {
+  "B-001": { fr: "Règlements et politiques", en: "Regulations and policies" },
+  "B-001-001": { fr: "Loi et règlements sur la radiocommunication", en: "Radiocommunication Act and regulations" },
+  "B-001-002": { fr: "Certificat d’opérateur : validité et changement d’adresse", en: "Operator certificate: validity and address changes" },
+  "B-001-003": { fr: "Infractions et émissions interdites", en: "Offences and prohibited transmissions" },
+  "B-001-004": { fr: "Examens et qualifications", en: "Examinations and qualifications" },
+  "B-001-005": { fr: "Privilèges de la qualification supérieure", en: "Advanced qualification privileges" },
+  "B-001-006": { fr: "Stations autorisées et correspondants", en: "Permitted stations and correspondents" },
+  "B-001-007": { fr: "Contenu interdit et radiodiffusion", en: "Prohibited content and broadcasting" },
+  "B-001-008": { fr: "Lieux d’exploitation et communications unilatérales", en: "Operating locations and one-way communications" },
+  "B-001-009": { fr: "Responsabilité de l’opérateur", en: "Operator responsibility" },
+  "B-001-010": { fr: "Brouillage préjudiciable", en: "Harmful interference" },
+  "B-001-011": { fr: "Communications d’urgence et de secours", en: "Emergency and relief communications" },
+  "B-001-012": { fr: "Rémunération et secret des communications", en: "Payment and privacy of communications" },
+  "B-001-013": { fr: "Indicatifs d’appel et identification", en: "Call signs and identification" },
+  "B-001-014": { fr: "Tiers et opérateurs étrangers", en: "Third parties and foreign operators" },
+  "B-001-015": { fr: "Opérateur de contrôle et qualifications", en: "Control operator and qualifications" },
+  "B-001-016": { fr: "Largeur de bande autorisée", en: "Authorized bandwidth" },
+  "B-001-017": { fr: "Puissance d’émission", en: "Transmitter power" },
+  "B-001-018": { fr: "Répéteurs, balises et porteuse non modulée", en: "Repeaters, beacons and unmodulated carriers" },
+  "B-001-019": { fr: "Stabilité de fréquence et émissions", en: "Frequency stability and emissions" },
+  "B-001-020": { fr: "Messages vers l’étranger et obligations de la station", en: "Messages abroad and station obligations" },
+  "B-001-021": { fr: "Régions de l’UIT et exploitation à l’étranger", en: "ITU regions and operating abroad" },
+  "B-001-022": { fr: "Examens : frais et accommodements", en: "Examinations: fees and accommodations" },
+  "B-001-023": { fr: "Installation d’antennes et consultation", en: "Antenna installations and consultation" },
+  "B-001-024": { fr: "Exposition aux RF et Code de sécurité 6", en: "RF exposure and Safety Code 6" },
+  "B-001-025": { fr: "Compatibilité électromagnétique", en: "Electromagnetic compatibility" },
+
+  "B-002": { fr: "Procédures d’exploitation", en: "Operating procedures" },
+  "B-002-001": { fr: "Répéteurs", en: "Repeaters" },
+  "B-002-002": { fr: "Alphabet phonétique et identification en phonie", en: "Phonetic alphabet and voice identification" },
+  "B-002-003": { fr: "Appels et réponses en phonie", en: "Voice calling and answering" },
+  "B-002-004": { fr: "Écoute avant d’émettre et réglage de puissance", en: "Listening first and adjusting power" },
+  "B-002-005": { fr: "Appels et réponses en morse", en: "Morse code calling and answering" },
+  "B-002-006": { fr: "Reports RST", en: "RST signal reports" },
+  "B-002-007": { fr: "Code Q", en: "Q signals" },
+  "B-002-008": { fr: "Détresse et priorités", en: "Distress and priority traffic" },
+  "B-002-009": { fr: "Cartes QSL, registre, cartes azimutales et heure UTC", en: "QSL cards, logging, azimuthal maps and UTC" },
+
+  "B-003": { fr: "Montage de la station, pratique et sécurité", en: "Station assembly, practice and safety" },
+  "B-003-001": { fr: "Schéma d’une station HF", en: "HF station layout" },
+  "B-003-002": { fr: "Émetteur FM", en: "FM transmitter" },
+  "B-003-003": { fr: "Récepteur FM superhétérodyne", en: "FM superheterodyne receiver" },
+  "B-003-004": { fr: "Émetteur CW", en: "CW transmitter" },
+  "B-003-005": { fr: "Récepteur BLU/CW", en: "SSB/CW receiver" },
+  "B-003-006": { fr: "Émetteur BLU", en: "SSB transmitter" },
+  "B-003-007": { fr: "Modes numériques par ordinateur", en: "Computer-based digital modes" },
+  "B-003-008": { fr: "Alimentation linéaire", en: "Linear power supply" },
+  "B-003-009": { fr: "Antenne Yagi à trois éléments", en: "Three-element Yagi antenna" },
+  "B-003-010": { fr: "Performances du récepteur", en: "Receiver performance" },
+  "B-003-011": { fr: "Défauts de la CW : chirp et clics", en: "CW faults: chirp and key clicks" },
+  "B-003-012": { fr: "Réglage du gain micro et compression en BLU", en: "SSB microphone gain and speech processing" },
+  "B-003-013": { fr: "Excursion et silencieux en FM", en: "FM deviation and squelch" },
+  "B-003-014": { fr: "Manipulateurs morse", en: "Morse keys and keyers" },
+  "B-003-015": { fr: "Transmission numérique", en: "Digital transmission" },
+  "B-003-016": { fr: "Piles et batteries", en: "Cells and batteries" },
+  "B-003-017": { fr: "Alimentations", en: "Power supplies" },
+  "B-003-018": { fr: "Sécurité de la station", en: "Station security" },
+  "B-003-019": { fr: "Mise à la terre et sécurité électrique", en: "Grounding and electrical safety" },
+  "B-003-020": { fr: "Foudre et parafoudres", en: "Lightning protection" },
+  "B-003-021": { fr: "Sécurité RF et antennes", en: "RF and antenna safety" },
+
+  "B-004": { fr: "Composants de circuits", en: "Circuit components" },
+  "B-004-001": { fr: "Amplificateurs", en: "Amplifiers" },
+  "B-004-002": { fr: "Diodes", en: "Diodes" },
+  "B-004-003": { fr: "Transistors bipolaires", en: "Bipolar transistors" },
+  "B-004-004": { fr: "Transistors à effet de champ", en: "Field-effect transistors" },
+  "B-004-005": { fr: "Tubes électroniques", en: "Vacuum tubes" },
+  "B-004-006": { fr: "Code des couleurs des résistances", en: "Resistor colour code" },
+
+  "B-005": { fr: "Électronique et théorie de base", en: "Basic electronics and theory" },
+  "B-005-001": { fr: "Unités et préfixes", en: "Units and prefixes" },
+  "B-005-002": { fr: "Conducteurs et isolants", en: "Conductors and insulators" },
+  "B-005-003": { fr: "Énergie et puissance", en: "Energy and power" },
+  "B-005-004": { fr: "Loi d’Ohm", en: "Ohm’s law" },
+  "B-005-005": { fr: "Circuits série et parallèle", en: "Series and parallel circuits" },
+  "B-005-006": { fr: "Calculs de puissance", en: "Power calculations" },
+  "B-005-007": { fr: "Courant alternatif et fréquence", en: "Alternating current and frequency" },
+  "B-005-008": { fr: "Décibels", en: "Decibels" },
+  "B-005-009": { fr: "Inductances et condensateurs en série et en parallèle", en: "Inductors and capacitors in series and parallel" },
+  "B-005-010": { fr: "Réactance et impédance", en: "Reactance and impedance" },
+  "B-005-011": { fr: "Transformateurs", en: "Transformers" },
+  "B-005-012": { fr: "Résonance et circuits accordés", en: "Resonance and tuned circuits" },
+  "B-005-013": { fr: "Instruments de mesure", en: "Meters and measurements" },
+
+  "B-006": { fr: "Lignes de transmission et antennes", en: "Feed lines and antenna systems" },
+  "B-006-001": { fr: "Impédance caractéristique", en: "Characteristic impedance" },
+  "B-006-002": { fr: "Types de lignes", en: "Types of feed lines" },
+  "B-006-003": { fr: "Installation des lignes et selfs de mode commun", en: "Feed line installation and common-mode chokes" },
+  "B-006-004": { fr: "Pertes dans les lignes", en: "Feed line losses" },
+  "B-006-005": { fr: "ROS", en: "SWR" },
+  "B-006-006": { fr: "Désadaptation et coupleurs d’antenne", en: "Mismatch and antenna tuners" },
+  "B-006-007": { fr: "Polarisation", en: "Polarization" },
+  "B-006-008": { fr: "Longueur et résonance d’un dipôle", en: "Dipole length and resonance" },
+  "B-006-009": { fr: "Éléments parasites et directivité", en: "Parasitic elements and directivity" },
+  "B-006-010": { fr: "Antennes quart d’onde", en: "Quarter-wave antennas" },
+  "B-006-011": { fr: "Antennes Yagi", en: "Yagi antennas" },
+  "B-006-012": { fr: "Dipôles et antennes filaires", en: "Dipoles and wire antennas" },
+  "B-006-013": { fr: "Antennes quad et delta loop", en: "Quad and delta loop antennas" },
+
+  "B-007": { fr: "Propagation des ondes radio", en: "Radio wave propagation" },
+  "B-007-001": { fr: "Modes de propagation", en: "Propagation modes" },
+  "B-007-002": { fr: "Formation de l’ionosphère", en: "Formation of the ionosphere" },
+  "B-007-003": { fr: "Zone de silence et portée d’un bond", en: "Skip zone and hop distance" },
+  "B-007-004": { fr: "Régions de l’ionosphère", en: "Ionospheric regions" },
+  "B-007-005": { fr: "Taches solaires", en: "Sunspots" },
+  "B-007-006": { fr: "Fréquence maximale utilisable", en: "Maximum usable frequency" },
+  "B-007-007": { fr: "Propagation en VHF et UHF", en: "VHF and UHF propagation" },
+  "B-007-008": { fr: "Propagation par diffusion", en: "Scatter propagation" },
+
+  "B-008": { fr: "Interférences et suppression", en: "Interference and suppression" },
+  "B-008-001": { fr: "Surcharge du récepteur", en: "Receiver overload" },
+  "B-008-002": { fr: "Brouillage des appareils domestiques", en: "Interference to home electronics" },
+  "B-008-003": { fr: "Intermodulation et émissions parasites", en: "Intermodulation and spurious emissions" },
+  "B-008-004": { fr: "Harmoniques", en: "Harmonics" },
+  "B-008-005": { fr: "Filtres", en: "Filters" },
+};
@@ -0,0 +1,32 @@
+import type { Lang } from "../types.js";
+import type { MessageKey } from "../i18n/index.js";
+
+// =============================================
+// Affichage bilingue — Flashcards et Quiz
+// =============================================
+// - « single » : tout dans la langue choisie (comportement d’origine)
+// - « side » : français et anglais côte à côte
+// - « cross » : question dans la langue choisie, réponses dans l’autre
+//   (pour qui étudie en français mais passe l’examen en anglais, ou l’inverse)
+// =============================================
+
+export type StudyDisplay = 'single' | 'side' | 'cross';
+
+export const STUDY_DISPLAYS: { id: StudyDisplay; label: MessageKey }[] = [
+  { id: 'single', label: "display.single" },
+  { id: 'side', label: "display.side" },
+  { id: 'cross', label: "display.cross" },
+];
+
+export function otherLang(lang: Lang): Lang {
+  return lang === 'fr' ? 'en' : 'fr';
+}
+
+// Langues à afficher pour l’énoncé et pour les réponses, dans l’ordre
+export function displayLangs(display: StudyDisplay, lang: Lang): { question: Lang[]; answers: Lang[] } {
+  switch (display) {
+    case 'side': return { question: [lang, otherLang(lang)], answers: [lang, otherLang(lang)] };
+    case 'cross': return { question: [lang], answers: [otherLang(lang)] };
+    default: return { question: [lang], answers: [lang] };
+  }
+}
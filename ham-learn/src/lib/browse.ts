@@ -0,0 +1,76 @@
+import type { QA } from "../types.js";
+import type { MessageKey } from "../i18n/index.js";
+import { isDue, type ReviewMap } from "./srs.js";
+import { mostMissed, type Attempt } from "./attempts.js";
+import { isMarked, type Mark, type MarkMap } from "./marks.js";
+import { foldText } from "./utils.js";
+
+// =============================================
+// Parcourir la banque — recherche plein texte et filtres
+// =============================================
+// La recherche ignore accents et casse, porte sur l’ID, l’énoncé et les quatre
+// options dans les deux langues ; tous les mots saisis doivent être trouvés.
+// =============================================
+
+export type BrowseStatus = '' | 'new' | 'due' | 'mastered' | 'missed';
+
+export const BROWSE_STATUSES: { id: BrowseStatus; label: MessageKey }[] = [
+  { id: '', label: "browse.anyStatus" },
+  { id: 'new', label: "browse.status.new" },
+  { id: 'due', label: "browse.status.due" },
+  { id: 'mastered', label: "browse.status.mastered" },
+  { id: 'missed', label: "browse.status.missed" },
+];
+
+export const MASTERED_INTERVAL = 21; // jours : au‑delà, la carte est considérée acquise
+
+export interface BrowseFilter {
+  query: string;
+  prefix: string; // section (B‑001) ou sous‑section (B‑001‑002), "" = toutes
+  status: BrowseStatus;
+  mark: Mark | '';
+}
+
+export interface BrowseContext {
+  reviews: ReviewMap;
+  missed: Set<string>;
+  marks: MarkMap;
+  today: string;
+}
+
+export function searchText(q: QA): string {
+  return foldText([
+    q.question_id,
+    q.question_english, q.correct_answer_english, q.incorrect_answer_1_english, q.incorrect_answer_2_english, q.incorrect_answer_3_english,
+    q.question_french, q.correct_answer_french, q.incorrect_answer_1_french, q.incorrect_answer_2_french, q.incorrect_answer_3_french,
+  ].join("\n"));
+}
+
+// Souvent ratée : au moins deux erreurs, et au moins une réponse sur deux fausse
+export function oftenMissed(attempts: Attempt[]): Set<string> {
+  return new Set(mostMissed(attempts, Infinity).filter((m) => m.wrong >= 2 && m.wrong * 2 >= m.total).map((m) => m.id));
+}
+
+export function matchesStatus(status: BrowseStatus, id: string, ctx: BrowseContext): boolean {
+  const s = ctx.reviews[id];
+  switch (status) {
+    case 'new': return !s;
+    case 'due': return !!s && isDue(s, ctx.today);
+    case 'mastered': return !!s && s.interval >= MASTERED_INTERVAL;
+    case 'missed': return ctx.missed.has(id);
+    default: return true;
+  }
+}
+
+// `index` : texte de recherche par ID (searchText), calculé une fois par banque
+export function browse(qas: QA[], index: Map<string, string>, filter: BrowseFilter, ctx: BrowseContext): QA[] {
+  const words = foldText(filter.query).split(/\s+/).filter(Boolean);
+  return qas.filter((q) => {
+    const id = q.question_id;
+    if (filter.prefix && id !== filter.prefix && !id.startsWith(filter.prefix + "-")) return false;
+    if (filter.mark && !isMarked(ctx.marks, filter.mark, id)) return false;
+    if (!matchesStatus(filter.status, id, ctx)) return false;
+    const text = index.get(id) ?? "";
+    return words.every((w) => text.includes(w));
+  });
+}
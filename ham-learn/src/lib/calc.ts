@@ -0,0 +1,205 @@
+import type { MessageKey } from "../i18n/index.js";
+import { formatNumber } from "../i18n/index.js";
+import type { Random } from "./random.js";
+import { shuffle } from "./utils.js";
+
+// =============================================
+// Exercices de calcul — questions paramétrées des sections techniques
+// =============================================
+// Loi d’Ohm, puissance, réactance, résonance et décibels : valeurs tirées au
+// hasard (séries normalisées E12, bandes amateur), réponse calculée et
+// distracteurs issus des erreurs courantes (2π oublié, carré oublié, préfixe
+// mal converti, ln au lieu de log…). La réponse libre est acceptée avec son unité et une tolérance.
+// =============================================
+
+export type CalcTopic = 'ohm' | 'power' | 'reactance' | 'resonance' | 'decibel';
+export type Unit = 'V' | 'A' | 'Ω' | 'W' | 'Hz' | 'H' | 'F' | 'dB';
+
+export const CALC_TOPICS: { id: CalcTopic; label: MessageKey }[] = [
+  { id: 'ohm', label: "calc.topic.ohm" },
+  { id: 'power', label: "calc.topic.power" },
+  { id: 'reactance', label: "calc.topic.reactance" },
+  { id: 'resonance', label: "calc.topic.resonance" },
+  { id: 'decibel', label: "calc.topic.decibel" },
+];
+
+export const REL_TOLERANCE = 0.02; // 2 % : arrondis intermédiaires de l’élève
+const DB_TOLERANCE = 0.2; // en dB, tolérance absolue
+
+export interface Quantity {
+  value: number;
+  unit: Unit;
+}
+
+export interface CalcQuestion {
+  id: string; // clé du journal des réponses (CALC-OHM…)
+  topic: CalcTopic;
+  prompt: MessageKey; // énoncé ; ses {variables} sont les grandeurs de `given`
+  given: Record<string, Quantity>;
+  answer: Quantity;
+  choices: number[]; // bonne réponse et distracteurs, mélangés (même unité que answer)
+  formula: string;
+}
+
+// Tirages
+const E12 = [1.0, 1.2, 1.5, 1.8, 2.2, 2.7, 3.3, 3.9, 4.7, 5.6, 6.8, 8.2];
+const BANDS_MHZ = [1.8, 3.5, 7, 10.1, 14, 18.1, 21, 24.9, 28, 50, 144];
+
+function pick<T>(rand: Random, xs: readonly T[]): T {
+  return xs[Math.floor(rand() * xs.length)] as T;
+}
+
+function e12(rand: Random, minExp: number, maxExp: number): number {
+  const exp = minExp + Math.floor(rand() * (maxExp - minExp + 1));
+  return Number((pick(rand, E12) * 10 ** exp).toPrecision(2));
+}
+
+const q = (value: number, unit: Unit): Quantity => ({ value, unit });
+
+type Draft = Omit<CalcQuestion, 'choices' | 'id'> & { wrong: number[] };
+
+const GENERATORS: Record<CalcTopic, Array<(rand: Random) => Draft>> = {
+  ohm: [
+    (rand) => {
+      const I = pick(rand, [1, 2, 5, 10, 20, 50, 100, 200]) / 1000;
+      const R = e12(rand, 1, 3);
+      return { topic: 'ohm', prompt: "calc.ohm.V", given: { I: q(I, 'A'), R: q(R, 'Ω') }, answer: q(I * R, 'V'),
+        formula: "V = I × R", wrong: [R / I, I / R, I * 1000 * R] };
+    },
+    (rand) => {
+      const V = pick(rand, [1.5, 3, 5, 9, 12, 13.8, 24, 48, 120]);
+      const R = e12(rand, 1, 4);
+      return { topic: 'ohm', prompt: "calc.ohm.I", given: { V: q(V, 'V'), R: q(R, 'Ω') }, answer: q(V / R, 'A'),
+        formula: "I = V / R", wrong: [V * R, R / V, (V / R) * 1000] };
+    },
+    (rand) => {
+      const V = pick(rand, [3, 5, 9, 12, 13.8, 24, 48]);
+      const I = pick(rand, [2, 5, 10, 20, 50, 100, 250, 500]) / 1000;
+      return { topic: 'ohm', prompt: "calc.ohm.R", given: { V: q(V, 'V'), I: q(I, 'A') }, answer: q(V / I, 'Ω'),
+        formula: "R = V / I", wrong: [V * I, I / V, V / (I * 1000)] };
+    },
+  ],
+  power: [
+    (rand) => {
+      const V = pick(rand, [5, 12, 13.8, 24, 48, 120]);
+      const I = pick(rand, [0.1, 0.25, 0.5, 1, 2, 2.5, 5, 10, 20]);
+      return { topic: 'power', prompt: "calc.power.VI", given: { V: q(V, 'V'), I: q(I, 'A') }, answer: q(V * I, 'W'),
+        formula: "P = V × I", wrong: [V / I, I / V, V * I * I] };
+    },
+    (rand) => {
+      const I = pick(rand, [10, 20, 50, 100, 200, 500]) / 1000;
+      const R = e12(rand, 1, 3);
+      return { topic: 'power', prompt: "calc.power.IR", given: { I: q(I, 'A'), R: q(R, 'Ω') }, answer: q(I * I * R, 'W'),
+        formula: "P = I² × R", wrong: [I * R, I * I / R, 2 * I * R] };
+    },
+    (rand) => {
+      const V = pick(rand, [5, 10, 12, 20, 50, 100]);
+      const R = pick(rand, [8, 10, 25, 50, 75, 100, 300, 600]);
+      return { topic: 'power', prompt: "calc.power.VR", given: { V: q(V, 'V'), R: q(R, 'Ω') }, answer: q((V * V) / R, 'W'),
+        formula: "P = V² / R", wrong: [V / R, V * V * R, (2 * V) / R] };
+    },
+  ],
+  reactance: [
+    (rand) => {
+      const f = pick(rand, BANDS_MHZ) * 1e6;
+      const L = e12(rand, -7, -5);
+      return { topic: 'reactance', prompt: "calc.reactance.L", given: { f: q(f, 'Hz'), L: q(L, 'H') }, answer: q(2 * Math.PI * f * L, 'Ω'),
+        formula: "XL = 2π × f × L", wrong: [f * L, 1 / (2 * Math.PI * f * L), Math.PI * f * L] };
+    },
+    (rand) => {
+      const f = pick(rand, BANDS_MHZ) * 1e6;
+      const C = e12(rand, -11, -9);
+      return { topic: 'reactance', prompt: "calc.reactance.C", given: { f: q(f, 'Hz'), C: q(C, 'F') }, answer: q(1 / (2 * Math.PI * f * C), 'Ω'),
+        formula: "XC = 1 / (2π × f × C)", wrong: [1 / (f * C), 2 * Math.PI * f * C, 1 / (Math.PI * f * C)] };
+    },
+  ],
+  resonance: [
+    (rand) => {
+      const L = e12(rand, -6, -5);
+      const C = e12(rand, -11, -10);
+      const f = 1 / (2 * Math.PI * Math.sqrt(L * C));
+      return { topic: 'resonance', prompt: "calc.resonance", given: { L: q(L, 'H'), C: q(C, 'F') }, answer: q(f, 'Hz'),
+        formula: "f = 1 / (2π × √(L × C))", wrong: [1 / Math.sqrt(L * C), f / 1000, 2 * Math.PI * f] };
+    },
+  ],
+  decibel: [
+    (rand) => {
+      const P1 = pick(rand, [1, 2, 5, 10, 25]);
+      const ratio = pick(rand, [2, 4, 5, 10, 20, 50, 100, 0.5, 0.25, 0.1]);
+      return { topic: 'decibel', prompt: "calc.db.power", given: { P1: q(P1, 'W'), P2: q(P1 * ratio, 'W') }, answer: q(10 * Math.log10(ratio), 'dB'),
+        formula: "dB = 10 × log(P2 / P1)", wrong: [20 * Math.log10(ratio), ratio, 10 * Math.log(ratio)] };
+    },
+    (rand) => {
+      const V1 = pick(rand, [0.1, 0.5, 1, 2]);
+      const ratio = pick(rand, [2, 4, 10, 20, 100, 0.5, 0.1]);
+      return { topic: 'decibel', prompt: "calc.db.voltage", given: { V1: q(V1, 'V'), V2: q(V1 * ratio, 'V') }, answer: q(20 * Math.log10(ratio), 'dB'),
+        formula: "dB = 20 × log(V2 / V1)", wrong: [10 * Math.log10(ratio), ratio, 20 * Math.log(ratio)] };
+    },
+    (rand) => {
+      const P1 = pick(rand, [1, 5, 10, 25, 50, 100]);
+      const G = pick(rand, [3, 6, 10, 13, 20, -3, -6, -10]);
+      return { topic: 'decibel', prompt: "calc.db.gain", given: { P1: q(P1, 'W'), G: q(G, 'dB') }, answer: q(P1 * 10 ** (G / 10), 'W'),
+        formula: "P2 = P1 × 10^(dB / 10)", wrong: [P1 * 10 ** (G / 20), Math.abs(P1 * G), Math.max(0.1, P1 + G)] };
+    },
+  ],
+};
+
+// Choix affichés distincts une fois formatés ; à défaut, erreurs de puissance de dix
+function makeChoices(answer: Quantity, wrong: number[], rand: Random): number[] {
+  const label = (v: number) => formatQuantity(q(v, answer.unit));
+  const seen = new Set([label(answer.value)]);
+  const out = [answer.value];
+  for (const v of [...wrong, answer.value * 10, answer.value / 10, answer.value * 100, answer.value / 100]) {
+    if (out.length === 4) break;
+    if (!isFinite(v) || v === 0 || seen.has(label(v))) continue;
+    seen.add(label(v));
+    out.push(v);
+  }
+  return shuffle(out, rand);
+}
+
+// Intitulé du thème pour une entrée du journal (CALC-OHM → « Loi d’Ohm »)
+export function calcTopicLabel(id: string): MessageKey | undefined {
+  return CALC_TOPICS.find((c) => `CALC-${c.id.toUpperCase()}` === id)?.label;
+}
+
+export function generateCalc(topics: CalcTopic[], count: number, rand: Random = Math.random): CalcQuestion[] {
+  const pool = (topics.length ? topics : CALC_TOPICS.map((c) => c.id)).flatMap((tp) => GENERATORS[tp]);
+  return Array.from({ length: count }, () => {
+    const { wrong, ...draft } = pick(rand, pool)(rand);
+    return { ...draft, id: `CALC-${draft.topic.toUpperCase()}`, choices: makeChoices(draft.answer, wrong, rand) };
+  });
+}
+
+// Affichage en notation ingénieur : 3 chiffres significatifs et préfixe SI
+const PREFIX_OF: Record<number, string> = { [-12]: "p", [-9]: "n", [-6]: "µ", [-3]: "m", 0: "", 3: "k", 6: "M", 9: "G" };
+
+export function formatQuantity({ value, unit }: Quantity): string {
+  if (unit === 'dB') return `${formatNumber(value, { maximumFractionDigits: 1 })} dB`;
+  const v = Number(value.toPrecision(3));
+  const exp = v === 0 ? 0 : Math.max(-12, Math.min(9, Math.floor(Math.log10(Math.abs(v)) / 3) * 3));
+  return `${formatNumber(v / 10 ** exp, { maximumSignificantDigits: 3 })} ${PREFIX_OF[exp]}${unit}`;
+}
+
+// Saisie libre : « 4,7 kΩ », « 4.7k », « 150 mA », « 7.1 MHz », « 3 dB »
+const PREFIXES: Record<string, number> = { p: 1e-12, n: 1e-9, u: 1e-6, "µ": 1e-6, "μ": 1e-6, m: 1e-3, k: 1e3, K: 1e3, M: 1e6, G: 1e9 };
+
+export type ParsedAnswer = { value: number } | { error: 'number' | 'unit' };
+
+export function parseQuantity(input: string, unit: Unit): ParsedAnswer {
+  const s = input.trim().replace(/\s+/g, "").replace(",", ".").replace(/ohms?$/i, "Ω");
+  const m = s.match(/^([-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?)(.*)$/i);
+  if (!m) return { error: 'number' };
+  const n = Number(m[1]);
+  let rest = m[2] ?? "";
+  if (rest.toLowerCase().endsWith(unit.toLowerCase())) rest = rest.slice(0, rest.length - unit.length);
+  if (!rest) return { value: n };
+  // Pas de préfixe sur les décibels
+  const factor = unit === 'dB' ? undefined : PREFIXES[rest];
+  return factor === undefined ? { error: 'unit' } : { value: n * factor };
+}
+
+export function isCorrect(answer: Quantity, value: number): boolean {
+  const tol = answer.unit === 'dB' ? DB_TOLERANCE : Math.abs(answer.value) * REL_TOLERANCE;
+  return Math.abs(value - answer.value) <= tol;
+}
@@ -0,0 +1,104 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { addDays, dayKey, dayOfISO, daysBetween, isDayKey, todayKey, weekday } from "./dates.js";
+
+// Le fuseau est celui du processus : on change TZ pour chaque groupe de tests
+// (Node le relit à chaque affectation).
+afterEach(() => {
+  vi.unstubAllEnvs();
+});
+
+function inTimeZone(tz: string): void {
+  beforeEach(() => {
+    vi.stubEnv("TZ", tz);
+  });
+}
+
+describe("dayKey — jour du calendrier local", () => {
+  describe("America/Toronto (UTC−5/−4)", () => {
+    inTimeZone("America/Toronto");
+
+    it("garde une séance du soir sur le jour local, pas sur le lendemain UTC", () => {
+      expect(dayKey(new Date("2026-10-20T03:30:00Z"))).toBe("2026-10-19");
+      expect(dayOfISO("2026-10-20T03:30:00Z")).toBe("2026-10-19");
+      expect(todayKey(new Date(2026, 9, 19, 23, 59))).toBe("2026-10-19");
+    });
+
+    it("passage à l’heure d’été : le jour de 23 heures reste un jour", () => {
+      expect(dayKey(new Date(2026, 2, 8, 0, 0))).toBe("2026-03-08");
+      expect(dayKey(new Date(2026, 2, 8, 23, 59))).toBe("2026-03-08");
+      // 03:30 locale le 8 mars (EDT) = 07:30 UTC ; 23:30 locale = 03:30 UTC le 9
+      expect(dayOfISO("2026-03-08T07:30:00Z")).toBe("2026-03-08");
+      expect(dayOfISO("2026-03-09T03:30:00Z")).toBe("2026-03-08");
+    });
+
+    it("retour à l’heure normale : le jour de 25 heures reste un jour", () => {
+      expect(dayOfISO("2026-11-01T04:30:00Z")).toBe("2026-11-01"); // 00:30 EDT
+      expect(dayOfISO("2026-11-01T05:30:00Z")).toBe("2026-11-01"); // 01:30 EDT
+      expect(dayOfISO("2026-11-01T06:30:00Z")).toBe("2026-11-01"); // 01:30 EST
+      expect(dayOfISO("2026-11-02T04:59:00Z")).toBe("2026-11-01"); // 23:59 EST
+      expect(dayOfISO("2026-11-02T05:00:00Z")).toBe("2026-11-02");
+    });
+
+    it("addDays suit le calendrier local, minuit après minuit, à travers les deux changements d’heure", () => {
+      for (const [y, m] of [[2026, 2], [2026, 9]] as const) {
+        const start = dayKey(new Date(y, m, 1));
+        for (let i = 0; i < 45; i++) {
+          expect(addDays(start, i)).toBe(dayKey(new Date(y, m, 1 + i)));
+        }
+      }
+    });
+  });
+
+  it.each([
+    ["Pacific/Kiritimati", "2026-07-01"], // UTC+14
+    ["Pacific/Auckland", "2026-07-01"], // UTC+12 (hiver austral)
+    ["Asia/Kolkata", "2026-07-01"], // UTC+5:30
+    ["UTC", "2026-06-30"],
+    ["America/St_Johns", "2026-06-30"], // UTC−2:30 (HAT)
+    ["America/Vancouver", "2026-06-30"], // UTC−7
+    ["Pacific/Pago_Pago", "2026-06-30"], // UTC−11
+  ])("décalage %s : 2026-06-30T20:00Z tombe le %s", (tz, expected) => {
+    vi.stubEnv("TZ", tz);
+    expect(dayOfISO("2026-06-30T20:00:00Z")).toBe(expected);
+  });
+
+  it("dayOfISO renvoie null pour un horodatage illisible", () => {
+    expect(dayOfISO("hier soir")).toBeNull();
+  });
+});
+
+describe("arithmétique sur les clés de jour", () => {
+  describe.each(["America/Toronto", "America/Vancouver", "Pacific/Auckland", "UTC"])("fuseau %s", (tz) => {
+    inTimeZone(tz);
+
+    it("addDays et daysBetween ne dépendent pas des changements d’heure", () => {
+      expect(addDays("2026-03-07", 1)).toBe("2026-03-08");
+      expect(addDays("2026-03-08", 1)).toBe("2026-03-09");
+      expect(addDays("2026-10-31", 2)).toBe("2026-11-02");
+      expect(addDays("2026-04-05", -1)).toBe("2026-04-04"); // fin de l’heure d’été en Nouvelle‑Zélande
+      expect(daysBetween("2026-03-01", "2026-04-01")).toBe(31);
+      expect(daysBetween("2026-10-28", "2026-11-04")).toBe(7);
+      expect(daysBetween("2026-11-04", "2026-10-28")).toBe(-7);
+    });
+
+    it("passe les fins de mois et les années bissextiles", () => {
+      expect(addDays("2028-02-28", 1)).toBe("2028-02-29");
+      expect(addDays("2027-02-28", 1)).toBe("2027-03-01");
+      expect(addDays("2026-12-31", 1)).toBe("2027-01-01");
+      expect(daysBetween("2026-01-01", "2027-01-01")).toBe(365);
+    });
+
+    it("weekday : 0 = lundi … 6 = dimanche", () => {
+      expect(weekday("2026-10-19")).toBe(0);
+      expect(weekday("2026-03-08")).toBe(6);
+      expect(weekday("2026-11-01")).toBe(6);
+    });
+  });
+
+  it("isDayKey refuse les dates impossibles ou mal formées", () => {
+    expect(isDayKey("2026-10-19")).toBe(true);
+    expect(isDayKey("2026-02-30")).toBe(false);
+    expect(isDayKey("2026-10-19T00:00")).toBe(false);
+    expect(isDayKey("19/10/2026")).toBe(false);
+  });
+});
@@ -0,0 +1,61 @@
+// =============================================
+// Dates — clés de jour AAAA‑MM‑JJ du calendrier local
+// =============================================
+// Un « jour » est toujours celui de l’horloge de l’élève (dayKey), jamais la
+// date UTC de toISOString() : à Montréal (UTC−5/−4) ou à Vancouver
+// (UTC−8/−7), une séance du soir tombe déjà le lendemain en UTC.
+// L’arithmétique sur les clés (addDays, daysBetween, weekday) passe par
+// Date.UTC : elle ne dépend ni du fuseau ni des changements d’heure (un jour
+// de 23 ou 25 heures reste un jour).
+// =============================================
+
+const DAY_MS = 86_400_000;
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Clé d’une date dans le calendrier local
+export function dayKey(d: Date): string {
+  const y = d.getFullYear();
+  const m = String(d.getMonth() + 1).padStart(2, "0");
+  const dd = String(d.getDate()).padStart(2, "0");
+  return `${y}-${m}-${dd}`;
+}
+
+export function todayKey(now: Date = new Date()): string {
+  return dayKey(now);
+}
+
+export function isDayKey(s: string): boolean {
+  return DAY_RE.test(s) && fromUTC(toUTC(s)) === s;
+}
+
+// Jour local d’un horodatage ISO (journal des réponses, révisions) ; null si illisible
+export function dayOfISO(iso: string): string | null {
+  const d = new Date(iso);
+  return isNaN(d.getTime()) ? null : dayKey(d);
+}
+
+function toUTC(day: string): number {
+  const [y, m, d] = day.split("-").map(Number);
+  return Date.UTC(y ?? 1970, (m ?? 1) - 1, d ?? 1);
+}
+
+function fromUTC(ms: number): string {
+  const d = new Date(ms);
+  const m = String(d.getUTCMonth() + 1).padStart(2, "0");
+  const dd = String(d.getUTCDate()).padStart(2, "0");
+  return `${d.getUTCFullYear()}-${m}-${dd}`;
+}
+
+export function addDays(day: string, n: number): string {
+  return fromUTC(toUTC(day) + n * DAY_MS);
+}
+
+// Nombre de jours de `from` à `to` (négatif si `to` précède `from`)
+export function daysBetween(from: string, to: string): number {
+  return Math.round((toUTC(to) - toUTC(from)) / DAY_MS);
+}
+
+// Jour de la semaine, 0 = lundi … 6 = dimanche
+export function weekday(day: string): number {
+  return (new Date(toUTC(day)).getUTCDay() + 6) % 7;
+}
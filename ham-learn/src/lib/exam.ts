@@ -0,0 +1,142 @@
+import type { QA } from "../types.js";
+import type { OptionIndex } from "./options.js";
+import { shuffle } from "./utils.js";
+import type { Random } from "./random.js";
+
+// =============================================
+// Examen simulé — compétence de base (ISED)
+// =============================================
+// L’examen officiel compte 100 questions : une par sous‑section (B‑xxx‑yyy)
+// de la banque. La pondération par section correspond donc au nombre de
+// sous‑sections de chaque sujet B‑001…B‑008.
+// =============================================
+
+export const EXAM_BLUEPRINT: Record<string, number> = {
+  "B-001": 25, // Règlements et politiques
+  "B-002": 9, // Procédures d’exploitation
+  "B-003": 21, // Montage de la station, pratique et sécurité
+  "B-004": 6, // Composants de circuits
+  "B-005": 13, // Électronique et théorie de base
+  "B-006": 13, // Lignes de transmission et antennes
+  "B-007": 8, // Propagation des ondes radio
+  "B-008": 5, // Interférences et suppression
+};
+
+export const EXAM_PASS = 0.7;
+export const EXAM_HONOURS = 0.8;
+export const EXAM_DEFAULT_MINUTES = 180;
+
+export interface ExamQuestion {
+  qa: QA;
+  order: OptionIndex[]; // ordre d’affichage des options, fixé au tirage
+}
+
+export interface SectionScore {
+  total: number;
+  correct: number;
+}
+
+export interface ExamResult {
+  total: number;
+  answered: number;
+  correct: number;
+  pct: number;
+  passed: boolean;
+  honours: boolean;
+  bySection: Record<string, SectionScore>;
+}
+
+export interface ExamRecord extends ExamResult {
+  date: string; // ISO
+  durationSec: number;
+  timedOut: boolean;
+}
+
+// Arborescence tirée de l’ID, quelle que soit la banque : segments séparés par
+// « - », « . » ou « _ », le dernier étant le numéro de la question. Section =
+// 2 premiers segments, sous‑section = 3 (B-001-002-003 → B-001, B-001-002),
+// sans jamais inclure ce numéro. Le préfixe de banque (adv:…, voir
+// lib/banks.ts) est conservé.
+function idPrefix(id: string, depth: number): string {
+  const start = id.indexOf(":") + 1;
+  const seps = Array.from(id.slice(start).matchAll(/[-._]/g), (m) => start + m.index);
+  const end = seps[Math.max(1, Math.min(depth, seps.length)) - 1];
+  return end === undefined ? id : id.slice(0, end);
+}
+
+export function sectionOf(id: string): string {
+  return idPrefix(id, 2);
+}
+
+export function subSectionOf(id: string): string {
+  return idPrefix(id, 3);
+}
+
+export interface DrawOptions {
+  sections?: string[]; // sous‑ensemble du plan (défaut : toutes les sections)
+  rand?: Random; // générateur (défaut : Math.random) ; voir lib/random.ts
+}
+
+// Tire une question par sous‑section, section par section, selon le plan.
+// Si une section a moins de sous‑sections que prévu (banque filtrée ou
+// incomplète), on complète avec d’autres questions de la même section.
+// Tout est trié par ID avant tirage : avec le même générateur et la même
+// banque, le résultat est identique quel que soit l’ordre du fichier.
+export function drawExam(qas: QA[], { sections, rand = Math.random }: DrawOptions = {}): ExamQuestion[] {
+  const bySub = new Map<string, QA[]>();
+  const sorted = [...qas].sort((a, b) => a.question_id.localeCompare(b.question_id));
+  for (const q of sorted) {
+    const sub = subSectionOf(q.question_id);
+    const list = bySub.get(sub);
+    if (list) list.push(q);
+    else bySub.set(sub, [q]);
+  }
+
+  const picked: QA[] = [];
+  for (const [section, weight] of Object.entries(EXAM_BLUEPRINT)) {
+    if (sections && !sections.includes(section)) continue;
+    const subs = shuffle(Array.from(bySub.keys()).filter((s) => sectionOf(s) === section), rand);
+    const chosen: QA[] = [];
+    for (const sub of subs.slice(0, weight)) {
+      const q = shuffle(bySub.get(sub) ?? [], rand)[0];
+      if (q) chosen.push(q);
+    }
+    if (chosen.length < weight) {
+      const rest = shuffle(sorted.filter((q) => sectionOf(q.question_id) === section && !chosen.includes(q)), rand);
+      chosen.push(...rest.slice(0, weight - chosen.length));
+    }
+    picked.push(...chosen);
+  }
+
+  return picked
+    .sort((a, b) => a.question_id.localeCompare(b.question_id))
+    .map((qa) => ({ qa, order: shuffle<OptionIndex>([0, 1, 2, 3], rand) }));
+}
+
+export function gradeExam(questions: ExamQuestion[], answers: Record<string, OptionIndex>): ExamResult {
+  const bySection: Record<string, SectionScore> = {};
+  let answered = 0;
+  let correct = 0;
+  for (const { qa } of questions) {
+    const sec = sectionOf(qa.question_id);
+    const s = bySection[sec] ?? (bySection[sec] = { total: 0, correct: 0 });
+    s.total++;
+    const a = answers[qa.question_id];
+    if (a !== undefined) answered++;
+    if (a === 0) {
+      s.correct++;
+      correct++;
+    }
+  }
+  const total = questions.length;
+  const ratio = total ? correct / total : 0;
+  return {
+    total,
+    answered,
+    correct,
+    pct: Math.round(ratio * 100),
+    passed: ratio >= EXAM_PASS,
+    honours: ratio >= EXAM_HONOURS,
+    bySection,
+  };
+}
@@ -0,0 +1,63 @@
+import type { Lang } from "../types.js";
+import { STORE_KEYS, loadJSON, saveJSON } from "./storage.js";
+import { t } from "../i18n/index.js";
+
+// =============================================
+// Explications — fichier compagnon facultatif de la banque
+// =============================================
+// JSON indexé par question_id, placé en /public (amat_basic_explanations.json)
+// ou importé depuis la barre d’outils :
+//   { "B-001-001-001": { "fr": "…", "en": "…", "refs": ["RIC-3 §2.1", "RRR art. 44"] } }
+// « refs » renvoie aux sections du RIC‑3 ou du Règlement sur la radiocommunication.
+// Commun à tous les profils, comme la banque.
+// =============================================
+
+export const EXPLANATIONS_FILE = "amat_basic_explanations.json";
+
+export interface Explanation {
+  fr: string;
+  en: string;
+  refs: string[];
+}
+
+export type ExplanationMap = Record<string, Explanation>;
+
+export interface ExplanationsReport {
+  explanations: ExplanationMap;
+  rejected: string[]; // ID dont l’entrée est inutilisable (ni texte ni référence)
+}
+
+export function parseExplanations(text: string): ExplanationsReport {
+  let raw: unknown;
+  try {
+    raw = JSON.parse(text.replace(/^\uFEFF/, ""));
+  } catch {
+    throw new Error(t("explain.invalidJson"));
+  }
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw new Error(t("explain.invalidFormat"));
+
+  const explanations: ExplanationMap = {};
+  const rejected: string[] = [];
+  for (const [id, v] of Object.entries(raw)) {
+    const e = (v ?? {}) as { fr?: unknown; en?: unknown; refs?: unknown };
+    const str = (x: unknown) => (typeof x === "string" ? x.trim() : "");
+    const refs = (Array.isArray(e.refs) ? e.refs : [e.refs]).map(str).filter(Boolean);
+    const entry = { fr: str(e.fr), en: str(e.en), refs };
+    if (!entry.fr && !entry.en && !refs.length) rejected.push(id);
+    else explanations[id.trim()] = entry;
+  }
+  return { explanations, rejected };
+}
+
+// Texte dans la langue demandée, ou dans l’autre si la traduction manque
+export function explanationText(e: Explanation, lang: Lang): string {
+  return (lang === 'fr' ? e.fr || e.en : e.en || e.fr);
+}
+
+export function loadExplanations(): ExplanationMap {
+  return loadJSON<ExplanationMap>(STORE_KEYS.explanations, {});
+}
+
+export function saveExplanations(map: ExplanationMap): void {
+  saveJSON(STORE_KEYS.explanations, map);
+}
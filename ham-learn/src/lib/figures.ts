@@ -0,0 +1,91 @@
+import type { Lang, QA } from "../types.js";
+import { STORE_KEYS, loadJSON, saveJSON } from "./storage.js";
+import { t } from "../i18n/index.js";
+
+// =============================================
+// Figures — schémas et images rattachés aux questions
+// =============================================
+// Deux sources, la colonne de la banque ayant priorité :
+// - colonnes facultatives d’une banque personnalisée : image, image_alt_english,
+//   image_alt_french (la banque officielle, sans ces colonnes, reste valide) ;
+// - fichier compagnon indexé par question_id, placé en /public
+//   (amat_basic_figures.json) avec les mêmes noms de champs :
+//   { "B-005-003-001": { "image": "figures/B-005-003-001.svg", "image_alt_french": "…", "image_alt_english": "…" } }
+// « image » : chemin relatif à l’application (ex. figures/…, précaché hors
+// ligne), URL http(s), data:image/… ou SVG en ligne (<svg …>…</svg>).
+// Le SVG en ligne est affiché comme image (data: URI) : ses scripts ne
+// s’exécutent pas.
+// =============================================
+
+export const FIGURES_FILE = "amat_basic_figures.json";
+
+export const FIGURE_FIELDS = ["image", "image_alt_english", "image_alt_french"] as const;
+
+export type FigureEntry = Partial<Record<typeof FIGURE_FIELDS[number], string>>;
+export type FigureMap = Record<string, FigureEntry>;
+
+export interface Figure {
+  src: string;
+  alt: string;
+}
+
+// Source affichable, ou null si la valeur n’est pas une image acceptée
+export function imageSrc(raw: string): string | null {
+  const s = raw.trim();
+  if (!s) return null;
+  if (/^<svg[\s>]/i.test(s)) {
+    const svg = /\sxmlns=/.test(s) ? s : s.replace(/^<svg/i, '<svg xmlns="http://www.w3.org/2000/svg"');
+    return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+  }
+  if (/^data:image\/(png|jpeg|gif|webp|svg\+xml)[;,]/i.test(s)) return s;
+  if (/^https?:\/\//i.test(s)) return s;
+  // Chemin relatif : ni schéma (javascript:, file:…) ni hôte (//…)
+  if (!/^[a-z][a-z0-9+.-]*:/i.test(s) && !s.startsWith("//")) return s;
+  return null;
+}
+
+export function figureOf(q: QA, figures: FigureMap, lang: Lang): Figure | null {
+  const entry: FigureEntry = q.image ? q : figures[q.question_id] ?? {};
+  const src = imageSrc(entry.image ?? "");
+  if (!src) return null;
+  const alt = lang === 'fr'
+    ? entry.image_alt_french || entry.image_alt_english
+    : entry.image_alt_english || entry.image_alt_french;
+  return { src, alt: alt || t("figure.alt", { id: q.question_id }) };
+}
+
+export interface FiguresReport {
+  figures: FigureMap;
+  rejected: string[]; // ID sans image acceptée
+}
+
+export function parseFigures(text: string): FiguresReport {
+  let raw: unknown;
+  try {
+    raw = JSON.parse(text.replace(/^\uFEFF/, ""));
+  } catch {
+    throw new Error(t("figure.invalidJson"));
+  }
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw new Error(t("figure.invalidFormat"));
+
+  const figures: FigureMap = {};
+  const rejected: string[] = [];
+  for (const [id, v] of Object.entries(raw)) {
+    const e = (v ?? {}) as Record<string, unknown>;
+    const entry: FigureEntry = {};
+    for (const f of FIGURE_FIELDS) {
+      if (typeof e[f] === "string" && e[f].trim()) entry[f] = e[f].trim();
+    }
+    if (!imageSrc(entry.image ?? "")) rejected.push(id);
+    else figures[id.trim()] = entry;
+  }
+  return { figures, rejected };
+}
+
+export function loadFigures(): FigureMap {
+  return loadJSON<FigureMap>(STORE_KEYS.figures, {});
+}
+
+export function saveFigures(map: FigureMap): void {
+  saveJSON(STORE_KEYS.figures, map);
+}
@@ -0,0 +1,43 @@
+import { describe, expect, it } from "vitest";
+import { parseBank } from "./parser.js";
+import { buildGlossary } from "./glossary.js";
+
+// Lignes tirées telles quelles de public/amat_basic_quest_delim.txt
+const HEADER = "question_id ;question_english;correct_answer_english;incorrect_answer_1_english;incorrect_answer_2_english;incorrect_answer_3_english;question_french;correct_answer_french;incorrect_answer_1_french;incorrect_answer_2_french;incorrect_answer_3_french";
+const ROWS = [
+  "B-001-007-010;An amateur radio operator may be engaged in communications including the transmission of:;Q codes;programming that originates from a broadcasting undertaking;radiocommunication in support of industrial, business, or professional activities;commercially recorded material;Un radioamateur peut transmettre des communications qui incluent la transmission:;de codes Q;de programmes provenant d'un radiodiffuseur;de radiocommunications relatives à des activités industrielles, commerciales ou professionnelles;de matériel enregistré commercialement",
+  "B-001-008-004;What minimum qualifications must an amateur radio operator hold to install a repeater operating on a single band in a voice mode?;Basic and Advanced;Basic and Morse code;Basic with Honours;Basic;Quelles compétences minimales le radioamateur doit-il détenir pour établir un répéteur fonctionnant sur une bande unique en mode voix?;Base et supérieure;Base et code Morse;Base avec distinction;Base",
+  "B-001-014-005;Foreign amateur radio operators may operate in Canada if they qualify for a CEPT (European Conference of Postal and Telecommunications Administrations) Amateur Radio Licence. What operating privileges are they granted by Innovation, Science and Economic Development Canada?;Advanced;Basic with Honours;Basic and Morse code;Basic;Les radioamateurs étrangers peuvent opérer au Canada s'ils se qualifient pour une licence d'exploitation de la CEPT (Conférence européenne des administrations des postes et des télécommunications). Quels privilèges leur sont attribués par Innovation, Sciences et Développement économique Canada?;Base et supérieure;Base avec distinction;Base et code Morse;Base",
+  "B-002-003-010;Which sideband is commonly used on 3755 kHz for voice operation?;Lower;Independent;Double;Upper;Quelle bande latérale est habituellement utilisée pour la phonie à la fréquence de 3755 kHz?;Inférieure;Indépendante;Double;Supérieure",
+  "B-003-001-007;In an HF station, which component is designed to dissipate RF energy and prevent radiation?;Dummy load;Lightning surge protector;Low-pass filter;Heat sink;Dans une station HF, quel dispositif est conçu pour dissiper l'énergie RF et en prévenir le rayonnement?;Une charge fictive;Un parafoudre;Un filtre passe-bas;Un dissipateur thermique",
+  "B-003-011-006;Morse code is usually transmitted by radio as:;an interrupted carrier;a series of key clicks;a continuous carrier;a phase-shifted carrier;Le code Morse est généralement transmis sur les ondes sous forme:;d'une porteuse interrompue;d'une série de claquements de manipulation;d'une porteuse continue;d'une porteuse déplacée en phase",
+  "B-003-016-006;The voltage at a battery's terminals will drop when it supplies current. What is the cause of the drop?;Internal resistance;Electrolyte becoming dry;Current capacity;Voltage capacity;La tension aux bornes d'une batterie chute lorsqu'elle fournit du courant. Quelle est la cause de cette chute?;Sa résistance interne;L'assèchement de son électrolyte;Sa capacité en courant;Sa capacité en tension",
+  "B-003-018-011;What is the risk involved in troubleshooting a live power supply?;Electric shock;Damaging connected equipment;Electromagnetic interference;Blowing the fuse;Quel est le risque de tenter de localiser un problème dans un bloc d'alimentation en fonction?;De subir un choc électrique;D'endommager l'équipement raccordé au bloc;De créer des perturbations électromagnétiques;De faire sauter un fusible",
+];
+
+const glossary = buildGlossary(parseBank([HEADER, ...ROWS].join("\n")).accepted);
+const fr = (en: string) => glossary.find((e) => e.en === en)?.fr;
+
+describe("buildGlossary", () => {
+  it("retire l’article d’une bonne réponse française", () => {
+    expect(fr("Dummy load")).toBe("Charge fictive");
+  });
+
+  it("retire le « de » / « d’ » d’une réponse qui complète la question", () => {
+    expect(fr("Q codes")).toBe("Codes Q");
+    expect(fr("Electric shock")).toBe("Subir un choc électrique");
+    expect(fr("Interrupted carrier")).toBe("Porteuse interrompue");
+  });
+
+  it("retire le possessif", () => {
+    expect(fr("Internal resistance")).toBe("Résistance interne");
+  });
+
+  it("écarte les comparatifs et les niveaux de compétence", () => {
+    expect(glossary.map((e) => e.en)).toEqual(["Q codes", "Dummy load", "Interrupted carrier", "Internal resistance", "Electric shock"]);
+  });
+
+  it("garde les ID des questions où le terme est la bonne réponse", () => {
+    expect(glossary.find((e) => e.en === "Q codes")?.ids).toEqual(["B-001-007-010"]);
+  });
+});
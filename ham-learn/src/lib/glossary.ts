@@ -0,0 +1,83 @@
+import type { QA } from "../types.js";
+
+// =============================================
+// Glossaire FR/EN tiré des bonnes réponses alignées
+// =============================================
+// Les bonnes réponses courtes de la banque sont souvent des termes techniques
+// (« Dummy load » / « Une charge fictive »). On garde celles qui ressemblent
+// à un terme (peu de mots, sans chiffres, pas une phrase), on retire les
+// articles et on regroupe par terme anglais.
+// =============================================
+
+export interface GlossaryEntry {
+  en: string;
+  fr: string; // traduction la plus fréquente dans la banque
+  ids: string[]; // questions où le terme est la bonne réponse
+}
+
+const MAX_WORDS_EN = 4;
+const MAX_WORDS_FR = 8;
+
+// Débuts de phrase : la réponse est une explication, pas un terme
+const SENTENCE_START = new Set([
+  "it", "this", "that", "these", "they", "there", "to", "no", "yes", "all", "none", "only", "when", "if",
+  "by", "on", "in", "for", "with", "from", "at", "around", "shortly", "make", "use", "do", "does", "is", "are",
+  "your", "increase", "decrease", "increasing", "decreasing",
+]);
+
+// Verbes conjugués : « Reverse bias is decreased » est une phrase, pas un terme
+const VERBS = new Set(["is", "are", "was", "were", "increases", "decreases", "rises", "falls"]);
+
+// Réponses qui ne sont qu’un comparatif ou un niveau de compétence (« Lower »,
+// « Basic and Advanced ») : elles n’ont de sens qu’avec la question
+const NOT_TERMS = new Set(["basic", "advanced", "upper", "lower", "higher", "more", "less", "and", "or"]);
+
+function stripEn(s: string): string {
+  return s.trim().replace(/[.;:!]+$/, "").replace(/^(the|a|an)\s+/i, "");
+}
+
+// « de codes Q », « d'une porteuse » : la réponse complète la question, on retire
+// la préposition puis l’article ou le possessif
+function stripFr(s: string): string {
+  return s.trim().replace(/[.;:!]+$/, "")
+    .replace(/^(de\s+|d['’]\s*)/i, "")
+    .replace(/^(les|le|la|une|un|des|du|sa|son|ses)\s+|^l['’]\s*/i, "");
+}
+
+function capitalize(s: string): string {
+  return s.charAt(0).toUpperCase() + s.slice(1);
+}
+
+function isTerm(en: string, fr: string): boolean {
+  const words = en.split(/\s+/);
+  const first = (words[0] ?? "").toLowerCase();
+  return (
+    en.length > 1 &&
+    words.length <= MAX_WORDS_EN &&
+    fr.split(/\s+/).length <= MAX_WORDS_FR &&
+    !/\d/.test(en) &&
+    !SENTENCE_START.has(first) &&
+    !words.some((w) => VERBS.has(w.toLowerCase())) &&
+    !words.every((w) => NOT_TERMS.has(w.toLowerCase()))
+  );
+}
+
+export function buildGlossary(qas: QA[]): GlossaryEntry[] {
+  const byTerm = new Map<string, { en: string; fr: Map<string, number>; ids: string[] }>();
+  for (const q of qas) {
+    const en = stripEn(q.correct_answer_english);
+    const fr = stripFr(q.correct_answer_french);
+    if (!fr || !isTerm(en, fr)) continue;
+    const key = en.toLowerCase();
+    const it = byTerm.get(key) ?? { en: capitalize(en), fr: new Map<string, number>(), ids: [] };
+    const frKey = capitalize(fr);
+    it.fr.set(frKey, (it.fr.get(frKey) ?? 0) + 1);
+    it.ids.push(q.question_id);
+    byTerm.set(key, it);
+  }
+  return Array.from(byTerm.values(), ({ en, fr, ids }) => ({
+    en,
+    fr: Array.from(fr).sort((a, b) => b[1] - a[1])[0]?.[0] ?? "",
+    ids,
+  }));
+}
@@ -0,0 +1,35 @@
+import { STORE_KEYS, loadJSON, saveJSON } from "./storage.js";
+
+// =============================================
+// Favoris et signalements — listes d’ID de questions, propres au profil
+// =============================================
+// - « bookmark » : question mise de côté pour la revoir (séance dédiée)
+// - « flag » : question à vérifier (énoncé douteux, à signaler à l’instructeur)
+// =============================================
+
+export type Mark = 'bookmark' | 'flag';
+export type MarkMap = Record<Mark, string[]>;
+
+export const EMPTY_MARKS: MarkMap = { bookmark: [], flag: [] };
+
+export function loadMarks(): MarkMap {
+  return { ...EMPTY_MARKS, ...loadJSON<Partial<MarkMap>>(STORE_KEYS.marks, {}) };
+}
+
+export function isMarked(marks: MarkMap, mark: Mark, id: string): boolean {
+  return marks[mark].includes(id);
+}
+
+export function toggleMark(mark: Mark, id: string): void {
+  const marks = loadMarks();
+  const ids = marks[mark];
+  saveJSON(STORE_KEYS.marks, { ...marks, [mark]: ids.includes(id) ? ids.filter((x) => x !== id) : [...ids, id] });
+}
+
+// Fusion de sauvegardes : réunion des deux listes
+export function mergeMarks(a: MarkMap, b: MarkMap): MarkMap {
+  return {
+    bookmark: Array.from(new Set([...a.bookmark, ...b.bookmark])),
+    flag: Array.from(new Set([...a.flag, ...b.flag])),
+  };
+}
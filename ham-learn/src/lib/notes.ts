@@ -0,0 +1,29 @@
+import { STORE_KEYS, loadJSON, saveJSON } from "./storage.js";
+
+// =============================================
+// Notes personnelles par question — propres au profil, incluses dans les sauvegardes
+// =============================================
+
+export type NoteMap = Record<string, string>;
+
+export function loadNotes(): NoteMap {
+  return loadJSON<NoteMap>(STORE_KEYS.notes, {});
+}
+
+// Une note vide est supprimée
+export function saveNote(id: string, text: string): void {
+  const notes = { ...loadNotes() };
+  if (text.trim()) notes[id] = text;
+  else delete notes[id];
+  saveJSON(STORE_KEYS.notes, notes);
+}
+
+// Fusion de sauvegardes : deux notes différentes sur la même question sont mises bout à bout
+export function mergeNotes(cur: NoteMap, inc: NoteMap): NoteMap {
+  const out: NoteMap = { ...cur };
+  for (const [id, text] of Object.entries(inc)) {
+    const mine = out[id];
+    out[id] = !mine || mine === text || mine.includes(text) ? mine || text : `${mine}\n\n${text}`;
+  }
+  return out;
+}
@@ -0,0 +1,26 @@
+import type { Lang, QA } from "../types.js";
+
+// Indice d’option : 0 = bonne réponse, 1..3 = distracteurs
+export type OptionIndex = 0 | 1 | 2 | 3;
+
+export const OPTION_INDEXES: readonly OptionIndex[] = [0, 1, 2, 3];
+
+export function questionText(q: QA, lang: Lang): string {
+  return lang === 'fr' ? q.question_french : q.question_english;
+}
+
+export function optionText(q: QA, i: OptionIndex, lang: Lang): string {
+  const fr = lang === 'fr';
+  switch (i) {
+    case 0: return fr ? q.correct_answer_french : q.correct_answer_english;
+    case 1: return fr ? q.incorrect_answer_1_french : q.incorrect_answer_1_english;
+    case 2: return fr ? q.incorrect_answer_2_french : q.incorrect_answer_2_english;
+    case 3: return fr ? q.incorrect_answer_3_french : q.incorrect_answer_3_english;
+  }
+}
+
+// Retrouve l’indice d’une réponse affichée (texte) dans la langue donnée
+export function optionIndexOf(q: QA, text: string | undefined, lang: Lang): OptionIndex | null {
+  if (text === undefined) return null;
+  return OPTION_INDEXES.find((i) => optionText(q, i, lang) === text) ?? null;
+}
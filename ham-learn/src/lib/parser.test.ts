@@ -0,0 +1,120 @@
+import { describe, expect, it } from "vitest";
+import { BANK_FIELDS, decodeBank, parseBank, splitRecords } from "./parser.js";
+
+const HEADER = BANK_FIELDS.join(";");
+const FIELDS = ["Question?", "Right", "Wrong 1", "Wrong 2", "Wrong 3", "Question ?", "Bonne", "Mauvaise 1", "Mauvaise 2", "Mauvaise 3"];
+
+// Ligne de banque valide ; changes remplace des colonnes (index dans BANK_FIELDS)
+function row(id: string, changes: Record<number, string> = {}): string {
+  return [id, ...FIELDS].map((v, i) => changes[i] ?? v).join(";");
+}
+
+const bank = (...rows: string[]) => [HEADER, ...rows].join("\n");
+const bytes = (...xs: number[]) => new Uint8Array(xs).buffer;
+
+describe("decodeBank", () => {
+  it("UTF‑8 avec BOM : BOM retiré", () => {
+    expect(decodeBank(bytes(0xef, 0xbb, 0xbf, 0xc3, 0xa9))).toEqual({ text: "é", encoding: "UTF-8 (BOM)" });
+  });
+
+  it("UTF‑16 avec BOM, petit ou grand boutisme", () => {
+    expect(decodeBank(bytes(0xff, 0xfe, 0xe9, 0x00))).toEqual({ text: "é", encoding: "UTF-16LE" });
+    expect(decodeBank(bytes(0xfe, 0xff, 0x00, 0xe9))).toEqual({ text: "é", encoding: "UTF-16BE" });
+  });
+
+  it("UTF‑8 valide sans BOM", () => {
+    expect(decodeBank(new TextEncoder().encode("Fréquence ; « kHz »").buffer)).toEqual({ text: "Fréquence ; « kHz »", encoding: "UTF-8" });
+  });
+
+  it("octets invalides en UTF‑8 : repli Windows‑1252", () => {
+    // « Fréquence » enregistré par Excel : é = 0xE9, seul, n’est pas de l’UTF‑8
+    expect(decodeBank(bytes(0x46, 0x72, 0xe9, 0x71, 0x75, 0x65, 0x6e, 0x63, 0x65))).toEqual({ text: "Fréquence", encoding: "Windows-1252" });
+  });
+});
+
+describe("splitRecords", () => {
+  it("un champ entre guillemets peut contenir « ; » et des sauts de ligne", () => {
+    expect(splitRecords('a;"b;c";d\n"x\ny";z\nfin;1')).toEqual([
+      { line: 1, cols: ["a", "b;c", "d"] },
+      { line: 2, cols: ["x\ny", "z"] },
+      { line: 4, cols: ["fin", "1"] },
+    ]);
+  });
+
+  it("« \"\" » est un guillemet littéral dans un champ entre guillemets", () => {
+    expect(splitRecords('"il dit ""oui""";b')).toEqual([{ line: 1, cols: ['il dit "oui"', "b"] }]);
+  });
+
+  it("un guillemet non suivi d’un délimiteur est du texte", () => {
+    expect(splitRecords('B-001;"CQ, CQ, CQ" followed by the call;x')).toEqual([
+      { line: 1, cols: ["B-001", '"CQ, CQ, CQ" followed by the call', "x"] },
+    ]);
+  });
+
+  it("fins de ligne CRLF, BOM et lignes vides", () => {
+    expect(splitRecords("﻿a;b\r\n\r\nc;d\r\n")).toEqual([
+      { line: 1, cols: ["a", "b"] },
+      { line: 3, cols: ["c", "d"] },
+    ]);
+  });
+});
+
+describe("parseBank", () => {
+  it("accepte les lignes valides et normalise les espaces", () => {
+    const report = parseBank(bank(row("B-001-001-001"), row("B-001-001-002", { 1: '"  Deux\n espaces  "' })));
+    expect(report.error).toBeUndefined();
+    expect(report.accepted.map((q) => q.question_id)).toEqual(["B-001-001-001", "B-001-001-002"]);
+    expect(report.accepted[1]?.question_english).toBe("Deux espaces");
+    expect(report.rejected).toEqual([]);
+    expect(report.repaired).toEqual([]);
+  });
+
+  it("accepte un champ entre guillemets contenant « ; »", () => {
+    const report = parseBank(bank(row("B-001-001-001", { 2: '"50 Ω; 75 Ω"' })));
+    expect(report.accepted[0]?.correct_answer_english).toBe("50 Ω; 75 Ω");
+  });
+
+  it("fichier vide ou en‑tête incomplet : erreur bloquante", () => {
+    expect(parseBank("").error).toBe("Fichier vide.");
+    expect(parseBank("question_id;question_english\nB-001;Q").error).toContain("correct_answer_english");
+  });
+
+  it("rejette les lignes invalides avec leur numéro et la raison", () => {
+    const report = parseBank(bank(
+      row("B-001-001-001"),
+      row(""),
+      "B-001-001-003;trop;court",
+      `${row("B-001-001-004")};extra`,
+      row("B-001-001-001"),
+      row("B-001-001-006", { 3: "" }),
+      row("B-001-001-007", { 3: "right" }),
+    ));
+    expect(report.accepted.map((q) => q.question_id)).toEqual(["B-001-001-001"]);
+    expect(report.rejected).toEqual([
+      { line: 3, id: "", reason: "Identifiant manquant" },
+      { line: 4, id: "B-001-001-003", reason: "Colonnes manquantes (3 / 11)" },
+      { line: 5, id: "B-001-001-004", reason: "Colonnes en trop (12 / 11) — « ; » non protégé ?" },
+      { line: 6, id: "B-001-001-001", reason: "Identifiant en double" },
+      { line: 7, id: "B-001-001-006", reason: "Champ vide : incorrect_answer_1_english" },
+      { line: 8, id: "B-001-001-007", reason: "Choix de réponse en double (EN)" },
+    ]);
+  });
+
+  it("traduction absente : la question est gardée avec le texte anglais", () => {
+    const report = parseBank(bank(
+      row("B-001-001-001", { 6: "", 7: "", 8: "", 9: "", 10: "" }),
+      row("B-001-001-002", { 8: "" }),
+    ));
+    expect(report.accepted).toHaveLength(2);
+    expect(report.accepted[0]?.question_french).toBe("Question?");
+    expect(report.accepted[1]?.incorrect_answer_1_french).toBe("Wrong 1");
+    expect(report.repaired).toEqual([
+      { line: 2, id: "B-001-001-001", issues: ["Traduction française manquante (texte anglais utilisé)"] },
+      { line: 3, id: "B-001-001-002", issues: ["Traduction française incomplète : incorrect_answer_1_french"] },
+    ]);
+  });
+
+  it("aucune ligne valide : erreur bloquante", () => {
+    expect(parseBank(bank(row(""))).error).toBe("Aucune question valide dans ce fichier.");
+  });
+});
@@ -0,0 +1,222 @@
+import type { QA } from "../types.js";
+import { FIGURE_FIELDS, imageSrc } from "./figures.js";
+import { t } from "../i18n/index.js";
+
+// =============================================
+// Banque de questions — décodage, analyse et validation
+// =============================================
+// Format : texte délimité par des points‑virgules, une ligne d’en‑tête
+// (question_id;question_english;…). Les champs peuvent être entre guillemets
+// (« "" » pour un guillemet littéral) et contenir alors des « ; » ou des sauts
+// de ligne. La banque officielle contient aussi des guillemets littéraux en
+// début de champ ("CQ, CQ, CQ" followed by…) : un guillemet qui n’est pas
+// suivi d’un délimiteur est traité comme du texte.
+// Colonnes facultatives : image, image_alt_english, image_alt_french (voir
+// lib/figures.ts) ; la banque officielle ne les a pas.
+// =============================================
+
+export const BANK_FIELDS = [
+  "question_id",
+  "question_english",
+  "correct_answer_english",
+  "incorrect_answer_1_english",
+  "incorrect_answer_2_english",
+  "incorrect_answer_3_english",
+  "question_french",
+  "correct_answer_french",
+  "incorrect_answer_1_french",
+  "incorrect_answer_2_french",
+  "incorrect_answer_3_french",
+] as const;
+
+type BankField = typeof BANK_FIELDS[number];
+
+const ENGLISH_FIELDS = BANK_FIELDS.filter((f) => f.endsWith("_english"));
+const FRENCH_FIELDS = BANK_FIELDS.filter((f) => f.endsWith("_french"));
+
+export interface RejectedRow {
+  line: number;
+  id: string;
+  reason: string;
+}
+
+export interface RepairedRow {
+  line: number;
+  id: string;
+  issues: string[];
+}
+
+export interface ImportReport {
+  encoding: string;
+  accepted: QA[];
+  rejected: RejectedRow[];
+  repaired: RepairedRow[];
+  error?: string; // erreur bloquante (en‑tête invalide, fichier vide…)
+}
+
+// Décodage : BOM UTF‑8/UTF‑16, sinon UTF‑8 strict puis repli Windows‑1252
+export function decodeBank(buf: ArrayBuffer): { text: string; encoding: string } {
+  const bytes = new Uint8Array(buf);
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) {
+    return { text: new TextDecoder("utf-8").decode(bytes.subarray(3)), encoding: "UTF-8 (BOM)" };
+  }
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) {
+    return { text: new TextDecoder("utf-16le").decode(bytes.subarray(2)), encoding: "UTF-16LE" };
+  }
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+    return { text: new TextDecoder("utf-16be").decode(bytes.subarray(2)), encoding: "UTF-16BE" };
+  }
+  try {
+    return { text: new TextDecoder("utf-8", { fatal: true }).decode(bytes), encoding: "UTF-8" };
+  } catch {
+    return { text: new TextDecoder("windows-1252").decode(bytes), encoding: "Windows-1252" };
+  }
+}
+
+interface RawRecord {
+  line: number; // numéro de la première ligne physique (1 = en‑tête)
+  cols: string[];
+}
+
+// Découpe le texte en enregistrements en respectant les champs entre guillemets
+export function splitRecords(text: string, delim = ";"): RawRecord[] {
+  const src = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const out: RawRecord[] = [];
+  let cols: string[] = [];
+  let line = 1;
+  let start = 1;
+  let i = 0;
+  const n = src.length;
+  const isEnd = (c: string | undefined) => c === undefined || c === delim || c === "\n" || c === "\r";
+
+  const endRecord = () => {
+    if (cols.length > 1 || (cols[0] ?? "").trim() !== "") out.push({ line: start, cols });
+    cols = [];
+  };
+
+  while (i <= n) {
+    // Début de champ
+    let value = "";
+    if (src[i] === '"') {
+      let j = i + 1;
+      let buf = "";
+      let closed = -1;
+      while (j < n) {
+        if (src[j] === '"') {
+          if (src[j + 1] === '"') { buf += '"'; j += 2; continue; }
+          closed = j;
+          break;
+        }
+        buf += src[j];
+        j++;
+      }
+      if (closed >= 0 && isEnd(src[closed + 1])) {
+        value = buf;
+        line += (buf.match(/\n/g) ?? []).length;
+        i = closed + 1;
+      } else {
+        // Guillemet littéral : on relit le champ comme du texte brut
+        let k = i;
+        while (!isEnd(src[k])) k++;
+        value = src.slice(i, k);
+        i = k;
+      }
+    } else {
+      let k = i;
+      while (!isEnd(src[k])) k++;
+      value = src.slice(i, k);
+      i = k;
+    }
+    cols.push(value);
+
+    const c = src[i];
+    if (c === delim) { i++; continue; }
+    endRecord();
+    if (c === "\r" && src[i + 1] === "\n") i++;
+    i++;
+    line++;
+    start = line;
+  }
+  return out;
+}
+
+function normalize(s: string): string {
+  return s.replace(/\s+/g, " ").trim();
+}
+
+export function parseBank(text: string, encoding = "UTF-8"): ImportReport {
+  const report: ImportReport = { encoding, accepted: [], rejected: [], repaired: [] };
+  const records = splitRecords(text);
+  const head = records[0];
+  if (!head) return { ...report, error: t("parse.empty") };
+
+  const header = head.cols.map((h) => h.trim().toLowerCase());
+  const mapIdx = {} as Record<BankField, number>;
+  const missing: string[] = [];
+  for (const f of BANK_FIELDS) {
+    mapIdx[f] = header.indexOf(f);
+    if (mapIdx[f] < 0 && !FRENCH_FIELDS.includes(f)) missing.push(f);
+  }
+  if (missing.length) {
+    return { ...report, error: t("parse.missingColumns", { columns: missing.join(", ") }) };
+  }
+  const figureIdx = FIGURE_FIELDS.map((f) => [f, header.indexOf(f)] as const).filter(([, j]) => j >= 0);
+
+  const seen = new Set<string>();
+  for (const { line, cols } of records.slice(1)) {
+    const row = {} as QA;
+    for (const f of BANK_FIELDS) {
+      const j = mapIdx[f];
+      row[f] = j >= 0 ? normalize(cols[j] ?? "") : "";
+    }
+    const id = row.question_id;
+    const reject = (reason: string) => report.rejected.push({ line, id, reason });
+
+    if (!id) { reject(t("parse.missingId")); continue; }
+    if (cols.length < header.length) { reject(t("parse.tooFewColumns", { n: cols.length, expected: header.length })); continue; }
+    if (cols.length > header.length) { reject(t("parse.tooManyColumns", { n: cols.length, expected: header.length })); continue; }
+    if (seen.has(id)) { reject(t("parse.duplicateId")); continue; }
+    const emptyEn = ENGLISH_FIELDS.filter((f) => !row[f]);
+    if (emptyEn.length) { reject(t("parse.emptyField", { fields: emptyEn.join(", ") })); continue; }
+
+    const issues: string[] = [];
+    const emptyFr = FRENCH_FIELDS.filter((f) => !row[f]);
+    if (emptyFr.length) {
+      // Traduction manquante : on garde la question en reprenant le texte anglais
+      for (const f of emptyFr) row[f] = row[f.replace(/_french$/, "_english") as BankField];
+      issues.push(emptyFr.length === FRENCH_FIELDS.length
+        ? t("parse.frenchMissing")
+        : t("parse.frenchIncomplete", { fields: emptyFr.join(", ") }));
+    }
+
+    const dupEn = hasDuplicates([row.correct_answer_english, row.incorrect_answer_1_english, row.incorrect_answer_2_english, row.incorrect_answer_3_english]);
+    const dupFr = hasDuplicates([row.correct_answer_french, row.incorrect_answer_1_french, row.incorrect_answer_2_french, row.incorrect_answer_3_french]);
+    if (dupEn || dupFr) { reject(t("parse.duplicateOption", { lang: dupEn ? "EN" : "FR" })); continue; }
+
+    for (const [f, j] of figureIdx) {
+      const v = normalize(cols[j] ?? "");
+      if (v) row[f] = v;
+    }
+    if (row.image && !imageSrc(row.image)) {
+      // Image inutilisable : la question reste valide, sans figure
+      delete row.image;
+      issues.push(t("parse.badImage"));
+    }
+
+    seen.add(id);
+    report.accepted.push(row);
+    if (issues.length) report.repaired.push({ line, id, issues });
+  }
+
+  if (report.accepted.length === 0) report.error = t("parse.noValid");
+  return report;
+}
+
+function hasDuplicates(xs: string[]): boolean {
+  const norm = xs.map((x) => x.toLowerCase());
+  return new Set(norm).size !== norm.length;
+}
+
+export function parseCSVSemicolon(text: string): QA[] {
+  return parseBank(text).accepted;
+}
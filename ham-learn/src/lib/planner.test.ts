@@ -0,0 +1,124 @@
+import { describe, expect, it } from "vitest";
+import type { QA } from "../types.js";
+import type { Attempt } from "./attempts.js";
+import type { ExamRecord } from "./exam.js";
+import type { ReviewMap, ReviewState } from "./srs.js";
+import { REVIEW_DAYS, activityCalendar, dailyPlan, readiness, type StudyGoal } from "./planner.js";
+
+const TODAY = "2026-10-21"; // un mercredi
+
+const qa = (question_id: string): QA => ({
+  question_id,
+  question_english: "", correct_answer_english: "", incorrect_answer_1_english: "", incorrect_answer_2_english: "", incorrect_answer_3_english: "",
+  question_french: "", correct_answer_french: "", incorrect_answer_1_french: "", incorrect_answer_2_french: "", incorrect_answer_3_french: "",
+});
+
+const state = (s: Partial<ReviewState>): ReviewState => ({
+  interval: 6, ease: 2.5, reps: 2, lapses: 0, due: "2026-10-30", lastReview: "2026-10-15T18:00:00.000Z", introduced: "2026-10-01", ...s,
+});
+
+const attempt = (question_id: string, mode: Attempt["mode"], correct: boolean, at = `${TODAY}T12:00:00.000Z`): Attempt => ({
+  question_id, mode, chosen: null, correct, ms: 1000, at,
+});
+
+const exam = (pct: number, date: string): ExamRecord => ({
+  total: 100, answered: 100, correct: pct, pct, passed: pct >= 70, honours: pct >= 80, bySection: {}, date, durationSec: 5400, timedOut: false,
+});
+
+// 10 questions par section, B-001 et B-002
+const QAS = ["B-001", "B-002"].flatMap((sec) => Array.from({ length: 10 }, (_, i) => qa(`${sec}-001-${String(i + 1).padStart(3, "0")}`)));
+const goal = (g: Partial<StudyGoal>): StudyGoal => ({ examDate: "", dailyGoal: 5, restDays: [], ...g });
+const ids = (qs: QA[]) => qs.map((q) => q.question_id);
+
+describe("dailyPlan", () => {
+  it("sans date d’examen : l’objectif quotidien, moins les révisions échues", () => {
+    const reviews: ReviewMap = {
+      "B-001-001-001": state({ due: "2026-10-20" }),
+      "B-001-001-002": state({ due: "2026-10-18" }),
+      "B-001-001-003": state({}), // pas encore échue
+    };
+    const plan = dailyPlan(QAS, reviews, [], goal({}), TODAY);
+    expect(plan).toMatchObject({ daysLeft: null, unseen: 17, due: 2, fresh: 3, total: 5, onTrack: true });
+    expect(ids(plan.questions).slice(0, 2)).toEqual(["B-001-001-002", "B-001-001-001"]); // la plus en retard d’abord
+  });
+
+  it("les nouvelles cartes déjà introduites aujourd’hui comptent dans l’objectif", () => {
+    const reviews: ReviewMap = { "B-001-001-001": state({ introduced: TODAY }), "B-001-001-002": state({ introduced: TODAY }) };
+    expect(dailyPlan(QAS, reviews, [], goal({}), TODAY).fresh).toBe(3);
+  });
+
+  it("avec une date : les nouvelles sont réparties sur les jours avant la révision finale", () => {
+    // 20 nouvelles, examen dans 13 jours : 10 jours d’apprentissage, 2 par jour
+    const plan = dailyPlan(QAS, {}, [], goal({ examDate: "2026-11-03", dailyGoal: 30 }), TODAY);
+    expect(plan).toMatchObject({ daysLeft: 13, fresh: 20 / (13 - REVIEW_DAYS) });
+  });
+
+  it("examen dans les REVIEW_DAYS derniers jours ou passé : tout ce qui reste à voir, aujourd’hui", () => {
+    expect(dailyPlan(QAS, {}, [], goal({ examDate: "2026-10-23" }), TODAY)).toMatchObject({ daysLeft: 2, fresh: 20, onTrack: false });
+    expect(dailyPlan(QAS, {}, [], goal({ examDate: "2026-10-01" }), TODAY)).toMatchObject({ daysLeft: 0, fresh: 20 });
+  });
+
+  it("avec une date, les cartes introduites aujourd’hui sont déduites de la part du jour", () => {
+    const reviews: ReviewMap = { "B-001-001-001": state({ introduced: TODAY }), "B-001-001-002": state({ introduced: TODAY }) };
+    // (18 + 2) / 10 = 2 par jour, les deux sont déjà faites
+    expect(dailyPlan(QAS, reviews, [], goal({ examDate: "2026-11-03" }), TODAY).fresh).toBe(0);
+  });
+
+  it("les nouvelles vont d’abord aux sections les plus faibles", () => {
+    const attempts = [attempt("B-001-001-001", "quiz", false), attempt("B-002-001-001", "quiz", true)];
+    const plan = dailyPlan(QAS, {}, attempts, goal({ dailyGoal: 3 }), TODAY);
+    expect(plan.bySection).toEqual([
+      { section: "B-001", due: 0, fresh: 2, unseen: 10, accuracy: 0 },
+      { section: "B-002", due: 0, fresh: 1, unseen: 10, accuracy: 1 },
+    ]);
+    expect(ids(plan.questions)).toEqual(["B-001-001-001", "B-001-001-002", "B-002-001-001"]);
+  });
+
+  it("finishBy : toute la banque vue au rythme de l’objectif, null si c’est fait", () => {
+    expect(dailyPlan(QAS, {}, [], goal({}), TODAY).finishBy).toBe("2026-10-24"); // 20 / 5 = 4 jours
+    const seen = Object.fromEntries(QAS.map((q) => [q.question_id, state({})]));
+    expect(dailyPlan(QAS, seen, [], goal({}), TODAY).finishBy).toBeNull();
+  });
+});
+
+describe("readiness", () => {
+  const quizzes = (correct: number, total: number) =>
+    Array.from({ length: total }, (_, i) => attempt(`B-001-001-${String(i + 1).padStart(3, "0")}`, "quiz", i < correct));
+
+  it("sans examen ni assez de réponses en quiz : pas de projection", () => {
+    expect(readiness(quizzes(10, 19), [], TODAY)).toBeNull();
+  });
+
+  it("examens seulement : moyenne des trois derniers de la fenêtre", () => {
+    const exams = [exam(40, "2026-09-01T12:00:00.000Z"), exam(60, "2026-10-10T12:00:00.000Z"), exam(70, "2026-10-15T12:00:00.000Z"), exam(80, "2026-10-20T12:00:00.000Z")];
+    expect(readiness([], exams, TODAY)).toEqual({ score: 70, exam: 70, quiz: null, quizAnswers: 0, level: "pass" });
+  });
+
+  it("quiz seulement : exactitude récente, les autres modes ne comptent pas", () => {
+    const attempts = [...quizzes(17, 20), attempt("B-002-001-001", "flash", false)];
+    expect(readiness(attempts, [], TODAY)).toEqual({ score: 85, exam: null, quiz: 85, quizAnswers: 20, level: "honours" });
+  });
+
+  it("les deux : 60 % examens, 40 % quiz", () => {
+    expect(readiness(quizzes(10, 20), [exam(80, "2026-10-20T12:00:00.000Z")], TODAY)).toMatchObject({ score: 68, level: "low" });
+  });
+});
+
+describe("activityCalendar", () => {
+  it("semaines complètes du lundi au dimanche, jours futurs marqués", () => {
+    const weeks = activityCalendar({}, 30, TODAY, 2);
+    expect(weeks).toHaveLength(2);
+    expect(weeks[0]?.[0]?.day).toBe("2026-10-12");
+    expect(weeks[1]?.map((d) => d.future)).toEqual([false, false, false, true, true, true, true]);
+  });
+
+  it("niveau selon la part de l’objectif quotidien", () => {
+    const progress = {
+      "2026-10-12": { seen: 30, correct: 20 },
+      "2026-10-13": { seen: 15, correct: 10 },
+      "2026-10-14": { seen: 8, correct: 5 },
+      "2026-10-15": { seen: 1, correct: 1 },
+    };
+    expect(activityCalendar(progress, 30, TODAY, 2)[0]?.map((d) => d.level)).toEqual([4, 3, 2, 1, 0, 0, 0]);
+  });
+});
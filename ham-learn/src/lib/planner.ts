@@ -0,0 +1,201 @@
+import type { QA } from "../types.js";
+import { introducedOn, isDue, type ReviewMap, type ReviewState } from "./srs.js";
+import { accuracyBySection, type Attempt } from "./attempts.js";
+import { EXAM_HONOURS, EXAM_PASS, sectionOf, type ExamRecord } from "./exam.js";
+import type { ProgressMap } from "./progress.js";
+import { STORE_KEYS, loadJSON, saveJSON } from "./storage.js";
+import { addDays, dayOfISO, daysBetween, weekday } from "./dates.js";
+
+// =============================================
+// Objectifs et plan d’étude
+// =============================================
+// L’élève fixe une date d’examen et un objectif quotidien (questions vues par
+// jour, tous modes confondus, comme le suivi quotidien de lib/progress.ts).
+// Le plan du jour = révisions SRS échues + nouvelles cartes. Les nouvelles
+// sont réparties sur les jours restants (les REVIEW_DAYS derniers jours sont
+// réservés à la révision) et, dans la journée, attribuées d’abord aux
+// sections faibles selon le journal des réponses.
+// La préparation projetée combine les derniers examens simulés et
+// l’exactitude récente en quiz ; elle est comparée aux seuils de l’examen.
+// Fonctions pures : la date du jour (AAAA‑MM‑JJ, calendrier local) est passée
+// en paramètre. Seuls loadGoal / saveGoal touchent au stockage (préférences
+// du profil).
+// =============================================
+
+export interface StudyGoal {
+  examDate: string; // AAAA‑MM‑JJ, "" sans date
+  dailyGoal: number; // questions par jour
+  restDays: number[]; // jours de repos (0 = lundi) : ils gèlent la série, voir streaks() dans lib/progress.ts
+}
+
+export const DEFAULT_DAILY_GOAL = 30;
+export const MAX_REST_DAYS = 3;
+export const REVIEW_DAYS = 3;
+export const READINESS_DAYS = 30; // fenêtre des résultats pris en compte
+const READINESS_EXAMS = 3; // derniers examens simulés retenus
+const MIN_QUIZ_ANSWERS = 20;
+const EXAM_WEIGHT = 0.6; // part des examens simulés quand il y a aussi des quiz
+const NEUTRAL_ACCURACY = EXAM_PASS; // section jamais travaillée
+
+export function loadGoal(): StudyGoal {
+  return goalOf(loadJSON(STORE_KEYS.prefs, {}));
+}
+
+// Objectif lu dans les préférences du profil (valeurs par défaut pour les anciennes)
+export function goalOf(prefs: { goal?: Partial<StudyGoal> }): StudyGoal {
+  return {
+    examDate: prefs.goal?.examDate ?? "",
+    dailyGoal: prefs.goal?.dailyGoal ?? DEFAULT_DAILY_GOAL,
+    restDays: prefs.goal?.restDays ?? [],
+  };
+}
+
+export function saveGoal(goal: StudyGoal): void {
+  saveJSON(STORE_KEYS.prefs, { ...loadJSON(STORE_KEYS.prefs, {}), goal });
+}
+
+export interface SectionPlan {
+  section: string;
+  due: number;
+  fresh: number; // nouvelles cartes prévues aujourd’hui
+  unseen: number;
+  accuracy: number | null; // 0..1, null sans réponse
+}
+
+export interface DailyPlan {
+  daysLeft: number | null; // jours avant l’examen (null sans date, 0 le jour même ou après)
+  unseen: number;
+  due: number;
+  fresh: number;
+  total: number; // due + fresh
+  onTrack: boolean; // la séance tient dans l’objectif quotidien
+  finishBy: string | null; // toute la banque vue à ce rythme (null si c’est déjà fait)
+  bySection: SectionPlan[];
+  questions: QA[]; // séance du jour : échues (les plus en retard d’abord), puis nouvelles
+}
+
+export function dailyPlan(qas: QA[], reviews: ReviewMap, attempts: Attempt[], goal: StudyGoal, today: string): DailyPlan {
+  const due: QA[] = [];
+  const unseenBySection = new Map<string, QA[]>();
+  for (const q of qas) {
+    const s = reviews[q.question_id];
+    if (s && isDue(s, today)) due.push(q);
+    if (!s) {
+      const sec = sectionOf(q.question_id);
+      const list = unseenBySection.get(sec);
+      if (list) list.push(q);
+      else unseenBySection.set(sec, [q]);
+    }
+  }
+  due.sort((a, b) => (reviews[a.question_id] as ReviewState).due.localeCompare((reviews[b.question_id] as ReviewState).due));
+  const unseen = Array.from(unseenBySection.values()).reduce((n, qs) => n + qs.length, 0);
+
+  // Nouvelles cartes du jour ; celles déjà introduites aujourd’hui comptent
+  const daysLeft = goal.examDate ? Math.max(0, daysBetween(today, goal.examDate)) : null;
+  const introduced = introducedOn(reviews, today);
+  const target = daysLeft === null
+    ? Math.max(0, goal.dailyGoal - due.length)
+    : Math.ceil((unseen + introduced) / Math.max(1, daysLeft - REVIEW_DAYS));
+  const fresh = Math.min(unseen, Math.max(0, target - introduced));
+
+  // Répartition : une carte à la fois vers la section la plus faible, au prorata de ce qui reste à voir
+  const acc = accuracyBySection(attempts);
+  const weakness = (sec: string) => {
+    const a = acc.get(sec);
+    return 1 + (1 - (a && a.total ? a.correct / a.total : NEUTRAL_ACCURACY));
+  };
+  const alloc = new Map<string, number>();
+  for (let i = 0; i < fresh; i++) {
+    let best = "";
+    let bestScore = -1;
+    for (const [sec, qs] of unseenBySection) {
+      const n = alloc.get(sec) ?? 0;
+      if (n >= qs.length) continue;
+      const score = (qs.length * weakness(sec)) / (n + 1);
+      if (score > bestScore) [best, bestScore] = [sec, score];
+    }
+    alloc.set(best, (alloc.get(best) ?? 0) + 1);
+  }
+
+  const sections = new Set([...due.map((q) => sectionOf(q.question_id)), ...unseenBySection.keys()]);
+  const bySection = Array.from(sections, (section): SectionPlan => {
+    const a = acc.get(section);
+    return {
+      section,
+      due: due.filter((q) => sectionOf(q.question_id) === section).length,
+      fresh: alloc.get(section) ?? 0,
+      unseen: unseenBySection.get(section)?.length ?? 0,
+      accuracy: a && a.total ? a.correct / a.total : null,
+    };
+  }).sort((a, b) => a.section.localeCompare(b.section));
+
+  const pace = Math.max(1, goal.dailyGoal - due.length, fresh);
+  return {
+    daysLeft,
+    unseen,
+    due: due.length,
+    fresh,
+    total: due.length + fresh,
+    onTrack: due.length + fresh <= goal.dailyGoal,
+    finishBy: unseen ? addDays(today, Math.ceil(unseen / pace) - 1) : null,
+    bySection,
+    questions: [...due, ...bySection.flatMap((s) => (unseenBySection.get(s.section) ?? []).slice(0, s.fresh))],
+  };
+}
+
+// Préparation projetée
+export type ReadinessLevel = 'low' | 'pass' | 'honours';
+
+export interface Readiness {
+  score: number; // % projeté à l’examen
+  exam: number | null; // moyenne des derniers examens simulés (%)
+  quiz: number | null; // exactitude récente en quiz (%)
+  quizAnswers: number;
+  level: ReadinessLevel;
+}
+
+export function readiness(attempts: Attempt[], exams: ExamRecord[], today: string): Readiness | null {
+  const since = addDays(today, -(READINESS_DAYS - 1));
+  const recent = (iso: string) => (dayOfISO(iso) ?? "") >= since;
+  const lastExams = exams.filter((e) => recent(e.date)).slice(-READINESS_EXAMS);
+  const quizzes = attempts.filter((a) => a.mode === 'quiz' && recent(a.at));
+
+  const exam = lastExams.length ? lastExams.reduce((n, e) => n + e.pct, 0) / lastExams.length : null;
+  const quiz = quizzes.length >= MIN_QUIZ_ANSWERS ? (quizzes.filter((a) => a.correct).length / quizzes.length) * 100 : null;
+  if (exam === null && quiz === null) return null;
+
+  const score = Math.round(exam !== null && quiz !== null ? exam * EXAM_WEIGHT + quiz * (1 - EXAM_WEIGHT) : (exam ?? quiz ?? 0));
+  const level: ReadinessLevel = score >= EXAM_HONOURS * 100 ? 'honours' : score >= EXAM_PASS * 100 ? 'pass' : 'low';
+  return {
+    score,
+    exam: exam === null ? null : Math.round(exam),
+    quiz: quiz === null ? null : Math.round(quiz),
+    quizAnswers: quizzes.length,
+    level,
+  };
+}
+
+// Calendrier d’activité : semaines complètes (lundi → dimanche) jusqu’à aujourd’hui
+export interface HeatDay {
+  day: string;
+  seen: number;
+  level: 0 | 1 | 2 | 3 | 4; // 4 : objectif quotidien atteint
+  future: boolean;
+}
+
+export function activityCalendar(progress: ProgressMap, dailyGoal: number, today: string, weeks: number): HeatDay[][] {
+  const start = addDays(today, -weekday(today) - (weeks - 1) * 7);
+  const out: HeatDay[][] = [];
+  for (let w = 0; w < weeks; w++) {
+    const week: HeatDay[] = [];
+    for (let i = 0; i < 7; i++) {
+      const day = addDays(start, w * 7 + i);
+      const seen = progress[day]?.seen ?? 0;
+      const ratio = seen / Math.max(1, dailyGoal);
+      const level = seen === 0 ? 0 : ratio >= 1 ? 4 : ratio >= 0.5 ? 3 : ratio >= 0.25 ? 2 : 1;
+      week.push({ day, seen, level, future: day > today });
+    }
+    out.push(week);
+  }
+  return out;
+}
@@ -0,0 +1,83 @@
+import {
+  DEFAULT_PROFILE,
+  STORE_KEYS,
+  activeProfile,
+  dropProfileData,
+  loadJSON,
+  saveJSON,
+  setActiveProfile,
+  withProfile,
+} from "./storage.js";
+import { t } from "../i18n/index.js";
+
+// =============================================
+// Profils — plusieurs apprenants sur un même appareil
+// =============================================
+// Chaque profil a son SRS, sa progression, son journal de réponses, ses
+// examens et ses préférences (voir PROFILE_KEYS dans storage.ts). La banque
+// est partagée. Les erreurs de saisie lèvent une Error au message lisible.
+// =============================================
+
+export interface Profile {
+  id: string;
+  name: string;
+  createdAt: string; // ISO
+}
+
+export function loadProfiles(): Profile[] {
+  const list = loadJSON<Profile[]>(STORE_KEYS.profiles, []);
+  // Avant la première création, seul le profil par défaut existe
+  return list.length ? list : [{ id: DEFAULT_PROFILE, name: t("profile.defaultName"), createdAt: "" }];
+}
+
+export function currentProfile(): Profile {
+  const list = loadProfiles();
+  return list.find((p) => p.id === activeProfile()) ?? (list[0] as Profile);
+}
+
+function checkName(name: string, list: Profile[], exceptId?: string): string {
+  const n = name.trim();
+  if (!n) throw new Error(t("profile.emptyName"));
+  if (list.some((p) => p.id !== exceptId && p.name.toLowerCase() === n.toLowerCase())) {
+    throw new Error(t("profile.duplicateName", { name: n }));
+  }
+  return n;
+}
+
+export function createProfile(name: string): Profile {
+  const list = loadProfiles();
+  const p: Profile = {
+    id: `p-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    name: checkName(name, list),
+    createdAt: new Date().toISOString(),
+  };
+  saveJSON(STORE_KEYS.profiles, [...list, p]);
+  return p;
+}
+
+export function renameProfile(id: string, name: string): void {
+  const list = loadProfiles();
+  const n = checkName(name, list, id);
+  saveJSON(STORE_KEYS.profiles, list.map((p) => (p.id === id ? { ...p, name: n } : p)));
+}
+
+export function switchProfile(id: string): void {
+  if (!loadProfiles().some((p) => p.id === id)) return;
+  setActiveProfile(id);
+}
+
+// Applique fn() à chaque profil (ex. migration du SRS après une nouvelle banque)
+export function forEachProfile(fn: (p: Profile) => void): void {
+  for (const p of loadProfiles()) withProfile(p.id, () => fn(p));
+}
+
+// Supprime le profil et toutes ses données ; on bascule d’abord si c’est le profil actif
+export function deleteProfile(id: string): void {
+  const list = loadProfiles();
+  const rest = list.filter((p) => p.id !== id);
+  if (rest.length === list.length) return;
+  if (rest.length === 0) throw new Error(t("profile.lastOne"));
+  if (activeProfile() === id) setActiveProfile((rest[0] as Profile).id);
+  saveJSON(STORE_KEYS.profiles, rest);
+  dropProfileData(id);
+}
@@ -0,0 +1,67 @@
+import { describe, expect, it } from "vitest";
+import { streaks, type ProgressMap } from "./progress.js";
+
+const active = (...days: string[]): ProgressMap =>
+  Object.fromEntries(days.map((d) => [d, { seen: 5, correct: 4 }]));
+
+// 2026-10-19 est un lundi ; samedi = 5, dimanche = 6
+const TODAY = "2026-10-19";
+const WEEKEND = [5, 6];
+
+describe("streaks", () => {
+  it("sans historique : aucune série", () => {
+    expect(streaks({}, TODAY)).toEqual({ current: 0, longest: 0 });
+  });
+
+  it("compte les jours actifs consécutifs jusqu’à aujourd’hui", () => {
+    expect(streaks(active("2026-10-17", "2026-10-18", "2026-10-19"), TODAY)).toEqual({ current: 3, longest: 3 });
+  });
+
+  it("aujourd’hui sans activité ne casse pas encore la série", () => {
+    expect(streaks(active("2026-10-17", "2026-10-18"), TODAY)).toEqual({ current: 2, longest: 2 });
+  });
+
+  it("un jour manqué casse la série en cours mais garde le record", () => {
+    const p = active("2026-10-01", "2026-10-02", "2026-10-03", "2026-10-04", "2026-10-15", "2026-10-16");
+    expect(streaks(p, TODAY)).toEqual({ current: 0, longest: 4 });
+    expect(streaks(p, "2026-10-17")).toEqual({ current: 2, longest: 4 });
+  });
+
+  it("les jours de repos sans activité gèlent la série sans compter", () => {
+    const p = active("2026-10-15", "2026-10-16", "2026-10-19"); // jeudi, vendredi, lundi
+    expect(streaks(p, TODAY)).toEqual({ current: 1, longest: 2 });
+    expect(streaks(p, TODAY, WEEKEND)).toEqual({ current: 3, longest: 3 });
+  });
+
+  it("un jour de repos travaillé compte", () => {
+    const p = active("2026-10-16", "2026-10-17", "2026-10-19"); // vendredi, samedi, lundi
+    expect(streaks(p, TODAY, WEEKEND)).toEqual({ current: 3, longest: 3 });
+  });
+
+  it("un jour de repos ne comble pas un jour ouvré manqué", () => {
+    const p = active("2026-10-15", "2026-10-19"); // vendredi 16 manqué
+    expect(streaks(p, TODAY, WEEKEND)).toEqual({ current: 1, longest: 1 });
+  });
+
+  it("la série reste en cours pendant les jours de repos qui précèdent aujourd’hui", () => {
+    expect(streaks(active("2026-10-15", "2026-10-16"), "2026-10-18", WEEKEND)).toEqual({ current: 2, longest: 2 });
+    expect(streaks(active("2026-10-15", "2026-10-16"), TODAY, WEEKEND)).toEqual({ current: 2, longest: 2 });
+    expect(streaks(active("2026-10-15", "2026-10-16"), "2026-10-20", WEEKEND)).toEqual({ current: 0, longest: 2 });
+  });
+
+  it("traverse les changements d’heure sans trou ni doublon", () => {
+    expect(streaks(active("2026-03-07", "2026-03-08", "2026-03-09"), "2026-03-09")).toEqual({ current: 3, longest: 3 });
+    expect(streaks(active("2026-10-31", "2026-11-01", "2026-11-02"), "2026-11-02")).toEqual({ current: 3, longest: 3 });
+  });
+
+  it("ignore les jours sans question vue, les jours futurs, les clés invalides et l’ancien champ streak", () => {
+    const p: ProgressMap = {
+      ...active("2026-10-18", "2026-10-19"),
+      "2026-10-17": { seen: 0, correct: 0 },
+      "2026-10-16": { seen: 3, correct: 1, streak: 40 },
+      "2026-10-20": { seen: 9, correct: 9 },
+      "2026-10-2": { seen: 9, correct: 9 },
+    };
+    expect(streaks(p, TODAY)).toEqual({ current: 2, longest: 2 });
+  });
+});
@@ -0,0 +1,45 @@
+import { STORE_KEYS, loadJSON, saveJSON } from "./storage.js";
+import { addDays, daysBetween, isDayKey, todayKey, weekday } from "./dates.js";
+
+// PROGRESS — stats quotidiennes par jour local (voir lib/dates.ts) ; la série
+// se recalcule sur tout l’historique à l’affichage (streaks), rien n’est figé
+export type ProgressMap = Record<string, { seen: number; correct: number; streak?: number /* ancien champ, ignoré */ }>;
+
+export function bumpProgress({ seen, correct }: { seen: number; correct: number }): void {
+  const key = todayKey();
+  const cur = loadJSON<ProgressMap>(STORE_KEYS.progress, {});
+  const day = cur[key] || { seen: 0, correct: 0 };
+  day.seen += seen; day.correct += correct;
+  cur[key] = day;
+  saveJSON(STORE_KEYS.progress, cur);
+}
+
+export interface Streaks {
+  current: number; // série en cours (aujourd’hui sans activité ne la casse pas encore)
+  longest: number; // meilleure série de l’historique
+}
+
+// Jours actifs consécutifs. Les jours de repos (jours de la semaine, 0 = lundi)
+// sans activité gèlent la série : ils ne la cassent pas et ne comptent pas.
+export function streaks(progress: ProgressMap, today: string, restDays: number[] = []): Streaks {
+  const active = Object.keys(progress)
+    .filter((day) => isDayKey(day) && day <= today && (progress[day]?.seen ?? 0) > 0)
+    .sort();
+  // Tous les jours strictement entre `from` et `to` sont des jours de repos
+  const bridged = (from: string, to: string) => {
+    for (let i = 1; i < daysBetween(from, to); i++) {
+      if (!restDays.includes(weekday(addDays(from, i)))) return false;
+    }
+    return true;
+  };
+
+  let run = 0;
+  let longest = 0;
+  active.forEach((day, i) => {
+    const prev = active[i - 1];
+    run = prev !== undefined && bridged(prev, day) ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  });
+  const last = active[active.length - 1];
+  return { current: last !== undefined && bridged(last, today) ? run : 0, longest };
+}
@@ -0,0 +1,75 @@
+/// <reference types="vite/client" />
+
+// =============================================
+// PWA — enregistrement du service worker et avis de mise à jour
+// =============================================
+// Deux événements sont exposés à l’interface :
+// - « app » : une nouvelle version de l’application attend d’être activée ;
+// - « bank » : la banque de questions publiée a changé depuis la copie hors ligne.
+// =============================================
+
+type UpdateKind = 'app' | 'bank';
+
+const listeners: Record<UpdateKind, Set<() => void>> = { app: new Set(), bank: new Set() };
+const pending: Record<UpdateKind, boolean> = { app: false, bank: false };
+let waiting: ServiceWorker | null = null;
+
+function emit(kind: UpdateKind): void {
+  pending[kind] = true;
+  listeners[kind].forEach((fn) => fn());
+}
+
+// Un abonné tardif est prévenu tout de suite si l’événement a déjà eu lieu
+export function onUpdate(kind: UpdateKind, fn: () => void): () => void {
+  listeners[kind].add(fn);
+  if (pending[kind]) fn();
+  return () => { listeners[kind].delete(fn); };
+}
+
+export function dismissUpdate(kind: UpdateKind): void {
+  pending[kind] = false;
+}
+
+// Active la nouvelle version ; la page se recharge quand elle prend la main
+export function applyAppUpdate(): void {
+  waiting?.postMessage({ type: "SKIP_WAITING" });
+}
+
+export function registerServiceWorker(): void {
+  if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return;
+  const base = import.meta.env.BASE_URL;
+
+  const start = () => {
+    navigator.serviceWorker.register(`${base}sw.js`, { scope: base }).then((reg) => {
+      const track = (sw: ServiceWorker | null) => {
+        if (!sw) return;
+        const check = () => {
+          // Un worker installé alors qu’une page est déjà contrôlée = mise à jour
+          if (sw.state === "installed" && navigator.serviceWorker.controller) {
+            waiting = sw;
+            emit('app');
+          }
+        };
+        check();
+        sw.addEventListener("statechange", check);
+      };
+      track(reg.waiting);
+      reg.addEventListener("updatefound", () => track(reg.installing));
+      // Vérifie la banque publiée à chaque ouverture (ignoré hors ligne)
+      navigator.serviceWorker.controller?.postMessage({ type: "CHECK_BANK" });
+    }).catch((err) => console.error("Service worker non enregistré", err));
+
+    let reloading = false;
+    navigator.serviceWorker.addEventListener("controllerchange", () => {
+      if (reloading || !waiting) return;
+      reloading = true;
+      window.location.reload();
+    });
+    navigator.serviceWorker.addEventListener("message", (e: MessageEvent<{ type?: string }>) => {
+      if (e.data?.type === "BANK_UPDATED") emit('bank');
+    });
+  };
+
+  if (document.readyState === "complete") start();
+  else window.addEventListener("load", start);
+}
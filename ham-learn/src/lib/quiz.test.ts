@@ -0,0 +1,81 @@
+import { describe, expect, it } from "vitest";
+import type { QA } from "../types.js";
+import { drawQuiz, quizLink, readQuizLink, type QuizQuestion } from "./quiz.js";
+
+const qa = (question_id: string): QA => ({
+  question_id,
+  question_english: "", correct_answer_english: "", incorrect_answer_1_english: "", incorrect_answer_2_english: "", incorrect_answer_3_english: "",
+  question_french: "", correct_answer_french: "", incorrect_answer_1_french: "", incorrect_answer_2_french: "", incorrect_answer_3_french: "",
+});
+
+const BANK = Array.from({ length: 40 }, (_, i) => qa(`B-00${1 + (i % 7)}-001-${String(i + 1).padStart(3, "0")}`));
+const ids = (quiz: QuizQuestion[]) => quiz.map((q) => q.qa.question_id);
+
+describe("drawQuiz", () => {
+  it("même graine : mêmes questions, même ordre, mêmes options", () => {
+    expect(drawQuiz(BANK, 10, "K7Q2XD")).toEqual(drawQuiz(BANK, 10, "K7Q2XD"));
+  });
+
+  it("la graine ignore la casse et les espaces autour", () => {
+    expect(drawQuiz(BANK, 10, "  k7q2xd ")).toEqual(drawQuiz(BANK, 10, "K7Q2XD"));
+  });
+
+  it("ne dépend pas de l’ordre des questions dans le fichier importé", () => {
+    expect(drawQuiz([...BANK].reverse(), 10, "K7Q2XD")).toEqual(drawQuiz(BANK, 10, "K7Q2XD"));
+  });
+
+  it("deux graines différentes donnent deux tirages différents", () => {
+    expect(ids(drawQuiz(BANK, 10, "K7Q2XD"))).not.toEqual(ids(drawQuiz(BANK, 10, "P3M8TA")));
+  });
+
+  it("tire des questions distinctes, au plus la taille de la banque", () => {
+    const quiz = drawQuiz(BANK, 10, "K7Q2XD");
+    expect(new Set(ids(quiz)).size).toBe(10);
+    expect(drawQuiz(BANK.slice(0, 4), 10, "K7Q2XD")).toHaveLength(4);
+    expect(drawQuiz([], 10, "K7Q2XD")).toEqual([]);
+  });
+
+  it("chaque question a un ordre d’options qui est une permutation de 0..3", () => {
+    for (const { order } of drawQuiz(BANK, 30, "K7Q2XD")) {
+      expect([...order].sort()).toEqual([0, 1, 2, 3]);
+    }
+  });
+});
+
+describe("lien de partage", () => {
+  const BASE = "https://example.org/ham-learn/?tab=flash#top";
+
+  it("aller‑retour : quizLink puis readQuizLink redonne la graine, le nombre et les sections", () => {
+    const link = { seed: "K7Q2XD", count: 15, sections: ["B-001-001", "B-005"] };
+    const url = new URL(quizLink(BASE, link));
+    expect(url.origin + url.pathname).toBe("https://example.org/ham-learn/");
+    expect(url.hash).toBe("");
+    expect(readQuizLink(url.search)).toEqual(link);
+  });
+
+  it("sans sections, le lien n’a pas de paramètre section", () => {
+    const url = new URL(quizLink(BASE, { seed: "K7Q2XD", count: 10, sections: [] }));
+    expect(url.searchParams.has("section")).toBe(false);
+    expect(readQuizLink(url.search)).toEqual({ seed: "K7Q2XD", count: 10, sections: [] });
+  });
+
+  it("le même lien redonne le même quiz", () => {
+    const link = readQuizLink(new URL(quizLink(BASE, { seed: "P3M8TA", count: 12, sections: [] })).search);
+    expect(link).not.toBeNull();
+    if (!link) return;
+    expect(drawQuiz(BANK, link.count, link.seed)).toEqual(drawQuiz(BANK, 12, "P3M8TA"));
+  });
+
+  it("sans graine : pas de quiz partagé", () => {
+    expect(readQuizLink("")).toBeNull();
+    expect(readQuizLink("?seed=%20&n=10")).toBeNull();
+  });
+
+  it("nombre absent ou invalide : 10 questions ; sections vides ignorées", () => {
+    expect(readQuizLink("?seed=K7Q2XD")).toEqual({ seed: "K7Q2XD", count: 10, sections: [] });
+    expect(readQuizLink("?seed=K7Q2XD&n=-3")?.count).toBe(10);
+    expect(readQuizLink("?seed=K7Q2XD&n=2.5")?.count).toBe(10);
+    expect(readQuizLink("?seed=K7Q2XD&n=abc")?.count).toBe(10);
+    expect(readQuizLink("?seed=K7Q2XD&section=B-001,,%20B-002%20")?.sections).toEqual(["B-001", "B-002"]);
+  });
+});
@@ -0,0 +1,127 @@
+import type { QA } from "../types.js";
+import type { OptionIndex } from "./options.js";
+import { seedFromString, seededRandom } from "./random.js";
+import { sectionOf } from "./exam.js";
+import { shuffle } from "./utils.js";
+
+// =============================================
+// Quiz — tirage reproductible à partir d’une graine
+// =============================================
+// Une séance de quiz est entièrement déterminée par (graine, nombre de
+// questions, banque filtrée) : mêmes questions, même ordre des options.
+// L’ordre des options est fixé au tirage et ne bouge plus pendant la séance.
+// =============================================
+
+export const QUIZ_MAX_QUESTIONS = 30;
+
+export interface QuizQuestion {
+  qa: QA;
+  order: OptionIndex[]; // ordre d’affichage des options
+}
+
+export function drawQuiz(qas: QA[], count: number, seed: string): QuizQuestion[] {
+  const rand = seededRandom(seedFromString(seed));
+  // Trié par ID : le tirage ne dépend pas de l’ordre du fichier importé
+  const sorted = [...qas].sort((a, b) => a.question_id.localeCompare(b.question_id));
+  return shuffle(sorted, rand)
+    .slice(0, Math.min(count, sorted.length))
+    .map((qa) => ({ qa, order: shuffle<OptionIndex>([0, 1, 2, 3], rand) }));
+}
+
+// Minuterie facultative (0 = sans limite). Une limite par question impose
+// l’affichage une question à la fois : le temps d’une question ne court que
+// lorsqu’elle est affichée, et elle se verrouille quand il est écoulé.
+export interface QuizTiming {
+  totalMin: number;
+  perQuestionSec: number;
+  oneByOne: boolean;
+}
+
+export const NO_TIMING: QuizTiming = { totalMin: 0, perQuestionSec: 0, oneByOne: false };
+export const QUIZ_TOTAL_MINUTES = [0, 5, 10, 15, 20, 30, 45, 60];
+export const QUIZ_QUESTION_SECONDS = [0, 30, 45, 60, 90, 120];
+
+export function isTimed(timing: QuizTiming): boolean {
+  return timing.totalMin > 0 || timing.perQuestionSec > 0;
+}
+
+// Prochaine question encore ouverte après `from` (en revenant au début), -1 s’il n’y en a plus
+export function nextOpen(total: number, from: number, isOpen: (n: number) => boolean): number {
+  for (let k = 1; k <= total; k++) {
+    const n = (from + k) % total;
+    if (isOpen(n)) return n;
+  }
+  return -1;
+}
+
+export function countCorrect(questions: QuizQuestion[], answers: Record<string, OptionIndex>): number {
+  return questions.filter(({ qa }) => answers[qa.question_id] === 0).length;
+}
+
+// Correction : une question sans réponse n’est pas comptée comme fausse
+export type QuizStatus = 'correct' | 'wrong' | 'unanswered';
+
+export interface QuizSectionScore {
+  section: string;
+  total: number;
+  correct: number;
+  wrong: number;
+  unanswered: number;
+}
+
+export interface QuizReview {
+  total: number;
+  correct: number;
+  wrong: number;
+  unanswered: number;
+  bySection: QuizSectionScore[]; // triées par section
+  missed: QA[]; // fausses et sans réponse, dans l’ordre du quiz
+}
+
+export function quizStatus(answers: Record<string, OptionIndex>, id: string): QuizStatus {
+  const a = answers[id];
+  return a === undefined ? 'unanswered' : a === 0 ? 'correct' : 'wrong';
+}
+
+export function reviewQuiz(questions: QuizQuestion[], answers: Record<string, OptionIndex>): QuizReview {
+  const bySection = new Map<string, QuizSectionScore>();
+  const review: QuizReview = { total: questions.length, correct: 0, wrong: 0, unanswered: 0, bySection: [], missed: [] };
+  for (const { qa } of questions) {
+    const status = quizStatus(answers, qa.question_id);
+    const section = sectionOf(qa.question_id);
+    const s = bySection.get(section) ?? { section, total: 0, correct: 0, wrong: 0, unanswered: 0 };
+    bySection.set(section, s);
+    s.total++;
+    s[status]++;
+    review[status]++;
+    if (status !== 'correct') review.missed.push(qa);
+  }
+  review.bySection = Array.from(bySection.values()).sort((a, b) => a.section.localeCompare(b.section));
+  return review;
+}
+
+// Lien de partage : ?seed=K7Q2XD&n=10&section=B-001-001,B-005 (sections du plan de cours, voir lib/syllabus.ts)
+export interface QuizLink {
+  seed: string;
+  count: number;
+  sections: string[];
+}
+
+export function readQuizLink(search: string): QuizLink | null {
+  const p = new URLSearchParams(search);
+  const seed = p.get("seed")?.trim();
+  if (!seed) return null;
+  const n = Number(p.get("n"));
+  const sections = (p.get("section") ?? "").split(",").map((s) => s.trim()).filter(Boolean);
+  return { seed, count: Number.isInteger(n) && n > 0 ? n : 10, sections };
+}
+
+export function quizLink(base: string, { seed, count, sections }: QuizLink): string {
+  const url = new URL(base);
+  url.search = "";
+  url.hash = "";
+  url.searchParams.set("seed", seed);
+  url.searchParams.set("n", String(count));
+  if (sections.length) url.searchParams.set("section", sections.join(","));
+  return url.toString();
+}
@@ -0,0 +1,40 @@
+// =============================================
+// Aléatoire reproductible — même graine, même tirage
+// =============================================
+// Sert aux examens imprimés : une graine courte (ex. « K7Q2XD ») suffit à
+// régénérer exactement les mêmes questions dans le même ordre d’options.
+// =============================================
+
+export type Random = () => number; // [0, 1), comme Math.random
+
+// Mulberry32 : rapide, 32 bits, largement suffisant pour mélanger des questions
+export function seededRandom(seed: number): Random {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// FNV‑1a 32 bits de la graine saisie (insensible à la casse et aux espaces autour)
+export function seedFromString(s: string): number {
+  const norm = s.trim().toUpperCase();
+  let h = 0x811c9dc5;
+  for (let i = 0; i < norm.length; i++) {
+    h ^= norm.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// Graine lisible à noter sur la copie (sans 0/O ni 1/I)
+const SEED_ALPHABET = "23456789ABCDEFGHJKLMNPQRSTUVWXYZ";
+
+export function newSeed(length = 6): string {
+  let s = "";
+  for (let i = 0; i < length; i++) s += SEED_ALPHABET[Math.floor(Math.random() * SEED_ALPHABET.length)];
+  return s;
+}
@@ -0,0 +1,151 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import type { QA } from "../types.js";
+import {
+  DEFAULT_EASE,
+  MIN_EASE,
+  buildQueue,
+  buildStudyQueue,
+  deckCounts,
+  migrateLegacy,
+  schedule,
+  statusOf,
+  type Rating,
+  type ReviewMap,
+  type ReviewState,
+} from "./srs.js";
+
+const TODAY = "2026-10-19";
+const NOW = "2026-10-19T18:00:00.000Z";
+
+const qa = (question_id: string): QA => ({
+  question_id,
+  question_english: "", correct_answer_english: "", incorrect_answer_1_english: "", incorrect_answer_2_english: "", incorrect_answer_3_english: "",
+  question_french: "", correct_answer_french: "", incorrect_answer_1_french: "", incorrect_answer_2_french: "", incorrect_answer_3_french: "",
+});
+
+const state = (s: Partial<ReviewState>): ReviewState => ({
+  interval: 6, ease: DEFAULT_EASE, reps: 2, lapses: 0, due: TODAY, lastReview: "2026-10-13T18:00:00.000Z", introduced: "2026-10-01", ...s,
+});
+
+// Suite d’évaluations d’une même carte, un jour après l’autre à chaque échéance
+function run(ratings: Rating[]): ReviewState {
+  let s: ReviewState | undefined;
+  let day = TODAY;
+  for (const r of ratings) {
+    s = schedule(s, r, day, `${day}T18:00:00.000Z`);
+    day = s.due;
+  }
+  return s as ReviewState;
+}
+
+describe("schedule — SM‑2", () => {
+  it("nouvelle carte « Correct » : 1 jour, facilité inchangée", () => {
+    expect(schedule(undefined, 2, TODAY, NOW)).toEqual({
+      interval: 1, ease: DEFAULT_EASE, reps: 1, lapses: 0, due: "2026-10-20", lastReview: NOW, introduced: TODAY,
+    });
+  });
+
+  it("intervalles 1, 6 puis intervalle × facilité", () => {
+    expect(run([2]).interval).toBe(1);
+    expect(run([2, 2]).interval).toBe(6);
+    expect(run([2, 2, 2]).interval).toBe(15);
+    expect(run([2, 2, 2, 2])).toMatchObject({ interval: 38, reps: 4, ease: DEFAULT_EASE });
+  });
+
+  it("« Facile » augmente la facilité de 0,1 et allonge l’intervalle", () => {
+    const s = run([3, 3, 3]);
+    expect(s.ease).toBeCloseTo(DEFAULT_EASE + 0.3);
+    expect(s.interval).toBe(17); // round(6 × 2,8)
+  });
+
+  it("« Dur » : oubli, la carte revient aujourd’hui et la facilité baisse de 0,32", () => {
+    const s = schedule(state({ reps: 3, interval: 15, lapses: 1 }), 1, TODAY, NOW);
+    expect(s).toMatchObject({ reps: 0, interval: 0, lapses: 2, due: TODAY, lastReview: NOW, introduced: "2026-10-01" });
+    expect(s.ease).toBeCloseTo(DEFAULT_EASE - 0.32);
+  });
+
+  it("un oubli sur une carte jamais réussie n’est pas compté comme rechute", () => {
+    expect(schedule(undefined, 1, TODAY, NOW)).toMatchObject({ reps: 0, lapses: 0, due: TODAY });
+  });
+
+  it("la facilité ne descend pas sous le plancher", () => {
+    expect(schedule(state({ ease: 1.4 }), 1, TODAY, NOW).ease).toBe(MIN_EASE);
+    expect(run([1, 1, 1, 1, 1, 1]).ease).toBe(MIN_EASE);
+  });
+
+  it("après une rechute, l’apprentissage reprend à 1 puis 6 jours", () => {
+    const s = schedule(state({ reps: 0, interval: 0 }), 2, TODAY, NOW);
+    expect(s).toMatchObject({ reps: 1, interval: 1, due: "2026-10-20" });
+  });
+
+  it("statusOf : nouvelle, en apprentissage, en révision", () => {
+    expect(statusOf(undefined)).toBe("new");
+    expect(statusOf(run([2]))).toBe("learning");
+    expect(statusOf(run([2, 2]))).toBe("review");
+  });
+});
+
+describe("file du jour", () => {
+  const qas = ["A", "B", "C", "D", "E", "F", "G"].map(qa);
+  const reviews: ReviewMap = {
+    A: state({ due: "2026-10-25" }), // pas encore échue
+    B: state({ due: "2026-10-19", lastReview: "2026-10-13T09:00:00.000Z" }),
+    C: state({ due: "2026-10-02" }), // la plus en retard
+    D: state({ due: "2026-10-19", lastReview: "2026-10-12T09:00:00.000Z" }),
+    E: state({ reps: 0, interval: 0, due: "2026-10-18" }), // en apprentissage
+    // F et G : nouvelles
+  };
+
+  it("buildQueue : échues de la plus en retard à la plus récente, puis nouvelles dans l’ordre de la banque", () => {
+    expect(buildQueue(qas, reviews, TODAY, 20).map((q) => q.question_id)).toEqual(["C", "E", "D", "B", "F", "G"]);
+  });
+
+  it("le quota de nouvelles tient compte des cartes déjà introduites aujourd’hui", () => {
+    const withIntro = { ...reviews, A: state({ due: "2026-10-20", introduced: TODAY }) };
+    expect(buildQueue(qas, withIntro, TODAY, 2).map((q) => q.question_id)).toEqual(["C", "E", "D", "B", "F"]);
+    expect(buildQueue(qas, withIntro, TODAY, 1).map((q) => q.question_id)).toEqual(["C", "E", "D", "B"]);
+  });
+
+  it("deckCounts sépare révisions, apprentissage et nouvelles permises", () => {
+    expect(deckCounts(qas, reviews, TODAY, 20)).toEqual({ due: 3, learning: 1, new: 2 });
+    expect(deckCounts(qas, reviews, TODAY, 1)).toEqual({ due: 3, learning: 1, new: 1 });
+    expect(deckCounts(qas, reviews, TODAY, 0)).toEqual({ due: 3, learning: 1, new: 0 });
+  });
+
+  it("buildStudyQueue : toutes les cartes, échues puis nouvelles puis les autres", () => {
+    expect(buildStudyQueue(qas, reviews, TODAY).map((q) => q.question_id)).toEqual(["C", "E", "B", "D", "F", "G", "A"]);
+  });
+});
+
+describe("migrateLegacy", () => {
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it("convertit l’ancien format { ease: 1|2|3, lastSeen } selon le bouton", () => {
+    vi.stubEnv("TZ", "America/Toronto");
+    const { reviews, migrated } = migrateLegacy({
+      easy: { ease: 3, lastSeen: "2026-10-10T15:00:00.000Z" },
+      good: { ease: 2, lastSeen: "2026-10-10T15:00:00.000Z" },
+      hard: { ease: 1, lastSeen: "2026-10-11T02:00:00.000Z" }, // 22 h à Toronto, le 10
+    });
+    expect(migrated).toBe(true);
+    expect(reviews.easy).toEqual({
+      ease: DEFAULT_EASE + 0.1, lapses: 0, reps: 2, interval: 6, due: "2026-10-16",
+      lastReview: "2026-10-10T15:00:00.000Z", introduced: "2026-10-10",
+    });
+    expect(reviews.good).toMatchObject({ ease: DEFAULT_EASE, reps: 1, interval: 1, due: "2026-10-11" });
+    expect(reviews.hard).toMatchObject({ ease: DEFAULT_EASE - 0.2, reps: 0, interval: 0, due: "2026-10-10", introduced: "2026-10-10" });
+  });
+
+  it("laisse les états SM‑2 tels quels et ne signale aucune migration", () => {
+    const s = state({});
+    expect(migrateLegacy({ A: s })).toEqual({ reviews: { A: s }, migrated: false });
+  });
+
+  it("ignore les entrées illisibles et date au 1970-01-01 une date illisible", () => {
+    const { reviews } = migrateLegacy({ nul: null, texte: "x", vieux: { ease: 1, lastSeen: "?" } });
+    expect(Object.keys(reviews)).toEqual(["vieux"]);
+    expect(reviews.vieux).toMatchObject({ due: "1970-01-01", introduced: "1970-01-01" });
+  });
+});
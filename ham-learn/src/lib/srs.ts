@@ -0,0 +1,182 @@
+import type { QA } from "../types.js";
+import { STORE_KEYS, loadJSON, putRecord, saveJSON } from "./storage.js";
+import { addDays, dayOfISO } from "./dates.js";
+
+// =============================================
+// Répétition espacée — planificateur SM‑2
+// =============================================
+// Les fonctions de planification sont pures : elles reçoivent la date du jour
+// (clé AAAA‑MM‑JJ, calendrier local) et ne touchent ni au DOM ni au stockage.
+// Seuls loadReviews / saveReviews / saveReview lisent et écrivent hamlearn.srs.
+// =============================================
+
+// 1 = Dur (oubli), 2 = Correct, 3 = Facile — les trois boutons des Flashcards
+export type Rating = 1 | 2 | 3;
+
+export interface ReviewState {
+  interval: number; // jours avant la prochaine révision (0 = revoir aujourd’hui)
+  ease: number; // facteur de facilité SM‑2 (≥ 1.3)
+  reps: number; // rappels réussis consécutifs
+  lapses: number;
+  due: string; // AAAA‑MM‑JJ
+  lastReview: string; // ISO
+  introduced: string; // AAAA‑MM‑JJ de la première révision
+}
+
+export type ReviewMap = Record<string, ReviewState>;
+
+// Ancien format de hamlearn.srs
+interface LegacyState {
+  ease: number;
+  lastSeen: string;
+}
+
+export type CardStatus = 'new' | 'learning' | 'review';
+
+export const DEFAULT_EASE = 2.5;
+export const MIN_EASE = 1.3;
+export const DEFAULT_NEW_PER_DAY = 20;
+const GRADUATING_REPS = 2; // en deçà, la carte est encore « en apprentissage »
+
+// Qualité SM‑2 (0..5) associée à chaque bouton
+const QUALITY: Record<Rating, number> = { 1: 2, 2: 4, 3: 5 };
+
+export function schedule(prev: ReviewState | undefined, rating: Rating, today: string, nowISO: string): ReviewState {
+  const q = QUALITY[rating];
+  const cur: ReviewState = prev ?? {
+    interval: 0,
+    ease: DEFAULT_EASE,
+    reps: 0,
+    lapses: 0,
+    due: today,
+    lastReview: nowISO,
+    introduced: today,
+  };
+
+  const ease = Math.max(MIN_EASE, cur.ease + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02)));
+
+  if (q < 3) {
+    // Oubli : on recommence l’apprentissage, la carte revient dans la séance
+    return {
+      ...cur,
+      ease,
+      reps: 0,
+      interval: 0,
+      lapses: cur.reps > 0 ? cur.lapses + 1 : cur.lapses,
+      due: today,
+      lastReview: nowISO,
+    };
+  }
+
+  const interval = cur.reps === 0 ? 1 : cur.reps === 1 ? 6 : Math.round(Math.max(1, cur.interval) * ease);
+  return {
+    ...cur,
+    ease,
+    reps: cur.reps + 1,
+    interval,
+    due: addDays(today, interval),
+    lastReview: nowISO,
+  };
+}
+
+export function statusOf(s: ReviewState | undefined): CardStatus {
+  if (!s) return 'new';
+  return s.reps < GRADUATING_REPS ? 'learning' : 'review';
+}
+
+export function isDue(s: ReviewState, today: string): boolean {
+  return s.due <= today;
+}
+
+export function introducedOn(reviews: ReviewMap, today: string): number {
+  return Object.values(reviews).filter((s) => s.introduced === today).length;
+}
+
+export interface DeckCounts {
+  due: number; // révisions échues
+  learning: number; // cartes en apprentissage à revoir aujourd’hui
+  new: number; // nouvelles cartes encore permises aujourd’hui
+}
+
+export function deckCounts(qas: QA[], reviews: ReviewMap, today: string, newPerDay: number): DeckCounts {
+  let due = 0;
+  let learning = 0;
+  let unseen = 0;
+  for (const q of qas) {
+    const s = reviews[q.question_id];
+    if (!s) unseen++;
+    else if (isDue(s, today)) {
+      if (statusOf(s) === 'learning') learning++;
+      else due++;
+    }
+  }
+  const quota = Math.max(0, newPerDay - introducedOn(reviews, today));
+  return { due, learning, new: Math.min(unseen, quota) };
+}
+
+// File du jour : cartes échues (les plus en retard d’abord), puis les
+// nouvelles dans l’ordre de la banque, dans la limite du quota quotidien.
+export function buildQueue(qas: QA[], reviews: ReviewMap, today: string, newPerDay: number): QA[] {
+  const due: QA[] = [];
+  const fresh: QA[] = [];
+  for (const q of qas) {
+    const s = reviews[q.question_id];
+    if (!s) fresh.push(q);
+    else if (isDue(s, today)) due.push(q);
+  }
+  due.sort((a, b) => {
+    const sa = reviews[a.question_id] as ReviewState;
+    const sb = reviews[b.question_id] as ReviewState;
+    return sa.due.localeCompare(sb.due) || sa.lastReview.localeCompare(sb.lastReview);
+  });
+  const quota = Math.max(0, newPerDay - introducedOn(reviews, today));
+  return [...due, ...fresh.slice(0, quota)];
+}
+
+// Séance libre sur un ensemble choisi (favoris, résultats de recherche) :
+// toutes les cartes, sans quota — échues d’abord, puis nouvelles, puis les
+// autres par date d’échéance. Les évaluations sont planifiées normalement.
+export function buildStudyQueue(qas: QA[], reviews: ReviewMap, today: string): QA[] {
+  const rank = (q: QA) => {
+    const s = reviews[q.question_id];
+    return !s ? 1 : isDue(s, today) ? 0 : 2;
+  };
+  const dueOf = (q: QA) => reviews[q.question_id]?.due ?? "";
+  return [...qas].sort((a, b) => rank(a) - rank(b) || dueOf(a).localeCompare(dueOf(b)));
+}
+
+// Conversion de l’ancien format { ease: 1|2|3, lastSeen } vers l’état SM‑2
+export function migrateLegacy(raw: Record<string, unknown>): { reviews: ReviewMap; migrated: boolean } {
+  const reviews: ReviewMap = {};
+  let migrated = false;
+  for (const [id, v] of Object.entries(raw)) {
+    if (!v || typeof v !== "object") continue;
+    if ("interval" in v) {
+      reviews[id] = v as ReviewState;
+      continue;
+    }
+    const old = v as LegacyState;
+    const seen = dayOfISO(old.lastSeen) ?? "1970-01-01";
+    const base = { ease: DEFAULT_EASE, lapses: 0, lastReview: old.lastSeen, introduced: seen };
+    if (old.ease >= 3) reviews[id] = { ...base, ease: DEFAULT_EASE + 0.1, reps: 2, interval: 6, due: addDays(seen, 6) };
+    else if (old.ease === 2) reviews[id] = { ...base, reps: 1, interval: 1, due: addDays(seen, 1) };
+    else reviews[id] = { ...base, ease: DEFAULT_EASE - 0.2, reps: 0, interval: 0, due: seen };
+    migrated = true;
+  }
+  return { reviews, migrated };
+}
+
+// Persistance
+export function loadReviews(): ReviewMap {
+  const { reviews, migrated } = migrateLegacy(loadJSON<Record<string, unknown>>(STORE_KEYS.srs, {}));
+  if (migrated) saveJSON(STORE_KEYS.srs, reviews);
+  return reviews;
+}
+
+export function saveReviews(reviews: ReviewMap): void {
+  saveJSON(STORE_KEYS.srs, reviews);
+}
+
+export function saveReview(id: string, state: ReviewState): void {
+  putRecord(STORE_KEYS.srs, id, state);
+}
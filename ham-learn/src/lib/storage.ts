@@ -0,0 +1,364 @@
+import { t } from "../i18n/index.js";
+
+// =============================================
+// Stockage — IndexedDB derrière un cache en mémoire
+// =============================================
+// initStorage() charge toute la base en mémoire au démarrage (et migre une
+// fois les anciennes clés localStorage). Ensuite, loadJSON est synchrone et
+// lit le cache ; saveJSON / putRecord / appendRecords mettent le cache à jour,
+// préviennent les abonnés puis écrivent dans IndexedDB en arrière‑plan.
+// Les valeurs renvoyées par loadJSON sont partagées avec le cache : ne pas
+// les modifier sans les sauvegarder ensuite.
+//
+// Profils : les clés de PROFILE_KEYS (SRS, progression, réponses…) sont
+// propres au profil actif. L’appelant utilise toujours la clé logique
+// (STORE_KEYS.srs) ; le module la traduit en « hamlearn.srs@<profil> ».
+// La banque et ses versions restent communes à tous les profils.
+// =============================================
+
+export const STORE_KEYS = {
+  bank: "hamlearn.bank", // QA[] — magasin « bank » (une entrée par question)
+  progress: "hamlearn.progress", // { [AAAA‑MM‑JJ local]: { seen, correct } } (streak : ancien champ, ignoré)
+  srs: "hamlearn.srs", // { [question_id]: ReviewState } — magasin « reviews »
+  prefs: "hamlearn.prefs", // { lang: 'fr'|'en', sections: string[], newPerDay?: number, banks?: string[], goal?: StudyGoal, sync?: SyncSettings }
+  bankVersions: "hamlearn.bankVersions", // BankVersion[] (empreinte + date d’import)
+  attempts: "hamlearn.attempts", // Attempt[] — magasin « attempts » (journal des réponses)
+  exams: "hamlearn.exams", // ExamRecord[] (examens simulés terminés)
+  profiles: "hamlearn.profiles", // Profile[] (commun)
+  activeProfile: "hamlearn.activeProfile", // id du profil actif (commun)
+  marks: "hamlearn.marks", // MarkMap : questions en favori ou signalées (voir lib/marks.ts)
+  notes: "hamlearn.notes", // NoteMap : notes personnelles par question
+  explanations: "hamlearn.explanations", // ExplanationMap (commun, voir lib/explanations.ts)
+  figures: "hamlearn.figures", // FigureMap (commun, voir lib/figures.ts)
+  banks: "hamlearn.banks", // BankInfo[] : banques ajoutées et titres de sections (commun, voir lib/banks.ts)
+};
+
+// Clés dont la valeur dépend du profil actif
+export const PROFILE_KEYS: readonly string[] = [
+  STORE_KEYS.progress,
+  STORE_KEYS.srs,
+  STORE_KEYS.prefs,
+  STORE_KEYS.attempts,
+  STORE_KEYS.exams,
+  STORE_KEYS.marks,
+  STORE_KEYS.notes,
+];
+
+export const DEFAULT_PROFILE = "default";
+
+const DB_NAME = "hamlearn";
+const DB_VERSION = 2; // v2 : données rattachées à un profil
+const MIGRATED_FLAG = "hamlearn.migratedFromLocalStorage";
+
+// Magasins typés ; toutes les autres clés vont dans « kv »
+const RECORD_STORES: Record<string, string> = {
+  [STORE_KEYS.bank]: "bank",
+  [STORE_KEYS.srs]: "reviews",
+  [STORE_KEYS.attempts]: "attempts",
+};
+
+const cache = new Map<string, unknown>();
+const listeners = new Map<string, Set<() => void>>();
+const errorListeners = new Set<(message: string) => void>();
+let lastError = "";
+let db: IDBDatabase | null = null;
+let profile = DEFAULT_PROFILE;
+let quiet = false; // pas de notification pendant withProfile()
+
+const isScoped = (key: string) => PROFILE_KEYS.includes(key);
+
+// Clé réelle dans le cache et dans « kv »
+function physical(key: string, p: string = profile): string {
+  return isScoped(key) ? `${key}@${p}` : key;
+}
+
+// Abonnements
+export function subscribe(key: string, fn: () => void): () => void {
+  const set = listeners.get(key) ?? new Set();
+  set.add(fn);
+  listeners.set(key, set);
+  return () => { set.delete(fn); };
+}
+
+function notify(key: string): void {
+  if (quiet) return;
+  listeners.get(key)?.forEach((fn) => fn());
+}
+
+// Un abonné tardif reçoit aussi l’erreur survenue avant son inscription (ex. au démarrage)
+export function onStorageError(fn: (message: string) => void): () => void {
+  errorListeners.add(fn);
+  if (lastError) fn(lastError);
+  return () => { errorListeners.delete(fn); };
+}
+
+function reportError(err: unknown, context: string): void {
+  const name = err instanceof DOMException ? err.name : "";
+  const message = name === "QuotaExceededError"
+    ? t("storage.full", { context })
+    : t("storage.error", { context, error: err instanceof Error ? err.message : String(err) });
+  console.error(message, err);
+  lastError = message;
+  errorListeners.forEach((fn) => fn(message));
+}
+
+// IndexedDB
+function req<T>(r: IDBRequest<T>): Promise<T> {
+  return new Promise((resolve, reject) => {
+    r.onsuccess = () => resolve(r.result);
+    r.onerror = () => reject(r.error);
+  });
+}
+
+function done(tx: IDBTransaction): Promise<void> {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error ?? new Error(t("storage.aborted")));
+  });
+}
+
+// v1 → v2 : les données existantes deviennent celles du profil par défaut.
+// « reviews » passe de la clé question_id à [profil, question_id] et chaque
+// réponse de « attempts » reçoit un champ profile (indexé).
+function upgradeToProfiles(tx: IDBTransaction): void {
+  const kv = tx.objectStore("kv");
+  for (const key of PROFILE_KEYS) {
+    const r = kv.get(key);
+    r.onsuccess = () => {
+      if (r.result === undefined) return;
+      kv.put(r.result, physical(key, DEFAULT_PROFILE));
+      kv.delete(key);
+    };
+  }
+
+  const reviews = tx.objectStore("reviews");
+  const keys = reviews.getAllKeys();
+  const values = reviews.getAll();
+  values.onsuccess = () => {
+    reviews.clear();
+    keys.result.forEach((k, i) => reviews.put(values.result[i], [DEFAULT_PROFILE, String(k)]));
+  };
+
+  const attempts = tx.objectStore("attempts");
+  attempts.createIndex("profile", "profile");
+  const cursor = attempts.openCursor();
+  cursor.onsuccess = () => {
+    const c = cursor.result;
+    if (!c) return;
+    c.update({ ...(c.value as object), profile: DEFAULT_PROFILE });
+    c.continue();
+  };
+}
+
+function openDB(): Promise<IDBDatabase> {
+  return new Promise((resolve, reject) => {
+    const r = indexedDB.open(DB_NAME, DB_VERSION);
+    r.onupgradeneeded = (e) => {
+      const d = r.result;
+      if (!d.objectStoreNames.contains("kv")) d.createObjectStore("kv");
+      if (!d.objectStoreNames.contains("bank")) d.createObjectStore("bank", { keyPath: "question_id" });
+      if (!d.objectStoreNames.contains("reviews")) d.createObjectStore("reviews");
+      if (!d.objectStoreNames.contains("attempts")) {
+        d.createObjectStore("attempts", { autoIncrement: true }).createIndex("profile", "profile");
+      } else if (e.oldVersion < 2 && r.transaction) {
+        upgradeToProfiles(r.transaction);
+      }
+    };
+    r.onsuccess = () => resolve(r.result);
+    r.onerror = () => reject(r.error);
+    r.onblocked = () => reject(new Error(t("storage.blocked")));
+  });
+}
+
+async function readAll(d: IDBDatabase): Promise<void> {
+  const tx = d.transaction(["kv", "bank", "reviews", "attempts"], "readonly");
+  const kv = tx.objectStore("kv");
+  const [keys, values, bank, reviewKeys, reviews, attempts] = await Promise.all([
+    req(kv.getAllKeys()),
+    req(kv.getAll()),
+    req(tx.objectStore("bank").getAll()),
+    req(tx.objectStore("reviews").getAllKeys()),
+    req(tx.objectStore("reviews").getAll()),
+    req(tx.objectStore("attempts").getAll()),
+  ]);
+  keys.forEach((k, i) => cache.set(String(k), values[i]));
+  cache.set(STORE_KEYS.bank, bank);
+
+  // Regroupement par profil des révisions et des réponses
+  reviewKeys.forEach((k, i) => {
+    const [p, id] = k as [string, string];
+    const map = (cache.get(physical(STORE_KEYS.srs, p)) ?? {}) as Record<string, unknown>;
+    map[id] = reviews[i];
+    cache.set(physical(STORE_KEYS.srs, p), map);
+  });
+  for (const { profile: p, ...a } of attempts as Array<{ profile: string }>) {
+    const list = (cache.get(physical(STORE_KEYS.attempts, p)) ?? []) as unknown[];
+    list.push(a);
+    cache.set(physical(STORE_KEYS.attempts, p), list);
+  }
+}
+
+// Efface les entrées d’un profil dans un magasin typé, puis appelle then()
+function clearRecords(store: IDBObjectStore, p: string, then: () => void): void {
+  if (store.name === "reviews") {
+    store.delete(IDBKeyRange.bound([p], [p, []]));
+    then();
+    return;
+  }
+  if (store.name === "attempts") {
+    const r = store.index("profile").getAllKeys(IDBKeyRange.only(p));
+    r.onsuccess = () => {
+      r.result.forEach((k) => store.delete(k));
+      then();
+    };
+    return;
+  }
+  store.clear();
+  then();
+}
+
+// Réécrit entièrement la valeur d’une clé (pour un profil) dans son magasin
+function writeKey(d: IDBDatabase, key: string, value: unknown, p: string = profile): Promise<void> {
+  const storeName = RECORD_STORES[key] ?? "kv";
+  const tx = d.transaction(storeName, "readwrite");
+  const store = tx.objectStore(storeName);
+  if (storeName === "kv") {
+    if (value === undefined) store.delete(physical(key, p));
+    else store.put(value, physical(key, p));
+  } else {
+    clearRecords(store, p, () => {
+      if (storeName === "reviews") {
+        for (const [id, v] of Object.entries((value ?? {}) as Record<string, unknown>)) store.put(v, [p, id]);
+      } else if (storeName === "attempts") {
+        for (const v of (value ?? []) as object[]) store.add({ ...v, profile: p });
+      } else {
+        for (const v of (value ?? []) as unknown[]) store.put(v);
+      }
+    });
+  }
+  return done(tx);
+}
+
+// Migration unique depuis les anciennes clés localStorage
+async function migrateLocalStorage(d: IDBDatabase): Promise<void> {
+  if (cache.get(MIGRATED_FLAG)) return;
+  const found: string[] = [];
+  for (const key of Object.values(STORE_KEYS)) {
+    let raw: string | null = null;
+    try { raw = localStorage.getItem(key); } catch { /* localStorage indisponible */ }
+    if (!raw) continue;
+    try {
+      const value = JSON.parse(raw) as unknown;
+      cache.set(physical(key), value);
+      await writeKey(d, key, value);
+      found.push(key);
+    } catch (err) {
+      reportError(err, t("storage.migration", { key }));
+      return; // on garde localStorage intact pour réessayer au prochain démarrage
+    }
+  }
+  await writeKey(d, MIGRATED_FLAG, true);
+  cache.set(MIGRATED_FLAG, true);
+  found.forEach((key) => localStorage.removeItem(key));
+}
+
+export async function initStorage(): Promise<void> {
+  try {
+    db = await openDB();
+    await readAll(db);
+    await migrateLocalStorage(db);
+    profile = loadJSON<string>(STORE_KEYS.activeProfile, DEFAULT_PROFILE);
+  } catch (err) {
+    db = null;
+    reportError(err, t("storage.openFailed"));
+  }
+}
+
+function persist(context: string, write: (d: IDBDatabase) => Promise<void>): void {
+  if (!db) return;
+  write(db).catch((err) => reportError(err, context));
+}
+
+// API synchrone sur le cache
+export function loadJSON<T>(key: string, fallback: T): T {
+  const k = physical(key);
+  return cache.has(k) ? (cache.get(k) as T) : fallback;
+}
+
+export function saveJSON(key: string, value: unknown): void {
+  cache.set(physical(key), value);
+  notify(key);
+  const p = profile;
+  persist(key, (d) => writeKey(d, key, value, p));
+}
+
+export function removeKey(key: string): void {
+  cache.delete(physical(key));
+  notify(key);
+  const p = profile;
+  persist(key, (d) => writeKey(d, key, undefined, p));
+}
+
+// Écriture d’une seule entrée d’un magasin indexé par ID (ex. une carte SRS)
+export function putRecord(key: string, id: string, value: unknown): void {
+  const map = { ...loadJSON<Record<string, unknown>>(key, {}), [id]: value };
+  cache.set(physical(key), map);
+  notify(key);
+  const p = profile;
+  persist(key, (d) => {
+    const tx = d.transaction(RECORD_STORES[key] ?? "kv", "readwrite");
+    tx.objectStore(RECORD_STORES[key] ?? "kv").put(value, [p, id]);
+    return done(tx);
+  });
+}
+
+// Ajout d’entrées à un magasin de type journal (ex. réponses)
+export function appendRecords(key: string, values: object[]): void {
+  if (values.length === 0) return;
+  cache.set(physical(key), [...loadJSON<unknown[]>(key, []), ...values]);
+  notify(key);
+  const p = profile;
+  persist(key, (d) => {
+    const tx = d.transaction(RECORD_STORES[key] ?? "kv", "readwrite");
+    const store = tx.objectStore(RECORD_STORES[key] ?? "kv");
+    for (const v of values) store.add({ ...v, profile: p });
+    return done(tx);
+  });
+}
+
+// Profil actif
+export function activeProfile(): string {
+  return profile;
+}
+
+// Bascule toutes les clés de PROFILE_KEYS vers un autre profil
+export function setActiveProfile(id: string): void {
+  if (id === profile) return;
+  profile = id;
+  saveJSON(STORE_KEYS.activeProfile, id);
+  PROFILE_KEYS.forEach(notify);
+}
+
+// Exécute fn() comme si `id` était le profil actif (ex. export ou migration
+// d’un autre profil), sans prévenir les abonnés qui affichent le profil actif
+export function withProfile<T>(id: string, fn: () => T): T {
+  if (id === profile) return fn();
+  const prev = profile;
+  profile = id;
+  quiet = true;
+  try {
+    return fn();
+  } finally {
+    profile = prev;
+    quiet = false;
+  }
+}
+
+// Supprime toutes les données d’un profil (cache et base)
+export function dropProfileData(id: string): void {
+  for (const key of PROFILE_KEYS) {
+    cache.delete(physical(key, id));
+    persist(key, (d) => writeKey(d, key, undefined, id));
+  }
+}
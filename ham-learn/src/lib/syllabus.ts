@@ -0,0 +1,94 @@
+import type { QA } from "../types.js";
+import type { ReviewMap } from "./srs.js";
+import { MASTERED_INTERVAL } from "./browse.js";
+import { sectionOf, subSectionOf } from "./exam.js";
+
+// =============================================
+// Plan de cours — arbre sections → sous‑sections
+// =============================================
+// Chaque nœud est un préfixe d’ID (qualifié par la banque, voir lib/banks.ts)
+// avec son nombre de questions et ses cartes maîtrisées (intervalle SRS d’au
+// moins MASTERED_INTERVAL jours, comme le filtre « Maîtrisées » de Parcourir).
+// La sélection est une liste de préfixes, enregistrée dans les préférences du
+// profil ; une liste vide couvre toutes les questions. Une section entière
+// est notée par son seul préfixe (B-001), jamais par toutes ses sous‑sections.
+// =============================================
+
+export interface SyllabusNode {
+  id: string; // préfixe d’ID : B-001 ou B-001-002
+  count: number;
+  mastered: number;
+  children: SyllabusNode[]; // vide pour une sous‑section
+}
+
+export type NodeState = 'all' | 'some' | 'none';
+
+export function buildSyllabus(qas: QA[], reviews: ReviewMap): SyllabusNode[] {
+  const sections = new Map<string, Map<string, SyllabusNode>>();
+  for (const q of qas) {
+    const sec = sectionOf(q.question_id);
+    const sub = subSectionOf(q.question_id);
+    const subs = sections.get(sec) ?? new Map<string, SyllabusNode>();
+    sections.set(sec, subs);
+    const node = subs.get(sub) ?? { id: sub, count: 0, mastered: 0, children: [] };
+    subs.set(sub, node);
+    node.count++;
+    if ((reviews[q.question_id]?.interval ?? 0) >= MASTERED_INTERVAL) node.mastered++;
+  }
+  return Array.from(sections, ([id, subs]) => {
+    // Banque sans sous‑sections (ID à deux segments) : la section est une feuille
+    const children = Array.from(subs.values()).filter((n) => n.id !== id).sort((a, b) => a.id.localeCompare(b.id));
+    return {
+      id,
+      count: Array.from(subs.values()).reduce((n, s) => n + s.count, 0),
+      mastered: Array.from(subs.values()).reduce((n, s) => n + s.mastered, 0),
+      children,
+    };
+  }).sort((a, b) => a.id.localeCompare(b.id));
+}
+
+// Maîtrise en pourcentage entier
+export function masteryPct(node: SyllabusNode): number {
+  return node.count ? Math.round((node.mastered / node.count) * 100) : 0;
+}
+
+// Préfixe suivi d’un séparateur : B-001-01 ne couvre pas B-001-010-001
+function under(id: string, prefix: string): boolean {
+  return id === prefix || (id.startsWith(prefix) && /[-._]/.test(id.charAt(prefix.length)));
+}
+
+export function inSections(id: string, selected: string[]): boolean {
+  return selected.length === 0 || selected.some((p) => under(id, p));
+}
+
+export function filterSections(qas: QA[], selected: string[]): QA[] {
+  return selected.length === 0 ? qas : qas.filter((q) => inSections(q.question_id, selected));
+}
+
+export function nodeState(selected: string[], node: SyllabusNode, parent?: SyllabusNode): NodeState {
+  if (selected.includes(node.id) || (parent && selected.includes(parent.id))) return 'all';
+  return node.children.some((c) => selected.includes(c.id)) ? 'some' : 'none';
+}
+
+// Coche ou décoche un nœud ; parent = section d’une sous‑section
+export function toggleNode(selected: string[], node: SyllabusNode, parent?: SyllabusNode): string[] {
+  const childIds = node.children.map((c) => c.id);
+  if (!parent) {
+    const rest = selected.filter((id) => id !== node.id && !childIds.includes(id));
+    return nodeState(selected, node) === 'all' ? rest : [...rest, node.id];
+  }
+  // Sous‑section d’une section entièrement cochée : on garde ses voisines
+  if (selected.includes(parent.id)) {
+    return [...selected.filter((id) => id !== parent.id), ...parent.children.map((c) => c.id).filter((id) => id !== node.id)];
+  }
+  if (selected.includes(node.id)) return selected.filter((id) => id !== node.id);
+  const next = [...selected, node.id];
+  const siblings = parent.children.map((c) => c.id);
+  return siblings.every((id) => next.includes(id)) ? [...next.filter((id) => !siblings.includes(id)), parent.id] : next;
+}
+
+// Retire les préfixes absents des banques actives
+export function pruneSelection(selected: string[], tree: SyllabusNode[]): string[] {
+  const known = new Set(tree.flatMap((s) => [s.id, ...s.children.map((c) => c.id)]));
+  return selected.filter((id) => known.has(id));
+}
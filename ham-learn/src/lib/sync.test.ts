@@ -0,0 +1,54 @@
+import { describe, expect, it } from "vitest";
+import type { Attempt } from "./attempts.js";
+import { classReport, type ClassStudent } from "./sync.js";
+
+const TODAY = "2026-10-19";
+
+// n réponses dans une section, dont les `correct` premières justes, le jour donné
+function answers(section: string, n: number, correct: number, day = TODAY): Attempt[] {
+  return Array.from({ length: n }, (_, i) => ({
+    question_id: `${section}-001-${String(i + 1).padStart(3, "0")}`, mode: "quiz", chosen: 0, correct: i < correct, ms: 1000, at: `${day}T12:00:00.000Z`,
+  }));
+}
+
+const student = (name: string, attempts: Attempt[]): ClassStudent => ({
+  id: name.toLowerCase(), name, token: `jeton-${name}`, created: "2026-09-01T12:00:00.000Z", lastSync: null, attempts, srs: {},
+});
+
+describe("classReport", () => {
+  const report = classReport([
+    student("Alice", [...answers("B-001", 30, 28), ...answers("B-002", 5, 0)]),
+    student("Bruno", answers("B-002", 25, 10, "2026-10-09")),
+    student("Chloé", []),
+  ], TODAY);
+  const byName = (name: string) => report.students.find((s) => s.name === name);
+
+  it("rien à signaler pour un élève actif et juste", () => {
+    expect(byName("Alice")).toMatchObject({
+      lastActive: TODAY, answers: 35, recent: { total: 35, correct: 28 }, weakest: { section: "B-001", pct: 93 }, flags: [],
+    });
+  });
+
+  it("inactif, exactitude récente faible, section faible", () => {
+    expect(byName("Bruno")).toMatchObject({ lastActive: "2026-10-09", weakest: { section: "B-002", pct: 40 }, flags: ["inactive", "lowAccuracy", "weakSection"] });
+    expect(byName("Chloé")).toMatchObject({ lastActive: null, answers: 0, weakest: null, flags: ["inactive"] });
+  });
+
+  it("les réponses anciennes ne comptent pas dans l’exactitude récente", () => {
+    const [old] = classReport([student("Dora", [...answers("B-003", 30, 0, "2026-09-01"), ...answers("B-001", 5, 5)])], TODAY).students;
+    expect(old?.recent).toEqual({ total: 5, correct: 5 });
+    expect(old?.flags).toEqual(["weakSection"]);
+  });
+
+  it("élèves en difficulté d’abord, puis par nom", () => {
+    expect(report.students.map((s) => s.name)).toEqual(["Bruno", "Chloé", "Alice"]);
+  });
+
+  it("agrège les sections de toute la classe", () => {
+    expect(report.bySection).toEqual([
+      { section: "B-001", total: 30, correct: 28, students: 1, struggling: 0 },
+      // Alice n’a que 5 réponses en B-002 : comptée, mais pas jugée
+      { section: "B-002", total: 30, correct: 10, students: 2, struggling: 1 },
+    ]);
+  });
+});
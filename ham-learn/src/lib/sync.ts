@@ -0,0 +1,211 @@
+import { loadReviews, type ReviewMap } from "./srs.js";
+import { accuracyBySection, loadAttempts, type Accuracy, type Attempt } from "./attempts.js";
+import { EXAM_PASS } from "./exam.js";
+import { MASTERED_INTERVAL } from "./browse.js";
+import { STORE_KEYS, loadJSON, saveJSON, subscribe } from "./storage.js";
+import { dayOfISO, daysBetween } from "./dates.js";
+import { t } from "../i18n/index.js";
+
+// =============================================
+// Synchronisation avec le serveur du club (server/sync-server.js)
+// =============================================
+// Facultative : sans adresse ni jeton, rien ne quitte le navigateur.
+// L’élève pousse tout son journal des réponses et son état SRS ; le serveur
+// fusionne (un envoi répété ne double rien). Réglages dans les préférences
+// du profil : chaque profil a son propre jeton. Les sauvegardes JSON ne
+// contiennent jamais ces réglages (voir lib/backup.ts).
+// L’instructeur lit la classe avec son jeton et classReport() en tire
+// l’exactitude par section et les élèves en difficulté (fonction pure).
+// =============================================
+
+export interface SyncSettings {
+  url: string; // ex. http://192.168.1.20:8787
+  token: string; // jeton de l’élève
+  auto: boolean; // envoi automatique après chaque série de réponses
+  lastSync: string | null; // ISO
+  lastError: string;
+  instructorToken: string; // tableau de bord de l’instructeur
+}
+
+export interface SyncStatus {
+  name: string;
+  lastSync: string | null;
+  attempts: number; // réponses conservées sur le serveur
+}
+
+// Élève tel que renvoyé à l’instructeur par GET /api/class
+export interface ClassStudent {
+  id: string;
+  name: string;
+  token: string;
+  created: string;
+  lastSync: string | null;
+  attempts: Attempt[];
+  srs: ReviewMap;
+}
+
+export const AUTO_SYNC_DELAY = 10_000; // ms après la dernière réponse enregistrée
+export const RECENT_DAYS = 14;
+export const INACTIVE_DAYS = 7;
+const MIN_ANSWERS = 20; // réponses récentes avant de juger l’exactitude
+const MIN_SECTION_ANSWERS = 10;
+const WEAK_SECTION = 0.5;
+
+const NO_SYNC: SyncSettings = { url: "", token: "", auto: false, lastSync: null, lastError: "", instructorToken: "" };
+
+export function loadSync(): SyncSettings {
+  return { ...NO_SYNC, ...loadJSON<{ sync?: Partial<SyncSettings> }>(STORE_KEYS.prefs, {}).sync };
+}
+
+export function saveSync(sync: SyncSettings): void {
+  saveJSON(STORE_KEYS.prefs, { ...loadJSON(STORE_KEYS.prefs, {}), sync });
+}
+
+export function isConfigured(s: SyncSettings): boolean {
+  return s.url.trim() !== "" && s.token.trim() !== "";
+}
+
+async function request<T>(url: string, token: string, path: string, init: { method?: string; body?: unknown } = {}): Promise<T> {
+  const base = url.trim().replace(/\/*$/, "/");
+  let res: Response;
+  try {
+    res = await fetch(new URL(path, base), {
+      method: init.method ?? "GET",
+      headers: { Authorization: `Bearer ${token.trim()}`, ...(init.body !== undefined && { "Content-Type": "application/json" }) },
+      ...(init.body !== undefined && { body: JSON.stringify(init.body) }),
+    });
+  } catch {
+    throw new Error(t("sync.error.network", { url: base }));
+  }
+  if (res.status === 401) throw new Error(t("sync.error.token"));
+  if (!res.ok) throw new Error(t("sync.error.status", { status: res.status }));
+  return (res.status === 204 ? undefined : await res.json()) as T;
+}
+
+// Élève
+export function checkSync(s: SyncSettings): Promise<SyncStatus> {
+  return request<SyncStatus>(s.url, s.token, "api/me");
+}
+
+export function pushSync(s: SyncSettings): Promise<SyncStatus> {
+  return request<SyncStatus>(s.url, s.token, "api/sync", { method: "POST", body: { attempts: loadAttempts(), srs: loadReviews() } });
+}
+
+// Envoi puis mémorisation du résultat (date ou erreur) dans les réglages du profil
+export async function syncNow(): Promise<SyncStatus> {
+  const s = loadSync();
+  try {
+    const status = await pushSync(s);
+    saveSync({ ...loadSync(), lastSync: status.lastSync, lastError: "" });
+    return status;
+  } catch (err) {
+    saveSync({ ...loadSync(), lastError: err instanceof Error ? err.message : String(err) });
+    throw err;
+  }
+}
+
+// Envoi automatique, regroupé : AUTO_SYNC_DELAY après la dernière réponse enregistrée
+export function startAutoSync(): () => void {
+  let timer: ReturnType<typeof setTimeout> | undefined;
+  const unsubscribe = subscribe(STORE_KEYS.attempts, () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const s = loadSync();
+      if (s.auto && isConfigured(s)) syncNow().catch(() => { /* erreur affichée par le panneau de synchronisation */ });
+    }, AUTO_SYNC_DELAY);
+  });
+  return () => {
+    clearTimeout(timer);
+    unsubscribe();
+  };
+}
+
+// Instructeur
+export async function fetchClass(url: string, instructorToken: string): Promise<ClassStudent[]> {
+  return (await request<{ students: ClassStudent[] }>(url, instructorToken, "api/class")).students;
+}
+
+export function addStudent(url: string, instructorToken: string, name: string): Promise<ClassStudent> {
+  return request<ClassStudent>(url, instructorToken, "api/students", { method: "POST", body: { name } });
+}
+
+export function removeStudent(url: string, instructorToken: string, id: string): Promise<void> {
+  return request<void>(url, instructorToken, `api/students/${encodeURIComponent(id)}`, { method: "DELETE" });
+}
+
+// Rapport de classe
+export type StruggleFlag = "inactive" | "lowAccuracy" | "weakSection";
+
+export interface StudentReport {
+  id: string;
+  name: string;
+  token: string;
+  lastSync: string | null;
+  lastActive: string | null; // jour local de la dernière réponse
+  answers: number;
+  recent: Accuracy; // RECENT_DAYS derniers jours
+  mastered: number; // cartes SRS d’intervalle ≥ MASTERED_INTERVAL
+  weakest: { section: string; pct: number } | null; // parmi les sections assez travaillées
+  flags: StruggleFlag[]; // vide : rien à signaler
+}
+
+export interface ClassSectionScore extends Accuracy {
+  section: string;
+  students: number; // élèves ayant répondu dans la section
+  struggling: number; // dont sous le seuil de réussite (avec assez de réponses)
+}
+
+export interface ClassReport {
+  students: StudentReport[]; // en difficulté d’abord, puis par nom
+  bySection: ClassSectionScore[];
+}
+
+export function classReport(students: ClassStudent[], today: string): ClassReport {
+  const sections = new Map<string, ClassSectionScore>();
+  const reports = students.map((st): StudentReport => {
+    const days = st.attempts.map((a) => dayOfISO(a.at)).filter((d): d is string => d !== null);
+    const lastActive = days.length ? days.reduce((a, b) => (a > b ? a : b)) : null;
+    const recentList = st.attempts.filter((a) => {
+      const d = dayOfISO(a.at);
+      return d !== null && daysBetween(d, today) < RECENT_DAYS;
+    });
+    const recent = { total: recentList.length, correct: recentList.filter((a) => a.correct).length };
+
+    let weakest: StudentReport["weakest"] = null;
+    for (const [section, acc] of accuracyBySection(st.attempts)) {
+      const s = sections.get(section) ?? { section, total: 0, correct: 0, students: 0, struggling: 0 };
+      sections.set(section, s);
+      s.total += acc.total;
+      s.correct += acc.correct;
+      s.students++;
+      if (acc.total < MIN_SECTION_ANSWERS) continue;
+      const ratio = acc.correct / acc.total;
+      if (ratio < EXAM_PASS) s.struggling++;
+      if (!weakest || ratio * 100 < weakest.pct) weakest = { section, pct: Math.round(ratio * 100) };
+    }
+
+    const flags: StruggleFlag[] = [];
+    if (!lastActive || daysBetween(lastActive, today) >= INACTIVE_DAYS) flags.push("inactive");
+    if (recent.total >= MIN_ANSWERS && recent.correct / recent.total < EXAM_PASS) flags.push("lowAccuracy");
+    if (weakest && weakest.pct < WEAK_SECTION * 100) flags.push("weakSection");
+
+    return {
+      id: st.id,
+      name: st.name,
+      token: st.token,
+      lastSync: st.lastSync,
+      lastActive,
+      answers: st.attempts.length,
+      recent,
+      mastered: Object.values(st.srs).filter((r) => r.interval >= MASTERED_INTERVAL).length,
+      weakest,
+      flags,
+    };
+  });
+
+  reports.sort((a, b) => Number(b.flags.length > 0) - Number(a.flags.length > 0) || a.name.localeCompare(b.name));
+  return {
+    students: reports,
+    bySection: Array.from(sections.values()).sort((a, b) => a.section.localeCompare(b.section)),
+  };
+}
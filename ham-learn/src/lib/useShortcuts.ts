@@ -0,0 +1,21 @@
+import { useEffect, useRef } from "react";
+import { isTypingTarget } from "./a11y.js";
+
+// Raccourcis clavier actifs tant que le composant est affiché. Le gestionnaire
+// renvoie true s’il a traité la touche (le comportement par défaut est alors annulé).
+// Ignorés pendant la saisie, avec Ctrl/Alt/Méta, et quand une fenêtre modale est ouverte.
+export function useShortcuts(handler: (e: KeyboardEvent) => boolean | void, enabled = true): void {
+  const handlerRef = useRef(handler);
+  handlerRef.current = handler;
+
+  useEffect(() => {
+    if (!enabled) return;
+    const onKey = (e: KeyboardEvent) => {
+      if (e.ctrlKey || e.metaKey || e.altKey || e.defaultPrevented) return;
+      if (isTypingTarget(e.target) || document.querySelector('[aria-modal="true"]')) return;
+      if (handlerRef.current(e) === true) e.preventDefault();
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [enabled]);
+}
@@ -0,0 +1,13 @@
+import { useEffect, useRef, useState } from "react";
+import { loadJSON, subscribe } from "./storage.js";
+
+// Valeur stockée qui se met à jour dès qu’elle est modifiée ailleurs dans l’application
+export function useStored<T>(key: string, fallback: T): T {
+  const fallbackRef = useRef(fallback);
+  const [value, setValue] = useState<T>(() => loadJSON(key, fallback));
+  useEffect(() => {
+    setValue(loadJSON(key, fallbackRef.current));
+    return subscribe(key, () => setValue(loadJSON(key, fallbackRef.current)));
+  }, [key]);
+  return value;
+}
@@ -0,0 +1,39 @@
+// Petits utilitaires sans dépendance
+
+export function classNames(...xs: Array<string | false | null | undefined>): string {
+  return xs.filter(Boolean).join(" ");
+}
+
+// Minuterie : secondes → « mm:ss » ou « h:mm:ss »
+export function formatClock(sec: number): string {
+  const s = Math.max(0, sec);
+  const h = Math.floor(s / 3600);
+  const m = String(Math.floor((s % 3600) / 60)).padStart(2, "0");
+  const ss = String(s % 60).padStart(2, "0");
+  return h ? `${h}:${m}:${ss}` : `${m}:${ss}`;
+}
+
+// Texte comparable sans accents ni casse (recherche FR/EN)
+export function foldText(s: string): string {
+  return s.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+}
+
+// Mélange de Fisher‑Yates ; passer un générateur de lib/random.ts pour un tirage reproductible
+export function shuffle<T>(arr: T[], rand: () => number = Math.random): T[] {
+  const a = [...arr];
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = Math.floor(rand() * (i + 1));
+    [a[i], a[j]] = [a[j] as T, a[i] as T];
+  }
+  return a;
+}
+
+// Déclenche le téléchargement d’un fichier généré dans le navigateur
+export function downloadFile(name: string, content: string, type: string): void {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -2,9 +2,16 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.tsx'; // ou simplement './App'
+import { initStorage } from './lib/storage.ts'
+import { registerServiceWorker } from './lib/pwa.ts'
 
-createRoot(document.getElementById('root')).render(
-  <StrictMode>
-    <App />
-  </StrictMode>,
-)
+registerServiceWorker()
+
+// La base IndexedDB est chargée en mémoire avant le premier rendu
+initStorage().finally(() => {
+  createRoot(document.getElementById('root')).render(
+    <StrictMode>
+      <App />
+    </StrictMode>,
+  )
+})
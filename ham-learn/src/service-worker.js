@@ -0,0 +1,94 @@
+// =============================================
+// Service worker HamLearn — fonctionnement hors ligne
+// =============================================
+// Ce fichier est un gabarit : au build, le plugin de vite.config.js remplace
+// le marqueur affecté à PRECACHE par { version, files } (fichiers générés +
+// /public) et l’émet sous le nom sw.js. Le marqueur ne doit figurer qu’une fois.
+// - Fichiers de l’application : précache, servis depuis le cache.
+// - Banque de questions : cache séparé, servie du cache puis revalidée ;
+//   les onglets sont prévenus (BANK_UPDATED) quand son contenu change.
+// - Nouvelle version : le nouveau worker attend que l’utilisateur accepte
+//   (message SKIP_WAITING) avant de prendre la main.
+// =============================================
+
+const PRECACHE = __PRECACHE__;
+const APP_CACHE = `hamlearn-app-${PRECACHE.version}`;
+const BANK_CACHE = "hamlearn-bank";
+const BANK_FILE = "amat_basic_quest_delim.txt";
+
+const scope = new URL(self.registration.scope);
+const bankURL = new URL(BANK_FILE, scope).href;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(APP_CACHE);
+    await cache.addAll(PRECACHE.files.filter((f) => f !== BANK_FILE).map((f) => new URL(f, scope).href));
+    const bank = await caches.open(BANK_CACHE);
+    if (!(await bank.match(bankURL))) await bank.add(bankURL);
+  })());
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names.filter((n) => n.startsWith("hamlearn-app-") && n !== APP_CACHE).map((n) => caches.delete(n)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "SKIP_WAITING") self.skipWaiting();
+  if (event.data?.type === "CHECK_BANK") event.waitUntil(revalidateBank());
+});
+
+async function notifyClients(message) {
+  const list = await self.clients.matchAll({ type: "window" });
+  list.forEach((c) => c.postMessage(message));
+}
+
+// Télécharge la banque ; si elle diffère de la copie en cache, la remplace et prévient les onglets
+async function revalidateBank() {
+  try {
+    const res = await fetch(bankURL, { cache: "no-cache" });
+    if (!res.ok) return;
+    const cache = await caches.open(BANK_CACHE);
+    const old = await cache.match(bankURL);
+    const [fresh, previous] = await Promise.all([res.clone().text(), old ? old.text() : Promise.resolve(null)]);
+    if (fresh === previous) return;
+    await cache.put(bankURL, res);
+    if (previous !== null) notifyClients({ type: "BANK_UPDATED" });
+  } catch {
+    // hors ligne : on garde la copie en cache
+  }
+}
+
+self.addEventListener("fetch", (event) => {
+  const req = event.request;
+  if (req.method !== "GET") return;
+  const url = new URL(req.url);
+  if (url.origin !== scope.origin) return;
+
+  if (url.href === bankURL) {
+    event.respondWith((async () => {
+      const cached = await caches.match(bankURL, { cacheName: BANK_CACHE });
+      if (cached) {
+        event.waitUntil(revalidateBank());
+        return cached;
+      }
+      const res = await fetch(req);
+      if (res.ok) (await caches.open(BANK_CACHE)).put(bankURL, res.clone());
+      return res;
+    })());
+    return;
+  }
+
+  if (req.mode === "navigate") {
+    // Réseau d’abord pour la page, repli sur la copie précachée hors ligne
+    event.respondWith(fetch(req).catch(async () => (
+      (await caches.match(new URL("index.html", scope).href, { cacheName: APP_CACHE })) ?? Response.error()
+    )));
+    return;
+  }
+
+  event.respondWith((async () => (await caches.match(req, { cacheName: APP_CACHE })) ?? fetch(req))());
+});
@@ -0,0 +1,21 @@
+// Types partagés de la banque de questions
+
+export interface QA {
+  question_id: string;
+  question_english: string;
+  correct_answer_english: string;
+  incorrect_answer_1_english: string;
+  incorrect_answer_2_english: string;
+  incorrect_answer_3_english: string;
+  question_french: string;
+  correct_answer_french: string;
+  incorrect_answer_1_french: string;
+  incorrect_answer_2_french: string;
+  incorrect_answer_3_french: string;
+  // Colonnes facultatives (banques personnalisées, voir lib/figures.ts)
+  image?: string;
+  image_alt_english?: string;
+  image_alt_french?: string;
+}
+
+export type Lang = 'fr' | 'en';
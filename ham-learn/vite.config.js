@@ -1,10 +1,48 @@
 // vite.config.js
+import { createHash } from 'node:crypto'
+import { readFileSync, readdirSync } from 'node:fs'
+import { join, relative } from 'node:path'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Service worker : injecte la liste des fichiers à précacher dans
+// src/service-worker.js et l'émet en sw.js à la racine du build.
+// Le build échoue si le marqueur n'apparaît pas exactement une fois dans le
+// gabarit ou s'il reste dans sw.js (le worker ne s'installerait pas).
+const PRECACHE_MARKER = '__PRECACHE__'
+
+function serviceWorker() {
+  const listFiles = (dir) => readdirSync(dir, { withFileTypes: true }).flatMap((e) => (
+    e.isDirectory() ? listFiles(join(dir, e.name)) : [join(dir, e.name)]
+  ))
+  return {
+    name: 'hamlearn-service-worker',
+    apply: 'build',
+    enforce: 'post',
+    generateBundle(_options, bundle) {
+      const hash = createHash('sha256')
+      const files = Object.keys(bundle).filter((f) => !f.endsWith('.map'))
+      hash.update(files.join('\n'))
+      for (const path of listFiles('public')) {
+        const file = relative('public', path).split('\\').join('/')
+        files.push(file)
+        // La banque a son propre cycle de mise à jour (BANK_UPDATED) : elle ne change pas la version
+        if (file !== 'amat_basic_quest_delim.txt') hash.update(readFileSync(path))
+      }
+      const precache = { version: hash.digest('hex').slice(0, 12), files: files.sort() }
+      const template = readFileSync('src/service-worker.js', 'utf8')
+      const count = template.split(PRECACHE_MARKER).length - 1
+      if (count !== 1) this.error(`src/service-worker.js : ${PRECACHE_MARKER} attendu une fois, trouvé ${count} fois`)
+      const source = template.replace(PRECACHE_MARKER, () => JSON.stringify(precache))
+      if (source.includes(PRECACHE_MARKER)) this.error(`sw.js contient encore ${PRECACHE_MARKER}`)
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+    },
+  }
+}
+
 // ⚠️ Remplace '/ham-learn/' par le NOM EXACT de ton dépôt GitHub Pages.
 // Si ton site est à la racine (user.github.io), mets base: '/'.
 export default defineConfig({
   base: '/ham-learn/',
-  plugins: [react()],
-})
\ No newline at end of file
+  plugins: [react(), serviceWorker()],
+})